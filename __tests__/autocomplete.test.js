@@ -0,0 +1,60 @@
+import { getSuggestions, getFunctionSignature, getTableReferences } from '../utils/autocomplete.js';
+
+const texts = (sql, cursor = sql.length) => getSuggestions(sql, cursor).map(suggestion => suggestion.text);
+
+describe('SQL Autocomplete', () => {
+    test('should resolve aliases to their table columns', () => {
+        const sql = 'SELECT r. FROM results r JOIN samples s ON r.sample_id = s.sample_id';
+        const suggestions = getSuggestions(sql, 9);
+        expect(suggestions.map(s => s.text)).toContain('result_value');
+        expect(suggestions.map(s => s.text)).not.toContain('sample_name');
+        expect(suggestions.every(s => s.type === 'column' && s.detail.startsWith('results'))).toBe(true);
+        expect(suggestions.find(s => s.text === 'result_value').detail).toBe('results · decimal');
+
+        expect(texts('SELECT s.sample_n FROM samples AS s', 17)).toEqual(['sample_name']);
+    });
+
+    test('should scope columns to the tables in FROM/JOIN and qualify shared columns', () => {
+        const sql = 'SELECT s FROM samples s JOIN results r ON r.sample_id = s.sample_id';
+        const suggestions = texts(sql, 8);
+        expect(suggestions).toEqual(expect.arrayContaining(['s.sample_id', 'r.sample_id', 'sample_name', 's.status', 'r.status']));
+        expect(suggestions).not.toContain('specialization');
+
+        // Without FROM every table's columns are offered
+        expect(texts('SELECT spec')).toEqual(['technicians.specialization']);
+    });
+
+    test('should suggest complete JOIN ... ON clauses from table relationships', () => {
+        const suggestions = getSuggestions('SELECT * FROM results r J', 25);
+        expect(suggestions.map(s => s.text)).toEqual(expect.arrayContaining([
+            'JOIN samples ON r.sample_id = samples.sample_id',
+            'JOIN tests ON r.test_id = tests.test_id'
+        ]));
+        expect(suggestions[0].type).toBe('join');
+
+        expect(texts('SELECT * FROM samples s LEFT JOIN l')[0]).toBe('labs ON s.lab_id = labs.lab_id');
+    });
+
+    test('should suggest ON conditions between the joined table and earlier tables', () => {
+        expect(texts('SELECT * FROM samples s JOIN results r ON s')[0]).toBe('s.sample_id = r.sample_id');
+        expect(texts('SELECT * FROM samples s JOIN results r ON r')[0]).toBe('r.sample_id = s.sample_id');
+    });
+
+    test('should offer functions with their signatures', () => {
+        const round = getSuggestions('SELECT ROU', 10).find(s => s.text === 'ROUND');
+        expect(round).toEqual({ text: 'ROUND', type: 'function', detail: 'ROUND(number [, decimals])' });
+        expect(texts('SELECT * FROM samples WH')).toContain('WHERE');
+    });
+
+    test('should find the signature of the innermost open function call', () => {
+        expect(getFunctionSignature('SELECT ROUND(AVG(result_value', 29)).toBe('AVG([DISTINCT] number)');
+        expect(getFunctionSignature('SELECT ROUND(AVG(result_value), ', 32)).toBe('ROUND(number [, decimals])');
+        expect(getFunctionSignature('SELECT ROUND(1) ', 16)).toBeNull();
+        expect(getFunctionSignature("SELECT UPPER('abc", 17)).toBe('UPPER(text)');
+    });
+
+    test('should list table references with aliases', () => {
+        expect(getTableReferences('SELECT EXTRACT(year FROM collection_date) FROM samples AS s LEFT JOIN labs ON s.lab_id = labs.lab_id'))
+            .toEqual([{ table: 'samples', alias: 's' }, { table: 'labs', alias: 'labs' }]);
+    });
+});
@@ -46,6 +46,12 @@ describe('Dataset Store', () => {
             expect(dataset.sql).toBe('');
         });
 
+        test('should store default parameter values', () => {
+            const dataset = datasetStore.create('Test', 'SELECT * FROM samples WHERE status = :status', ['id'], [[1]], { status: 'Completed' });
+            expect(dataset.parameters).toEqual({ status: 'Completed' });
+            expect(datasetStore.create('Plain', 'SELECT 1', ['id'], [[1]]).parameters).toEqual({});
+        });
+
         test('should create unique IDs', () => {
             const ds1 = datasetStore.create('Dataset 1', 'SELECT 1', ['id'], [[1]]);
             const ds2 = datasetStore.create('Dataset 2', 'SELECT 2', ['id'], [[2]]);
@@ -110,6 +116,13 @@ describe('Dataset Store', () => {
             expect(updated.rows).toEqual(newRows);
         });
 
+        test('should update default parameter values', () => {
+            const dataset = datasetStore.create('Test', 'SELECT :n', ['n'], [[1]], { n: '1' });
+            const updated = datasetStore.update(dataset.id, { parameters: { n: '2' } });
+            expect(updated.parameters).toEqual({ n: '2' });
+            expect(datasetStore.duplicate(dataset.id, 'Copy').parameters).toEqual({ n: '2' });
+        });
+
         test('should return null for non-existent dataset', () => {
             const updated = datasetStore.update('nonexistent', { name: 'New' });
             expect(updated).toBeNull();
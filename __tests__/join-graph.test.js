@@ -0,0 +1,125 @@
+import { parseJoinGraph, applyJoinGraph, connectColumns, setJoinType, removeJoin } from '../utils/join-graph.js';
+import { JoinDesigner } from '../components/join-designer.js';
+
+const JOINED = `SELECT s.sample_id, l.lab_name
+FROM samples s
+LEFT JOIN labs l ON s.lab_id = l.lab_id
+WHERE s.status = 'Completed'
+ORDER BY 1`;
+
+describe('Join Graph', () => {
+    test('should read tables, join types and conditions from the SQL', () => {
+        const graph = parseJoinGraph(JOINED);
+        expect(graph.from).toEqual({ table: 'samples', alias: 's' });
+        expect(graph.joins).toEqual([{
+            joinType: 'LEFT',
+            table: 'labs',
+            alias: 'l',
+            on: 's.lab_id = l.lab_id',
+            conditions: [{ left: { alias: 's', column: 'lab_id' }, right: { alias: 'l', column: 'lab_id' } }]
+        }]);
+
+        expect(parseJoinGraph('')).toEqual({ from: null, joins: [] });
+        expect(parseJoinGraph('SELECT * FROM (SELECT sample_id FROM samples) t')).toBeNull();
+        expect(parseJoinGraph('SELECT * FROM')).toBeNull();
+    });
+
+    test('should join a new table and rewrite only the FROM clause', () => {
+        const graph = connectColumns(parseJoinGraph(JOINED),
+            { table: 'samples', column: 'sample_id' }, { table: 'results', column: 'sample_id' });
+        expect(applyJoinGraph(JOINED, graph)).toBe(`SELECT s.sample_id, l.lab_name
+FROM samples s
+LEFT JOIN labs l ON s.lab_id = l.lab_id
+INNER JOIN results ON s.sample_id = results.sample_id
+WHERE s.status = 'Completed'
+ORDER BY 1`);
+    });
+
+    test('should start a query from an empty editor and add conditions between joined tables', () => {
+        const started = applyJoinGraph('', connectColumns(parseJoinGraph(''),
+            { table: 'results', column: 'test_id' }, { table: 'tests', column: 'test_id' }));
+        expect(started).toBe('SELECT *\nFROM results\nINNER JOIN tests ON results.test_id = tests.test_id');
+
+        const extended = applyJoinGraph(started, connectColumns(parseJoinGraph(started),
+            { table: 'tests', column: 'unit' }, { table: 'results', column: 'status' }));
+        expect(extended).toContain('INNER JOIN tests ON results.test_id = tests.test_id AND results.status = tests.unit');
+
+        expect(() => connectColumns(parseJoinGraph(started), { table: 'labs', column: 'lab_id' }, { table: 'technicians', column: 'lab_id' }))
+            .toThrow('Neither "labs" nor "technicians" is in the query');
+    });
+
+    test('should change join types, using a foreign key when leaving CROSS JOIN', () => {
+        const cross = applyJoinGraph(JOINED, setJoinType(parseJoinGraph(JOINED), 0, 'CROSS'));
+        expect(cross).toContain('FROM samples s\nCROSS JOIN labs l\nWHERE');
+
+        const left = applyJoinGraph(cross, setJoinType(parseJoinGraph(cross), 0, 'FULL'));
+        expect(left).toContain('FULL JOIN labs l ON s.lab_id = l.lab_id');
+
+        const unrelated = 'SELECT * FROM tests CROSS JOIN labs';
+        expect(() => setJoinType(parseJoinGraph(unrelated), 0, 'INNER')).toThrow('No foreign key links "labs"');
+    });
+
+    test('should remove a join and the joins that depend on it', () => {
+        const sql = 'SELECT * FROM results r JOIN samples s ON r.sample_id = s.sample_id JOIN labs l ON s.lab_id = l.lab_id JOIN tests t ON r.test_id = t.test_id';
+        expect(applyJoinGraph(sql, removeJoin(parseJoinGraph(sql), 0)))
+            .toBe('SELECT * FROM results r\nINNER JOIN tests t ON r.test_id = t.test_id');
+    });
+});
+
+describe('Join Designer', () => {
+    let designer;
+    let changes;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="join-designer"></div>';
+        designer = new JoinDesigner('#join-designer');
+        changes = [];
+        designer.onChange(sql => changes.push(sql));
+    });
+
+    const column = (table, name) => document.querySelector(`.er-column[data-table="${table}"][data-column="${name}"]`);
+    const drag = (from, to) => {
+        from.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+        to.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+    };
+
+    test('should draw the catalog tables and the joins of the query', () => {
+        designer.setSQL(JOINED);
+        expect(document.querySelectorAll('.er-table')).toHaveLength(5);
+        expect(document.querySelector('.er-table[data-table="samples"]').classList.contains('er-table-in-query')).toBe(true);
+        expect(document.querySelector('.er-table[data-table="tests"]').classList.contains('er-table-in-query')).toBe(false);
+        expect(document.querySelectorAll('.er-join-left')).toHaveLength(1);
+        expect(document.querySelector('.join-type-select').value).toBe('LEFT');
+        expect(document.querySelector('#join-designer-sql').value).toBe(JOINED);
+    });
+
+    test('should join tables by dragging between columns', () => {
+        designer.setSQL(JOINED);
+        drag(column('samples', 'sample_id'), column('results', 'sample_id'));
+        expect(changes).toHaveLength(1);
+        expect(changes[0]).toContain('INNER JOIN results ON s.sample_id = results.sample_id');
+        expect(document.querySelectorAll('.join-designer-join')).toHaveLength(2);
+    });
+
+    test('should change the join type from the join list', () => {
+        designer.setSQL(JOINED);
+        const select = document.querySelector('.join-type-select');
+        select.value = 'INNER';
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(changes[0]).toContain('INNER JOIN labs l ON s.lab_id = l.lab_id');
+    });
+
+    test('should redraw the diagram when the SQL is edited', () => {
+        const sqlInput = document.querySelector('#join-designer-sql');
+        sqlInput.value = 'SELECT * FROM results r JOIN tests t ON r.test_id = t.test_id';
+        sqlInput.dispatchEvent(new Event('input'));
+        expect(document.querySelector('.er-table[data-table="tests"]').classList.contains('er-table-in-query')).toBe(true);
+        expect(document.querySelectorAll('.er-join-inner')).toHaveLength(1);
+        expect(changes).toEqual([sqlInput.value]);
+
+        sqlInput.value = 'SELECT * FROM results r JOIN';
+        sqlInput.dispatchEvent(new Event('input'));
+        expect(document.querySelector('.join-designer-message').style.display).toBe('block');
+        expect(document.querySelectorAll('.er-join-inner')).toHaveLength(1);
+    });
+});
@@ -6,6 +6,13 @@ import {
     calculateStdev,
     calculateCount,
     calculateCountDistinct,
+    calculateMedian,
+    calculatePercentile,
+    calculateIQR,
+    calculateMode,
+    calculateVariance,
+    calculateCoefficientOfVariation,
+    calculateSkewness,
     calculateMetric
 } from '../utils/metric-calculator.js';
 
@@ -183,6 +190,46 @@ describe('Metric Calculator', () => {
             expect(result1).toBe(result2);
         });
     });
+
+    describe('distribution functions', () => {
+        test('should calculate median and percentiles with interpolation', () => {
+            expect(calculateMedian(testRows, testColumns, 'value')).toBe(20.3);
+            expect(calculateMedian([[1], [4], [2], [3]], ['n'], 'n')).toBe(2.5);
+            expect(calculatePercentile(testRows, testColumns, 'value', 90)).toBeCloseTo(28.42, 4);
+            expect(calculatePercentile(testRows, testColumns, 'value', 0)).toBe(10.5);
+            expect(calculatePercentile(testRows, testColumns, 'value', 100)).toBe(30.1);
+            expect(() => calculatePercentile(testRows, testColumns, 'value', 101)).toThrow(/0 to 100/);
+            expect(() => calculatePercentile(testRows, testColumns, 'value')).toThrow(/0 to 100/);
+        });
+
+        test('should calculate interquartile range and mode', () => {
+            expect(calculateIQR(testRows, testColumns, 'value')).toBeCloseTo(10.2, 4);
+            // Ties go to the smallest value
+            expect(calculateMode([[3], [2], [3], [2], [1]], ['n'], 'n')).toBe(2);
+            expect(calculateMode([[5], ['5'], [1]], ['n'], 'n')).toBe(5);
+        });
+
+        test('should calculate variance, coefficient of variation and skewness', () => {
+            expect(calculateVariance(testRows, testColumns, 'value')).toBeCloseTo(48.88, 4);
+            expect(calculateCoefficientOfVariation(testRows, testColumns, 'value')).toBeCloseTo(0.341, 3);
+            expect(calculateSkewness(testRows, testColumns, 'value')).toBeCloseTo(-0.04, 3);
+            expect(calculateSkewness([[1], [1], [1], [10]], ['n'], 'n')).toBeGreaterThan(0);
+            expect(calculateSkewness([[4], [4]], ['n'], 'n')).toBe(0);
+            expect(() => calculateCoefficientOfVariation([[-1], [1]], ['n'], 'n')).toThrow(/mean of zero/);
+        });
+
+        test('should reject datasets without numeric values', () => {
+            expect(() => calculateMedian([], testColumns, 'value')).toThrow(/dataset is empty/);
+            expect(() => calculateVariance(testRows, testColumns, 'category')).toThrow(/no numeric values/);
+            expect(() => calculateSkewness(testRows, testColumns, 'nonexistent')).toThrow(/not found/);
+        });
+
+        test('should calculate distribution operations via calculateMetric', () => {
+            expect(calculateMetric(testRows, testColumns, 'value', 'median')).toBe(20.3);
+            expect(calculateMetric(testRows, testColumns, 'value', 'percentile', 90)).toBeCloseTo(28.42, 4);
+            expect(calculateMetric(testRows, testColumns, 'value', 'CV')).toBeCloseTo(0.341, 3);
+        });
+    });
 });
 
 
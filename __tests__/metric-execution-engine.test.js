@@ -1,4 +1,5 @@
 import { metricExecutionEngine } from '../utils/metric-execution-engine.js';
+import { metricsStore } from '../data/metrics.js';
 
 describe('Metric Execution Engine', () => {
     const testRows = [
@@ -75,6 +76,22 @@ describe('Metric Execution Engine', () => {
             expect(typeof result).toBe('number');
         });
 
+        test('should execute a stored percentile metric at its stored percentile', () => {
+            const metric = metricsStore.create('ds_1', 'Median Value', null, 'calculated', 'value', 'percentile',
+                null, 'numeric', 2, { percentile: 50 });
+            const dataset = {
+                id: 'ds_1',
+                rows: testRows,
+                columns: testColumns
+            };
+            expect(metric.percentile).toBe(50);
+            expect(metricExecutionEngine.executeMetric(metric, dataset)).toBeCloseTo(20.3);
+
+            metricsStore.update(metric.id, { percentile: 100 });
+            expect(metricExecutionEngine.executeMetric(metricsStore.get(metric.id), dataset)).toBeCloseTo(30.1);
+            metricsStore.delete(metric.id);
+        });
+
         test('should reject missing metric', () => {
             const dataset = {
                 id: 'ds_1',
@@ -138,6 +155,287 @@ describe('Metric Execution Engine', () => {
             expect(operations).toContain('max');
         });
     });
+
+    describe('distribution operations', () => {
+        test('should execute percentile metrics with their percentile', () => {
+            const result = metricExecutionEngine.execute({ operation: 'percentile', column: 'value', percentile: 90 }, testRows, testColumns);
+            expect(result).toBeCloseTo(28.42, 4);
+            expect(() => metricExecutionEngine.execute({ operation: 'percentile', column: 'value' }, testRows, testColumns)).toThrow(/0 to 100/);
+            expect(metricExecutionEngine.validate({ operation: 'percentile', column: 'value' }, testColumns).isValid).toBe(false);
+            expect(metricExecutionEngine.getSupportedOperations()).toEqual(expect.arrayContaining(['median', 'iqr', 'mode', 'variance', 'cv', 'skewness']));
+        });
+
+        test('should evaluate distribution functions in metric expressions', () => {
+            const dataset = { id: 'ds_1', rows: testRows, columns: testColumns };
+            const spread = metricExecutionEngine.executeMetric({ expression: 'PERCENTILE(value, 90) - MEDIAN(value)' }, dataset);
+            expect(spread).toBeCloseTo(8.12, 4);
+            expect(metricExecutionEngine.executeMetric({ expression: 'IQR(value) / MEDIAN(value)' }, dataset)).toBeCloseTo(10.2 / 20.3, 4);
+            expect(metricExecutionEngine.executeMetric({ expression: 'MODE(id) + VARIANCE(id) + SKEWNESS(id) + CV(id)' }, dataset)).toBeCloseTo(1 + 2 + 0 + Math.sqrt(2) / 3, 3);
+            expect(() => metricExecutionEngine.executeMetric({ expression: 'PERCENTILE(value)' }, dataset)).toThrow(/PERCENTILE\(column, percentile\)/);
+        });
+    });
+
+    describe('filtered aggregates', () => {
+        const dataset = {
+            id: 'ds_2',
+            columns: ['sample_id', 'status', 'lab', 'result_value'],
+            rows: [
+                [1, 'Rejected', 'A', 5],
+                [2, 'Completed', 'A', 7],
+                [3, 'Rejected', 'B', null],
+                [4, 'Completed', 'B', 9],
+                [5, 'Pending', 'A', 2]
+            ]
+        };
+        const evaluate = expression => metricExecutionEngine.executeMetric({ expression }, dataset);
+
+        test('should aggregate only the rows matching a WHERE condition', () => {
+            expect(evaluate('COUNT(sample_id WHERE status = "Rejected") / COUNT(sample_id)')).toBe(0.4);
+            expect(evaluate('SUM(result_value WHERE lab = "B" OR status = "Pending")')).toBe(11);
+            expect(evaluate('COUNT(sample_id WHERE (status = "Rejected" OR status = "Pending") AND lab = "A")')).toBe(2);
+            expect(evaluate('PERCENTILE(result_value WHERE lab = "A", 50)')).toBe(5);
+        });
+
+        test('should not match empty values and count no matches as zero', () => {
+            expect(evaluate('COUNT(sample_id WHERE result_value < 3)')).toBe(1);
+            expect(evaluate('COUNT(sample_id WHERE status = "Lost")')).toBe(0);
+            expect(() => evaluate('MEAN(result_value WHERE status = "Lost")')).toThrow(/No rows match/);
+        });
+
+        test('should reject unknown columns and incomplete conditions', () => {
+            expect(() => evaluate('COUNT(sample_id WHERE site = "A")')).toThrow(/Column "site" not found/);
+            expect(() => evaluate('COUNT(sample_id WHERE)')).toThrow(/condition after WHERE/);
+            expect(() => evaluate('COUNT(sample_id) AND')).toThrow();
+        });
+
+        test('should report errors in a WHERE condition instead of matching no rows', () => {
+            expect(() => evaluate('COUNT(sample_id WHERE FOO(result_value) > 1)')).toThrow(/Unknown function: FOO/);
+            expect(() => evaluate('COUNT(sample_id WHERE IF(lab = "A") > 0)')).toThrow(/IF function expects 2 or 3 arguments/);
+            // A row whose values the condition cannot use, here a division by zero, does not match
+            expect(evaluate('COUNT(sample_id WHERE sample_id / (result_value - 5) > 0)')).toBe(2);
+        });
+    });
+
+    describe('metric references', () => {
+        const dataset = {
+            id: 'ds_3',
+            columns: ['sample_id', 'status'],
+            rows: [[1, 'Rejected'], [2, 'Completed'], [3, 'Rejected'], [4, 'Completed'], [5, 'Completed']]
+        };
+        const metrics = [
+            { id: 'm_rate', name: 'Rejection Rate', expression: '[Rejected] / [total samples]' },
+            { id: 'm_total', name: 'Total Samples', operation: 'count', column: 'sample_id' },
+            { id: 'm_rejected', name: 'Rejected', expression: 'COUNT(sample_id WHERE status = "Rejected")' }
+        ];
+
+        test('should execute referenced metrics first', () => {
+            const results = metricExecutionEngine.executeMetrics(metrics, dataset);
+            expect(results.map(result => result.metric.id)).toEqual(['m_rejected', 'm_total', 'm_rate']);
+            expect(results.map(result => result.value)).toEqual([2, 5, 0.4]);
+            expect(results.every(result => result.error === null)).toBe(true);
+
+            expect(metricExecutionEngine.executeMetric({ expression: '[Rejection Rate] * 100' }, dataset, metrics)).toBe(40);
+        });
+
+        test('should fail metrics in a cycle and the metrics that depend on them', () => {
+            const cyclic = [
+                { id: 'a', name: 'A', expression: '[B] + 1' },
+                { id: 'b', name: 'B', expression: '[A] * 2' },
+                { id: 'c', name: 'C', expression: '[A]' },
+                { id: 'd', name: 'D', expression: '[Missing]' },
+                { id: 'e', name: 'E', expression: 'COUNT(sample_id)' }
+            ];
+            const errors = Object.fromEntries(metricExecutionEngine.executeMetrics(cyclic, dataset)
+                .map(result => [result.metric.id, result.error]));
+
+            expect(errors.a).toBe('Circular metric reference: [A] → [B] → [A]');
+            expect(errors.b).toBe(errors.a);
+            expect(errors.c).toMatch(/^Depends on \[A\]/);
+            expect(errors.d).toMatch(/"\[Missing\]" not found/);
+            expect(errors.e).toBeNull();
+
+            // An edited metric replaces its stored version
+            expect(() => metricExecutionEngine.executeMetric(
+                { id: 'm_total', name: 'Total Samples', expression: '[Rejection Rate]' }, dataset, metrics
+            )).toThrow(/Circular metric reference/);
+        });
+
+        test('should find the metrics that depend on a metric', () => {
+            const dependents = metricExecutionEngine.getDependentMetrics(metrics[1], [
+                ...metrics,
+                { id: 'm_percent', name: 'Rejection Percent', expression: '[Rejection Rate] * 100' }
+            ]);
+            expect(dependents.map(metric => metric.id)).toEqual(['m_rate', 'm_percent']);
+            expect(metricExecutionEngine.getDependentMetrics(metrics[0], metrics)).toEqual([]);
+        });
+    });
+
+    describe('grouped metrics', () => {
+        const dataset = {
+            id: 'ds_4',
+            columns: ['sample_id', 'lab', 'status', 'result_value'],
+            rows: [
+                [1, 'Boston', 'Rejected', 10],
+                [2, 'Austin', 'Completed', 20],
+                [3, 'Boston', 'Completed', 30],
+                [4, null, 'Completed', 40],
+                [5, 'Austin', 'Completed', 50]
+            ]
+        };
+
+        test('should return one value per group, ordered by key', () => {
+            const result = metricExecutionEngine.execute(
+                { operation: 'mean', column: 'result_value', groupBy: 'lab' }, dataset.rows, dataset.columns
+            );
+            expect(result).toEqual([
+                { key: 'Austin', value: 35 },
+                { key: 'Boston', value: 20 },
+                { key: null, value: 40 }
+            ]);
+
+            const counts = metricExecutionEngine.executeMetric(
+                { expression: 'COUNT(sample_id WHERE status = "Rejected")', groupBy: 'lab' }, dataset
+            );
+            expect(counts.map(group => group.value)).toEqual([0, 1, 0]);
+        });
+
+        test('should give null to groups that cannot be calculated', () => {
+            const result = metricExecutionEngine.executeMetric(
+                { expression: 'MEAN(result_value WHERE status = "Rejected")', groupBy: 'lab' }, dataset
+            );
+            expect(result).toEqual([
+                { key: 'Austin', value: null },
+                { key: 'Boston', value: 10 },
+                { key: null, value: null }
+            ]);
+
+            expect(() => metricExecutionEngine.executeMetric({ expression: 'MEAN(missing)', groupBy: 'lab' }, dataset))
+                .toThrow(/missing/);
+            expect(() => metricExecutionEngine.execute(
+                { operation: 'sum', column: 'result_value', groupBy: 'site' }, dataset.rows, dataset.columns
+            )).toThrow('Group-by column "site" not found');
+            expect(metricExecutionEngine.validate({ operation: 'sum', column: 'result_value', groupBy: 'site' }, dataset.columns).errors)
+                .toContain('Group-by column "site" not found in dataset');
+        });
+
+        test('should resolve references group by group', () => {
+            const metrics = [
+                { id: 'g_total', name: 'Total', expression: 'SUM(result_value)', groupBy: 'lab' },
+                { id: 'g_share', name: 'Share', expression: '[Total] / [Overall]', groupBy: 'lab' },
+                { id: 'overall', name: 'Overall', expression: 'SUM(result_value)' },
+                { id: 'scalar', name: 'Scalar', expression: '[Total] * 2' }
+            ];
+            const results = Object.fromEntries(metricExecutionEngine.executeMetrics(metrics, dataset)
+                .map(result => [result.metric.id, result]));
+
+            expect(results.g_share.value.map(group => group.value)).toEqual([70 / 150, 40 / 150, 40 / 150]);
+            expect(results.scalar.value).toBeNull();
+            expect(results.scalar.error).toBe('[Total] is grouped by lab; only metrics grouped by the same column can reference it');
+        });
+    });
+
+    describe('time windows', () => {
+        const dataset = {
+            id: 'ds_5',
+            columns: ['sample_id', 'collected_on', 'status', 'result_value'],
+            rows: [
+                [1, '2024-02-05', 'Completed', 10],
+                [2, '2024-02-20', 'Rejected', 30],
+                [3, '2024-03-02', 'Completed', 20],
+                [4, '2024-03-15', 'Completed', 40],
+                [5, '2024-03-28', 'Rejected', 60]
+            ]
+        };
+        const monthly = { type: 'calendar', period: 'month', asOf: 'latest' };
+
+        test('should compare the current period with the prior period', () => {
+            const comparison = metricExecutionEngine.executeComparison(
+                { expression: 'SUM(result_value)', dateColumn: 'collected_on', window: monthly }, dataset
+            );
+            expect(comparison).toEqual({
+                current: 120,
+                prior: 40,
+                delta: 80,
+                percentChange: 200,
+                groups: null,
+                currentPeriod: { start: '2024-03-01', end: '2024-03-28' },
+                priorPeriod: { start: '2024-02-01', end: '2024-02-28' }
+            });
+            expect(metricExecutionEngine.executeMetric(
+                { expression: 'SUM(result_value)', dateColumn: 'collected_on', window: monthly }, dataset
+            )).toBe(120);
+        });
+
+        test('should count empty periods as zero and reject an empty current period', () => {
+            const rejected = metricExecutionEngine.executeComparison(
+                { expression: 'COUNT(sample_id WHERE status = "Rejected")', dateColumn: 'collected_on', window: { type: 'rolling', days: 7, asOf: 'latest' } },
+                dataset
+            );
+            expect(rejected).toMatchObject({ current: 1, prior: 0, delta: 1, percentChange: null });
+
+            expect(() => metricExecutionEngine.executeComparison(
+                { expression: 'MEAN(result_value)', dateColumn: 'collected_on', window: { type: 'ytd' } },
+                { ...dataset, rows: [] }
+            )).toThrow(/^No rows in the current period/);
+            expect(() => metricExecutionEngine.executeComparison({ expression: 'SUM(result_value)' }, dataset))
+                .toThrow('Metric has no time window to compare');
+        });
+
+        test('should count and sum empty periods of operation metrics as zero', () => {
+            const lastDays = { type: 'rolling', days: 3, asOf: 'latest' };
+            expect(metricExecutionEngine.executeComparison(
+                { operation: 'count', column: 'sample_id', dateColumn: 'collected_on', window: lastDays }, dataset
+            )).toMatchObject({ current: 1, prior: 0, delta: 1, percentChange: null });
+
+            const empty = { ...dataset, rows: [] };
+            expect(metricExecutionEngine.executeComparison(
+                { operation: 'sum', column: 'result_value', dateColumn: 'collected_on', window: monthly }, empty
+            )).toMatchObject({ current: 0, prior: 0, delta: 0, percentChange: null });
+            expect(() => metricExecutionEngine.executeComparison(
+                { operation: 'mean', column: 'result_value', dateColumn: 'collected_on', window: monthly }, empty
+            )).toThrow(/^No rows in the current period/);
+        });
+
+        test('should compare each group of a grouped metric', () => {
+            const comparison = metricExecutionEngine.executeComparison(
+                { expression: 'SUM(result_value)', groupBy: 'status', dateColumn: 'collected_on', window: monthly }, dataset
+            );
+            expect(comparison.delta).toBeNull();
+            expect(comparison.groups).toEqual([
+                { key: 'Completed', current: 60, prior: 10, delta: 50, percentChange: 500 },
+                { key: 'Rejected', current: 60, prior: 30, delta: 30, percentChange: 100 }
+            ]);
+        });
+
+        test('should give groups missing from the prior period a zero count or no value', () => {
+            const lastDays = { type: 'rolling', days: 14, asOf: 'latest' };
+            const counts = metricExecutionEngine.executeComparison(
+                { operation: 'count', column: 'sample_id', groupBy: 'status', dateColumn: 'collected_on', window: lastDays }, dataset
+            );
+            expect(counts.prior).toEqual([{ key: 'Completed', value: 1 }, { key: 'Rejected', value: 0 }]);
+            expect(counts.groups[1]).toEqual({ key: 'Rejected', current: 1, prior: 0, delta: 1, percentChange: null });
+
+            const means = metricExecutionEngine.executeComparison(
+                { expression: 'MEAN(result_value)', groupBy: 'status', dateColumn: 'collected_on', window: { type: 'rolling', days: 7, asOf: 'latest' } },
+                dataset
+            );
+            expect(means.groups).toEqual([{ key: 'Rejected', current: 60, prior: null, delta: null, percentChange: null }]);
+        });
+
+        test('should use prior values of referenced windowed metrics', () => {
+            const metrics = [
+                { id: 'w_total', name: 'Total', expression: 'SUM(result_value)', dateColumn: 'collected_on', window: monthly },
+                { id: 'w_rejected', name: 'Rejected', expression: 'SUM(result_value WHERE status = "Rejected")', dateColumn: 'collected_on', window: monthly },
+                { id: 'w_rate', name: 'Rejected Share', expression: '[Rejected] / [Total]', dateColumn: 'collected_on', window: monthly }
+            ];
+            const results = Object.fromEntries(metricExecutionEngine.executeMetrics(metrics, dataset)
+                .map(result => [result.metric.id, result]));
+
+            expect(results.w_rate.value).toBe(0.5);
+            expect(results.w_rate.comparison.prior).toBe(0.75);
+            expect(results.w_rate.comparison.delta).toBeCloseTo(-0.25);
+        });
+    });
 });
 
 
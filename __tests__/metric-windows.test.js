@@ -0,0 +1,76 @@
+import { splitRowsByWindow, optionToWindow, windowToOption, describeWindow } from '../utils/metric-windows.js';
+
+describe('Metric Windows', () => {
+    const columns = ['sample_id', 'collected_on'];
+    const rows = [
+        [1, '2024-01-15'],
+        [2, '2024-02-10'],
+        [3, '2024-02-29'],
+        [4, '2024-03-01'],
+        [5, '2024-03-20'],
+        [6, '2023-02-28'],
+        [7, '2023-03-01'],
+        [8, null]
+    ];
+    const ids = split => ({ current: split.current.map(row => row[0]), prior: split.prior.map(row => row[0]) });
+
+    test('should compare the last N days with the N days before', () => {
+        const split = splitRowsByWindow(rows, columns, 'collected_on', { type: 'rolling', days: 30 }, new Date(2024, 2, 20));
+        expect(split.currentPeriod).toEqual({ start: '2024-02-20', end: '2024-03-20' });
+        expect(split.priorPeriod).toEqual({ start: '2024-01-21', end: '2024-02-19' });
+        expect(ids(split)).toEqual({ current: [3, 4, 5], prior: [2] });
+    });
+
+    test('should compare a calendar period to date with the same days of the previous period', () => {
+        const month = splitRowsByWindow(rows, columns, 'collected_on', { type: 'calendar', period: 'month' }, new Date(2024, 2, 20));
+        expect(month.currentPeriod).toEqual({ start: '2024-03-01', end: '2024-03-20' });
+        expect(month.priorPeriod).toEqual({ start: '2024-02-01', end: '2024-02-20' });
+        expect(ids(month)).toEqual({ current: [4, 5], prior: [2] });
+
+        const monthEnd = splitRowsByWindow(rows, columns, 'collected_on', { type: 'calendar', period: 'month' }, new Date(2024, 2, 31));
+        expect(monthEnd.priorPeriod).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+
+        const week = splitRowsByWindow(rows, columns, 'collected_on', { type: 'calendar', period: 'week' }, new Date(2024, 2, 1));
+        expect(week.currentPeriod).toEqual({ start: '2024-02-26', end: '2024-03-01' });
+        expect(week.priorPeriod).toEqual({ start: '2024-02-19', end: '2024-02-23' });
+
+        const quarter = splitRowsByWindow(rows, columns, 'collected_on', { type: 'calendar', period: 'quarter' }, new Date(2024, 1, 10));
+        expect(quarter.currentPeriod).toEqual({ start: '2024-01-01', end: '2024-02-10' });
+        expect(quarter.priorPeriod).toEqual({ start: '2023-10-01', end: '2023-11-10' });
+    });
+
+    test('should compare year to date with the same days last year', () => {
+        const split = splitRowsByWindow(rows, columns, 'collected_on', { type: 'ytd' }, new Date(2024, 1, 29));
+        expect(split.currentPeriod).toEqual({ start: '2024-01-01', end: '2024-02-29' });
+        expect(split.priorPeriod).toEqual({ start: '2023-01-01', end: '2023-02-28' });
+        expect(ids(split)).toEqual({ current: [1, 2, 3], prior: [6] });
+    });
+
+    test('should end the current period at the latest date when asked', () => {
+        const split = splitRowsByWindow(rows, columns, 'collected_on', { type: 'rolling', days: 7, asOf: 'latest' });
+        expect(split.currentPeriod).toEqual({ start: '2024-03-14', end: '2024-03-20' });
+        expect(ids(split).current).toEqual([5]);
+
+        // More rows than a function call takes arguments
+        const many = Array.from({ length: 200000 }, (_, i) => [i, '2024-03-20']);
+        expect(splitRowsByWindow(many, columns, 'collected_on', { type: 'rolling', days: 7, asOf: 'latest' }).current).toHaveLength(200000);
+    });
+
+    test('should reject missing date columns and unknown windows', () => {
+        expect(() => splitRowsByWindow(rows, columns, null, { type: 'ytd' })).toThrow('A time window needs a date column');
+        expect(() => splitRowsByWindow(rows, columns, 'shipped_on', { type: 'ytd' })).toThrow('Date column "shipped_on" not found');
+        expect(() => splitRowsByWindow(rows, columns, 'collected_on', { type: 'rolling', days: 0 })).toThrow(/whole number of days/);
+        expect(() => splitRowsByWindow(rows, columns, 'collected_on', { type: 'calendar', period: 'year' }))
+            .toThrow('Unsupported calendar period: "year"');
+    });
+
+    test('should map builder options to windows and back', () => {
+        const timeWindow = optionToWindow('calendar:quarter', 'latest');
+        expect(timeWindow).toEqual({ type: 'calendar', period: 'quarter', asOf: 'latest' });
+        expect(windowToOption(timeWindow)).toBe('calendar:quarter');
+        expect(optionToWindow('')).toBeNull();
+        expect(describeWindow({ type: 'rolling', days: 30 })).toBe('Last 30 days');
+        expect(describeWindow({ type: 'calendar', period: 'month' })).toBe('Month to date');
+        expect(describeWindow({ type: 'ytd' })).toBe('Year to date');
+    });
+});
@@ -1,5 +1,8 @@
 import { QueryBuilder } from '../components/query-builder.js';
 import { datasetStore } from '../data/datasets.js';
+import { queryHistoryStore } from '../data/query-history.js';
+import { queryDraftStore } from '../data/query-drafts.js';
+import { executeSQL } from '../utils/sql-engine.js';
 
 // Mock executeSQL
 jest.mock('../utils/sql-engine.js', () => ({
@@ -25,6 +28,9 @@ describe('Query Builder', () => {
         // Clear stores
         localStorage.clear();
         datasetStore.datasets.clear();
+        queryDraftStore.tabs = [];
+        queryDraftStore.nextId = 1;
+        queryDraftStore.activeId = null;
         
         // Mock Monaco editor
         global.monaco.editor.create = jest.fn(() => ({
@@ -170,6 +176,266 @@ describe('Query Builder', () => {
             expect(editor.executeEdits).toHaveBeenCalled();
         });
     });
+
+    describe('query parameters', () => {
+        test('should show an input per parameter and pass the values as bindings', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            queryBuilder.editor.value = "SELECT * FROM samples WHERE status = :status AND lab_id = @lab AND note = ':skip'";
+            queryBuilder.editor.dispatchEvent(new Event('input'));
+            
+            const inputs = container.querySelectorAll('.query-parameter-input');
+            expect([...inputs].map(input => input.getAttribute('data-parameter'))).toEqual(['status', 'lab']);
+            
+            inputs[0].value = 'Completed';
+            inputs[0].dispatchEvent(new Event('input'));
+            inputs[1].value = '7';
+            inputs[1].dispatchEvent(new Event('input'));
+            await queryBuilder.executeQuery();
+            
+            expect(executeSQL).toHaveBeenCalledWith(expect.any(String), 500, { status: 'Completed', lab: '7' }, expect.any(Object));
+            expect(queryBuilder.currentResult.parameters).toEqual({ status: 'Completed', lab: '7' });
+        });
+        
+        test('should ask for missing parameter values instead of running', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            queryBuilder.editor.value = 'SELECT * FROM samples WHERE status = :status';
+            await queryBuilder.executeQuery();
+            
+            expect(executeSQL).not.toHaveBeenCalled();
+            expect(container.querySelector('#results-tbody').textContent).toContain('Enter a value for parameter :status');
+        });
+    });
+
+    describe('query cancellation', () => {
+        test('should show Cancel while running and abort the query', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            executeSQL.mockImplementationOnce((sql, latency, bindings, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => {
+                    const error = new Error('Query was cancelled.');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            }));
+            
+            queryBuilder.editor.value = 'SELECT * FROM samples a CROSS JOIN samples b';
+            const running = queryBuilder.executeQuery();
+            const cancelBtn = container.querySelector('#cancel-query');
+            expect(cancelBtn.style.display).toBe('inline-block');
+            
+            cancelBtn.click();
+            await running;
+            
+            expect(container.querySelector('#results-tbody').textContent).toContain('Query cancelled');
+            expect(cancelBtn.style.display).toBe('none');
+            expect(container.querySelector('#run-query').disabled).toBe(false);
+            expect(queryBuilder.currentResult).toBeNull();
+        });
+    });
+
+    describe('query history', () => {
+        test('should record runs and reopen them in the editor', async () => {
+            queryHistoryStore.entries = [];
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            queryBuilder.editor.value = 'SELECT * FROM samples WHERE status = :status';
+            queryBuilder.parameterValues = { status: 'Completed' };
+            await queryBuilder.executeQuery();
+            
+            executeSQL.mockImplementationOnce(() => Promise.reject(new Error('Table "nope" not found')));
+            queryBuilder.editor.value = 'SELECT * FROM nope';
+            await queryBuilder.executeQuery();
+            
+            container.querySelector('#toggle-history').click();
+            const items = container.querySelectorAll('.query-history-item');
+            expect(items).toHaveLength(2);
+            expect(items[0].classList.contains('query-history-error')).toBe(true);
+            expect(items[1].textContent).toContain('2 rows');
+            
+            queryBuilder.parameterValues = {};
+            items[1].querySelector('.history-open-btn').click();
+            expect(queryBuilder.editor.value).toBe('SELECT * FROM samples WHERE status = :status');
+            expect(container.querySelector('.query-parameter-input').value).toBe('Completed');
+        });
+    });
+
+    describe('editor tabs', () => {
+        test('should keep each tab\'s SQL and results when switching', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            const firstTabId = queryBuilder.activeTabId;
+            queryBuilder.editor.value = 'SELECT * FROM samples';
+            await queryBuilder.executeQuery();
+            
+            container.querySelector('.query-tab-new').click();
+            expect(container.querySelectorAll('.query-tab')).toHaveLength(2);
+            expect(queryBuilder.editor.value).toBe('');
+            expect(queryBuilder.currentResult).toBeNull();
+            
+            queryBuilder.switchTab(firstTabId);
+            expect(queryBuilder.editor.value).toBe('SELECT * FROM samples');
+            expect(queryBuilder.currentResult.data).toHaveLength(2);
+            expect(container.querySelector('.query-tab.active').classList.contains('modified')).toBe(true);
+        });
+        
+        test('should restore drafts after a reload', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            queryBuilder.editor.value = 'SELECT * FROM tests';
+            queryBuilder.editor.dispatchEvent(new Event('input'));
+            queryBuilder.newTab();
+            
+            // A new page load reads the drafts back from localStorage
+            queryDraftStore.loadFromStorage();
+            container.innerHTML = '';
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            
+            expect(queryDraftStore.getAll().map(tab => tab.sql)).toEqual(['SELECT * FROM tests', '']);
+            expect(queryBuilder.editor.value).toBe('');
+            queryBuilder.switchTab(queryDraftStore.getAll()[0].id);
+            expect(queryBuilder.editor.value).toBe('SELECT * FROM tests');
+        });
+        
+        test('should warn before closing a modified tab', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            const { Modal } = await import('../utils/modal.js');
+            Modal.confirm = jest.fn(() => Promise.resolve(false));
+            
+            queryBuilder.editor.value = 'SELECT * FROM samples';
+            queryBuilder.editor.dispatchEvent(new Event('input'));
+            
+            expect(await queryBuilder.closeTab(queryBuilder.activeTabId)).toBe(false);
+            expect(Modal.confirm).toHaveBeenCalled();
+            expect(queryDraftStore.getAll()).toHaveLength(1);
+            
+            Modal.confirm = jest.fn(() => Promise.resolve(true));
+            expect(await queryBuilder.closeTab(queryBuilder.activeTabId)).toBe(true);
+            expect(queryDraftStore.getAll()).toHaveLength(1);
+            expect(queryBuilder.editor.value).toBe('');
+        });
+    });
+
+    describe('formatting and linting', () => {
+        test('should format the editor SQL and list lint issues', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            queryBuilder.editor.value = 'select sample_id, bogus from samples';
+            container.querySelector('#format-query').click();
+            
+            expect(queryBuilder.editor.value).toBe('SELECT sample_id,\n       bogus\nFROM samples');
+            const issues = container.querySelectorAll('.sql-lint-item');
+            expect(issues).toHaveLength(1);
+            expect(issues[0].getAttribute('data-rule')).toBe('unknown-column');
+            expect(issues[0].textContent).toContain('Line 2, col 8');
+        });
+    });
+
+    describe('join designer sync', () => {
+        test('should report editor changes and accept queries from the designer', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            const changes = [];
+            queryBuilder.onQueryChange(sql => changes.push(sql));
+            
+            queryBuilder.editor.value = 'SELECT * FROM samples';
+            queryBuilder.editor.dispatchEvent(new Event('input'));
+            expect(changes[changes.length - 1]).toBe('SELECT * FROM samples');
+            
+            queryBuilder.replaceQuery('SELECT *\nFROM samples\nLEFT JOIN labs ON samples.lab_id = labs.lab_id');
+            expect(queryBuilder.editor.value).toContain('LEFT JOIN labs');
+            expect(queryDraftStore.get(queryBuilder.activeTabId).sql).toBe(queryBuilder.editor.value);
+        });
+    });
+    
+    describe('filter and aggregate builder', () => {
+        test('should build filters, aggregates, sort and limit into the SQL', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            queryBuilder.addColumnToQuery('samples', 'sample_name');
+            queryBuilder.addColumnToQuery('samples', 'sample_id');
+            container.querySelector('#toggle-selections').click();
+            
+            const aggregate = container.querySelectorAll('.selection-aggregate')[1];
+            aggregate.value = 'COUNT';
+            aggregate.dispatchEvent(new Event('change', { bubbles: true }));
+            
+            container.querySelector('[data-selection-action="add-filter"]').click();
+            const value = container.querySelector('.selection-filter-value');
+            value.value = 'PK-001';
+            value.dispatchEvent(new Event('change', { bubbles: true }));
+            
+            container.querySelector('[data-selection-action="add-sort"]').click();
+            const limit = container.querySelector('#selection-limit');
+            limit.value = '5';
+            limit.dispatchEvent(new Event('change', { bubbles: true }));
+            
+            expect(queryBuilder.editor.value).toBe(`SELECT samples.sample_name, COUNT(samples.sample_id) AS count_sample_id
+FROM samples
+WHERE samples.sample_id = 'PK-001'
+GROUP BY samples.sample_name
+ORDER BY samples.sample_name
+LIMIT 5`);
+            expect(container.querySelector('.selections-group-by').textContent).toContain('samples.sample_name');
+            expect(queryDraftStore.get(queryBuilder.activeTabId).sql).toBe(queryBuilder.editor.value);
+        });
+        
+        test('should run and save the query with the builder\'s limit', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            const { Modal } = await import('../utils/modal.js');
+            Modal.prompt = jest.fn(() => Promise.resolve('Top Samples'));
+            Modal.alert = jest.fn(() => Promise.resolve());
+            
+            queryBuilder.addColumnToQuery('samples', 'sample_name');
+            container.querySelector('#toggle-selections').click();
+            const limit = container.querySelector('#selection-limit');
+            limit.value = '10';
+            limit.dispatchEvent(new Event('change', { bubbles: true }));
+            
+            await queryBuilder.executeQuery();
+            expect(executeSQL).toHaveBeenCalledWith('SELECT samples.sample_name\nFROM samples\nLIMIT 10', 500, {}, expect.any(Object));
+            
+            await queryBuilder.saveAsDataset();
+            const [dataset] = datasetStore.getAll();
+            expect(dataset.sql).toBe('SELECT samples.sample_name\nFROM samples\nLIMIT 10');
+        });
+        
+        test('should read edited SQL back into the builder and keep SQL it cannot show', async () => {
+            queryBuilder = new QueryBuilder('#test-query-builder');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            container.querySelector('#toggle-selections').click();
+            
+            queryBuilder.editor.value = 'SELECT s.sample_id FROM samples s WHERE s.sample_name LIKE :name';
+            queryBuilder.editor.dispatchEvent(new Event('input'));
+            expect(container.querySelector('.selection-filter-operator').value).toBe('LIKE');
+            expect(container.querySelector('.selection-filter-value').value).toBe(':name');
+            
+            queryBuilder.addColumnToQuery('samples', 'sample_name');
+            expect(queryBuilder.editor.value).toBe('SELECT s.sample_id, s.sample_name\nFROM samples s\nWHERE s.sample_name LIKE :name');
+            
+            queryBuilder.editor.value = 'SELECT UPPER(sample_name),  FROM samples';
+            queryBuilder.editor.dispatchEvent(new Event('input'));
+            expect(container.querySelector('.selections-unsupported')).not.toBeNull();
+            
+            // Dropping a column inserts it at the cursor instead of rewriting the query
+            queryBuilder.editor.setSelectionRange(27, 27);
+            queryBuilder.addColumnToQuery('samples', 'sample_id');
+            expect(queryBuilder.editor.value).toBe('SELECT UPPER(sample_name), samples.sample_id FROM samples');
+        });
+    });
 });
 
 
@@ -178,3 +444,6 @@ describe('Query Builder', () => {
 
 
 
+
+
+
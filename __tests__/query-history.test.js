@@ -0,0 +1,96 @@
+import { queryHistoryStore } from '../data/query-history.js';
+
+describe('Query History Store', () => {
+    beforeEach(() => {
+        // Clear localStorage before each test
+        localStorage.clear();
+        // Re-initialize store
+        queryHistoryStore.entries = [];
+        queryHistoryStore.nextId = 1;
+        queryHistoryStore.maxEntries = 100;
+    });
+
+    describe('record', () => {
+        test('should record a successful run', () => {
+            const entry = queryHistoryStore.record({
+                sql: '  SELECT * FROM samples WHERE status = :status  ',
+                parameters: { status: 'Completed' },
+                duration: 512.4,
+                rowCount: 42
+            });
+
+            expect(entry.id).toBe('query_1');
+            expect(entry.sql).toBe('SELECT * FROM samples WHERE status = :status');
+            expect(entry.parameters).toEqual({ status: 'Completed' });
+            expect(entry.duration).toBe(512);
+            expect(entry.rowCount).toBe(42);
+            expect(entry.status).toBe('success');
+            expect(entry.pinned).toBe(false);
+            expect(entry).toHaveProperty('timestamp');
+        });
+
+        test('should record failed runs with their error', () => {
+            const entry = queryHistoryStore.record({ sql: 'SELECT * FROM nope', status: 'error', error: 'Table "nope" not found' });
+            expect(entry.status).toBe('error');
+            expect(entry.rowCount).toBeNull();
+            expect(entry.error).toBe('Table "nope" not found');
+        });
+
+        test('should reject empty SQL', () => {
+            expect(() => queryHistoryStore.record({ sql: '   ' })).toThrow();
+        });
+
+        test('should persist to localStorage', () => {
+            queryHistoryStore.record({ sql: 'SELECT 1', rowCount: 1 });
+            const stored = JSON.parse(localStorage.getItem('lwa_query_history'));
+            expect(stored).toHaveLength(1);
+            expect(stored[0].sql).toBe('SELECT 1');
+        });
+    });
+
+    describe('getAll', () => {
+        test('should list pinned entries first, then newest first', () => {
+            const first = queryHistoryStore.record({ sql: 'SELECT 1' });
+            queryHistoryStore.record({ sql: 'SELECT 2' });
+            queryHistoryStore.record({ sql: 'SELECT 3' });
+            queryHistoryStore.setPinned(first.id, true);
+
+            expect(queryHistoryStore.getAll().map(entry => entry.sql)).toEqual(['SELECT 1', 'SELECT 3', 'SELECT 2']);
+        });
+
+        test('should search SQL and error messages case-insensitively', () => {
+            queryHistoryStore.record({ sql: 'SELECT * FROM samples' });
+            queryHistoryStore.record({ sql: 'SELECT * FROM tests' });
+            queryHistoryStore.record({ sql: 'SELECT bad FROM labs', status: 'error', error: 'Column "bad" not found' });
+
+            expect(queryHistoryStore.getAll({ search: 'SAMPLES' }).map(entry => entry.sql)).toEqual(['SELECT * FROM samples']);
+            expect(queryHistoryStore.getAll({ search: 'not found' })).toHaveLength(1);
+            expect(queryHistoryStore.getAll({ status: 'error' })).toHaveLength(1);
+        });
+    });
+
+    describe('size limit', () => {
+        test('should drop the oldest unpinned entries beyond the limit', () => {
+            queryHistoryStore.setMaxEntries(3);
+            const first = queryHistoryStore.record({ sql: 'SELECT 1' });
+            queryHistoryStore.setPinned(first.id, true);
+            ['SELECT 2', 'SELECT 3', 'SELECT 4'].forEach(sql => queryHistoryStore.record({ sql }));
+
+            expect(queryHistoryStore.getAll().map(entry => entry.sql)).toEqual(['SELECT 1', 'SELECT 4', 'SELECT 3']);
+        });
+
+        test('should reject a size below 1', () => {
+            expect(() => queryHistoryStore.setMaxEntries(0)).toThrow();
+            expect(queryHistoryStore.getMaxEntries()).toBe(100);
+        });
+
+        test('should keep pinned entries when clearing', () => {
+            const pinned = queryHistoryStore.record({ sql: 'SELECT 1' });
+            queryHistoryStore.record({ sql: 'SELECT 2' });
+            queryHistoryStore.setPinned(pinned.id, true);
+            queryHistoryStore.clear();
+
+            expect(queryHistoryStore.getAll().map(entry => entry.id)).toEqual([pinned.id]);
+        });
+    });
+});
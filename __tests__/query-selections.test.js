@@ -0,0 +1,97 @@
+import {
+    readSelections,
+    selectionsToSQL,
+    emptySelections,
+    getGroupByColumns,
+    parseFilterInput,
+    formatFilterInput
+} from '../utils/query-selections.js';
+import { buildFromClause } from '../utils/join-graph.js';
+
+const GROUPED = `SELECT s.sample_type, COUNT(*) AS row_count, AVG(r.result_value) AS avg_result_value
+FROM samples s
+INNER JOIN results r ON r.sample_id = s.sample_id
+WHERE s.status = 'Completed' AND r.result_value > 10 AND s.lab_id IN (1, 2)
+GROUP BY s.sample_type
+ORDER BY row_count DESC, s.sample_type
+LIMIT 20`;
+
+function roundTrip(sql) {
+    const { selections, graph } = readSelections(sql);
+    return selectionsToSQL(selections, buildFromClause(graph));
+}
+
+describe('Query Selections', () => {
+    test('should read columns, aggregates, filters, sort and limit from SQL', () => {
+        const { selections, reason } = readSelections(GROUPED);
+        expect(reason).toBeNull();
+        expect(selections.columns).toEqual([
+            { table: 'samples', alias: 's', column: 'sample_type', aggregate: null, outputName: null },
+            { table: null, alias: null, column: '*', aggregate: 'COUNT', outputName: 'row_count' },
+            { table: 'results', alias: 'r', column: 'result_value', aggregate: 'AVG', outputName: 'avg_result_value' }
+        ]);
+        expect(selections.filters.map(filter => [filter.column, filter.operator, filter.value, filter.kind])).toEqual([
+            ['status', '=', 'Completed', 'string'],
+            ['result_value', '>', '10', 'number'],
+            ['lab_id', 'IN', [{ value: '1', kind: 'number' }, { value: '2', kind: 'number' }], null]
+        ]);
+        expect(selections.sort.map(sort => [sort.column, sort.aggregate, sort.descending])).toEqual([
+            ['*', 'COUNT', true],
+            ['sample_type', null, false]
+        ]);
+        expect(selections.limit).toBe(20);
+        expect(getGroupByColumns(selections).map(col => col.column)).toEqual(['sample_type']);
+    });
+
+    test('should write the SQL it reads back unchanged', () => {
+        expect(roundTrip(GROUPED)).toBe(GROUPED);
+
+        const filtered = "SELECT *\nFROM samples\nWHERE samples.status IS NOT NULL AND samples.sample_name LIKE 'PK%' AND samples.collection_date >= :from";
+        expect(roundTrip(filtered)).toBe(filtered);
+    });
+
+    test('should keep string literals that look like numbers, parameters or lists', () => {
+        const literals = "SELECT *\nFROM samples s\nWHERE s.sample_name = '42' AND s.status IN ('On Hold, QC', 'Released', 7) AND s.sample_type = ':abc'";
+        expect(roundTrip(literals)).toBe(literals);
+
+        const { selections } = readSelections(literals);
+        const inputs = selections.filters.map(formatFilterInput);
+        expect(inputs).toEqual(["'42'", "'On Hold, QC', Released, 7", "':abc'"]);
+        inputs.forEach((text, index) => {
+            const filter = selections.filters[index];
+            expect(parseFilterInput(text, filter.operator)).toEqual({ value: filter.value, kind: filter.kind });
+        });
+
+        expect(parseFilterInput('42', '=')).toEqual({ value: '42', kind: 'number' });
+        expect(parseFilterInput(':from', '>=')).toEqual({ value: ':from', kind: 'parameter' });
+        expect(parseFilterInput("O'Brien, 'It''s, here'", 'IN').value).toEqual([
+            { value: "O'Brien", kind: 'string' },
+            { value: "It's, here", kind: 'string' }
+        ]);
+    });
+
+    test('should group by the columns that are not aggregated', () => {
+        const selections = emptySelections();
+        selections.columns.push(
+            { table: 'samples', alias: 'samples', column: 'status', aggregate: null, outputName: null },
+            { table: 'samples', alias: 'samples', column: 'sample_id', aggregate: 'COUNT DISTINCT', outputName: 'count_distinct_sample_id' }
+        );
+        selections.filters.push({ table: 'samples', alias: 'samples', column: 'sample_name', operator: '=', value: "O'Brien", kind: 'string' });
+        selections.sort.push({ table: 'samples', alias: 'samples', column: 'sample_id', aggregate: 'COUNT DISTINCT', descending: true });
+
+        expect(selectionsToSQL(selections, 'FROM samples')).toBe(`SELECT samples.status, COUNT(DISTINCT samples.sample_id) AS count_distinct_sample_id
+FROM samples
+WHERE samples.sample_name = 'O''Brien'
+GROUP BY samples.status
+ORDER BY count_distinct_sample_id DESC`);
+        expect(selectionsToSQL(emptySelections(), 'FROM samples')).toBe('');
+    });
+
+    test('should explain why it cannot show a query', () => {
+        expect(readSelections('SELECT UPPER(status) FROM samples').reason).toMatch(/expressions/);
+        expect(readSelections('SELECT status FROM samples GROUP BY status HAVING COUNT(*) > 1').reason).toMatch(/HAVING/);
+        expect(readSelections('SELECT * FROM').reason).toMatch(/parse/);
+        expect(readSelections('SELECT * FROM').selections).toBeNull();
+        expect(readSelections('').selections).toEqual(emptySelections());
+    });
+});
@@ -0,0 +1,49 @@
+import { SCHEMA_CATALOG, getCatalogTable, getColumnDefinition, getTableRelationships, findRelationships } from '../utils/schema-catalog.js';
+import { getAllTables } from '../utils/sql-engine.js';
+import { getTableData } from '../data/table-data.js';
+
+describe('Schema Catalog', () => {
+    test('should declare a column for every value in the table data', () => {
+        SCHEMA_CATALOG.forEach(table => {
+            const rows = getTableData(table.name);
+            expect(rows.length).toBeGreaterThan(0);
+            expect(rows[0]).toHaveLength(table.columns.length);
+        });
+    });
+
+    test('should declare primary keys and foreign keys that reference them', () => {
+        SCHEMA_CATALOG.forEach(table => {
+            expect(table.columns.map(col => col.name)).toContain(table.primaryKey);
+            table.foreignKeys.forEach(fk => {
+                expect(table.columns.map(col => col.name)).toContain(fk.column);
+                expect(getCatalogTable(fk.references).primaryKey).toBe(fk.referencedColumn);
+            });
+        });
+    });
+
+    test('should be the source of the SQL engine tables', () => {
+        const limsTables = getAllTables().filter(table => !table.datasetId);
+        expect(limsTables).toEqual(SCHEMA_CATALOG.map(table => ({
+            name: table.name,
+            columns: table.columns.map(col => col.name),
+            description: table.description
+        })));
+    });
+
+    test('should describe columns with their type and keys', () => {
+        expect(getColumnDefinition('Results', 'RESULT_VALUE')).toEqual(expect.objectContaining({
+            name: 'result_value', type: 'decimal', primaryKey: false, references: null
+        }));
+        expect(getColumnDefinition('results', 'sample_id').references).toEqual({ table: 'samples', column: 'sample_id' });
+        expect(getColumnDefinition('samples', 'sample_id').primaryKey).toBe(true);
+        expect(getColumnDefinition('samples', 'missing')).toBeNull();
+        expect(getColumnDefinition('ds_summary', 'status')).toBeNull();
+    });
+
+    test('should find relationships in either direction', () => {
+        expect(findRelationships('results', 'samples')).toEqual([{ fromColumn: 'sample_id', toColumn: 'sample_id' }]);
+        expect(findRelationships('labs', 'technicians')).toEqual([{ fromColumn: 'lab_id', toColumn: 'lab_id' }]);
+        expect(findRelationships('tests', 'labs')).toEqual([]);
+        expect(getTableRelationships().samples).toEqual([{ foreignKey: 'lab_id', references: 'labs', referenceKey: 'lab_id' }]);
+    });
+});
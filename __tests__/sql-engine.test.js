@@ -1,4 +1,7 @@
-import { executeSQL, getAllTables } from '../utils/sql-engine.js';
+import { executeSQL, getAllTables, getDatasetTableName } from '../utils/sql-engine.js';
+import { getTableData } from '../data/table-data.js';
+import { datasetStore } from '../data/datasets.js';
+import { healthMetricsStore } from '../data/health-metrics.js';
 
 describe('SQL Engine', () => {
     describe('getAllTables', () => {
@@ -99,11 +102,961 @@ describe('SQL Engine', () => {
             }
         });
     });
-});
 
+    describe('GROUP BY and aggregates', () => {
+        const samples = () => getTableData('samples');
+        const results = () => getTableData('results');
+
+        test('should count all rows without GROUP BY', async () => {
+            const result = await executeSQL('SELECT COUNT(*) AS total FROM samples', 0);
+            expect(result.columns).toEqual(['total']);
+            expect(result.rows).toEqual([[samples().length]]);
+        });
+
+        test('should group rows and count each group', async () => {
+            const result = await executeSQL('SELECT status, COUNT(*) AS n FROM samples GROUP BY status', 0);
+            const expected = {};
+            samples().forEach(row => {
+                expected[row[4]] = (expected[row[4]] || 0) + 1;
+            });
+            expect(result.columns).toEqual(['status', 'n']);
+            expect(result.rows.length).toBe(Object.keys(expected).length);
+            result.rows.forEach(([status, n]) => {
+                expect(n).toBe(expected[status]);
+            });
+        });
+
+        test('should compute SUM, AVG, MIN and MAX over numeric values', async () => {
+            const result = await executeSQL(
+                'SELECT SUM(result_value), AVG(result_value), MIN(result_value), MAX(result_value) FROM results',
+                0
+            );
+            const numbers = results().map(row => row[3]).filter(v => typeof v === 'number');
+            const sum = numbers.reduce((a, b) => a + b, 0);
+            expect(result.columns).toEqual(['sum(result_value)', 'avg(result_value)', 'min(result_value)', 'max(result_value)']);
+            expect(result.rows[0][0]).toBeCloseTo(sum);
+            expect(result.rows[0][1]).toBeCloseTo(sum / numbers.length);
+            expect(result.rows[0][2]).toBe(Math.min(...numbers));
+            expect(result.rows[0][3]).toBe(Math.max(...numbers));
+        });
+
+        test('should support COUNT(DISTINCT column)', async () => {
+            const result = await executeSQL('SELECT COUNT(DISTINCT sample_id) AS samples FROM results', 0);
+            const distinct = new Set(results().map(row => row[1]));
+            expect(result.rows[0][0]).toBe(distinct.size);
+        });
+
+        test('should filter groups with HAVING, including aggregates not selected', async () => {
+            const result = await executeSQL(
+                'SELECT sample_id FROM results GROUP BY sample_id HAVING COUNT(*) > 3',
+                0
+            );
+            const counts = {};
+            results().forEach(row => {
+                counts[row[1]] = (counts[row[1]] || 0) + 1;
+            });
+            const expected = Object.keys(counts).filter(id => counts[id] > 3).map(Number).sort((a, b) => a - b);
+            expect(result.rows.map(row => row[0]).sort((a, b) => a - b)).toEqual(expected);
+        });
+
+        test('should apply WHERE before grouping', async () => {
+            const result = await executeSQL(
+                "SELECT status, COUNT(*) AS n FROM samples WHERE status = 'Completed' GROUP BY status",
+                0
+            );
+            const expected = samples().filter(row => row[4] === 'Completed').length;
+            expect(result.rows).toEqual([['Completed', expected]]);
+        });
+
+        test('should group joined rows by qualified columns, aliases and ordinals', async () => {
+            const byColumn = await executeSQL(
+                'SELECT s.status, COUNT(r.result_id) AS n FROM results r JOIN samples s ON r.sample_id = s.sample_id GROUP BY s.status',
+                0
+            );
+            const byOrdinal = await executeSQL(
+                'SELECT s.status AS sample_status, COUNT(r.result_id) AS n FROM results r JOIN samples s ON r.sample_id = s.sample_id GROUP BY 1',
+                0
+            );
+            const byAlias = await executeSQL(
+                'SELECT s.status AS sample_status, COUNT(r.result_id) AS n FROM results r JOIN samples s ON r.sample_id = s.sample_id GROUP BY sample_status',
+                0
+            );
+            const total = byColumn.rows.reduce((sum, row) => sum + row[1], 0);
+            expect(total).toBeGreaterThan(0);
+            expect(byOrdinal.rows).toEqual(byColumn.rows);
+            expect(byAlias.rows).toEqual(byColumn.rows);
+        });
+
+        test('should reject non-aggregated columns missing from GROUP BY', async () => {
+            await expect(executeSQL('SELECT status, sample_type, COUNT(*) FROM samples GROUP BY status', 0))
+                .rejects.toThrow('GROUP BY');
+        });
 
+        test('should reject unknown columns in aggregates', async () => {
+            await expect(executeSQL('SELECT SUM(missing_column) FROM samples', 0)).rejects.toThrow('not found');
+        });
+    });
 
+    describe('ORDER BY', () => {
+        const isSortedBy = (values, compare) => values.every((value, i) => i === 0 || compare(values[i - 1], value) <= 0);
 
+        test('should sort numbers ascending by default', async () => {
+            const result = await executeSQL('SELECT sample_id FROM samples ORDER BY sample_id', 0);
+            const ids = result.rows.map(row => row[0]);
+            expect(ids.length).toBe(getTableData('samples').length);
+            expect(isSortedBy(ids, (a, b) => a - b)).toBe(true);
+        });
 
+        test('should apply LIMIT after sorting to return the true top N', async () => {
+            const result = await executeSQL('SELECT sample_id FROM samples ORDER BY sample_id DESC LIMIT 5', 0);
+            const expected = getTableData('samples').map(row => row[0]).sort((a, b) => b - a).slice(0, 5);
+            expect(result.rows.map(row => row[0])).toEqual(expected);
+        });
 
+        test('should sort by multiple keys with mixed directions', async () => {
+            const result = await executeSQL(
+                'SELECT status, collection_date FROM samples ORDER BY status, collection_date DESC',
+                0
+            );
+            const rows = result.rows;
+            for (let i = 1; i < rows.length; i++) {
+                const statusOrder = rows[i - 1][0].toLowerCase().localeCompare(rows[i][0].toLowerCase());
+                expect(statusOrder).toBeLessThanOrEqual(0);
+                if (statusOrder === 0) {
+                    expect(rows[i - 1][1] >= rows[i][1]).toBe(true);
+                }
+            }
+        });
 
+        test('should sort by aliases, ordinals and columns that are not selected', async () => {
+            const byAlias = await executeSQL('SELECT sample_id AS id FROM samples ORDER BY id DESC LIMIT 10', 0);
+            const byOrdinal = await executeSQL('SELECT sample_id AS id FROM samples ORDER BY 1 DESC LIMIT 10', 0);
+            expect(byOrdinal.rows).toEqual(byAlias.rows);
+
+            const byHidden = await executeSQL('SELECT sample_id FROM samples ORDER BY collection_date LIMIT 10', 0);
+            expect(byHidden.columns).toEqual(['sample_id']);
+            expect(byHidden.rows[0].length).toBe(1);
+            const earliest = getTableData('samples')
+                .reduce((min, row) => (row[3] < min[3] ? row : min));
+            expect(byHidden.rows.map(row => row[0])).toContain(earliest[0]);
+        });
+
+        test('should order dates chronologically', async () => {
+            const result = await executeSQL('SELECT result_date FROM results ORDER BY result_date DESC', 0);
+            const times = result.rows.map(row => Date.parse(row[0]));
+            expect(isSortedBy(times, (a, b) => b - a)).toBe(true);
+        });
+
+        test('should order grouped results by aggregates and honor NULLS LAST', async () => {
+            const result = await executeSQL(
+                'SELECT status, COUNT(*) AS n FROM samples GROUP BY status ORDER BY COUNT(*) DESC, status',
+                0
+            );
+            expect(isSortedBy(result.rows.map(row => row[1]), (a, b) => b - a)).toBe(true);
+
+            const nullable = await executeSQL(
+                "SELECT status, SUM(sample_name) AS total FROM samples WHERE status = 'Completed' GROUP BY status ORDER BY total NULLS LAST",
+                0
+            );
+            expect(nullable.rows[0][1]).toBeNull();
+        });
+
+        test('should keep ties in their original order (stable sort)', async () => {
+            const unsorted = await executeSQL('SELECT sample_id, status FROM samples', 0);
+            const sorted = await executeSQL('SELECT sample_id, status FROM samples ORDER BY status', 0);
+            const originalPosition = new Map(unsorted.rows.map((row, index) => [row[0], index]));
+            for (let i = 1; i < sorted.rows.length; i++) {
+                if (sorted.rows[i - 1][1] === sorted.rows[i][1]) {
+                    expect(originalPosition.get(sorted.rows[i - 1][0])).toBeLessThan(originalPosition.get(sorted.rows[i][0]));
+                }
+            }
+        });
+
+        test('should reject unknown ORDER BY columns and positions', async () => {
+            await expect(executeSQL('SELECT sample_id FROM samples ORDER BY missing_column', 0)).rejects.toThrow('not found');
+            await expect(executeSQL('SELECT sample_id FROM samples ORDER BY 3', 0)).rejects.toThrow('ORDER BY position');
+        });
+    });
+
+    describe('Parsing and expressions', () => {
+        test('should apply AND before OR and honour parentheses', async () => {
+            const samples = getTableData('samples');
+            const withoutParens = await executeSQL(
+                "SELECT sample_id FROM samples WHERE status = 'Completed' OR status = 'Received' AND sample_type = 'Plasma'",
+                0
+            );
+            const withParens = await executeSQL(
+                "SELECT sample_id FROM samples WHERE (status = 'Completed' OR status = 'Received') AND sample_type = 'Plasma'",
+                0
+            );
+
+            const expectedWithout = samples.filter(row => row[4] === 'Completed' || (row[4] === 'Received' && row[2] === 'Plasma'));
+            const expectedWith = samples.filter(row => (row[4] === 'Completed' || row[4] === 'Received') && row[2] === 'Plasma');
+            expect(expectedWithout.length).not.toBe(expectedWith.length);
+            expect(withoutParens.rows.map(row => row[0])).toEqual(expectedWithout.map(row => row[0]));
+            expect(withParens.rows.map(row => row[0])).toEqual(expectedWith.map(row => row[0]));
+        });
+
+        test('should not split on keywords inside string literals', async () => {
+            const result = await executeSQL(
+                "SELECT sample_id FROM samples WHERE sample_name = 'Salt and Pepper' OR status = 'It''s done'",
+                0
+            );
+            expect(result.rows).toEqual([]);
+        });
+
+        test('should evaluate arithmetic with operator precedence and aliases', async () => {
+            const result = await executeSQL('SELECT sample_id, 1 + sample_id * 2 AS doubled FROM samples LIMIT 5', 0);
+            expect(result.columns).toEqual(['sample_id', 'doubled']);
+            result.rows.forEach(([id, doubled]) => {
+                expect(doubled).toBe(1 + id * 2);
+            });
+        });
+
+        test('should ignore comments and a trailing semicolon', async () => {
+            const result = await executeSQL(
+                'SELECT sample_id -- the id\nFROM samples /* all samples */ LIMIT 3;',
+                0
+            );
+            expect(result.columns).toEqual(['sample_id']);
+            expect(result.rows.length).toBe(3);
+        });
+
+        test('should report syntax errors with line and column', async () => {
+            const error = await executeSQL('SELECT sample_id,\nFROM samples', 0).catch(e => e);
+            expect(error).toBeInstanceOf(Error);
+            expect(error.message).toContain('line 2, column 1');
+            expect(error.location).toEqual(expect.objectContaining({ line: 2, column: 1, offset: 18 }));
+        });
+
+        test('should report unknown columns and tables at their position', async () => {
+            const columnError = await executeSQL('SELECT sample_id\nFROM samples\nWHERE bogus = 1', 0).catch(e => e);
+            expect(columnError.message).toContain('not found');
+            expect(columnError.location).toEqual(expect.objectContaining({ line: 3, column: 7, length: 5 }));
+
+            const tableError = await executeSQL('SELECT * FROM missing_table', 0).catch(e => e);
+            expect(tableError.message).toContain('Table "missing_table" not found');
+            expect(tableError.location).toEqual(expect.objectContaining({ line: 1, column: 15 }));
+        });
+
+        test('should reject aggregates in WHERE', async () => {
+            await expect(executeSQL('SELECT sample_id FROM samples WHERE COUNT(*) > 1', 0)).rejects.toThrow('not allowed in WHERE');
+        });
+    });
+
+    describe('Subqueries and CTEs', () => {
+        const samples = () => getTableData('samples');
+        const results = () => getTableData('results');
+
+        test('should filter with IN and NOT IN subqueries', async () => {
+            const completedSampleIds = new Set(results().filter(row => row[6] === 'Completed').map(row => row[1]));
+            const inResult = await executeSQL(
+                "SELECT sample_id FROM samples WHERE sample_id IN (SELECT sample_id FROM results WHERE status = 'Completed')",
+                0
+            );
+            expect(inResult.rows.map(row => row[0])).toEqual(
+                samples().filter(row => completedSampleIds.has(row[0])).map(row => row[0])
+            );
+
+            const notInResult = await executeSQL(
+                "SELECT sample_id FROM samples WHERE sample_id NOT IN (SELECT sample_id FROM results WHERE status = 'Completed')",
+                0
+            );
+            expect(notInResult.rows.length + inResult.rows.length).toBe(samples().length);
+        });
+
+        test('should evaluate correlated EXISTS and scalar subqueries', async () => {
+            const resultCounts = new Map();
+            results().forEach(row => resultCounts.set(row[1], (resultCounts.get(row[1]) || 0) + 1));
+
+            const exists = await executeSQL(
+                'SELECT s.sample_id FROM samples s WHERE NOT EXISTS (SELECT 1 FROM results r WHERE r.sample_id = s.sample_id)',
+                0
+            );
+            expect(exists.rows.map(row => row[0])).toEqual(
+                samples().filter(row => !resultCounts.has(row[0])).map(row => row[0])
+            );
+
+            const scalar = await executeSQL(
+                'SELECT s.sample_id, (SELECT COUNT(*) FROM results r WHERE r.sample_id = s.sample_id) AS result_count FROM samples s',
+                0
+            );
+            expect(scalar.columns).toEqual(['sample_id', 'result_count']);
+            scalar.rows.forEach(([sampleId, count]) => {
+                expect(count).toBe(resultCounts.get(sampleId) || 0);
+            });
+        });
+
+        test('should query CTEs, including CTEs built on earlier CTEs', async () => {
+            const result = await executeSQL(
+                `WITH latest AS (
+                    SELECT sample_id, MAX(result_date) AS latest_date FROM results GROUP BY sample_id
+                ), recent(id, latest_date) AS (
+                    SELECT sample_id, latest_date FROM latest WHERE latest_date IS NOT NULL
+                )
+                SELECT COUNT(*) FROM recent r JOIN samples s ON s.sample_id = r.id`,
+                0
+            );
+            const sampleIds = new Set(samples().map(row => row[0]));
+            const withDates = new Set(results().filter(row => row[4] !== null).map(row => row[1]));
+            const expected = [...withDates].filter(id => sampleIds.has(id)).length;
+            expect(result.rows).toEqual([[expected]]);
+        });
+
+        test('should query a subquery in FROM', async () => {
+            const result = await executeSQL('SELECT t.n FROM (SELECT COUNT(*) AS n FROM samples) AS t', 0);
+            expect(result.columns).toEqual(['n']);
+            expect(result.rows).toEqual([[samples().length]]);
+        });
+
+        test('should reject invalid subqueries', async () => {
+            await expect(executeSQL('SELECT (SELECT sample_id FROM samples) FROM samples', 0)).rejects.toThrow('more than one row');
+            await expect(executeSQL('SELECT sample_id FROM samples WHERE sample_id IN (SELECT sample_id, status FROM samples)', 0))
+                .rejects.toThrow('exactly one column');
+            await expect(executeSQL('WITH a AS (SELECT * FROM a) SELECT * FROM a', 0)).rejects.toThrow('not found');
+            await expect(executeSQL('WITH RECURSIVE a AS (SELECT 1 FROM samples) SELECT * FROM a', 0)).rejects.toThrow('RECURSIVE');
+        });
+    });
+
+    describe('Saved datasets as tables', () => {
+        let dataset;
+
+        beforeEach(() => {
+            dataset = datasetStore.create(
+                'Sample Summary',
+                'SELECT status, COUNT(*) FROM samples GROUP BY status',
+                ['status', 'count(*)'],
+                [['Completed', 5], ['Received', 3], ['Rejected', null]]
+            );
+        });
+
+        afterEach(() => {
+            datasetStore.delete(dataset.id);
+        });
+
+        test('should derive table names from dataset names', () => {
+            expect(getDatasetTableName('Sample Summary')).toBe('ds_sample_summary');
+            expect(getDatasetTableName('ds_results 2024')).toBe('ds_results_2024');
+        });
+
+        test('should list datasets in getAllTables after the LIMS tables', () => {
+            const tables = getAllTables();
+            const datasetTable = tables.find(table => table.datasetId === dataset.id);
+            expect(datasetTable).toEqual(expect.objectContaining({
+                name: 'ds_sample_summary',
+                columns: ['status', 'count(*)']
+            }));
+            expect(tables.indexOf(datasetTable)).toBeGreaterThan(tables.findIndex(table => table.name === 'technicians'));
+        });
+
+        test('should query a dataset by its table name, including quoted columns', async () => {
+            const result = await executeSQL(
+                'SELECT status, "count(*)" AS n FROM ds_sample_summary WHERE "count(*)" > 4',
+                0
+            );
+            expect(result.columns).toEqual(['status', 'n']);
+            expect(result.rows).toEqual([['Completed', 5]]);
+        });
+
+        test('should join datasets with LIMS tables', async () => {
+            const result = await executeSQL(
+                `SELECT d.status, COUNT(s.sample_id) AS samples
+                 FROM ds_sample_summary d LEFT JOIN samples s ON s.status = d.status
+                 GROUP BY d.status ORDER BY d.status`,
+                0
+            );
+            const expectedCount = status => getTableData('samples').filter(row => row[4] === status).length;
+            expect(result.rows).toEqual([
+                ['Completed', expectedCount('Completed')],
+                ['Received', expectedCount('Received')],
+                ['Rejected', expectedCount('Rejected')]
+            ]);
+        });
+
+        test('should disambiguate datasets with the same table name', () => {
+            const duplicate = datasetStore.create('sample summary', '', ['status'], []);
+            try {
+                const names = getAllTables().filter(table => table.datasetId).map(table => table.name);
+                expect(names).toContain('ds_sample_summary');
+                expect(names).toContain(`ds_sample_summary_${duplicate.id.replace('ds_', '')}`);
+            } finally {
+                datasetStore.delete(duplicate.id);
+            }
+        });
+    });
+
+    describe('Window functions', () => {
+        const results = () => getTableData('results');
+
+        // Expected per-sample ordering: results sorted by result_id within each sample_id
+        const resultsBySample = () => {
+            const bySample = new Map();
+            results().forEach(row => {
+                if (!bySample.has(row[1])) bySample.set(row[1], []);
+                bySample.get(row[1]).push(row);
+            });
+            bySample.forEach(rows => rows.sort((a, b) => a[0] - b[0]));
+            return bySample;
+        };
+
+        test('should number and offset rows within partitions', async () => {
+            const result = await executeSQL(
+                `SELECT result_id, sample_id,
+                        ROW_NUMBER() OVER (PARTITION BY sample_id ORDER BY result_id) AS rn,
+                        LAG(result_id) OVER (PARTITION BY sample_id ORDER BY result_id) AS prev_id,
+                        LEAD(result_id, 1, 0) OVER (PARTITION BY sample_id ORDER BY result_id) AS next_id
+                 FROM results`,
+                0
+            );
+            expect(result.columns).toEqual(['result_id', 'sample_id', 'rn', 'prev_id', 'next_id']);
+            expect(result.rows.length).toBe(results().length);
+
+            const bySample = resultsBySample();
+            result.rows.forEach(([resultId, sampleId, rn, prevId, nextId]) => {
+                const ids = bySample.get(sampleId).map(row => row[0]);
+                const index = ids.indexOf(resultId);
+                expect(rn).toBe(index + 1);
+                expect(prevId).toBe(index > 0 ? ids[index - 1] : null);
+                expect(nextId).toBe(index < ids.length - 1 ? ids[index + 1] : 0);
+            });
+        });
+
+        test('should rank ties with RANK and DENSE_RANK', async () => {
+            const result = await executeSQL(
+                'SELECT status, RANK() OVER (ORDER BY status) AS r, DENSE_RANK() OVER (ORDER BY status) AS dr FROM results ORDER BY status',
+                0
+            );
+            let rank = 0;
+            let denseRank = 0;
+            result.rows.forEach(([status, r, dr], index) => {
+                if (index === 0 || status !== result.rows[index - 1][0]) {
+                    rank = index + 1;
+                    denseRank++;
+                }
+                expect(r).toBe(rank);
+                expect(dr).toBe(denseRank);
+            });
+        });
+
+        test('should compute running and framed aggregates', async () => {
+            const result = await executeSQL(
+                `SELECT result_id,
+                        SUM(result_id) OVER (ORDER BY result_id) AS running_total,
+                        SUM(result_id) OVER (ORDER BY result_id ROWS BETWEEN 1 PRECEDING AND CURRENT ROW) AS pair_total,
+                        COUNT(*) OVER () AS total_rows
+                 FROM results ORDER BY result_id LIMIT 20`,
+                0
+            );
+            let runningTotal = 0;
+            result.rows.forEach(([resultId, running, pair, totalRows], index) => {
+                runningTotal += resultId;
+                expect(running).toBe(runningTotal);
+                expect(pair).toBe(index > 0 ? resultId + result.rows[index - 1][0] : resultId);
+                expect(totalRows).toBe(results().length);
+            });
+        });
+
+        test('should apply window functions after GROUP BY', async () => {
+            const result = await executeSQL(
+                'SELECT status, COUNT(*) AS n, SUM(COUNT(*)) OVER () AS total FROM results GROUP BY status',
+                0
+            );
+            result.rows.forEach(([, , total]) => expect(total).toBe(results().length));
+        });
+
+        test('should filter on window results through a derived table', async () => {
+            const result = await executeSQL(
+                `SELECT sample_id, result_id FROM (
+                    SELECT sample_id, result_id, ROW_NUMBER() OVER (PARTITION BY sample_id ORDER BY result_id) AS rn FROM results
+                 ) ranked WHERE rn = 1 ORDER BY sample_id`,
+                0
+            );
+            const bySample = resultsBySample();
+            expect(result.rows).toEqual(
+                [...bySample.keys()].sort((a, b) => a - b).map(sampleId => [sampleId, bySample.get(sampleId)[0][0]])
+            );
+        });
+
+        test('should save window results as a dataset', async () => {
+            const result = await executeSQL(
+                'SELECT result_id, ROW_NUMBER() OVER (ORDER BY result_id DESC) AS rn FROM results ORDER BY rn LIMIT 5',
+                0
+            );
+            const dataset = datasetStore.create('Window Test', 'SELECT ...', result.columns, result.rows);
+            try {
+                expect(dataset.columns).toEqual(['result_id', 'rn']);
+                expect(dataset.rows.map(row => row[1])).toEqual([1, 2, 3, 4, 5]);
+            } finally {
+                datasetStore.delete(dataset.id);
+            }
+        });
+
+        test('should reject misplaced or incomplete window functions', async () => {
+            await expect(executeSQL('SELECT * FROM results WHERE ROW_NUMBER() OVER () = 1', 0))
+                .rejects.toThrow(/Window functions are not allowed in WHERE/);
+            await expect(executeSQL('SELECT ROW_NUMBER() FROM results', 0))
+                .rejects.toThrow(/requires an OVER clause/);
+            await expect(executeSQL('SELECT SUM(result_id) OVER (ORDER BY result_id RANGE UNBOUNDED PRECEDING) FROM results', 0))
+                .rejects.toThrow(/RANGE frames are not supported/);
+        });
+    });
+
+    describe('Scalar functions', () => {
+        const samples = () => getTableData('samples');
+        const results = () => getTableData('results');
+
+        test('should evaluate CASE expressions and group by them', async () => {
+            const band = status => (status === 'Completed' ? 'done' : status === 'Rejected' ? 'failed' : 'open');
+            const expected = new Map();
+            results().forEach(row => expected.set(band(row[6]), (expected.get(band(row[6])) || 0) + 1));
+
+            const result = await executeSQL(
+                `SELECT CASE WHEN status = 'Completed' THEN 'done' WHEN status = 'Rejected' THEN 'failed' ELSE 'open' END AS band,
+                        COUNT(*) AS n
+                 FROM results GROUP BY band`,
+                0
+            );
+            expect(new Map(result.rows)).toEqual(expected);
+
+            const simple = await executeSQL(
+                "SELECT CASE status WHEN 'Completed' THEN 1 ELSE 0 END, CASE WHEN 1 = 0 THEN 1 / 0 END FROM results LIMIT 1",
+                0
+            );
+            expect(simple.rows[0][0]).toBe(results()[0][6] === 'Completed' ? 1 : 0);
+            expect(simple.rows[0][1]).toBeNull(); // untaken branches are not evaluated
+        });
+
+        test('should evaluate string functions', async () => {
+            const result = await executeSQL(
+                `SELECT UPPER(sample_type), LOWER(sample_type), TRIM('  x  '), SUBSTRING(sample_type, 2, 3),
+                        SUBSTRING(sample_type FROM 2), CONCAT(sample_type, '-', NULL, lab_id), LENGTH(sample_type)
+                 FROM samples LIMIT 1`,
+                0
+            );
+            const [, , sampleType, , , labId] = samples()[0];
+            expect(result.rows[0]).toEqual([
+                sampleType.toUpperCase(),
+                sampleType.toLowerCase(),
+                'x',
+                sampleType.substring(1, 4),
+                sampleType.substring(1),
+                `${sampleType}-${labId}`,
+                sampleType.length
+            ]);
+        });
+
+        test('should evaluate COALESCE, NULLIF, CAST and math functions', async () => {
+            const result = await executeSQL(
+                `SELECT COALESCE(NULL, NULL, 'x'), NULLIF(1, 1), NULLIF(1, 2), CAST('42' AS INTEGER), CAST(2.5 AS INT),
+                        CAST('12.345' AS DECIMAL(5, 2)), CAST(7 AS VARCHAR), CAST('2024-02-29' AS DATE),
+                        ROUND(2.345, 2), ROUND(-2.5), ABS(-3), CEIL(1.2), FLOOR(1.8)
+                 FROM samples LIMIT 1`,
+                0
+            );
+            expect(result.rows[0]).toEqual(['x', null, 1, 42, 3, 12.35, '7', '2024-02-29', 2.35, -3, 3, 2, 1]);
+        });
+
+        test('should bucket dates with DATE_TRUNC, DATEDIFF and EXTRACT', async () => {
+            const result = await executeSQL(
+                `SELECT DATE_TRUNC('month', '2024-05-17'), DATE_TRUNC('quarter', '2024-05-17'), DATE_TRUNC('week', '2024-05-17'),
+                        DATEDIFF(day, '2024-02-27', '2024-03-01'), DATEDIFF('month', '2024-01-31', '2024-02-01'),
+                        EXTRACT(YEAR FROM '2024-05-17'), EXTRACT(MONTH FROM '2024-05-17'), EXTRACT(DOW FROM '2024-05-17')
+                 FROM samples LIMIT 1`,
+                0
+            );
+            expect(result.rows[0]).toEqual(['2024-05-01', '2024-04-01', '2024-05-13', 3, 1, 2024, 5, 5]);
+
+            const monthly = await executeSQL(
+                "SELECT DATE_TRUNC('month', collection_date) AS month, COUNT(*) FROM samples GROUP BY 1 ORDER BY 1",
+                0
+            );
+            const expected = new Map();
+            samples().forEach(row => {
+                const month = `${row[3].substring(0, 7)}-01`;
+                expected.set(month, (expected.get(month) || 0) + 1);
+            });
+            expect(monthly.rows).toEqual([...expected.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+        });
+
+        test('should report invalid function calls', async () => {
+            await expect(executeSQL('SELECT UPPER(sample_type, 1) FROM samples', 0)).rejects.toThrow(/UPPER\(\) expects exactly 1 argument/);
+            await expect(executeSQL("SELECT CAST('abc' AS INTEGER) FROM samples", 0)).rejects.toThrow(/Cannot cast 'abc' to INTEGER/);
+            await expect(executeSQL('SELECT CAST(lab_id AS BLOB) FROM samples', 0)).rejects.toThrow(/Unknown type "BLOB"/);
+            await expect(executeSQL("SELECT DATE_TRUNC('fortnight', collection_date) FROM samples", 0)).rejects.toThrow(/does not support 'fortnight'/);
+        });
+    });
+
+    describe('WHERE predicates', () => {
+        const samples = () => getTableData('samples');
+        const results = () => getTableData('results');
+
+        test('should filter with IN and NOT IN lists', async () => {
+            const statuses = ['Completed', 'Released'];
+            const inResult = await executeSQL("SELECT result_id FROM results WHERE status IN ('Completed', 'Released')", 0);
+            expect(inResult.rows.map(row => row[0])).toEqual(
+                results().filter(row => statuses.includes(row[6])).map(row => row[0])
+            );
+
+            const notInResult = await executeSQL("SELECT result_id FROM results WHERE status NOT IN ('Completed', 'Released')", 0);
+            expect(notInResult.rows.map(row => row[0])).toEqual(
+                results().filter(row => !statuses.includes(row[6])).map(row => row[0])
+            );
+        });
+
+        test('should filter with BETWEEN and NOT BETWEEN', async () => {
+            const inRange = row => row[4] >= '2023-03-01' && row[4] <= '2023-06-30';
+            const between = await executeSQL("SELECT result_id FROM results WHERE result_date BETWEEN '2023-03-01' AND '2023-06-30'", 0);
+            expect(between.rows.map(row => row[0])).toEqual(results().filter(inRange).map(row => row[0]));
+
+            const notBetween = await executeSQL("SELECT result_id FROM results WHERE result_date NOT BETWEEN '2023-03-01' AND '2023-06-30'", 0);
+            expect(notBetween.rows.length).toBe(results().length - between.rows.length);
+
+            const numeric = await executeSQL('SELECT sample_id FROM samples WHERE lab_id BETWEEN 10 AND 20 AND NOT lab_id = 15', 0);
+            expect(numeric.rows.map(row => row[0])).toEqual(
+                samples().filter(row => row[5] >= 10 && row[5] <= 20 && row[5] !== 15).map(row => row[0])
+            );
+        });
+
+        test('should filter with IS NULL and IS NOT NULL', async () => {
+            const isNull = await executeSQL(
+                'SELECT s.sample_id FROM samples s LEFT JOIN results r ON r.sample_id = s.sample_id WHERE r.result_id IS NULL',
+                0
+            );
+            const sampleIdsWithResults = new Set(results().map(row => row[1]));
+            expect(isNull.rows.map(row => row[0])).toEqual(
+                samples().filter(row => !sampleIdsWithResults.has(row[0])).map(row => row[0])
+            );
+
+            const isNotNull = await executeSQL('SELECT COUNT(*) FROM results WHERE technician_id IS NOT NULL', 0);
+            expect(isNotNull.rows[0][0]).toBe(results().filter(row => row[5] !== null && row[5] !== undefined).length);
+        });
+
+        test('should match LIKE case-sensitively and ILIKE case-insensitively', async () => {
+            const like = await executeSQL("SELECT sample_id FROM samples WHERE sample_type LIKE 'Whole%'", 0);
+            expect(like.rows.map(row => row[0])).toEqual(
+                samples().filter(row => row[2].startsWith('Whole')).map(row => row[0])
+            );
+            expect(like.rows.length).toBeGreaterThan(0);
+
+            const wrongCase = await executeSQL("SELECT sample_id FROM samples WHERE sample_type LIKE 'whole%'", 0);
+            expect(wrongCase.rows).toEqual([]);
+
+            const ilike = await executeSQL("SELECT sample_id FROM samples WHERE sample_type ILIKE 'whole%'", 0);
+            expect(ilike.rows).toEqual(like.rows);
+
+            const notIlike = await executeSQL("SELECT sample_id FROM samples WHERE sample_type NOT ILIKE '%BLOOD'", 0);
+            expect(notIlike.rows.length).toBe(samples().filter(row => !row[2].toLowerCase().endsWith('blood')).length);
+        });
+
+        test('should apply three-valued logic to NULL operands', async () => {
+            const result = await executeSQL(
+                `SELECT NULL IN (1, 2), 1 IN (2, NULL), 1 IN (1, NULL), 1 NOT IN (2, NULL),
+                        5 BETWEEN 1 AND NULL, 5 BETWEEN 6 AND NULL, 5 NOT BETWEEN 6 AND NULL,
+                        NOT (NULL = 1), NULL IS NULL, NULL LIKE 'a%', NULL OR TRUE, NULL AND FALSE
+                 FROM samples LIMIT 1`,
+                0
+            );
+            expect(result.rows[0]).toEqual([null, null, true, null, null, false, true, null, true, null, true, false]);
+
+            // NOT IN with a NULL in the list never matches, so the filter keeps no rows
+            const notInWithNull = await executeSQL('SELECT sample_id FROM samples WHERE lab_id NOT IN (1, NULL)', 0);
+            expect(notInWithNull.rows).toEqual([]);
+        });
+
+        test('should report malformed predicates', async () => {
+            await expect(executeSQL('SELECT * FROM samples WHERE lab_id IN ()', 0)).rejects.toThrow(/IN list cannot be empty/);
+            await expect(executeSQL('SELECT * FROM samples WHERE lab_id BETWEEN 1 OR 2', 0)).rejects.toThrow(/Expected AND/);
+        });
+    });
+
+    describe('Joins', () => {
+        const samples = () => getTableData('samples');
+        const results = () => getTableData('results');
+
+        // Samples 1-20 against results for samples 10-30, so both sides have unmatched rows
+        const withRanges = `WITH a AS (SELECT sample_id FROM samples WHERE sample_id <= 20),
+                                 b AS (SELECT result_id, sample_id FROM results WHERE sample_id BETWEEN 10 AND 30)`;
+        const leftIds = () => samples().filter(row => row[0] <= 20).map(row => row[0]);
+        const rightRows = () => results().filter(row => row[1] >= 10 && row[1] <= 30);
+
+        test('should pad unmatched left rows with NULLs in RIGHT JOIN', async () => {
+            const result = await executeSQL(`${withRanges} SELECT a.sample_id, b.result_id FROM a RIGHT JOIN b ON a.sample_id = b.sample_id`, 0);
+            const ids = new Set(leftIds());
+            expect(result.rows.length).toBe(rightRows().length);
+            expect(result.rows.filter(row => row[0] === null).length).toBe(rightRows().filter(row => !ids.has(row[1])).length);
+        });
+
+        test('should keep unmatched rows from both sides in FULL OUTER JOIN', async () => {
+            const result = await executeSQL(`${withRanges} SELECT a.sample_id, b.sample_id FROM a FULL OUTER JOIN b ON a.sample_id = b.sample_id`, 0);
+            const rightIds = new Set(rightRows().map(row => row[1]));
+            const ids = new Set(leftIds());
+            const matched = rightRows().filter(row => ids.has(row[1])).length;
+            const leftOnly = leftIds().filter(id => !rightIds.has(id)).length;
+            const rightOnly = rightRows().filter(row => !ids.has(row[1])).length;
+
+            expect(result.rows.length).toBe(matched + leftOnly + rightOnly);
+            expect(result.rows.filter(row => row[1] === null).length).toBe(leftOnly);
+            expect(result.rows.filter(row => row[0] === null).length).toBe(rightOnly);
+        });
+
+        test('should pair every row in CROSS JOIN', async () => {
+            const result = await executeSQL(`${withRanges} SELECT COUNT(*) FROM a CROSS JOIN b`, 0);
+            expect(result.rows[0][0]).toBe(leftIds().length * rightRows().length);
+            await expect(executeSQL('SELECT * FROM samples CROSS JOIN tests ON 1 = 1', 0)).rejects.toThrow(/CROSS JOIN does not take an ON condition/);
+        });
+
+        test('should join on composite keys and expressions', async () => {
+            const sampleStatus = new Map(samples().map(row => [row[0], row[4]]));
+            const expected = results().filter(row => sampleStatus.get(row[1]) === row[6]).length;
+
+            const composite = await executeSQL(
+                'SELECT COUNT(*) FROM samples s JOIN results r ON r.sample_id = s.sample_id AND r.status = s.status',
+                0
+            );
+            expect(composite.rows[0][0]).toBe(expected);
+
+            const expression = await executeSQL(
+                'SELECT COUNT(*) FROM samples s JOIN results r ON r.sample_id + 1 = s.sample_id + 1 AND UPPER(r.status) = UPPER(s.status)',
+                0
+            );
+            expect(expression.rows[0][0]).toBe(expected);
+
+            const nonEqui = await executeSQL(
+                `${withRanges} SELECT COUNT(*) FROM a JOIN b ON b.sample_id > a.sample_id OR b.sample_id = 30`,
+                0
+            );
+            expect(nonEqui.rows[0][0]).toBe(
+                leftIds().reduce((count, id) => count + rightRows().filter(row => row[1] > id || row[1] === 30).length, 0)
+            );
+        });
+    });
+
+    describe('Set operations', () => {
+        const samples = () => getTableData('samples');
+        const results = () => getTableData('results');
+        const sampleStatuses = () => new Set(samples().map(row => row[4]));
+        const resultStatuses = () => new Set(results().map(row => row[6]));
+        const sorted = values => [...values].sort((a, b) => a.localeCompare(b));
+
+        test('should combine rows with UNION and UNION ALL', async () => {
+            const union = await executeSQL('SELECT status FROM samples UNION SELECT status FROM results ORDER BY status', 0);
+            expect(union.columns).toEqual(['status']);
+            expect(union.rows.map(row => row[0])).toEqual(sorted(new Set([...sampleStatuses(), ...resultStatuses()])));
+
+            const unionAll = await executeSQL('SELECT status FROM samples UNION ALL SELECT status FROM results', 0);
+            expect(unionAll.rows.length).toBe(samples().length + results().length);
+        });
+
+        test('should intersect and subtract rows', async () => {
+            const intersect = await executeSQL('SELECT status FROM samples INTERSECT SELECT status FROM results ORDER BY 1', 0);
+            expect(intersect.rows.map(row => row[0])).toEqual(sorted([...sampleStatuses()].filter(status => resultStatuses().has(status))));
+
+            const sampleIdsWithResults = new Set(results().map(row => row[1]));
+            const except = await executeSQL('SELECT sample_id FROM samples EXCEPT SELECT sample_id FROM results ORDER BY sample_id', 0);
+            expect(except.rows.map(row => row[0])).toEqual(
+                samples().map(row => row[0]).filter(id => !sampleIdsWithResults.has(id)).sort((a, b) => a - b)
+            );
+        });
+
+        test('should keep duplicate counts with INTERSECT ALL and EXCEPT ALL', async () => {
+            const rows = "SELECT 'a' AS x FROM samples LIMIT 3";
+            const fewer = "SELECT 'a' AS x FROM samples LIMIT 1";
+            const intersectAll = await executeSQL(`(${rows}) INTERSECT ALL (${fewer})`, 0);
+            expect(intersectAll.rows).toEqual([['a']]);
+            const exceptAll = await executeSQL(`(${rows}) EXCEPT ALL (${fewer})`, 0);
+            expect(exceptAll.rows).toEqual([['a'], ['a']]);
+        });
+
+        test('should apply ORDER BY and LIMIT to the combined result', async () => {
+            const result = await executeSQL(
+                'SELECT sample_id AS id FROM samples UNION SELECT result_id FROM results ORDER BY id DESC LIMIT 3 OFFSET 1',
+                0
+            );
+            const ids = [...new Set([...samples().map(row => row[0]), ...results().map(row => row[0])])].sort((a, b) => b - a);
+            expect(result.columns).toEqual(['id']);
+            expect(result.rows.map(row => row[0])).toEqual(ids.slice(1, 4));
+
+            const parenthesized = await executeSQL(
+                '(SELECT sample_id FROM samples ORDER BY sample_id DESC LIMIT 2) UNION ALL (SELECT sample_id FROM samples ORDER BY sample_id LIMIT 2)',
+                0
+            );
+            const sampleIds = samples().map(row => row[0]).sort((a, b) => a - b);
+            expect(parenthesized.rows.map(row => row[0])).toEqual([...sampleIds.slice(-2).reverse(), ...sampleIds.slice(0, 2)]);
+        });
+
+        test('should save combined results as a dataset', async () => {
+            const result = await executeSQL('SELECT status FROM samples UNION SELECT status FROM results', 0);
+            const dataset = datasetStore.create('Union Test', 'SELECT ...', result.columns, result.rows);
+            try {
+                expect(dataset.columns).toEqual(['status']);
+                expect(dataset.rows.length).toBe(new Set([...sampleStatuses(), ...resultStatuses()]).size);
+            } finally {
+                datasetStore.delete(dataset.id);
+            }
+        });
+
+        test('should check column counts, types and clause placement', async () => {
+            await expect(executeSQL('SELECT sample_id, status FROM samples UNION SELECT sample_id FROM results', 0))
+                .rejects.toThrow(/same number of columns \(2 vs 1\)/);
+            await expect(executeSQL('SELECT sample_id FROM samples UNION SELECT status FROM results', 0))
+                .rejects.toThrow(/combines number values with text values/);
+            await expect(executeSQL('SELECT status FROM samples ORDER BY status UNION SELECT status FROM results', 0))
+                .rejects.toThrow(/must come after the last SELECT/);
+            await expect(executeSQL('SELECT status FROM samples UNION SELECT status FROM results ORDER BY lab_id', 0))
+                .rejects.toThrow(/output column name or position/);
+        });
+    });
+
+    describe('EXPLAIN', () => {
+        const samples = () => getTableData('samples');
+        const results = () => getTableData('results');
+        const findStep = (plan, operation) => {
+            if (plan.operation === operation) return plan;
+            for (const child of plan.children) {
+                const found = findStep(child, operation);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        test('should return one row per plan step with the plan tree', async () => {
+            const result = await executeSQL('EXPLAIN SELECT sample_id FROM samples ORDER BY sample_id LIMIT 5', 0);
+            expect(result.columns).toEqual(['step', 'operation', 'detail', 'estimated_rows', 'actual_rows', 'executions']);
+            expect(result.rows.map(row => row[1])).toEqual(['Select', '  Limit', '    Sort', '      Scan']);
+            expect(result.rows.map(row => row[0])).toEqual([1, 2, 3, 4]);
+            expect(result.plan.operation).toBe('Select');
+            expect(result.plan.actualRows).toBe(5);
+            expect(findStep(result.plan, 'Scan').detail).toBe('samples (table)');
+            expect(findStep(result.plan, 'Scan').actualRows).toBe(samples().length);
+        });
+
+        test('should accept EXPLAIN ANALYZE and reject non-queries', async () => {
+            const result = await executeSQL('explain analyze SELECT COUNT(*) FROM results;', 0);
+            expect(result.plan.children[0].operation).toBe('Aggregate');
+            await expect(executeSQL('EXPLAIN DELETE FROM samples', 0)).rejects.toThrow(/Expected a SELECT query after EXPLAIN/);
+        });
+
+        test('should push single-table predicates down to the scans', async () => {
+            const status = samples()[0][4];
+            const result = await executeSQL(
+                `EXPLAIN SELECT s.sample_id, r.result_id FROM samples s JOIN results r ON s.sample_id = r.sample_id
+                 WHERE s.status = '${status}' AND r.result_id > 10 AND (s.lab_id = r.technician_id OR r.status IS NULL)`,
+                0
+            );
+            const join = findStep(result.plan, 'Hash Join');
+            expect(join.detail).toContain('hash key: s.sample_id = r.sample_id');
+            const [sampleScan, resultScan] = join.children;
+            expect(sampleScan.detail).toBe(`samples AS s (table), filter: s.status = '${status}'`);
+            expect(resultScan.detail).toBe('results AS r (table), filter: r.result_id > 10');
+            expect(sampleScan.actualRows).toBe(samples().filter(row => row[4] === status).length);
+            expect(resultScan.actualRows).toBe(results().filter(row => row[0] > 10).length);
+            expect(findStep(result.plan, 'Filter').detail).toBe('(s.lab_id = r.technician_id or r.status is null)');
+        });
+
+        test('should keep predicates on the NULL-padded side of an outer join after the join', async () => {
+            const matched = new Set(results().map(row => row[1]));
+            const query = 'SELECT s.sample_id FROM samples s LEFT JOIN results r ON s.sample_id = r.sample_id WHERE r.result_id IS NULL';
+            const explained = await executeSQL(`EXPLAIN ${query}`, 0);
+            expect(findStep(explained.plan, 'Filter').detail).toBe('r.result_id is null');
+
+            const result = await executeSQL(query, 0);
+            expect(result.rows.length).toBe(samples().filter(row => !matched.has(row[0])).length);
+        });
+
+        test('should report join strategies, subqueries and set operations', async () => {
+            const nested = await executeSQL('EXPLAIN SELECT COUNT(*) FROM samples s JOIN results r ON r.sample_id > s.sample_id', 0);
+            expect(findStep(nested.plan, 'Nested Loop')).not.toBeNull();
+
+            const correlated = await executeSQL(
+                'EXPLAIN SELECT s.sample_id, (SELECT COUNT(*) FROM results r WHERE r.sample_id = s.sample_id) FROM samples s',
+                0
+            );
+            const subquery = findStep(correlated.plan, 'Subquery');
+            expect(subquery.detail).toBe('scalar subquery, correlated');
+            expect(subquery.executions).toBe(samples().length);
+
+            const union = await executeSQL('EXPLAIN SELECT status FROM samples UNION ALL SELECT status FROM results', 0);
+            expect(union.plan.operation).toBe('Union All');
+            expect(union.plan.actualRows).toBe(samples().length + results().length);
+            expect(union.plan.children.map(child => child.operation)).toEqual(['Select', 'Select']);
+        });
+    });
+
+    describe('Parameters', () => {
+        const samples = () => getTableData('samples');
+
+        test('should bind :name and @name placeholders', async () => {
+            const status = samples()[0][4];
+            const result = await executeSQL(
+                'SELECT COUNT(*) FROM samples WHERE status = :status AND sample_id >= @minId AND sample_id >= :minId',
+                0,
+                { status, minId: 5 }
+            );
+            expect(result.rows[0][0]).toBe(samples().filter(row => row[4] === status && row[0] >= 5).length);
+        });
+
+        test('should treat bound values as values, not SQL', async () => {
+            const result = await executeSQL("SELECT COUNT(*) FROM samples WHERE status = :status", 0, { status: "x' OR '1'='1" });
+            expect(result.rows[0][0]).toBe(0);
+
+            const text = await executeSQL("SELECT ':status' AS literal, :status AS bound FROM samples LIMIT 1", 0, { status: 'Done' });
+            expect(text.rows).toEqual([[':status', 'Done']]);
+        });
+
+        test('should bind parameters inside subqueries and convert dates', async () => {
+            const result = await executeSQL(
+                'SELECT COUNT(*) FROM samples WHERE collection_date >= :from AND sample_id IN (SELECT sample_id FROM results WHERE result_id <= :maxResult)',
+                0,
+                { from: new Date(Date.UTC(2023, 5, 1)), maxResult: 50 }
+            );
+            const sampleIds = new Set(getTableData('results').filter(row => row[0] <= 50).map(row => row[1]));
+            expect(result.rows[0][0]).toBe(samples().filter(row => row[3] >= '2023-06-01' && sampleIds.has(row[0])).length);
+
+            const timestamp = await executeSQL('SELECT :at FROM samples LIMIT 1', 0, { at: new Date(Date.UTC(2024, 1, 3, 4, 5, 6)) });
+            expect(timestamp.rows[0][0]).toBe('2024-02-03 04:05:06');
+        });
+
+        test('should reject missing values and unsupported types', async () => {
+            await expect(executeSQL('SELECT * FROM samples WHERE status = :status', 0))
+                .rejects.toThrow(/No value was given for parameter :status/);
+            await expect(executeSQL('SELECT * FROM samples WHERE status = :status', 0, { status: ['a', 'b'] }))
+                .rejects.toThrow(/must be a string, number, boolean, date or NULL \(got array\)/);
+            await expect(executeSQL('SELECT * FROM samples WHERE sample_id = :id', 0, { id: NaN }))
+                .rejects.toThrow(/\(got NaN\)/);
+        });
+    });
+
+    describe('Cancellation and limits', () => {
+        const cancellations = () => healthMetricsStore.getAll({ type: 'query_cancelled' });
+
+        test('should reject with AbortError when the signal is aborted', async () => {
+            const before = cancellations().length;
+            await expect(executeSQL('SELECT * FROM samples', 0, {}, { signal: AbortSignal.abort() }))
+                .rejects.toMatchObject({ name: 'AbortError' });
+
+            const controller = new AbortController();
+            const running = executeSQL('SELECT * FROM samples', 50, {}, { signal: controller.signal });
+            controller.abort();
+            await expect(running).rejects.toThrow('Query was cancelled.');
+
+            expect(cancellations().length).toBe(before + 2);
+            expect(cancellations()[0]).toMatchObject({ reason: 'cancelled', sqlPreview: 'SELECT * FROM samples' });
+        });
+
+        test('should stop queries that exceed the maximum execution time', async () => {
+            await expect(executeSQL('SELECT COUNT(*) FROM samples a JOIN samples b ON a.sample_id <= b.sample_id', 0, {}, { timeout: 0 }))
+                .rejects.toMatchObject({ name: 'TimeoutError', message: expect.stringMatching(/maximum execution time of 0 ms/) });
+            expect(cancellations()[0].reason).toBe('timeout');
+        });
+
+        test('should stop joins that produce more rows than allowed', async () => {
+            await expect(executeSQL('SELECT COUNT(*) FROM samples a CROSS JOIN samples b', 0, {}, { maxRows: 5000 }))
+                .rejects.toMatchObject({ name: 'RowLimitError', message: expect.stringMatching(/join with "b" produced more than 5000 rows/) });
+            expect(cancellations()[0].reason).toBe('row_limit');
+
+            const sampleCount = getTableData('samples').length;
+            const result = await executeSQL('SELECT COUNT(*) FROM samples a CROSS JOIN (SELECT 1 AS x FROM samples LIMIT 2) b', 0, {}, { maxRows: sampleCount * 2 });
+            expect(result.rows[0][0]).toBe(sampleCount * 2);
+        });
+    });
+});
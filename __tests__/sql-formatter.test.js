@@ -0,0 +1,55 @@
+import { formatSQL } from '../utils/sql-formatter.js';
+
+describe('SQL Formatter', () => {
+    test('should put clauses on their own lines, indent joins and align the select list', () => {
+        const formatted = formatSQL("select s.sample_id,count(*) n from samples s left join results r on r.sample_id=s.sample_id where s.status='Completed' and r.result_value between 1 and 5 group by s.sample_id order by n desc limit 10");
+        expect(formatted).toBe([
+            'SELECT s.sample_id,',
+            '       COUNT(*) n',
+            'FROM samples s',
+            '    LEFT JOIN results r ON r.sample_id = s.sample_id',
+            "WHERE s.status = 'Completed'",
+            '    AND r.result_value BETWEEN 1 AND 5',
+            'GROUP BY s.sample_id',
+            'ORDER BY n DESC',
+            'LIMIT 10'
+        ].join('\n'));
+    });
+
+    test('should indent subqueries and CTEs', () => {
+        const formatted = formatSQL('with c as (select lab_id from labs) select * from samples where lab_id in (select lab_id from c)');
+        expect(formatted).toBe([
+            'WITH c AS (',
+            '    SELECT lab_id',
+            '    FROM labs',
+            ')',
+            'SELECT *',
+            'FROM samples',
+            'WHERE lab_id IN (',
+            '    SELECT lab_id',
+            '    FROM c',
+            ')'
+        ].join('\n'));
+    });
+
+    test('should keep comments, strings, quoted names and parameters as written', () => {
+        const formatted = formatSQL("select \"Sample Name\", 'a  b' -- note\nfrom samples where status = :status /* keep */");
+        expect(formatted).toContain('"Sample Name"');
+        expect(formatted).toContain("'a  b' -- note\n");
+        expect(formatted).toContain('WHERE status = :status /* keep */');
+    });
+
+    test('should upper-case window keywords and leave identifiers alone', () => {
+        const formatted = formatSQL('select rank() over (partition by lab_id order by collection_date desc) as rnk from Samples');
+        expect(formatted).toBe('SELECT RANK() OVER (PARTITION BY lab_id ORDER BY collection_date DESC) AS rnk\nFROM Samples');
+    });
+
+    test('should be stable when formatting formatted SQL', () => {
+        const once = formatSQL("select a, -1 x from t t1 cross join u where a = 1 or case when b and c then 1 end = 1 union all select 1, 2 from v");
+        expect(formatSQL(once)).toBe(once);
+    });
+
+    test('should throw for SQL that cannot be tokenized', () => {
+        expect(() => formatSQL("SELECT 'open")).toThrow('Unterminated string literal');
+    });
+});
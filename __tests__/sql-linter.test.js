@@ -0,0 +1,53 @@
+import { lintSQL } from '../utils/sql-linter.js';
+
+const TABLES = [
+    { name: 'samples', columns: ['sample_id', 'sample_name', 'status', 'lab_id'] },
+    { name: 'results', columns: ['result_id', 'sample_id', 'result_value', 'status'] },
+    { name: 'labs', columns: ['lab_id', 'lab_name'] }
+];
+
+const rules = (sql) => lintSQL(sql, TABLES).map(issue => issue.rule);
+
+describe('SQL Linter', () => {
+    test('should not flag a clean query', () => {
+        expect(lintSQL('SELECT s.sample_id, r.result_value FROM samples s JOIN results r ON r.sample_id = s.sample_id', TABLES)).toEqual([]);
+    });
+
+    test('should flag SELECT * on joins but not on a single table', () => {
+        expect(rules('SELECT * FROM samples s JOIN labs l ON l.lab_id = s.lab_id')).toEqual(['select-star-join']);
+        expect(rules('SELECT s.* FROM samples s JOIN labs l ON l.lab_id = s.lab_id')).toEqual([]);
+        expect(rules('SELECT * FROM samples')).toEqual([]);
+    });
+
+    test('should flag unqualified columns that several tables have', () => {
+        const issues = lintSQL('SELECT status FROM samples s JOIN results r ON r.sample_id = s.sample_id', TABLES);
+        expect(issues).toHaveLength(1);
+        expect(issues[0].rule).toBe('ambiguous-column');
+        expect(issues[0].severity).toBe('warning');
+        expect(issues[0].location).toEqual({ offset: 7, line: 1, column: 8, length: 6 });
+    });
+
+    test('should flag joins whose ON condition does not link the joined table', () => {
+        expect(rules("SELECT s.sample_id FROM samples s JOIN labs l ON s.status = 'Completed'")).toEqual(['missing-join-condition']);
+        expect(rules('SELECT s.sample_id FROM samples s JOIN labs l ON 1 = 1')).toEqual(['missing-join-condition']);
+        expect(rules('SELECT s.sample_id FROM samples s CROSS JOIN labs l')).toEqual([]);
+    });
+
+    test('should flag unknown tables and columns', () => {
+        expect(rules('SELECT s.bogus, nope FROM samples s')).toEqual(['unknown-column', 'unknown-column']);
+        expect(rules('SELECT x.id FROM missing x')).toEqual(['unknown-table']);
+        expect(rules('SELECT z.sample_id FROM samples s')).toEqual(['unknown-table']);
+    });
+
+    test('should understand aliases, derived tables, CTEs and correlated subqueries', () => {
+        expect(rules('SELECT status AS st FROM samples ORDER BY st')).toEqual([]);
+        expect(rules('SELECT n FROM (SELECT COUNT(*) AS n FROM samples) d WHERE n > 1')).toEqual([]);
+        expect(rules('WITH c AS (SELECT lab_id FROM labs) SELECT lab_id FROM c')).toEqual([]);
+        expect(rules('SELECT sample_name FROM samples s WHERE EXISTS (SELECT 1 FROM results r WHERE r.sample_id = s.sample_id)')).toEqual([]);
+        expect(rules('SELECT sample_name FROM samples s WHERE EXISTS (SELECT 1 FROM results r WHERE r.bogus = s.sample_id)')).toEqual(['unknown-column']);
+    });
+
+    test('should report nothing for SQL that does not parse yet', () => {
+        expect(lintSQL('SELECT * FROM samples WHERE', TABLES)).toEqual([]);
+    });
+});
@@ -196,6 +196,84 @@ describe('Visualization Panel', () => {
             const kpiCard = chartsContainer.querySelector('.kpi-card');
             expect(kpiCard).toBeTruthy();
         });
+
+        test('should render a grouped metric as one row per group', () => {
+            const dataset = datasetStore.create('Test', 'SELECT * FROM test',
+                ['id', 'lab'], [[1, 'Austin'], [2, 'Boston']]);
+            const breakdown = [{ key: 'Austin', value: 1 }, { key: 'Boston', value: 2 }];
+            const metric = metricsStore.create(dataset.id, 'Samples by Lab', breakdown, 'calculated', 'id', 'count',
+                'COUNT(id)', 'numeric', 0, { groupBy: 'lab' });
+            expect(panel.getGroupedMetric({ type: 'metric', value: metric.id })).toBe(metric);
+
+            panel.renderKPICard(metric);
+            const rows = container.querySelectorAll('.kpi-card .metric-breakdown tr');
+            expect(Array.from(rows).map(row => row.textContent.replace(/\s+/g, ' ').trim())).toEqual(['Austin 1', 'Boston 2']);
+            expect(container.querySelector('.kpi-card .kpi-value')).toBeNull();
+        });
+
+        test('should explain that a grouped metric cannot be a reference line', () => {
+            const dataset = datasetStore.create('Test', 'SELECT * FROM test',
+                ['id', 'lab'], [[1, 'Austin'], [2, 'Boston']]);
+            const metric = metricsStore.create(dataset.id, 'Samples by Lab', [{ key: 'Austin', value: 1 }], 'calculated',
+                'id', 'count', 'COUNT(id)', 'numeric', 0, { groupBy: 'lab' });
+
+            panel.renderChartWithReferenceLine(dataset.id, 'id', metric.id, 'line', metric, 'id');
+            expect(container.querySelector('.chart-error-message').textContent).toContain('"Samples by Lab" is grouped by Lab');
+            expect(container.querySelector('.chart-wrapper')).toBeNull();
+        });
+
+        test('should show the trend of a time-windowed metric', () => {
+            const dataset = datasetStore.create('Test', 'SELECT * FROM test',
+                ['id', 'collected_on'], [[1, '2024-03-01']]);
+            const metric = metricsStore.create(dataset.id, 'Samples', 12, 'calculated', 'id', 'count',
+                'COUNT(id)', 'numeric', 0, {
+                    dateColumn: 'collected_on',
+                    window: { type: 'rolling', days: 30 },
+                    comparison: {
+                        current: 12, prior: 16, delta: -4, percentChange: -25,
+                        currentPeriod: { start: '2024-02-01', end: '2024-03-01' },
+                        priorPeriod: { start: '2024-01-02', end: '2024-01-31' }
+                    }
+                });
+
+            panel.renderKPICard(metricsStore.get(metric.id));
+            const trend = container.querySelector('.kpi-card .metric-trend');
+            expect(trend.classList.contains('trend-down')).toBe(true);
+            expect(trend.querySelector('.trend-arrow').textContent).toBe('▼');
+            expect(trend.querySelector('.trend-percent').textContent).toBe('-25.0%');
+            expect(trend.querySelector('.trend-meta').textContent).toBe('Last 30 days, prior 16');
+        });
+
+        test('should show the trend of each group of a grouped time-windowed metric', () => {
+            const dataset = datasetStore.create('Test', 'SELECT * FROM test',
+                ['id', 'lab', 'collected_on'], [[1, 'Austin', '2024-03-01']]);
+            const breakdown = [{ key: 'Austin', value: 3 }, { key: 'Boston', value: 2 }];
+            const metric = metricsStore.create(dataset.id, 'Samples by Lab', breakdown, 'calculated', 'id', 'count',
+                'COUNT(id)', 'numeric', 0, {
+                    groupBy: 'lab',
+                    dateColumn: 'collected_on',
+                    window: { type: 'calendar', period: 'month' },
+                    comparison: {
+                        current: breakdown,
+                        prior: [{ key: 'Austin', value: 2 }, { key: 'Boston', value: 2 }],
+                        delta: null,
+                        percentChange: null,
+                        groups: [
+                            { key: 'Austin', current: 3, prior: 2, delta: 1, percentChange: 50 },
+                            { key: 'Boston', current: 2, prior: 2, delta: 0, percentChange: 0 }
+                        ],
+                        currentPeriod: { start: '2024-03-01', end: '2024-03-01' },
+                        priorPeriod: { start: '2024-02-01', end: '2024-02-01' }
+                    }
+                });
+
+            panel.renderKPICard(metric);
+            const rows = container.querySelectorAll('.kpi-card .metric-breakdown tr');
+            expect(Array.from(rows).map(row => row.textContent.replace(/\s+/g, ' ').trim()))
+                .toEqual(['Austin 3 ▲ +50.0%', 'Boston 2 ▬ 0.0%']);
+            expect(container.querySelector('.kpi-card .trend-arrow')).toBeNull();
+            expect(container.querySelector('.kpi-card .trend-meta').textContent).toContain('Month to date');
+        });
     });
 
     describe('formatting', () => {
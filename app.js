@@ -10,6 +10,7 @@ import { datasetSelectionManager } from './utils/dataset-selection-manager.js';
 import { datasetStore } from './data/datasets.js';
 import { ScriptExecutionPanel } from './components/script-execution-panel.js';
 import { SavedScriptsLibrary } from './components/saved-scripts-library.js';
+import { quoteIdentifier } from './utils/sql-parser.js';
 
 // Page routing/navigation functionality
 function initNavigation(calculationsPanel) {
@@ -121,13 +122,23 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     
     tableBrowser.onColumnClick((tableName, columnName) => {
-        queryBuilder.insertText(`${tableName}.${columnName}`);
+        queryBuilder.insertText(`${tableName}.${quoteIdentifier(columnName)}`);
     });
     
     tableBrowser.onDatasetSelect((datasetId) => {
         queryBuilder.loadDataset(datasetId);
     });
     
+    // Join designer ↔ Query Builder: each shows the other's edits
+    tableBrowser.onJoinDesign((sql) => {
+        queryBuilder.replaceQuery(sql);
+    });
+    
+    queryBuilder.onQueryChange((sql) => {
+        tableBrowser.setQuerySQL(sql);
+    });
+    tableBrowser.setQuerySQL(queryBuilder.editor ? queryBuilder.editor.value : '');
+    
     // Query Builder → Table Browser (refresh dropdown after save/update)
     queryBuilder.onRefreshTableBrowser(() => {
         tableBrowser.loadSavedDatasets().then(() => {
@@ -204,10 +215,8 @@ document.addEventListener('DOMContentLoaded', () => {
         datasetBrowserVisualization.refresh();
         datasetBrowserScripting.refresh();
         
-        // Clear query builder if it was editing the deleted dataset
-        if (queryBuilder.currentDatasetId === datasetId) {
-            queryBuilder.clearQuery();
-        }
+        // Query builder tabs editing the deleted dataset go back to being drafts
+        queryBuilder.releaseDataset(datasetId);
         
         // Clear analysis panel if it was using the deleted dataset
         if (analysisPanel.currentDataset && analysisPanel.currentDataset.id === datasetId) {
@@ -719,6 +719,8 @@ export class AdminPanel {
         } else if (metric.type === 'api_call') {
             const statusClass = metric.statusCode >= 400 ? 'error' : 'success';
             displayText = `${metric.endpoint || 'API call'}: ${metric.statusCode || 'N/A'} (${Math.round(metric.duration || 0)}ms)`;
+        } else if (metric.type === 'query_cancelled') {
+            displayText = `${metric.reason || 'cancelled'} after ${Math.round(metric.duration || 0)}ms: ${metric.sqlPreview || 'query'}`;
         } else {
             displayText = metric.message || metric.operation || metric.type;
         }
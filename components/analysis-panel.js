@@ -60,6 +60,12 @@ export class AnalysisPanel {
         this.unifiedBuilder.onMetricCreated((metric) => {
             // Refresh dataset browser to show new metric
             this.notifyMetricsUpdated([metric]);
+            
+            // Metrics that reference the new or changed metric by name need new values
+            const dependents = metricExecutionEngine.getDependentMetrics(metric, metricsStore.getByDataset(metric.datasetId));
+            if (dependents.length > 0 && this.currentDataset && this.currentDataset.id === metric.datasetId) {
+                this.reExecuteMetrics();
+            }
         });
     }
     
@@ -167,7 +173,7 @@ export class AnalysisPanel {
     
     /**
      * Re-executes all metrics for the current dataset
-     * Updates metric values using the execution engine
+     * Updates metric values using the execution engine, running metrics that others reference by name first
      */
     async reExecuteMetrics() {
         if (!this.currentDataset) {
@@ -213,46 +219,45 @@ export class AnalysisPanel {
             return;
         }
         
-        // Get full dataset (re-execute SQL without LIMIT if available)
+        // Get full dataset (re-execute its SQL if available)
         const fullDataset = await this.getFullDataset(storedDataset);
         
         // Re-execute each metric
         const updatedMetrics = [];
         const failedMetrics = [];
         
-        metrics.forEach(metric => {
-            try {
-                // Check if dataset is empty
-                if (!fullDataset.rows || fullDataset.rows.length === 0) {
-                    throw new Error('Dataset is empty. Cannot calculate metrics on an empty dataset.');
-                }
-                
-                // Check if dataset has columns
-                if (!fullDataset.columns || fullDataset.columns.length === 0) {
-                    throw new Error('Dataset has no columns. Cannot calculate metrics.');
-                }
-                
-                const newValue = metricExecutionEngine.executeMetric(metric, fullDataset);
-                const updated = metricsStore.updateValue(metric.id, newValue);
+        let datasetError = null;
+        if (!fullDataset.rows || fullDataset.rows.length === 0) {
+            datasetError = 'Dataset is empty. Cannot calculate metrics on an empty dataset.';
+        } else if (!fullDataset.columns || fullDataset.columns.length === 0) {
+            datasetError = 'Dataset has no columns. Cannot calculate metrics.';
+        }
+        
+        // Metrics referenced by name run before the metrics that use them
+        const results = datasetError
+            ? metrics.map(metric => ({ metric, value: null, error: datasetError }))
+            : metricExecutionEngine.executeMetrics(metrics, fullDataset);
+        
+        results.forEach(({ metric, value, error, comparison }) => {
+            if (!error) {
+                delete metric._error;
+                const updated = metricsStore.updateValue(metric.id, value, null, comparison);
                 if (updated) {
                     updatedMetrics.push(updated);
                 }
-            } catch (error) {
-                console.error('[AnalysisPanel.reExecuteMetrics] Error re-executing metric:', {
-                    metricId: metric.id,
-                    metricName: metric.name,
-                    error: error.message,
-                    stack: error.stack,
-                    timestamp: new Date().toISOString()
-                });
-                failedMetrics.push({ metricId: metric.id, error: error.message });
-                // Update with null value to indicate error
-                metricsStore.updateValue(metric.id, null);
-                // Store error message for display
-                if (metric) {
-                    metric._error = error.message || 'Error calculating metric';
-                }
+                return;
             }
+            
+            console.error('[AnalysisPanel.reExecuteMetrics] Error re-executing metric:', {
+                metricId: metric.id,
+                metricName: metric.name,
+                error,
+                timestamp: new Date().toISOString()
+            });
+            failedMetrics.push({ metricId: metric.id, error });
+            // Store error message for display, then update with null value to indicate error
+            metric._error = error || 'Error calculating metric';
+            metricsStore.updateValue(metric.id, null);
         });
         
         console.log('[AnalysisPanel.reExecuteMetrics] Metrics re-execution complete', {
@@ -327,7 +332,7 @@ export class AnalysisPanel {
     }
     
     /**
-     * Gets the full dataset by re-executing SQL without LIMIT if available
+     * Gets the full dataset by re-executing its SQL if available
      * @param {Object} dataset - Dataset object (may have limited rows)
      * @returns {Promise<Object>} Dataset with all rows
      */
@@ -336,18 +341,12 @@ export class AnalysisPanel {
             return dataset;
         }
         
-        // If dataset has SQL query, re-execute it without LIMIT to get all rows
+        // If dataset has SQL query, re-execute it to get all rows; its own LIMIT (e.g. a "top 10" dataset) is kept
         if (dataset.sql && dataset.sql.trim()) {
             try {
-                // Remove any existing LIMIT clause
-                let sqlWithoutLimit = dataset.sql
-                    .replace(/;\s*$/, '') // Remove trailing semicolon
-                    .replace(/\s+limit\s+\d+/gi, '') // Remove LIMIT clause
-                    .trim();
-                
-                // Re-execute query without LIMIT to get all rows
+                // Re-execute the query as saved, with the dataset's default parameter values
                 // Use a large number for the mock engine's row generation
-                const sqlResult = await executeSQL(sqlWithoutLimit, 10000);
+                const sqlResult = await executeSQL(dataset.sql.trim(), 10000, dataset.parameters || {});
                 
                 if (sqlResult && sqlResult.rows && sqlResult.rows.length > 0) {
                     // Return dataset with all rows
@@ -0,0 +1,459 @@
+// Join Designer Component
+// ER diagram of the LIMS tables (from the schema catalog) showing the joins of the current query.
+// Dragging from a column to a column of another table joins the tables; each join's type can be changed
+// or the join removed. The SQL below the join list previews the query and can be edited - the diagram is
+// always re-read from the SQL, so the two never disagree.
+
+import { SCHEMA_CATALOG } from '../utils/schema-catalog.js';
+import { JOIN_TYPES, parseJoinGraph, applyJoinGraph, connectColumns, setJoinType, removeJoin } from '../utils/join-graph.js';
+
+// Diagram geometry (SVG units)
+const BOX_WIDTH = 190;
+const HEADER_HEIGHT = 28;
+const ROW_HEIGHT = 22;
+const COLUMN_SPACING = 280;
+const ROW_SPACING = 50;
+const MARGIN = 20;
+const TABLES_PER_ROW = 3;
+
+// Tables in diagram order - results sits between the tables it references; other catalog tables follow
+const DIAGRAM_ORDER = ['samples', 'results', 'tests', 'labs', 'technicians'];
+
+export class JoinDesigner {
+    constructor(containerSelector) {
+        this.container = document.querySelector(containerSelector);
+        this.sql = '';
+        this.graph = { from: null, joins: [] };
+        this.readable = true; // False while the SQL cannot be shown as a diagram
+        this.drag = null; // Column a connection is being dragged from
+        this.changeCallbacks = [];
+        this.layout = this.computeLayout();
+        this.init();
+    }
+    
+    init() {
+        this.render();
+        this.attachEventListeners();
+        this.renderGraph();
+    }
+    
+    render() {
+        this.container.innerHTML = `
+            <div class="join-designer">
+                <div class="join-designer-diagram">
+                    <svg class="er-diagram" width="${this.layout.width}" height="${this.layout.height}" viewBox="0 0 ${this.layout.width} ${this.layout.height}"></svg>
+                </div>
+                <div class="join-designer-side">
+                    <h4>Joins</h4>
+                    <div class="join-designer-joins"></div>
+                    <div class="join-designer-message" style="display: none;"></div>
+                    <label for="join-designer-sql" class="join-designer-sql-label">SQL preview</label>
+                    <textarea id="join-designer-sql" class="join-designer-sql" spellcheck="false"></textarea>
+                </div>
+            </div>
+        `;
+    }
+    
+    attachEventListeners() {
+        const svg = this.container.querySelector('.er-diagram');
+        const joinList = this.container.querySelector('.join-designer-joins');
+        const sqlInput = this.container.querySelector('#join-designer-sql');
+        
+        // Drag from one column to another to join their tables
+        svg.addEventListener('mousedown', (e) => {
+            const column = e.target.closest('.er-column');
+            if (!column) return;
+            e.preventDefault();
+            this.drag = { table: column.dataset.table, column: column.dataset.column };
+            svg.classList.add('er-dragging');
+        });
+        
+        svg.addEventListener('mousemove', (e) => {
+            if (this.drag) {
+                this.drawDragLine(e);
+            }
+        });
+        
+        svg.addEventListener('mouseup', (e) => {
+            if (!this.drag) return;
+            const source = this.drag;
+            this.cancelDrag();
+            
+            const column = e.target.closest('.er-column');
+            if (column && (column.dataset.table !== source.table || column.dataset.column !== source.column)) {
+                this.edit(graph => connectColumns(graph, source, { table: column.dataset.table, column: column.dataset.column }));
+            }
+        });
+        
+        svg.addEventListener('mouseleave', () => this.cancelDrag());
+        
+        // Clicking a foreign key that is not joined yet joins it
+        svg.addEventListener('click', (e) => {
+            const relationship = e.target.closest('.er-relationship');
+            if (!relationship) return;
+            this.edit(graph => connectColumns(graph,
+                { table: relationship.dataset.fromTable, column: relationship.dataset.fromColumn },
+                { table: relationship.dataset.toTable, column: relationship.dataset.toColumn }));
+        });
+        
+        joinList.addEventListener('change', (e) => {
+            const select = e.target.closest('.join-type-select');
+            if (!select) return;
+            const index = parseInt(select.dataset.joinIndex, 10);
+            this.edit(graph => setJoinType(graph, index, select.value));
+        });
+        
+        joinList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.join-remove-btn');
+            if (!removeBtn) return;
+            const index = parseInt(removeBtn.dataset.joinIndex, 10);
+            this.edit(graph => removeJoin(graph, index));
+        });
+        
+        // Editing the SQL redraws the diagram
+        sqlInput.addEventListener('input', () => {
+            this.sql = sqlInput.value;
+            this.readGraph();
+            this.renderGraph();
+            this.notifyChange();
+        });
+    }
+    
+    /**
+     * Shows a query in the designer
+     * @param {string} sql - SQL query
+     */
+    setSQL(sql) {
+        const text = sql || '';
+        if (text === this.sql) return;
+        
+        this.sql = text;
+        this.readGraph();
+        this.renderGraph();
+        
+        const sqlInput = this.container.querySelector('#join-designer-sql');
+        if (sqlInput) {
+            sqlInput.value = this.sql;
+        }
+    }
+    
+    /**
+     * Re-reads the graph from the SQL, keeping the last readable graph when it cannot be read
+     */
+    readGraph() {
+        const graph = parseJoinGraph(this.sql);
+        this.readable = Boolean(graph);
+        if (graph) {
+            this.graph = graph;
+        }
+    }
+    
+    /**
+     * Applies a diagram edit to the SQL
+     * @param {Function} change - Takes the graph and returns the edited graph; may throw to reject the edit
+     */
+    edit(change) {
+        if (!this.readable) {
+            this.showMessage('Fix the SQL before editing the diagram - the diagram shows the last query that could be read.');
+            return;
+        }
+        
+        let sql;
+        try {
+            sql = applyJoinGraph(this.sql, change(this.graph));
+        } catch (error) {
+            this.showMessage(error.message);
+            return;
+        }
+        
+        this.setSQL(sql);
+        this.notifyChange();
+    }
+    
+    /**
+     * Draws the tables, foreign keys and joins, and lists the joins
+     */
+    renderGraph() {
+        const svg = this.container.querySelector('.er-diagram');
+        if (!svg) return;
+        
+        const aliases = this.getTableAliases();
+        const joinedPairs = new Set();
+        const joinLines = [];
+        
+        this.graph.joins.forEach(join => {
+            join.conditions.forEach(condition => {
+                const left = this.findAliasTable(condition.left.alias);
+                const right = this.findAliasTable(condition.right.alias);
+                if (!left || !right || !this.layout.boxes[left] || !this.layout.boxes[right]) return;
+                
+                joinedPairs.add(pairKey(left, condition.left.column, right, condition.right.column));
+                const path = this.connectionPath(left, condition.left.column, right, condition.right.column);
+                if (!path) return;
+                joinLines.push(`
+                    <path class="er-join er-join-${join.joinType.toLowerCase()}" d="${path.d}"></path>
+                    <text class="er-join-label" x="${path.midX}" y="${path.midY - 4}" text-anchor="middle">${join.joinType}</text>
+                `);
+            });
+        });
+        
+        // Foreign keys that no join uses are drawn faintly, as suggestions
+        const relationshipLines = [];
+        SCHEMA_CATALOG.forEach(table => {
+            table.foreignKeys.forEach(fk => {
+                if (joinedPairs.has(pairKey(table.name, fk.column, fk.references, fk.referencedColumn))) return;
+                const path = this.connectionPath(table.name, fk.column, fk.references, fk.referencedColumn);
+                if (!path) return;
+                relationshipLines.push(`
+                    <path class="er-relationship" d="${path.d}"
+                          data-from-table="${table.name}" data-from-column="${fk.column}"
+                          data-to-table="${fk.references}" data-to-column="${fk.referencedColumn}">
+                        <title>Join ${table.name}.${fk.column} = ${fk.references}.${fk.referencedColumn}</title>
+                    </path>
+                `);
+            });
+        });
+        
+        const boxes = SCHEMA_CATALOG.map(table => this.renderTableBox(table, aliases.get(table.name) || null));
+        
+        svg.innerHTML = `
+            <g class="er-relationships">${relationshipLines.join('')}</g>
+            <g class="er-tables">${boxes.join('')}</g>
+            <g class="er-joins">${joinLines.join('')}</g>
+            <line class="er-drag-line" x1="0" y1="0" x2="0" y2="0" style="display: none;"></line>
+        `;
+        
+        this.renderJoinList();
+        if (this.readable) {
+            this.hideMessage();
+        } else {
+            this.showMessage('This query cannot be shown as a diagram (it does not parse, combines queries with UNION/INTERSECT/EXCEPT, or joins subqueries). The diagram shows the last query that could.');
+        }
+    }
+    
+    /**
+     * Renders a table box with a row per column
+     * @param {Object} table - Table definition from the schema catalog
+     * @param {string[]|null} aliases - Names the query uses for the table, or null if it is not in the query
+     * @returns {string} SVG markup
+     */
+    renderTableBox(table, aliases) {
+        const box = this.layout.boxes[table.name];
+        const inQuery = Boolean(aliases);
+        const aliasText = aliases ? aliases.filter(alias => alias !== table.name).join(', ') : '';
+        
+        const rows = table.columns.map((column, index) => {
+            const y = box.y + HEADER_HEIGHT + index * ROW_HEIGHT;
+            const fk = table.foreignKeys.find(key => key.column === column.name);
+            const marker = table.primaryKey === column.name ? 'PK' : fk ? 'FK' : '';
+            return `
+                <g class="er-column" data-table="${table.name}" data-column="${column.name}">
+                    <rect x="${box.x}" y="${y}" width="${BOX_WIDTH}" height="${ROW_HEIGHT}"></rect>
+                    <text class="er-column-name" x="${box.x + 8}" y="${y + 15}">${column.name}</text>
+                    <text class="er-column-type" x="${box.x + BOX_WIDTH - 8}" y="${y + 15}" text-anchor="end">${marker ? `${marker} ` : ''}${column.type}</text>
+                    <title>${table.name}.${column.name} (${column.type}) - ${column.description}</title>
+                </g>
+            `;
+        }).join('');
+        
+        return `
+            <g class="er-table${inQuery ? ' er-table-in-query' : ''}" data-table="${table.name}">
+                <rect class="er-table-box" x="${box.x}" y="${box.y}" width="${BOX_WIDTH}" height="${box.height}" rx="4"></rect>
+                <rect class="er-table-header" x="${box.x}" y="${box.y}" width="${BOX_WIDTH}" height="${HEADER_HEIGHT}" rx="4"></rect>
+                <text class="er-table-name" x="${box.x + 8}" y="${box.y + 19}">${table.name}${aliasText ? ` (${aliasText})` : ''}</text>
+                ${rows}
+            </g>
+        `;
+    }
+    
+    /**
+     * Lists the FROM table and each join with its type and condition
+     */
+    renderJoinList() {
+        const list = this.container.querySelector('.join-designer-joins');
+        if (!list) return;
+        
+        if (!this.graph.from) {
+            list.innerHTML = '<div class="join-designer-empty">No tables yet. Drag from a column to a column of another table to start a query.</div>';
+            return;
+        }
+        
+        const from = this.graph.from;
+        list.innerHTML = `
+            <div class="join-designer-from">
+                <span class="join-keyword">FROM</span>
+                <span class="join-table">${this.escapeHtml(tableLabel(from))}</span>
+            </div>
+            ${this.graph.joins.map((join, index) => `
+                <div class="join-designer-join" data-join-index="${index}">
+                    <select class="join-type-select" data-join-index="${index}" title="Join type">
+                        ${JOIN_TYPES.map(type => `<option value="${type}" ${type === join.joinType ? 'selected' : ''}>${type} JOIN</option>`).join('')}
+                    </select>
+                    <span class="join-table">${this.escapeHtml(tableLabel(join))}</span>
+                    <button class="btn btn-sm btn-icon join-remove-btn" data-join-index="${index}" title="Remove join"><span class="material-icons">close</span></button>
+                    ${join.on ? `<code class="join-on">ON ${this.escapeHtml(join.on)}</code>` : ''}
+                </div>
+            `).join('')}
+        `;
+    }
+    
+    /**
+     * Places the catalog tables in a grid
+     * @returns {{boxes: Object, width: number, height: number}} boxes are {x, y, height} by table name
+     */
+    computeLayout() {
+        const names = [
+            ...DIAGRAM_ORDER.filter(name => SCHEMA_CATALOG.some(table => table.name === name)),
+            ...SCHEMA_CATALOG.map(table => table.name).filter(name => !DIAGRAM_ORDER.includes(name))
+        ];
+        
+        const boxes = {};
+        let y = MARGIN;
+        let width = 0;
+        for (let start = 0; start < names.length; start += TABLES_PER_ROW) {
+            const rowNames = names.slice(start, start + TABLES_PER_ROW);
+            let rowHeight = 0;
+            rowNames.forEach((name, index) => {
+                const table = SCHEMA_CATALOG.find(candidate => candidate.name === name);
+                const height = HEADER_HEIGHT + table.columns.length * ROW_HEIGHT;
+                const x = MARGIN + index * COLUMN_SPACING;
+                boxes[name] = { x, y, height };
+                rowHeight = Math.max(rowHeight, height);
+                width = Math.max(width, x + BOX_WIDTH + MARGIN);
+            });
+            y += rowHeight + ROW_SPACING;
+        }
+        
+        return { boxes, width, height: y - ROW_SPACING + MARGIN };
+    }
+    
+    /**
+     * Builds the curve between two column rows, leaving each box on the side facing the other
+     * @returns {{d: string, midX: number, midY: number}|null} null if a table or column is not in the diagram
+     */
+    connectionPath(fromTable, fromColumn, toTable, toColumn) {
+        const from = this.columnAnchor(fromTable, fromColumn);
+        const to = this.columnAnchor(toTable, toColumn);
+        if (!from || !to) return null;
+        
+        // Boxes in the same grid column connect on their right-hand sides
+        const fromRight = to.box.x >= from.box.x;
+        const toRight = from.box.x >= to.box.x;
+        const x1 = fromRight ? from.box.x + BOX_WIDTH : from.box.x;
+        const x2 = toRight ? to.box.x + BOX_WIDTH : to.box.x;
+        const c1 = x1 + (fromRight ? 50 : -50);
+        const c2 = x2 + (toRight ? 50 : -50);
+        
+        return {
+            d: `M ${x1} ${from.y} C ${c1} ${from.y}, ${c2} ${to.y}, ${x2} ${to.y}`,
+            midX: (x1 + x2 + c1 + c2) / 4,
+            midY: (from.y + to.y) / 2
+        };
+    }
+    
+    columnAnchor(tableName, columnName) {
+        const table = SCHEMA_CATALOG.find(candidate => candidate.name === tableName.toLowerCase());
+        const box = this.layout.boxes[tableName.toLowerCase()];
+        if (!table || !box) return null;
+        
+        const index = table.columns.findIndex(column => column.name === columnName.toLowerCase());
+        if (index === -1) return null;
+        return { box, y: box.y + HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2 };
+    }
+    
+    /**
+     * Follows the mouse with a line from the column being dragged
+     * @param {MouseEvent} e - Mouse event
+     */
+    drawDragLine(e) {
+        const svg = this.container.querySelector('.er-diagram');
+        const line = svg.querySelector('.er-drag-line');
+        const anchor = this.columnAnchor(this.drag.table, this.drag.column);
+        if (!line || !anchor || typeof svg.getScreenCTM !== 'function' || !svg.getScreenCTM()) return;
+        
+        const point = svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        const cursor = point.matrixTransform(svg.getScreenCTM().inverse());
+        
+        line.setAttribute('x1', cursor.x >= anchor.box.x + BOX_WIDTH / 2 ? anchor.box.x + BOX_WIDTH : anchor.box.x);
+        line.setAttribute('y1', anchor.y);
+        line.setAttribute('x2', cursor.x);
+        line.setAttribute('y2', cursor.y);
+        line.style.display = '';
+    }
+    
+    cancelDrag() {
+        this.drag = null;
+        const svg = this.container.querySelector('.er-diagram');
+        if (!svg) return;
+        svg.classList.remove('er-dragging');
+        const line = svg.querySelector('.er-drag-line');
+        if (line) {
+            line.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Gets the names each catalog table is used under in the query
+     * @returns {Map<string, string[]>} Aliases by lower-case table name
+     */
+    getTableAliases() {
+        const aliases = new Map();
+        if (!this.graph.from) return aliases;
+        
+        [this.graph.from, ...this.graph.joins].forEach(ref => {
+            const table = ref.table.toLowerCase();
+            aliases.set(table, [...(aliases.get(table) || []), ref.alias]);
+        });
+        return aliases;
+    }
+    
+    findAliasTable(alias) {
+        if (!this.graph.from) return null;
+        const ref = [this.graph.from, ...this.graph.joins].find(candidate => candidate.alias.toLowerCase() === alias.toLowerCase());
+        return ref ? ref.table.toLowerCase() : null;
+    }
+    
+    showMessage(message) {
+        const messageDiv = this.container.querySelector('.join-designer-message');
+        if (!messageDiv) return;
+        messageDiv.textContent = message;
+        messageDiv.style.display = 'block';
+    }
+    
+    hideMessage() {
+        const messageDiv = this.container.querySelector('.join-designer-message');
+        if (messageDiv) {
+            messageDiv.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Sets a callback for when the diagram or the SQL preview changes the query
+     * @param {Function} callback - Called with the updated SQL
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+    
+    notifyChange() {
+        this.changeCallbacks.forEach(callback => callback(this.sql));
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+function tableLabel(ref) {
+    return ref.alias.toLowerCase() === ref.table.toLowerCase() ? ref.table : `${ref.table} ${ref.alias}`;
+}
+
+function pairKey(leftTable, leftColumn, rightTable, rightColumn) {
+    const left = `${leftTable}.${leftColumn}`.toLowerCase();
+    const right = `${rightTable}.${rightColumn}`.toLowerCase();
+    return left < right ? `${left}=${right}` : `${right}=${left}`;
+}
@@ -61,9 +61,21 @@ export class MetricDefinitionDialog {
                         <option value="stdev">Standard Deviation</option>
                         <option value="count">Count</option>
                         <option value="count_distinct">Count Distinct</option>
+                        <option value="median">Median</option>
+                        <option value="percentile">Percentile</option>
+                        <option value="iqr">Interquartile Range</option>
+                        <option value="mode">Mode</option>
+                        <option value="variance">Variance</option>
+                        <option value="cv">Coefficient of Variation</option>
+                        <option value="skewness">Skewness</option>
                     </select>
                 </div>
                 
+                <div class="form-group" id="metric-percentile-group" style="display: none;">
+                    <label for="metric-percentile-input">Percentile (0-100):</label>
+                    <input type="number" id="metric-percentile-input" class="form-control" min="0" max="100" step="any" value="90">
+                </div>
+                
                 <div class="form-group">
                     <label for="metric-name-input">Metric Name:</label>
                     <input type="text" id="metric-name-input" class="form-control" placeholder="e.g., Average Sales">
@@ -90,6 +102,7 @@ export class MetricDefinitionDialog {
         const datasetSelect = this.dialog.querySelector('#metric-dataset-select');
         const columnSelect = this.dialog.querySelector('#metric-column-select');
         const operationSelect = this.dialog.querySelector('#metric-operation-select');
+        const percentileInput = this.dialog.querySelector('#metric-percentile-input');
         const nameInput = this.dialog.querySelector('#metric-name-input');
         
         // Close dialog
@@ -123,7 +136,11 @@ export class MetricDefinitionDialog {
         
         // Column and operation selection
         columnSelect.addEventListener('change', () => this.updateCreateButtonState());
-        operationSelect.addEventListener('change', () => this.updateCreateButtonState());
+        operationSelect.addEventListener('change', () => {
+            this.updatePercentileVisibility();
+            this.updateCreateButtonState();
+        });
+        percentileInput.addEventListener('input', () => this.updateCreateButtonState());
         nameInput.addEventListener('input', () => this.updateCreateButtonState());
         
         // Create metric
@@ -172,6 +189,21 @@ export class MetricDefinitionDialog {
             .replace(/\b\w/g, char => char.toUpperCase());
     }
     
+    // Shows the percentile input only for the percentile operation
+    updatePercentileVisibility() {
+        const operationSelect = this.dialog.querySelector('#metric-operation-select');
+        const percentileGroup = this.dialog.querySelector('#metric-percentile-group');
+        percentileGroup.style.display = operationSelect.value === 'percentile' ? '' : 'none';
+    }
+    
+    // Reads the percentile input, or null when it is empty or outside 0-100
+    getPercentile() {
+        const percentileInput = this.dialog.querySelector('#metric-percentile-input');
+        const text = percentileInput.value.trim();
+        const percentile = Number(text);
+        return text !== '' && percentile >= 0 && percentile <= 100 ? percentile : null;
+    }
+    
     updateCreateButtonState() {
         const createBtn = this.dialog.querySelector('#metric-dialog-create');
         const datasetSelect = this.dialog.querySelector('#metric-dataset-select');
@@ -183,6 +215,7 @@ export class MetricDefinitionDialog {
             datasetSelect.value !== '' &&
             columnSelect.value !== '' &&
             operationSelect.value !== '' &&
+            (operationSelect.value !== 'percentile' || this.getPercentile() !== null) &&
             nameInput.value.trim() !== '';
         
         createBtn.disabled = !isValid;
@@ -199,6 +232,7 @@ export class MetricDefinitionDialog {
         const datasetId = datasetSelect.value;
         const column = columnSelect.value;
         const operation = operationSelect.value;
+        const percentile = operation === 'percentile' ? this.getPercentile() : null;
         const name = nameInput.value.trim();
         
         if (!datasetId || !column || !operation || !name) {
@@ -215,6 +249,7 @@ export class MetricDefinitionDialog {
             datasetId,
             column,
             operation,
+            percentile,
             name,
             editingMetricId: this.editingMetricId || null
         });
@@ -229,7 +264,8 @@ export class MetricDefinitionDialog {
         // Build metric definition
         const metricDefinition = {
             operation: operation,
-            column: column
+            column: column,
+            percentile: percentile
         };
         
         // Check if dataset is empty
@@ -313,7 +349,10 @@ export class MetricDefinitionDialog {
                 // Update the metric value
                 metric = metricsStore.updateValue(this.editingMetricId, value);
                 // Note: We can't update name, column, operation without modifying the store
-                // For now, we'll just update the value
+                // For now, we'll just update the value and the percentile it was calculated with
+                if (existingMetric.operation === 'percentile') {
+                    metric = metricsStore.update(this.editingMetricId, { percentile });
+                }
                 this.editingMetricId = null;
             }
         } else {
@@ -325,7 +364,11 @@ export class MetricDefinitionDialog {
                 value,
                 'calculated',
                 column,
-                operation
+                operation,
+                null,
+                'numeric',
+                2,
+                { percentile }
             );
             console.log('[MetricDefinitionDialog.createMetric] Metric created successfully', {
                 metricId: metric.id,
@@ -352,6 +395,8 @@ export class MetricDefinitionDialog {
         columnSelect.innerHTML = '<option value="">-- Select a column --</option>';
         columnSelect.disabled = true;
         operationSelect.value = '';
+        this.dialog.querySelector('#metric-percentile-input').value = '90';
+        this.updatePercentileVisibility();
         nameInput.value = '';
         this.selectedDataset = null;
         this.editingMetricId = null;
@@ -411,6 +456,10 @@ export class MetricDefinitionDialog {
         if (metric.operation) {
             operationSelect.value = metric.operation;
         }
+        if (metric.percentile !== null && metric.percentile !== undefined) {
+            this.dialog.querySelector('#metric-percentile-input').value = String(metric.percentile);
+        }
+        this.updatePercentileVisibility();
         
         // Set name
         if (metric.name) {
@@ -4,20 +4,46 @@
 import { executeSQL } from '../utils/sql-engine.js';
 import { getAllTables } from '../utils/sql-engine.js';
 import { Modal } from '../utils/modal.js';
-import { getSuggestions, getWordStartPosition } from '../utils/autocomplete.js';
+import { getSuggestions, getFunctionSignature, getWordStartPosition } from '../utils/autocomplete.js';
+import { quoteIdentifier, findParameters } from '../utils/sql-parser.js';
+import { formatSQL } from '../utils/sql-formatter.js';
+import { lintSQL } from '../utils/sql-linter.js';
+import { debounce } from '../utils/debounce.js';
+import { getTableRelationships } from '../utils/schema-catalog.js';
+import { buildFromClause } from '../utils/join-graph.js';
+import {
+    SELECTION_AGGREGATES,
+    FILTER_OPERATORS,
+    emptySelections,
+    selectionsToSQL,
+    readSelections,
+    getGroupByColumns,
+    defaultAggregateAlias,
+    describeColumn,
+    parseFilterInput,
+    formatFilterInput
+} from '../utils/query-selections.js';
+import { queryHistoryStore } from '../data/query-history.js';
+import { queryDraftStore } from '../data/query-drafts.js';
 
 export class QueryBuilder {
     constructor(containerSelector) {
         this.container = document.querySelector(containerSelector);
         this.datasetCallbacks = [];
+        this.queryChangeCallbacks = [];
         this.currentResult = null;
         this.currentDatasetId = null; // Track if we're editing an existing dataset
         this.editor = null; // Will be the textarea element
         this.columnMetadata = {}; // Store metadata for hover tooltips
-        this.fullQuery = null; // Store the full query without LIMIT
+        this.fullQuery = null; // The query as run, which datasets are saved from
         this.totalRecordCount = null; // Store total record count
-        this.selectedColumns = []; // Track selected columns for auto-query generation
-        this.selectedTables = new Set(); // Track selected tables
+        this.selections = emptySelections(); // Builder form of the editor's query: columns, filters, sort, limit
+        this.selectionsGraph = { from: null, joins: [] }; // Tables and joins of the editor's query
+        this.selectionsReason = null; // Why the builder cannot show the editor's query, or null
+        this.parameterValues = {}; // Values entered for named query parameters, keyed by name
+        this.abortController = null; // Cancels the query that is running
+        this.activeTabId = null; // Editor tab shown in the editor
+        this.tabResults = new Map(); // Results of the tabs in the background, keyed by tab ID (not persisted)
         this.init();
     }
     
@@ -29,6 +55,7 @@ export class QueryBuilder {
     render() {
         this.container.innerHTML = `
             <div class="query-builder">
+                <div id="query-tabs" class="query-tabs"></div>
                 <div class="sql-editor-wrapper" id="query-drop-zone">
                     <div class="drop-zone-indicator" id="drop-zone-indicator" style="display: none;">
                         <span class="material-symbols-outlined">add_circle</span>
@@ -36,7 +63,11 @@ export class QueryBuilder {
                     </div>
                     <textarea id="sql-editor" class="sql-editor" placeholder="Enter your SQL query here or drag columns from the database tables..."></textarea>
                     <div id="sql-autocomplete-suggestions" class="autocomplete-suggestions" style="display: none;"></div>
+                    <div id="sql-signature-hint" class="sql-signature-hint" style="display: none;"></div>
                 </div>
+                <div id="sql-lint" class="sql-lint" style="display: none;"></div>
+                <div id="query-parameters" class="query-parameters" style="display: none;"></div>
+                <div id="query-selections" class="query-selections" style="display: none;"></div>
                 <div class="query-actions">
                     <div class="query-controls">
                         <label for="preview-limit" class="record-limit-label">Preview Limit:</label>
@@ -56,10 +87,23 @@ export class QueryBuilder {
                         <button id="save-dataset" class="btn btn-primary" disabled>Save as Dataset</button>
                         <button id="update-dataset" class="btn btn-secondary" disabled style="display: none;">Update Dataset</button>
                         <div class="button-separator"></div>
+                        <button id="format-query" class="btn btn-secondary" title="Pretty-print the SQL in the editor">Format SQL</button>
                         <button id="run-query" class="btn btn-primary">Run Query</button>
+                        <button id="cancel-query" class="btn btn-secondary" style="display: none;">Cancel</button>
                         <button id="clear-query" class="btn btn-secondary">Clear</button>
+                        <button id="toggle-selections" class="btn btn-secondary" title="Filter, aggregate, sort and limit without writing SQL">Builder</button>
+                        <button id="toggle-history" class="btn btn-secondary">History</button>
                     </div>
                 </div>
+                <div id="query-history" class="query-history" style="display: none;">
+                    <div class="query-history-toolbar">
+                        <input type="search" id="query-history-search" class="query-history-search" placeholder="Search history...">
+                        <label for="query-history-size" class="record-limit-label">Keep last</label>
+                        <input type="number" id="query-history-size" class="query-history-size" min="1" step="1">
+                        <button id="clear-history" class="btn btn-sm btn-secondary" title="Remove all unstarred entries">Clear History</button>
+                    </div>
+                    <div id="query-history-list" class="query-history-list"></div>
+                </div>
                 <div id="query-results" class="query-results">
                     <div class="results-table-container">
                         <table id="results-table" class="results-table">
@@ -95,9 +139,19 @@ export class QueryBuilder {
         this.selectedSuggestionIndex = -1;
         this.autocompleteVisible = false;
         
+        // Lint while typing, once the user pauses
+        this.lintSoon = debounce(() => this.updateLint(), 300);
+        
         // Input handler for autocomplete
         this.editor.addEventListener('input', (e) => this.handleInput(e));
         this.editor.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        // Moving the cursor into or out of a function call changes the signature hint
+        this.editor.addEventListener('click', () => this.updateSignatureHint());
+        this.editor.addEventListener('keyup', (e) => {
+            if (e.key.startsWith('Arrow') || e.key === 'Home' || e.key === 'End') {
+                this.updateSignatureHint();
+            }
+        });
         
         // Hide suggestions when clicking outside
         document.addEventListener('click', (e) => {
@@ -107,10 +161,22 @@ export class QueryBuilder {
         });
         
         runBtn.addEventListener('click', () => this.executeQuery());
+        const cancelBtn = this.container.querySelector('#cancel-query');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancelQuery());
+        }
         clearBtn.addEventListener('click', () => this.clearQuery());
+        const formatBtn = this.container.querySelector('#format-query');
+        if (formatBtn) {
+            formatBtn.addEventListener('click', () => this.formatQuery());
+        }
         saveBtn.addEventListener('click', () => this.saveAsDataset());
         updateBtn.addEventListener('click', () => this.updateDataset());
         
+        this.setupHistoryPanel();
+        this.setupSelectionsPanel();
+        this.setupTabs();
+        
         // Preview limit change handler - update display without re-running query
         const previewLimitSelect = this.container.querySelector('#preview-limit');
         if (previewLimitSelect) {
@@ -125,6 +191,261 @@ export class QueryBuilder {
         this.setupDragAndDrop();
     }
     
+    /**
+     * Restores the saved editor tabs (or opens a first one) and wires up the tab bar
+     */
+    setupTabs() {
+        const tabBar = this.container.querySelector('#query-tabs');
+        if (!tabBar) return;
+        
+        if (queryDraftStore.getAll().length === 0) {
+            queryDraftStore.create();
+        }
+        const activeTab = queryDraftStore.getActive() || queryDraftStore.getAll()[0];
+        this.activateTab(activeTab.id);
+        
+        // Event delegation - the tab bar is re-rendered after every change
+        tabBar.addEventListener('click', (e) => {
+            const closeBtn = e.target.closest('.query-tab-close');
+            if (closeBtn) {
+                e.stopPropagation();
+                this.closeTab(closeBtn.getAttribute('data-tab-id'));
+                return;
+            }
+            
+            if (e.target.closest('.query-tab-new')) {
+                this.newTab();
+                return;
+            }
+            
+            const tab = e.target.closest('.query-tab');
+            if (tab) {
+                this.switchTab(tab.getAttribute('data-tab-id'));
+            }
+        });
+    }
+    
+    /**
+     * Renders the tab bar, marking the active tab and tabs with unsaved changes
+     */
+    renderTabs() {
+        const tabBar = this.container.querySelector('#query-tabs');
+        if (!tabBar) return;
+        
+        tabBar.innerHTML = queryDraftStore.getAll().map(tab => {
+            const dirty = queryDraftStore.isDirty(tab.id);
+            const classes = ['query-tab'];
+            if (tab.id === this.activeTabId) classes.push('active');
+            if (dirty) classes.push('modified');
+            
+            return `
+                <div class="${classes.join(' ')}" data-tab-id="${tab.id}" title="${this.escapeHtml(tab.title)}${dirty ? ' (unsaved changes)' : ''}">
+                    ${tab.datasetId ? '<span class="material-icons query-tab-icon">table_chart</span>' : ''}
+                    <span class="query-tab-title">${this.escapeHtml(tab.title)}</span>
+                    ${dirty ? '<span class="query-tab-modified">●</span>' : ''}
+                    <button type="button" class="query-tab-close" title="Close Tab" data-tab-id="${tab.id}">&times;</button>
+                </div>
+            `;
+        }).join('') + `
+            <button type="button" class="query-tab-new" title="New Tab">
+                <span class="material-icons" style="font-size: 18px; pointer-events: none;">add</span>
+            </button>
+        `;
+    }
+    
+    /**
+     * Copies the editor's SQL, parameter values and bound dataset into the active tab's draft
+     * Query-change listeners (the join designer) are told about the SQL as well.
+     */
+    saveActiveTab() {
+        if (!this.activeTabId || !this.editor) return;
+        
+        queryDraftStore.update(this.activeTabId, {
+            sql: this.editor.value,
+            parameters: this.parameterValues,
+            datasetId: this.currentDatasetId
+        });
+        this.renderTabs();
+        this.notifyQueryChange();
+    }
+    
+    /**
+     * Shows a tab in the editor, with the results it had when it was last shown
+     * Does not save the tab being left - switchTab does that.
+     * @param {string} tabId - Tab ID
+     */
+    activateTab(tabId) {
+        const tab = queryDraftStore.get(tabId);
+        if (!tab || !this.editor) return;
+        
+        this.activeTabId = tabId;
+        queryDraftStore.setActive(tabId);
+        
+        const state = this.tabResults.get(tabId) || {};
+        this.editor.value = tab.sql;
+        this.parameterValues = { ...tab.parameters };
+        this.currentDatasetId = tab.datasetId;
+        this.currentResult = state.currentResult || null;
+        this.columnMetadata = state.columnMetadata || {};
+        this.fullQuery = state.fullQuery || null;
+        this.totalRecordCount = state.totalRecordCount ?? null;
+        this.syncSelectionsFromSQL();
+        
+        const thead = this.container.querySelector('#results-thead');
+        const tbody = this.container.querySelector('#results-tbody');
+        if (this.currentResult) {
+            this.updatePreviewDisplay();
+        } else {
+            // Plans, errors and placeholders have no listeners, so their markup can be restored as it was
+            thead.innerHTML = state.theadHtml || '';
+            tbody.innerHTML = state.tbodyHtml || `
+                <tr>
+                    <td colspan="100%" class="empty-placeholder">No results yet. Run a query to see results.</td>
+                </tr>
+            `;
+        }
+        this.updateTotalRecordsIndicator();
+        
+        const saveBtn = this.container.querySelector('#save-dataset');
+        const updateBtn = this.container.querySelector('#update-dataset');
+        saveBtn.style.display = tab.datasetId ? 'none' : 'inline-block';
+        saveBtn.disabled = !this.currentResult;
+        updateBtn.style.display = tab.datasetId ? 'inline-block' : 'none';
+        updateBtn.disabled = !tab.datasetId;
+        
+        // Force the parameter inputs to re-render with this tab's values
+        const form = this.container.querySelector('#query-parameters');
+        if (form) {
+            delete form.dataset.parameters;
+        }
+        this.updateParameterForm();
+        this.updateLint();
+        this.hideSuggestions();
+        this.renderTabs();
+        this.notifyQueryChange();
+    }
+    
+    /**
+     * Switches the editor to another tab, keeping the current tab's draft and results
+     * @param {string} tabId - Tab ID
+     * @returns {boolean} False if a query is still running, since its results belong to the current tab
+     */
+    switchTab(tabId) {
+        if (tabId === this.activeTabId) return true;
+        if (!queryDraftStore.get(tabId)) return false;
+        
+        if (this.abortController) {
+            console.warn('[QueryBuilder.switchTab] A query is running - not switching tabs', { tabId });
+            return false;
+        }
+        
+        this.saveActiveTab();
+        if (this.activeTabId) {
+            this.tabResults.set(this.activeTabId, {
+                currentResult: this.currentResult,
+                columnMetadata: this.columnMetadata,
+                fullQuery: this.fullQuery,
+                totalRecordCount: this.totalRecordCount,
+                theadHtml: this.container.querySelector('#results-thead').innerHTML,
+                tbodyHtml: this.container.querySelector('#results-tbody').innerHTML
+            });
+        }
+        this.activateTab(tabId);
+        return true;
+    }
+    
+    /**
+     * Opens a new, empty draft tab
+     * @returns {Object|null} The new tab, or null if a query is running
+     */
+    newTab() {
+        if (this.abortController) {
+            console.warn('[QueryBuilder.newTab] A query is running - not opening a tab');
+            return null;
+        }
+        
+        const tab = queryDraftStore.create();
+        this.switchTab(tab.id);
+        this.editor.focus();
+        return tab;
+    }
+    
+    /**
+     * Closes a tab, asking first if it has unsaved changes
+     * @param {string} tabId - Tab ID
+     * @returns {Promise<boolean>} True if the tab was closed
+     */
+    async closeTab(tabId) {
+        const tab = queryDraftStore.get(tabId);
+        if (!tab) return false;
+        
+        const isActive = tabId === this.activeTabId;
+        if (isActive && this.abortController) {
+            console.warn('[QueryBuilder.closeTab] A query is running - not closing its tab', { tabId });
+            return false;
+        }
+        if (isActive) {
+            this.saveActiveTab();
+        }
+        
+        if (queryDraftStore.isDirty(tabId)) {
+            const confirmed = await Modal.confirm(`"${tab.title}" has unsaved changes. Close it anyway?`);
+            if (!confirmed) return false;
+        }
+        
+        const index = queryDraftStore.getAll().findIndex(t => t.id === tabId);
+        queryDraftStore.delete(tabId);
+        this.tabResults.delete(tabId);
+        
+        if (isActive) {
+            // Show the neighbouring tab, or a fresh draft if this was the last one
+            const remaining = queryDraftStore.getAll();
+            const next = remaining[Math.min(index, remaining.length - 1)] || queryDraftStore.create();
+            this.activateTab(next.id);
+        } else {
+            this.renderTabs();
+        }
+        return true;
+    }
+    
+    /**
+     * Binds the active tab to a dataset it was just saved as
+     * @param {Object} dataset - Saved dataset
+     */
+    bindActiveTab(dataset) {
+        this.currentDatasetId = dataset.id;
+        queryDraftStore.update(this.activeTabId, {
+            title: dataset.name,
+            datasetId: dataset.id,
+            savedSql: this.editor ? this.editor.value : ''
+        });
+        
+        const saveBtn = this.container.querySelector('#save-dataset');
+        const updateBtn = this.container.querySelector('#update-dataset');
+        saveBtn.style.display = 'none';
+        updateBtn.style.display = 'inline-block';
+        updateBtn.disabled = false;
+        this.renderTabs();
+    }
+    
+    /**
+     * Turns tabs editing a deleted dataset back into drafts
+     * The active tab is cleared, as the editor was before tabs.
+     * @param {string} datasetId - Deleted dataset ID
+     */
+    releaseDataset(datasetId) {
+        queryDraftStore.getAll()
+            .filter(tab => tab.datasetId === datasetId)
+            .forEach(tab => {
+                if (tab.id === this.activeTabId) {
+                    this.clearQuery();
+                } else {
+                    queryDraftStore.detachDataset(tab.id);
+                }
+            });
+        this.renderTabs();
+    }
+    
     /**
      * Updates the preview display based on current preview limit
      * without re-running the query
@@ -192,58 +513,63 @@ export class QueryBuilder {
     
     /**
      * Adds a column to the query and regenerates SQL
+     * Dropping a column that is already selected removes it. When the builder cannot show the query, the
+     * column is inserted at the cursor instead, so the hand-written SQL is kept.
      * @param {string} tableName - Name of the table
      * @param {string} columnName - Name of the column
      */
     addColumnToQuery(tableName, columnName) {
-        // Check if column is already selected
-        const existingIndex = this.selectedColumns.findIndex(
-            col => col.table === tableName && col.column === columnName
+        const reference = this.getSelectionReference(tableName);
+        
+        if (this.selectionsReason) {
+            this.insertText(`${quoteIdentifier(reference.alias)}.${quoteIdentifier(columnName)}`);
+            return;
+        }
+        
+        const columns = this.selections.columns;
+        const existingIndex = columns.findIndex(col => 
+            !col.aggregate &&
+            col.alias.toLowerCase() === reference.alias.toLowerCase() &&
+            col.column.toLowerCase() === columnName.toLowerCase()
         );
         
         if (existingIndex === -1) {
-            // Add new column
-            this.selectedColumns.push({ table: tableName, column: columnName });
-            this.selectedTables.add(tableName);
+            columns.push({ ...reference, column: columnName, aggregate: null, outputName: null });
         } else {
-            // Remove if already selected (toggle behavior)
-            this.selectedColumns.splice(existingIndex, 1);
-            // Check if table is still needed
-            const tableStillNeeded = this.selectedColumns.some(col => col.table === tableName);
-            if (!tableStillNeeded) {
-                this.selectedTables.delete(tableName);
-            }
+            // Remove if already selected (toggle behavior), with its sort order
+            const [removed] = columns.splice(existingIndex, 1);
+            this.selections.sort = this.selections.sort.filter(sort => !this.isSameSelection(sort, removed));
         }
         
         // Regenerate query
         this.generateQueryFromSelections();
+        this.renderSelections();
+    }
+    
+    /**
+     * Gets how the query refers to a table: by its alias when the query has the table, else by its name
+     * @param {string} tableName - Table name
+     * @returns {{table: string, alias: string}}
+     */
+    getSelectionReference(tableName) {
+        const graph = this.selectionsGraph;
+        const references = graph.from ? [graph.from, ...graph.joins] : [];
+        const existing = references.find(ref => ref.table.toLowerCase() === tableName.toLowerCase());
+        return existing ? { table: existing.table, alias: existing.alias } : { table: tableName, alias: tableName };
     }
     
     /**
-     * Generates SQL query from selected columns and tables
+     * Generates SQL query from the builder's selections
+     * The query's tables and joins are kept; tables the selections add are joined on their relationships.
      */
     generateQueryFromSelections() {
-        if (this.selectedColumns.length === 0) {
+        if (this.selections.columns.length === 0) {
             this.editor.value = '';
+            this.editor.dispatchEvent(new Event('input'));
             return;
         }
         
-        // Build SELECT clause
-        const selectClause = this.selectedColumns
-            .map(col => `${col.table}.${col.column}`)
-            .join(', ');
-        
-        // Determine primary table (first table selected)
-        const primaryTable = Array.from(this.selectedTables)[0];
-        
-        // Build FROM clause
-        let fromClause = primaryTable;
-        
-        // Build JOIN clauses
-        const joinClauses = this.buildJoinClauses(primaryTable);
-        
-        // Combine into full query
-        const query = `SELECT ${selectClause}\nFROM ${fromClause}${joinClauses.length > 0 ? '\n' + joinClauses.join('\n') : ''}`;
+        const query = selectionsToSQL(this.selections, this.buildSelectionsFromClause());
         
         // Update editor
         this.editor.value = query;
@@ -252,12 +578,42 @@ export class QueryBuilder {
         this.editor.dispatchEvent(new Event('input'));
     }
     
+    /**
+     * Builds the FROM clause for the builder's selections
+     * @returns {string} FROM clause, with its joins
+     */
+    buildSelectionsFromClause() {
+        const { selections } = this;
+        const referenced = [...selections.columns, ...selections.filters, ...selections.sort]
+            .filter(ref => ref.table);
+        
+        let graph = this.selectionsGraph;
+        if (!graph.from) {
+            const primary = referenced[0];
+            graph = { from: { table: primary.table, alias: primary.alias }, joins: [] };
+        }
+        
+        const references = [graph.from, ...graph.joins];
+        const missingTables = [];
+        referenced.forEach(ref => {
+            const known = references.some(existing => existing.alias.toLowerCase() === ref.alias.toLowerCase()) ||
+                missingTables.some(table => table.toLowerCase() === ref.table.toLowerCase());
+            if (!known) {
+                missingTables.push(ref.table);
+            }
+        });
+        
+        const joinClauses = this.buildJoinClauses(references, missingTables);
+        return [buildFromClause(graph), ...joinClauses].join('\n');
+    }
+    
     /**
      * Builds JOIN clauses based on table relationships
-     * @param {string} primaryTable - Primary table name
+     * @param {Array<{table: string, alias: string}>} references - Tables already in the query
+     * @param {string[]} tables - Tables to join
      * @returns {string[]} Array of JOIN clause strings
      */
-    buildJoinClauses(primaryTable) {
+    buildJoinClauses(references, tables) {
         const joins = [];
         const allTables = getAllTables();
         const tableMap = {};
@@ -265,35 +621,34 @@ export class QueryBuilder {
             tableMap[t.name.toLowerCase()] = t;
         });
         
-        // Define relationships (foreign key patterns)
-        const relationships = {
-            'results': [
-                { foreignKey: 'sample_id', references: 'samples', referenceKey: 'sample_id' },
-                { foreignKey: 'test_id', references: 'tests', referenceKey: 'test_id' },
-                { foreignKey: 'technician_id', references: 'technicians', referenceKey: 'technician_id' }
-            ],
-            'samples': [
-                { foreignKey: 'lab_id', references: 'labs', referenceKey: 'lab_id' }
-            ],
-            'technicians': [
-                { foreignKey: 'lab_id', references: 'labs', referenceKey: 'lab_id' }
-            ]
-        };
+        // Foreign keys declared in the schema catalog
+        const relationships = getTableRelationships();
         
-        const processedTables = new Set([primaryTable.toLowerCase()]);
-        const tablesToProcess = Array.from(this.selectedTables).filter(t => t.toLowerCase() !== primaryTable.toLowerCase());
+        const joined = [...references];
+        const processedTables = new Set(references.map(ref => ref.table.toLowerCase()));
         
         // Try to join tables in order
-        for (const table of tablesToProcess) {
+        for (const table of tables) {
             const tableLower = table.toLowerCase();
             if (processedTables.has(tableLower)) continue;
             
-            // Find a relationship path
-            const joinPath = this.findJoinPath(primaryTable, table, relationships, tableMap, processedTables);
-            if (joinPath) {
-                joins.push(...joinPath);
-                processedTables.add(tableLower);
+            // Find a relationship path from any table in the query
+            let joinPath = null;
+            for (const from of joined) {
+                joinPath = this.findJoinPath(from, table, relationships, tableMap, processedTables);
+                if (joinPath) break;
             }
+            
+            if (!joinPath) {
+                console.warn('[QueryBuilder.buildJoinClauses] No relationship links the table to the query', { table });
+                continue;
+            }
+            
+            joinPath.forEach(join => {
+                joins.push(join.clause);
+                joined.push({ table: join.table, alias: join.table });
+                processedTables.add(join.table.toLowerCase());
+            });
         }
         
         return joins;
@@ -301,22 +656,23 @@ export class QueryBuilder {
     
     /**
      * Finds a join path between two tables
-     * @param {string} fromTable - Starting table
+     * @param {{table: string, alias: string}} from - Starting table, and the name the query uses for it
      * @param {string} toTable - Target table
      * @param {Object} relationships - Relationship definitions
      * @param {Object} tableMap - Map of table names to table definitions
      * @param {Set} processedTables - Set of already processed tables
-     * @returns {string[]|null} Array of JOIN clauses or null if no path found
+     * @returns {Array<{table: string, clause: string}>|null} Joined tables and their JOIN clauses, or null if no path found
      */
-    findJoinPath(fromTable, toTable, relationships, tableMap, processedTables) {
-        const fromLower = fromTable.toLowerCase();
+    findJoinPath(from, toTable, relationships, tableMap, processedTables) {
+        const fromTable = from.alias;
+        const fromLower = from.table.toLowerCase();
         const toLower = toTable.toLowerCase();
         
         // Direct relationship from fromTable to toTable
         if (relationships[fromLower]) {
             const rel = relationships[fromLower].find(r => r.references.toLowerCase() === toLower);
             if (rel) {
-                return [`LEFT JOIN ${toTable} ON ${fromTable}.${rel.foreignKey} = ${toTable}.${rel.referenceKey}`];
+                return [{ table: toTable, clause: `LEFT JOIN ${toTable} ON ${fromTable}.${rel.foreignKey} = ${toTable}.${rel.referenceKey}` }];
             }
         }
         
@@ -324,7 +680,7 @@ export class QueryBuilder {
         if (relationships[toLower]) {
             const rel = relationships[toLower].find(r => r.references.toLowerCase() === fromLower);
             if (rel) {
-                return [`LEFT JOIN ${toTable} ON ${fromTable}.${rel.referenceKey} = ${toTable}.${rel.foreignKey}`];
+                return [{ table: toTable, clause: `LEFT JOIN ${toTable} ON ${fromTable}.${rel.referenceKey} = ${toTable}.${rel.foreignKey}` }];
             }
         }
         
@@ -337,10 +693,10 @@ export class QueryBuilder {
             const toRel = rels.find(r => r.references.toLowerCase() === toLower);
             
             if (fromRel && toRel) {
-                const joins = [];
-                joins.push(`LEFT JOIN ${tableName} ON ${fromTable}.${fromRel.referenceKey} = ${tableName}.${fromRel.foreignKey}`);
-                joins.push(`LEFT JOIN ${toTable} ON ${tableName}.${toRel.foreignKey} = ${toTable}.${toRel.referenceKey}`);
-                return joins;
+                return [
+                    { table: tableName, clause: `LEFT JOIN ${tableName} ON ${fromTable}.${fromRel.referenceKey} = ${tableName}.${fromRel.foreignKey}` },
+                    { table: toTable, clause: `LEFT JOIN ${toTable} ON ${tableName}.${toRel.foreignKey} = ${toTable}.${toRel.referenceKey}` }
+                ];
             }
         }
         
@@ -354,15 +710,440 @@ export class QueryBuilder {
             const toIdCol = toTableDef.columns.find(col => col.toLowerCase().includes('_id') || col.toLowerCase().endsWith('id'));
             
             if (fromIdCol && toIdCol && fromIdCol === toIdCol) {
-                return [`LEFT JOIN ${toTable} ON ${fromTable}.${fromIdCol} = ${toTable}.${toIdCol}`];
+                return [{ table: toTable, clause: `LEFT JOIN ${toTable} ON ${fromTable}.${fromIdCol} = ${toTable}.${toIdCol}` }];
             }
         }
         
         return null;
     }
     
+    /**
+     * Reads the builder's selections from the editor's SQL
+     * The builder panel is re-rendered only when they change, so typing in the editor keeps its focus.
+     */
+    syncSelectionsFromSQL() {
+        if (!this.editor) return;
+        
+        const { selections, graph, reason } = readSelections(this.editor.value);
+        const next = {
+            selections: selections || emptySelections(),
+            graph: selections ? graph : { from: null, joins: [] },
+            reason
+        };
+        const current = { selections: this.selections, graph: this.selectionsGraph, reason: this.selectionsReason };
+        if (JSON.stringify(next) === JSON.stringify(current)) return;
+        
+        this.selections = next.selections;
+        this.selectionsGraph = next.graph;
+        this.selectionsReason = next.reason;
+        this.renderSelections();
+    }
+    
+    /**
+     * Wires up the builder panel: selected columns and their aggregates, filters, sort order and limit
+     * Every change is written back to the editor as SQL.
+     */
+    setupSelectionsPanel() {
+        const toggleBtn = this.container.querySelector('#toggle-selections');
+        const panel = this.container.querySelector('#query-selections');
+        
+        if (!toggleBtn || !panel) return;
+        
+        toggleBtn.addEventListener('click', () => {
+            const visible = panel.style.display !== 'none';
+            panel.style.display = visible ? 'none' : 'flex';
+            toggleBtn.classList.toggle('active', !visible);
+            if (!visible) {
+                this.renderSelections();
+            }
+        });
+        
+        // Event delegation - the panel is re-rendered after every change
+        panel.addEventListener('change', (e) => this.handleSelectionChange(e.target));
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-selection-action]');
+            if (button) {
+                this.handleSelectionAction(button);
+            }
+        });
+    }
+    
+    /**
+     * Renders the builder panel from the current selections
+     */
+    renderSelections() {
+        const panel = this.container.querySelector('#query-selections');
+        if (!panel || panel.style.display === 'none') return;
+        
+        if (this.selectionsReason) {
+            panel.innerHTML = `
+                <div class="selections-unsupported">
+                    <span class="material-symbols-outlined">info</span>
+                    <span>${this.escapeHtml(this.selectionsReason)} Edit the SQL directly, or clear it to use the builder.</span>
+                </div>
+            `;
+            return;
+        }
+        
+        const { columns, filters, sort, limit } = this.selections;
+        const option = (value, label, selected) =>
+            `<option value="${this.escapeHtml(value)}"${selected ? ' selected' : ''}>${this.escapeHtml(label)}</option>`;
+        const removeButton = (list, index) =>
+            `<button class="btn btn-sm btn-secondary selection-remove-btn" data-selection-action="remove" data-list="${list}" data-index="${index}" title="Remove">&times;</button>`;
+        
+        const columnRows = columns.map((col, index) => {
+            const aggregates = col.column === '*' ? ['COUNT'] : SELECTION_AGGREGATES;
+            return `
+                <div class="selection-row">
+                    <span class="selection-column-name">${this.escapeHtml(describeColumn({ ...col, aggregate: null }))}</span>
+                    <select class="selection-aggregate" data-index="${index}" title="Aggregate">
+                        ${option('', col.column === '*' ? 'All columns' : 'Value', !col.aggregate)}
+                        ${aggregates.map(agg => option(agg, agg, col.aggregate === agg)).join('')}
+                    </select>
+                    ${removeButton('columns', index)}
+                </div>
+            `;
+        }).join('');
+        
+        const tableOptions = getAllTables().map(table => `
+            <optgroup label="${this.escapeHtml(table.name)}">
+                ${table.columns.map(column => option(`${table.name}.${column}`, column, false)).join('')}
+            </optgroup>
+        `).join('');
+        
+        // Filters can use any column of the query's tables
+        const queryColumns = this.getSelectionQueryColumns();
+        const filterRows = filters.map((filter, index) => {
+            const key = `${filter.alias}.${filter.column}`;
+            const keys = queryColumns.some(ref => `${ref.alias}.${ref.column}` === key) ? queryColumns : [filter, ...queryColumns];
+            const hasValue = filter.operator !== 'IS NULL' && filter.operator !== 'IS NOT NULL';
+            return `
+                <div class="selection-row">
+                    <select class="selection-filter-column" data-index="${index}" title="Column">
+                        ${keys.map(ref => option(`${ref.alias}.${ref.column}`, `${ref.alias}.${ref.column}`, `${ref.alias}.${ref.column}` === key)).join('')}
+                    </select>
+                    <select class="selection-filter-operator" data-index="${index}" title="Operator">
+                        ${FILTER_OPERATORS.map(op => option(op, op, filter.operator === op)).join('')}
+                    </select>
+                    <input type="text" class="selection-filter-value" data-index="${index}" value="${this.escapeHtml(formatFilterInput(filter))}"
+                        placeholder="${filter.operator === 'IN' ? 'Values, comma separated' : 'Value or :parameter'}"${hasValue ? '' : ' style="display: none;"'}>
+                    ${removeButton('filters', index)}
+                </div>
+            `;
+        }).join('');
+        
+        // Sort keys are the selected columns and aggregates
+        const sortKeys = columns.filter(col => col.column !== '*' || col.aggregate);
+        const sortRows = sort.map((key, index) => {
+            const keys = sortKeys.some(col => this.isSameSelection(col, key)) ? sortKeys : [key, ...sortKeys];
+            return `
+                <div class="selection-row">
+                    <select class="selection-sort-column" data-index="${index}" title="Sort by">
+                        ${keys.map(col => option(describeColumn(col), describeColumn(col), this.isSameSelection(col, key))).join('')}
+                    </select>
+                    <select class="selection-sort-direction" data-index="${index}" title="Direction">
+                        ${option('ASC', 'Ascending', !key.descending)}
+                        ${option('DESC', 'Descending', key.descending)}
+                    </select>
+                    ${removeButton('sort', index)}
+                </div>
+            `;
+        }).join('');
+        
+        const groupBy = getGroupByColumns(this.selections).map(col => describeColumn(col));
+        
+        panel.innerHTML = `
+            <div class="selections-section">
+                <div class="selections-section-title">Columns</div>
+                ${columnRows || '<div class="selections-empty">Drag columns from the database tables into the editor, or add one:</div>'}
+                <select id="selection-add-column" class="selection-add-column">
+                    <option value="">Add column...</option>
+                    ${tableOptions}
+                </select>
+                <div class="selections-group-by">Grouped by: ${groupBy.length > 0 ? this.escapeHtml(groupBy.join(', ')) : '<em>not grouped</em>'}</div>
+            </div>
+            <div class="selections-section">
+                <div class="selections-section-title">Filters</div>
+                ${filterRows}
+                <button class="btn btn-sm btn-secondary" data-selection-action="add-filter"${columns.length > 0 ? '' : ' disabled'}>Add Filter</button>
+            </div>
+            <div class="selections-section">
+                <div class="selections-section-title">Sort</div>
+                ${sortRows}
+                <button class="btn btn-sm btn-secondary" data-selection-action="add-sort"${sortKeys.length > 0 ? '' : ' disabled'}>Add Sort</button>
+            </div>
+            <div class="selections-section">
+                <label for="selection-limit" class="selections-section-title">Limit</label>
+                <input type="number" id="selection-limit" class="selection-limit" min="1" step="1" placeholder="No limit"
+                    value="${limit ?? ''}"${columns.length > 0 ? '' : ' disabled'}>
+            </div>
+        `;
+    }
+    
+    /**
+     * Applies a change made in the builder panel to the selections and the editor
+     * @param {HTMLElement} target - Changed select or input
+     */
+    handleSelectionChange(target) {
+        const { selections } = this;
+        const index = Number(target.getAttribute('data-index'));
+        
+        if (target.id === 'selection-add-column') {
+            if (!target.value) return;
+            const separator = target.value.indexOf('.');
+            const tableName = target.value.slice(0, separator);
+            const columnName = target.value.slice(separator + 1);
+            const reference = this.getSelectionReference(tableName);
+            const selected = selections.columns.some(col => this.isSameSelection(col, { ...reference, column: columnName, aggregate: null }));
+            if (selected) {
+                target.value = '';
+            } else {
+                this.addColumnToQuery(tableName, columnName);
+            }
+            return;
+        }
+        
+        if (target.classList.contains('selection-aggregate')) {
+            const col = selections.columns[index];
+            const aggregate = target.value || null;
+            // Keep sorting by the column once it is aggregated
+            selections.sort.forEach(sort => {
+                if (this.isSameSelection(sort, col)) {
+                    sort.aggregate = aggregate;
+                }
+            });
+            col.aggregate = aggregate;
+            col.outputName = aggregate ? defaultAggregateAlias(aggregate, col.column) : null;
+        } else if (target.classList.contains('selection-filter-column')) {
+            const ref = this.getSelectionQueryColumns().find(col => `${col.alias}.${col.column}` === target.value);
+            if (!ref) return;
+            Object.assign(selections.filters[index], ref);
+        } else if (target.classList.contains('selection-filter-operator')) {
+            // Carry the value over, e.g. a single value becomes the first of an IN list
+            const filter = selections.filters[index];
+            Object.assign(filter, parseFilterInput(formatFilterInput(filter), target.value), { operator: target.value });
+        } else if (target.classList.contains('selection-filter-value')) {
+            Object.assign(selections.filters[index], parseFilterInput(target.value, selections.filters[index].operator));
+        } else if (target.classList.contains('selection-sort-column')) {
+            const col = selections.columns.find(candidate => describeColumn(candidate) === target.value);
+            if (!col) return;
+            const { table, alias, column, aggregate } = col;
+            Object.assign(selections.sort[index], { table, alias, column, aggregate });
+        } else if (target.classList.contains('selection-sort-direction')) {
+            selections.sort[index].descending = target.value === 'DESC';
+        } else if (target.id === 'selection-limit') {
+            const limit = target.value === '' ? null : Number(target.value);
+            if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+                Modal.alert('The limit must be a whole number of at least 1.');
+                this.renderSelections();
+                return;
+            }
+            selections.limit = limit;
+        } else {
+            return;
+        }
+        
+        this.generateQueryFromSelections();
+        this.renderSelections();
+    }
+    
+    /**
+     * Handles the builder panel's add and remove buttons
+     * @param {HTMLElement} button - Clicked button
+     */
+    handleSelectionAction(button) {
+        const { selections } = this;
+        const action = button.getAttribute('data-selection-action');
+        
+        if (action === 'remove') {
+            const list = button.getAttribute('data-list');
+            const [removed] = selections[list].splice(Number(button.getAttribute('data-index')), 1);
+            if (list === 'columns') {
+                selections.sort = selections.sort.filter(sort => !this.isSameSelection(sort, removed));
+            }
+        } else if (action === 'add-filter') {
+            const [first] = this.getSelectionQueryColumns();
+            if (!first) return;
+            selections.filters.push({ ...first, operator: '=', value: '', kind: 'string' });
+        } else if (action === 'add-sort') {
+            const first = selections.columns.find(col => col.column !== '*' || col.aggregate);
+            if (!first) return;
+            const { table, alias, column, aggregate } = first;
+            selections.sort.push({ table, alias, column, aggregate, descending: false });
+        } else {
+            return;
+        }
+        
+        this.generateQueryFromSelections();
+        this.renderSelections();
+    }
+    
+    /**
+     * Gets every column of the tables in the editor's query, as the query refers to them
+     * @returns {Array<{table: string, alias: string, column: string}>}
+     */
+    getSelectionQueryColumns() {
+        const graph = this.selectionsGraph;
+        const references = graph.from ? [graph.from, ...graph.joins] : [];
+        const tables = getAllTables();
+        
+        return references.flatMap(ref => {
+            const table = tables.find(t => t.name.toLowerCase() === ref.table.toLowerCase());
+            return table ? table.columns.map(column => ({ table: ref.table, alias: ref.alias, column })) : [];
+        });
+    }
+    
+    // Same column of the same table reference, with the same aggregate
+    isSameSelection(a, b) {
+        return (a.alias || '').toLowerCase() === (b.alias || '').toLowerCase() &&
+            a.column.toLowerCase() === b.column.toLowerCase() &&
+            (a.aggregate || null) === (b.aggregate || null);
+    }
+    
     handleInput(e) {
+        this.syncSelectionsFromSQL();
         this.updateSuggestions();
+        this.updateParameterForm();
+        this.saveActiveTab();
+        this.lintSoon();
+    }
+    
+    /**
+     * Shows an input for each named parameter (:name or @name) in the editor's query
+     * Entered values are kept by name, so editing the query does not lose them.
+     */
+    updateParameterForm() {
+        const form = this.container.querySelector('#query-parameters');
+        if (!form || !this.editor) return;
+        
+        let names;
+        try {
+            names = findParameters(this.editor.value);
+        } catch (error) {
+            // Incomplete SQL (e.g. an unterminated string) - keep the current form until it tokenizes again
+            return;
+        }
+        
+        // Re-rendering would take focus away from the input being typed in
+        if (form.dataset.parameters === names.join(',')) return;
+        form.dataset.parameters = names.join(',');
+        form.innerHTML = '';
+        form.style.display = names.length > 0 ? 'flex' : 'none';
+        if (names.length === 0) return;
+        
+        const title = document.createElement('span');
+        title.className = 'query-parameters-title';
+        title.textContent = 'Parameters:';
+        form.appendChild(title);
+        
+        names.forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'query-parameter';
+            
+            const caption = document.createElement('span');
+            caption.textContent = `:${name}`;
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'query-parameter-input';
+            input.setAttribute('data-parameter', name);
+            input.value = this.parameterValues[name] ?? '';
+            input.addEventListener('input', () => {
+                this.parameterValues[name] = input.value;
+                this.saveActiveTab();
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.executeQuery();
+                }
+            });
+            
+            label.appendChild(caption);
+            label.appendChild(input);
+            form.appendChild(label);
+        });
+    }
+    
+    /**
+     * Collects the entered values for the named parameters used by a query
+     * @param {string} sql - SQL query
+     * @returns {Object} Values keyed by parameter name ('' when nothing was entered)
+     */
+    getParameterBindings(sql) {
+        let names;
+        try {
+            names = findParameters(sql);
+        } catch (error) {
+            // The engine reports the syntax error when the query runs
+            return {};
+        }
+        
+        const bindings = {};
+        names.forEach(name => {
+            bindings[name] = this.parameterValues[name] ?? '';
+        });
+        return bindings;
+    }
+    
+    /**
+     * Pretty-prints the SQL in the editor
+     */
+    formatQuery() {
+        if (!this.editor || !this.editor.value.trim()) return;
+        
+        try {
+            const formatted = formatSQL(this.editor.value);
+            if (formatted === this.editor.value) return;
+            
+            this.editor.value = formatted;
+            this.hideSuggestions();
+            this.saveActiveTab();
+            this.updateLint();
+        } catch (error) {
+            // Only SQL that cannot be tokenized (e.g. an unterminated string) fails to format
+            console.warn('[QueryBuilder.formatQuery] Could not format query:', error.message);
+            this.showError(`Could not format the query: ${error.message}`, error.location || null);
+        }
+    }
+    
+    /**
+     * Lints the editor's SQL against the table metadata and lists the issues under the editor
+     * Clicking an issue selects the SQL it refers to.
+     */
+    updateLint() {
+        const panel = this.container.querySelector('#sql-lint');
+        if (!panel || !this.editor) return;
+        
+        let issues = [];
+        try {
+            issues = lintSQL(this.editor.value, getAllTables());
+        } catch (error) {
+            console.error('[QueryBuilder.updateLint] Error linting query:', {
+                error: error.message,
+                stack: error.stack
+            });
+        }
+        
+        panel.innerHTML = '';
+        panel.style.display = issues.length > 0 ? 'block' : 'none';
+        
+        issues.forEach(issue => {
+            const item = document.createElement('div');
+            item.className = `sql-lint-item sql-lint-${issue.severity}`;
+            item.setAttribute('data-rule', issue.rule);
+            item.innerHTML = `
+                <span class="material-icons sql-lint-icon">${issue.severity === 'error' ? 'error_outline' : 'warning_amber'}</span>
+                <span class="sql-lint-location">Line ${issue.location.line}, col ${issue.location.column}</span>
+                <span class="sql-lint-message">${this.escapeHtml(issue.message)}</span>
+            `;
+            item.addEventListener('click', () => {
+                const start = Math.min(issue.location.offset, this.editor.value.length);
+                this.editor.focus();
+                this.editor.setSelectionRange(start, Math.min(start + issue.location.length, this.editor.value.length));
+            });
+            panel.appendChild(item);
+        });
     }
     
     handleKeyDown(e) {
@@ -417,6 +1198,19 @@ export class QueryBuilder {
         } else {
             this.hideSuggestions();
         }
+        this.updateSignatureHint();
+    }
+    
+    /**
+     * Shows the signature of the function whose arguments are being typed, e.g. "ROUND(number [, decimals])"
+     */
+    updateSignatureHint() {
+        const hint = this.container.querySelector('#sql-signature-hint');
+        if (!hint || !this.editor) return;
+        
+        const signature = getFunctionSignature(this.editor.value, this.editor.selectionStart);
+        hint.textContent = signature || '';
+        hint.style.display = signature ? 'block' : 'none';
     }
     
     showSuggestions() {
@@ -429,6 +1223,7 @@ export class QueryBuilder {
             return `
                 <div class="suggestion-item ${index === this.selectedSuggestionIndex ? 'selected' : ''}" data-index="${index}">
                     <span class="suggestion-text">${this.escapeHtml(suggestion.text)}</span>
+                    ${suggestion.detail ? `<span class="suggestion-detail">${this.escapeHtml(suggestion.detail)}</span>` : ''}
                     <span class="suggestion-type ${typeClass}">${suggestion.type}</span>
                 </div>
             `;
@@ -490,6 +1285,7 @@ export class QueryBuilder {
         textarea.focus();
         
         this.hideSuggestions();
+        this.saveActiveTab();
     }
     
     positionSuggestions() {
@@ -518,49 +1314,60 @@ export class QueryBuilder {
         const query = this.editor.value.trim();
         const saveBtn = this.container.querySelector('#save-dataset');
         const runBtn = this.container.querySelector('#run-query');
+        const cancelBtn = this.container.querySelector('#cancel-query');
         const previewLimitSelect = this.container.querySelector('#preview-limit');
         
+        // Keep the draft in sync with programmatic edits (drag and drop, history) before running
+        this.saveActiveTab();
+        
         if (!query) {
             this.showError('Please enter a SQL query.');
             return;
         }
         
+        // Every parameter in the query needs a value from the parameter form
+        const bindings = this.getParameterBindings(query);
+        const missingParameter = Object.keys(bindings).find(name => bindings[name] === '');
+        if (missingParameter) {
+            this.showError(`Enter a value for parameter :${missingParameter} before running the query.`);
+            return;
+        }
+        
         // Get preview limit from selector (default to 10)
         const previewLimit = previewLimitSelect ? parseInt(previewLimitSelect.value, 10) : 10;
         
-        // Show loading state
+        // Show loading state, with Cancel available until the query finishes
         runBtn.disabled = true;
         runBtn.textContent = 'Running...';
+        this.abortController = new AbortController();
+        if (cancelBtn) {
+            cancelBtn.style.display = 'inline-block';
+            cancelBtn.disabled = false;
+        }
         this.showLoading();
         
+        const startedAt = Date.now();
+        
         try {
-            // Store the full query (without LIMIT/TOP) for saving datasets
-            // Remove any existing LIMIT or TOP from the query
-            let fullQuery = query;
-            
-            // Remove LIMIT clause if present
-            const existingLimitMatch = /\blimit\s+\d+\b/i.exec(fullQuery);
-            if (existingLimitMatch) {
-                // Remove LIMIT clause from query
-                fullQuery = fullQuery.substring(0, existingLimitMatch.index).trim();
-                // Remove trailing semicolon if present
-                if (fullQuery.endsWith(';')) {
-                    fullQuery = fullQuery.slice(0, -1).trim();
-                }
-            }
+            // The query runs and is saved as written, with its LIMIT/OFFSET or TOP (e.g. a "top 10" dataset);
+            // the preview limit only applies to the rows displayed
+            this.fullQuery = query;
+            
+            const fullSqlResult = await executeSQL(query, 500, bindings, { signal: this.abortController.signal });
+            this.recordHistory(query, bindings, startedAt, {
+                status: 'success',
+                rowCount: fullSqlResult.rows ? fullSqlResult.rows.length : 0
+            });
             
-            // Remove TOP clause if present (SQL Server syntax)
-            const existingTopMatch = /select\s+top\s+\d+\s+/i.exec(fullQuery);
-            if (existingTopMatch) {
-                // Replace "SELECT TOP N " with "SELECT "
-                fullQuery = fullQuery.replace(/select\s+top\s+\d+\s+/i, 'SELECT ');
+            // EXPLAIN returns a query plan rather than data - nothing to preview or save
+            if (fullSqlResult.plan) {
+                this.currentResult = null;
+                this.totalRecordCount = null;
+                this.updateTotalRecordsIndicator();
+                this.displayPlan(fullSqlResult.plan);
+                return;
             }
             
-            this.fullQuery = fullQuery;
-            
-            // Execute the FULL query (no LIMIT) to get all data
-            const fullSqlResult = await executeSQL(fullQuery, 500);
-            
             // Get total count from full result
             const totalCount = fullSqlResult.rows ? fullSqlResult.rows.length : 0;
             this.totalRecordCount = totalCount;
@@ -589,7 +1396,8 @@ export class QueryBuilder {
                 name: 'Query Result',
                 data: fullData, // Store ALL data
                 columns: fullSqlResult.columns,
-                query: this.fullQuery || query || (this.editor ? this.editor.value.trim() : '')
+                query: this.fullQuery || query || (this.editor ? this.editor.value.trim() : ''),
+                parameters: bindings // Saved with the dataset as its default parameter values
             };
             
             // Store the full result
@@ -610,6 +1418,16 @@ export class QueryBuilder {
             this.displayResults(previewResult);
             saveBtn.disabled = false;
         } catch (error) {
+            // A cancelled run is not an error - the engine has already recorded it
+            if (error.name === 'AbortError') {
+                console.log('[QueryBuilder.executeQuery] Query cancelled');
+                this.recordHistory(query, bindings, startedAt, { status: 'cancelled' });
+                this.showCancelled();
+                this.currentResult = null;
+                saveBtn.disabled = true;
+                return;
+            }
+            
             // Log error with context for debugging
             console.error('[QueryBuilder.executeQuery] Error executing query:', {
                 error: error.message,
@@ -617,6 +1435,7 @@ export class QueryBuilder {
                 query: query?.substring(0, 100) + (query?.length > 100 ? '...' : ''),
                 timestamp: new Date().toISOString()
             });
+            this.recordHistory(query, bindings, startedAt, { status: 'error', error: error.message });
             
             // Provide user-friendly error messages
             let errorMessage = 'An error occurred while executing the query.';
@@ -637,13 +1456,237 @@ export class QueryBuilder {
                 }
             }
             
-            this.showError(errorMessage);
+            this.showError(errorMessage, error.location ? this.mapErrorLocation(error.location) : null);
             this.currentResult = null;
             saveBtn.disabled = true;
         } finally {
             // Reset button state
             runBtn.disabled = false;
             runBtn.textContent = 'Run Query';
+            this.abortController = null;
+            if (cancelBtn) {
+                cancelBtn.style.display = 'none';
+            }
+        }
+    }
+    
+    /**
+     * Cancels the running query, if any
+     */
+    cancelQuery() {
+        if (!this.abortController) return;
+        
+        const cancelBtn = this.container.querySelector('#cancel-query');
+        if (cancelBtn) {
+            cancelBtn.disabled = true;
+        }
+        this.abortController.abort();
+    }
+    
+    showCancelled() {
+        const thead = this.container.querySelector('#results-thead');
+        const tbody = this.container.querySelector('#results-tbody');
+        
+        thead.innerHTML = '';
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="100%" class="empty-placeholder">Query cancelled. Run it again to see results.</td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * Wires up the query history panel: search, size limit, clear and the per-entry actions
+     */
+    setupHistoryPanel() {
+        const toggleBtn = this.container.querySelector('#toggle-history');
+        const panel = this.container.querySelector('#query-history');
+        const searchInput = this.container.querySelector('#query-history-search');
+        const sizeInput = this.container.querySelector('#query-history-size');
+        const clearBtn = this.container.querySelector('#clear-history');
+        const list = this.container.querySelector('#query-history-list');
+        
+        if (!toggleBtn || !panel || !list) return;
+        
+        toggleBtn.addEventListener('click', () => {
+            const visible = panel.style.display !== 'none';
+            panel.style.display = visible ? 'none' : 'block';
+            toggleBtn.classList.toggle('active', !visible);
+            if (!visible) {
+                this.renderHistory();
+            }
+        });
+        
+        if (searchInput) {
+            searchInput.addEventListener('input', () => this.renderHistory());
+        }
+        
+        if (sizeInput) {
+            sizeInput.value = queryHistoryStore.getMaxEntries();
+            sizeInput.addEventListener('change', () => {
+                try {
+                    queryHistoryStore.setMaxEntries(sizeInput.value);
+                    this.renderHistory();
+                } catch (error) {
+                    Modal.alert(error.message);
+                }
+                sizeInput.value = queryHistoryStore.getMaxEntries();
+            });
+        }
+        
+        if (clearBtn) {
+            clearBtn.addEventListener('click', async () => {
+                const confirmed = await Modal.confirm('Clear the query history? Starred queries are kept.');
+                if (confirmed) {
+                    queryHistoryStore.clear();
+                    this.renderHistory();
+                }
+            });
+        }
+        
+        // Event delegation - the list is re-rendered after every change
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-history-id]');
+            if (!button) return;
+            
+            const id = button.getAttribute('data-history-id');
+            if (button.classList.contains('history-pin-btn')) {
+                const entry = queryHistoryStore.get(id);
+                if (entry) {
+                    queryHistoryStore.setPinned(id, !entry.pinned);
+                    this.renderHistory();
+                }
+            } else if (button.classList.contains('history-open-btn')) {
+                this.openHistoryEntry(id);
+            } else if (button.classList.contains('history-rerun-btn')) {
+                this.rerunHistoryEntry(id);
+            } else if (button.classList.contains('history-delete-btn')) {
+                queryHistoryStore.delete(id);
+                this.renderHistory();
+            }
+        });
+    }
+    
+    /**
+     * Adds a finished run to the query history
+     * @param {string} query - SQL as entered in the editor
+     * @param {Object} bindings - Parameter values the query ran with
+     * @param {number} startedAt - Start time in milliseconds since the epoch
+     * @param {Object} outcome - { status, rowCount, error }
+     */
+    recordHistory(query, bindings, startedAt, outcome) {
+        try {
+            queryHistoryStore.record({
+                sql: query,
+                parameters: bindings,
+                duration: Date.now() - startedAt,
+                ...outcome
+            });
+        } catch (error) {
+            console.error('[QueryBuilder.recordHistory] Error recording query history:', {
+                error: error.message,
+                status: outcome.status
+            });
+        }
+        
+        const panel = this.container.querySelector('#query-history');
+        if (panel && panel.style.display !== 'none') {
+            this.renderHistory();
+        }
+    }
+    
+    /**
+     * Renders the history entries that match the search box
+     */
+    renderHistory() {
+        const list = this.container.querySelector('#query-history-list');
+        if (!list) return;
+        
+        const searchInput = this.container.querySelector('#query-history-search');
+        const entries = queryHistoryStore.getAll({ search: searchInput ? searchInput.value : '' });
+        
+        if (entries.length === 0) {
+            list.innerHTML = `<div class="empty-state-small">${searchInput && searchInput.value.trim() ? 'No queries match your search' : 'No queries run yet'}</div>`;
+            return;
+        }
+        
+        list.innerHTML = entries.map(entry => {
+            const ranAt = new Date(entry.timestamp).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+            let outcome;
+            if (entry.status === 'success') {
+                outcome = `${entry.rowCount.toLocaleString()} row${entry.rowCount === 1 ? '' : 's'}`;
+            } else if (entry.status === 'cancelled') {
+                outcome = 'Cancelled';
+            } else {
+                outcome = this.escapeHtml(entry.error || 'Error');
+            }
+            
+            return `
+                <div class="query-history-item query-history-${entry.status}${entry.pinned ? ' pinned' : ''}" data-history-id="${entry.id}">
+                    <button type="button" class="btn btn-sm btn-icon history-pin-btn" title="${entry.pinned ? 'Unstar' : 'Star'}" data-history-id="${entry.id}">
+                        <span class="material-icons" style="font-size: 16px; pointer-events: none;">${entry.pinned ? 'star' : 'star_border'}</span>
+                    </button>
+                    <div class="query-history-info">
+                        <div class="query-history-sql" title="${this.escapeHtml(entry.sql)}">${this.escapeHtml(entry.sql)}</div>
+                        <div class="query-history-meta">
+                            <span class="query-history-status">${entry.status}</span>
+                            <span>${ranAt}</span>
+                            <span>${entry.duration.toLocaleString()} ms</span>
+                            <span class="query-history-outcome">${outcome}</span>
+                        </div>
+                    </div>
+                    <div class="query-history-actions">
+                        <button type="button" class="btn btn-sm btn-icon history-open-btn" title="Open in Editor" data-history-id="${entry.id}">
+                            <span class="material-icons" style="font-size: 16px; pointer-events: none;">edit</span>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-icon history-rerun-btn" title="Re-run" data-history-id="${entry.id}">
+                            <span class="material-icons" style="font-size: 16px; pointer-events: none;">play_arrow</span>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-icon history-delete-btn" title="Remove from History" data-history-id="${entry.id}">
+                            <span class="material-icons" style="font-size: 16px; pointer-events: none;">delete</span>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Loads a history entry's SQL and parameter values into the editor
+     * @param {string} id - History entry ID
+     * @returns {boolean} Whether the entry was found
+     */
+    openHistoryEntry(id) {
+        const entry = queryHistoryStore.get(id);
+        if (!entry || !this.editor) return false;
+        
+        this.editor.value = entry.sql;
+        this.parameterValues = { ...this.parameterValues, ...entry.parameters };
+        // Force the parameter inputs to re-render with the restored values
+        const form = this.container.querySelector('#query-parameters');
+        if (form) {
+            delete form.dataset.parameters;
+        }
+        this.updateParameterForm();
+        this.updateLint();
+        this.hideSuggestions();
+        this.saveActiveTab();
+        this.editor.focus();
+        return true;
+    }
+    
+    /**
+     * Opens a history entry in the editor and runs it again
+     * @param {string} id - History entry ID
+     */
+    async rerunHistoryEntry(id) {
+        if (this.openHistoryEntry(id)) {
+            await this.executeQuery();
         }
     }
     
@@ -743,6 +1786,57 @@ export class QueryBuilder {
         saveBtn.disabled = false;
     }
     
+    /**
+     * Displays an EXPLAIN plan tree in the results table, one row per step
+     * Child steps are indented under the step that consumes their rows.
+     * @param {Object} plan - Plan tree ({operation, detail, estimatedRows, actualRows, executions, children})
+     */
+    displayPlan(plan) {
+        const thead = this.container.querySelector('#results-thead');
+        const tbody = this.container.querySelector('#results-tbody');
+        const saveBtn = this.container.querySelector('#save-dataset');
+        
+        thead.innerHTML = '';
+        tbody.innerHTML = '';
+        
+        const headerRow = document.createElement('tr');
+        ['Operation', 'Detail', 'Estimated Rows', 'Actual Rows', 'Executions'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        
+        const addStep = (step, depth) => {
+            const tr = document.createElement('tr');
+            tr.classList.add('plan-step');
+            
+            const operationCell = document.createElement('td');
+            operationCell.className = 'plan-operation';
+            operationCell.style.paddingLeft = `${12 + depth * 20}px`;
+            operationCell.textContent = depth > 0 ? `└ ${step.operation}` : step.operation;
+            tr.appendChild(operationCell);
+            
+            const detailCell = document.createElement('td');
+            detailCell.className = 'plan-detail';
+            detailCell.textContent = step.detail;
+            tr.appendChild(detailCell);
+            
+            [step.estimatedRows, step.actualRows, step.executions].forEach(value => {
+                const td = document.createElement('td');
+                td.classList.add('numeric');
+                td.textContent = this.formatCellValue(value);
+                tr.appendChild(td);
+            });
+            
+            tbody.appendChild(tr);
+            step.children.forEach(child => addStep(child, depth + 1));
+        };
+        addStep(plan, 0);
+        
+        saveBtn.disabled = true;
+    }
+    
     /**
      * Calculates metadata for all columns
      * @param {Object} result - Result object with data and columns
@@ -949,23 +2043,76 @@ export class QueryBuilder {
         return typeof value === 'number' && !isNaN(value);
     }
     
-    showError(message) {
+    /**
+     * Shows an error in the results table, highlighting its position in the editor when known
+     * @param {string} message - Error message
+     * @param {{offset: number, line: number, column: number, length: number}|null} location - Error position in the editor text
+     */
+    showError(message, location = null) {
         const thead = this.container.querySelector('#results-thead');
         const tbody = this.container.querySelector('#results-tbody');
         const saveBtn = this.container.querySelector('#save-dataset');
         
+        let locationHtml = '';
+        if (location && this.editor) {
+            // The location is rendered separately, so drop the "(line X, column Y)" suffix from the message
+            message = message.replace(/\s*\(line \d+, column \d+\)$/, '');
+            
+            const lineText = this.editor.value.split('\n')[location.line - 1] || '';
+            const caret = ' '.repeat(location.column - 1) + '^'.repeat(Math.max(1, location.length));
+            locationHtml = `
+                <div class="error-location">Line ${location.line}, column ${location.column}</div>
+                <pre class="error-excerpt">${this.escapeHtml(lineText)}\n${caret}</pre>
+            `;
+            this.highlightEditorError(location);
+        }
+        
         thead.innerHTML = '';
         tbody.innerHTML = `
             <tr>
                 <td colspan="100%" class="error-message">
                     <div class="error-icon">⚠️</div>
-                    <div class="error-text">${this.escapeHtml(message)}</div>
+                    <div class="error-text">${this.escapeHtml(message)}${locationHtml}</div>
                 </td>
             </tr>
         `;
         saveBtn.disabled = true;
     }
     
+    /**
+     * Selects the erroneous text in the editor and marks the editor until it is edited again
+     * @param {{offset: number, length: number}} location - Error position in the editor text
+     */
+    highlightEditorError(location) {
+        const start = Math.min(location.offset, this.editor.value.length);
+        const end = Math.min(start + Math.max(1, location.length), this.editor.value.length);
+        
+        this.editor.classList.add('sql-editor-error');
+        this.editor.addEventListener('input', () => {
+            this.editor.classList.remove('sql-editor-error');
+        }, { once: true });
+        
+        this.editor.focus();
+        this.editor.setSelectionRange(start, end);
+    }
+    
+    /**
+     * Maps an error location in the executed query back to the editor text
+     * The executed query is the editor text, trimmed.
+     * @param {{offset: number, length: number}} location - Location reported by the SQL engine
+     * @returns {{offset: number, line: number, column: number, length: number}}
+     */
+    mapErrorLocation(location) {
+        const text = this.editor.value;
+        const offset = location.offset + (text.length - text.trimStart().length);
+        
+        const before = text.substring(0, offset);
+        const line = before.split('\n').length;
+        const column = offset - before.lastIndexOf('\n');
+        
+        return { offset, line, column, length: location.length };
+    }
+    
     /**
      * Escapes HTML special characters to prevent XSS
      * @param {string} text - Text to escape
@@ -984,10 +2131,10 @@ export class QueryBuilder {
         if (this.editor) {
             this.editor.value = '';
         }
-        
-        // Reset selections
-        this.selectedColumns = [];
-        this.selectedTables.clear();
+        this.updateParameterForm();
+        this.updateLint();
+        this.updateSignatureHint();
+        this.syncSelectionsFromSQL();
         
         const thead = this.container.querySelector('#results-thead');
         const tbody = this.container.querySelector('#results-tbody');
@@ -1009,6 +2156,12 @@ export class QueryBuilder {
         this.fullQuery = null;
         this.totalRecordCount = null;
         this.updateTotalRecordsIndicator();
+        
+        // The tab becomes an empty draft
+        if (this.activeTabId) {
+            queryDraftStore.detachDataset(this.activeTabId);
+            this.saveActiveTab();
+        }
     }
     
     /**
@@ -1085,7 +2238,7 @@ export class QueryBuilder {
                 });
             });
             
-            // Get the SQL query - use full query (without LIMIT) for saving
+            // Save the query as it was run, with its LIMIT
             const sqlQuery = this.fullQuery || this.currentResult.query || (this.editor ? this.editor.value.trim() : '');
             
             // Create dataset with SQL, columns, and rows
@@ -1093,7 +2246,8 @@ export class QueryBuilder {
                 datasetName.trim(),
                 sqlQuery,
                 columns,
-                rows
+                rows,
+                this.currentResult.parameters || {}
             );
             
             console.log('[QueryBuilder.saveAsDataset] Dataset saved successfully', {
@@ -1103,6 +2257,9 @@ export class QueryBuilder {
                 rows: dataset.rows.length
             });
             
+            // The tab now edits the saved dataset, so further changes go through Update Dataset
+            this.bindActiveTab(dataset);
+            
             // Notify listeners
             this.notifyDatasetCreated(dataset);
             
@@ -1147,6 +2304,34 @@ export class QueryBuilder {
         this.datasetCallbacks.forEach(callback => callback(dataset));
     }
     
+    /**
+     * Sets a callback for when the SQL in the editor changes (typing, tab switches, loaded datasets)
+     * @param {Function} callback - Called with the editor's SQL
+     */
+    onQueryChange(callback) {
+        this.queryChangeCallbacks.push(callback);
+    }
+    
+    notifyQueryChange() {
+        if (!this.editor) return;
+        this.queryChangeCallbacks.forEach(callback => callback(this.editor.value));
+    }
+    
+    /**
+     * Replaces the SQL in the editor, e.g. with a query edited in the join designer
+     * @param {string} sql - New SQL
+     */
+    replaceQuery(sql) {
+        if (!this.editor || this.editor.value === sql) return;
+        
+        this.editor.value = sql;
+        this.syncSelectionsFromSQL();
+        this.hideSuggestions();
+        this.updateParameterForm();
+        this.updateLint();
+        this.saveActiveTab();
+    }
+    
     /**
      * Inserts text at the current cursor position in the SQL editor
      * @param {string} text - Text to insert
@@ -1166,6 +2351,7 @@ export class QueryBuilder {
         const newPosition = start + text.length;
         textarea.setSelectionRange(newPosition, newPosition);
         textarea.focus();
+        this.saveActiveTab();
     }
     
     
@@ -1196,14 +2382,45 @@ export class QueryBuilder {
                 return;
             }
             
+            // Each dataset opens in its own tab; an existing tab with unsaved edits is shown as it is
+            const existingTab = queryDraftStore.getAll().find(tab => tab.datasetId === datasetId);
+            const activeTab = queryDraftStore.getActive();
+            let opened;
+            if (existingTab) {
+                opened = this.switchTab(existingTab.id);
+                if (opened && queryDraftStore.isDirty(existingTab.id)) {
+                    this.editor.focus();
+                    return;
+                }
+            } else if (activeTab && !activeTab.datasetId && !queryDraftStore.isDirty(activeTab.id)) {
+                // Reuse an empty draft rather than leaving it behind
+                opened = true;
+            } else {
+                opened = Boolean(this.newTab());
+            }
+            
+            if (!opened) {
+                await Modal.alert('Wait for the running query to finish (or cancel it) before opening another dataset.');
+                return;
+            }
+            
             const saveBtn = this.container.querySelector('#save-dataset');
             const updateBtn = this.container.querySelector('#update-dataset');
             
-            // Load SQL into editor
+            // Load SQL into editor, with the dataset's default parameter values
             this.editor.value = dataset.sql || '';
+            this.parameterValues = { ...this.parameterValues, ...(dataset.parameters || {}) };
+            this.updateParameterForm();
+            this.updateLint();
             
             // Set current dataset ID for updating
             this.currentDatasetId = datasetId;
+            queryDraftStore.update(this.activeTabId, {
+                title: dataset.name,
+                datasetId,
+                savedSql: this.editor.value
+            });
+            this.saveActiveTab();
             
             // Show update button, hide save button
             if (saveBtn) {
@@ -1260,7 +2477,7 @@ export class QueryBuilder {
             
             const { datasetStore } = await import('../data/datasets.js');
             
-            // Use the full query (without LIMIT) for updating
+            // Update with the query as it was run, with its LIMIT
             const query = this.fullQuery || this.editor.value.trim();
             
             if (!query) {
@@ -1280,7 +2497,8 @@ export class QueryBuilder {
             const updated = datasetStore.update(this.currentDatasetId, {
                 sql: query,
                 columns: columns,
-                rows: rows
+                rows: rows,
+                parameters: this.currentResult.parameters || {}
             });
             
             if (updated) {
@@ -1289,6 +2507,12 @@ export class QueryBuilder {
                     datasetName: updated.name
                 });
                 
+                queryDraftStore.update(this.activeTabId, {
+                    title: updated.name,
+                    savedSql: this.editor.value
+                });
+                this.renderTabs();
+                
                 await Modal.alert(`Dataset "${updated.name}" updated successfully!`);
                 
                 // Refresh table browser if callback exists
@@ -1361,10 +2585,8 @@ export class QueryBuilder {
                     this.onDatasetDeletedCallback(datasetId, result.dataset);
                 }
                 
-                // If we were editing this dataset, clear the editor
-                if (this.currentDatasetId === datasetId) {
-                    this.clearQuery();
-                }
+                // Tabs editing this dataset go back to being drafts
+                this.releaseDataset(datasetId);
             } else {
                 console.error('[QueryBuilder.deleteDataset] Failed to delete dataset', { datasetId });
                 await Modal.alert('Failed to delete dataset.');
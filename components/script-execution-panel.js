@@ -414,7 +414,7 @@ export class ScriptExecutionPanel {
         // Get current dataset (read-only)
         const storedDataset = this.currentDataset ? datasetStore.get(this.currentDataset.id) : null;
         
-        // Get full dataset (re-execute SQL without LIMIT if available)
+        // Get full dataset (re-execute its SQL if available)
         const dataset = await this.getFullDataset(storedDataset);
         
         // Show loading state
@@ -1027,7 +1027,7 @@ export class ScriptExecutionPanel {
     }
     
     /**
-     * Gets the full dataset by re-executing SQL without LIMIT if available
+     * Gets the full dataset by re-executing its SQL if available
      * @param {Object} dataset - Dataset object (may have limited rows)
      * @returns {Promise<Object>} Dataset with all rows
      */
@@ -1036,18 +1036,12 @@ export class ScriptExecutionPanel {
             return dataset;
         }
         
-        // If dataset has SQL query, re-execute it without LIMIT to get all rows
+        // If dataset has SQL query, re-execute it to get all rows; its own LIMIT (e.g. a "top 10" dataset) is kept
         if (dataset.sql && dataset.sql.trim()) {
             try {
-                // Remove any existing LIMIT clause
-                let sqlWithoutLimit = dataset.sql
-                    .replace(/;\s*$/, '') // Remove trailing semicolon
-                    .replace(/\s+limit\s+\d+/gi, '') // Remove LIMIT clause
-                    .trim();
-                
-                // Re-execute query without LIMIT to get all rows
+                // Re-execute the query as saved, with the dataset's default parameter values
                 // Use a large number for the mock engine's row generation
-                const sqlResult = await executeSQL(sqlWithoutLimit, 10000);
+                const sqlResult = await executeSQL(dataset.sql.trim(), 10000, dataset.parameters || {});
                 
                 if (sqlResult && sqlResult.rows && sqlResult.rows.length > 0) {
                     // Return dataset with all rows
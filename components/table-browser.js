@@ -1,14 +1,36 @@
 // Table Browser Component
-// Displays available database tables in a sidebar
+// Displays available database tables and saved-dataset tables in a sidebar
 
 import { getAllTables } from '../utils/sql-engine.js';
+import { getColumnDefinition } from '../utils/schema-catalog.js';
+import { JoinDesigner } from './join-designer.js';
 
 /**
- * Determines the data type of a column based on its name
+ * Determines the display type of a column
+ * Columns declared in the schema catalog use their declared type and keys; others (saved datasets) are
+ * typed from their name.
+ * @param {string} tableName - Name of the table
  * @param {string} columnName - Name of the column
  * @returns {string} Data type: 'text', 'numeric', 'boolean', 'date', 'email', 'id'
  */
-function getColumnType(columnName) {
+function getColumnType(tableName, columnName) {
+    const definition = getColumnDefinition(tableName, columnName);
+    if (definition) {
+        if (definition.primaryKey || definition.references) return 'id';
+        if (definition.type === 'integer' || definition.type === 'decimal') return 'numeric';
+        if (definition.type === 'date') return 'date';
+        return 'text';
+    }
+    
+    return guessColumnType(columnName);
+}
+
+/**
+ * Guesses the data type of a column from its name
+ * @param {string} columnName - Name of the column
+ * @returns {string} Data type: 'text', 'numeric', 'boolean', 'date', 'email', 'id'
+ */
+function guessColumnType(columnName) {
     const colLower = columnName.toLowerCase();
     
     // Date columns
@@ -73,7 +95,10 @@ export class TableBrowser {
         this.onColumnClickCallbacks = [];
         this.onDatasetSelectCallbacks = [];
         this.onDatasetDeletedCallbacks = [];
+        this.onJoinDesignCallbacks = [];
         this.savedDatasets = [];
+        this.querySql = ''; // Query in the Query Builder, shown by the join designer
+        this.joinDesigner = null;
         this.init();
     }
     
@@ -102,6 +127,10 @@ export class TableBrowser {
             return userManager.hasAccessToDataset(dataset);
         });
         
+        // Saved datasets are queryable as tables - list the accessible ones alongside the database tables
+        const accessibleIds = new Set(this.savedDatasets.map(dataset => dataset.id));
+        this.tables = getAllTables().filter(table => !table.datasetId || accessibleIds.has(table.datasetId));
+        
         // Sort by creation date (newest first)
         this.savedDatasets.sort((a, b) => {
             const dateA = a.createdAt ? new Date(a.createdAt) : new Date(0);
@@ -140,14 +169,25 @@ export class TableBrowser {
         }
         
         // Render table browser in the main container
+        const databaseTables = this.tables.filter(table => !table.datasetId);
+        const datasetTables = this.tables.filter(table => table.datasetId);
         const tableBrowserHtml = `
             <div class="table-browser">
                 <div class="table-browser-header">
                     <h3>Database Tables</h3>
+                    <button id="open-join-designer" class="btn btn-sm btn-icon" title="Join designer (ER diagram)"><span class="material-icons">schema</span></button>
                 </div>
                 <div class="table-list">
-                    ${this.tables.map(table => this.renderTable(table)).join('')}
+                    ${databaseTables.map(table => this.renderTable(table)).join('')}
                 </div>
+                ${datasetTables.length > 0 ? `
+                    <div class="table-browser-header dataset-tables-header">
+                        <h3>Dataset Tables</h3>
+                    </div>
+                    <div class="table-list dataset-table-list">
+                        ${datasetTables.map(table => this.renderTable(table)).join('')}
+                    </div>
+                ` : ''}
             </div>
         `;
         
@@ -162,29 +202,33 @@ export class TableBrowser {
     
     renderTable(table) {
         const columnsHtml = table.columns.map(col => {
-            const columnType = getColumnType(col);
+            const columnType = getColumnType(table.name, col);
             const iconName = getColumnTypeIcon(columnType);
+            const definition = table.datasetId ? null : getColumnDefinition(table.name, col);
             return `
             <div class="table-column draggable-column" 
                  draggable="true" 
                  data-table="${table.name}" 
-                 data-column="${col}"
-                 data-column-type="${columnType}">
-                <span class="material-symbols-outlined column-icon" title="${columnType}">${iconName}</span>
-                <span class="column-name">${col}</span>
+                 data-column="${this.escapeHtml(col)}"
+                 data-column-type="${columnType}"
+                 ${definition ? `title="${this.escapeHtml(this.describeColumn(definition))}"` : ''}>
+                <span class="material-symbols-outlined column-icon" title="${definition ? definition.type : columnType}">${iconName}</span>
+                <span class="column-name">${this.escapeHtml(col)}</span>
+                ${definition && definition.primaryKey ? '<span class="column-key column-key-primary" title="Primary key">PK</span>' : ''}
+                ${definition && definition.references ? `<span class="column-key column-key-foreign" title="References ${definition.references.table}.${definition.references.column}">FK</span>` : ''}
                 <span class="material-symbols-outlined drag-handle" title="Drag to query builder">drag_indicator</span>
             </div>
         `;
         }).join('');
         
         return `
-            <div class="table-item" data-table="${table.name}">
+            <div class="table-item${table.datasetId ? ' dataset-table' : ''}" data-table="${table.name}">
                 <div class="table-header">
-                    <span class="table-icon">🗂️</span>
+                    <span class="table-icon">${table.datasetId ? '📊' : '🗂️'}</span>
                     <span class="table-name">${table.name}</span>
                     <span class="table-toggle">▼</span>
                 </div>
-                <div class="table-description">${table.description}</div>
+                <div class="table-description">${this.escapeHtml(table.description)}</div>
                 <div class="table-columns" style="display: none;">
                     ${columnsHtml}
                 </div>
@@ -192,6 +236,18 @@ export class TableBrowser {
         `;
     }
     
+    /**
+     * Builds the tooltip for a catalog column: type, keys and description
+     * @param {Object} definition - Column definition from getColumnDefinition()
+     * @returns {string} e.g. "sample_id (integer, references samples.sample_id) - Sample that was tested"
+     */
+    describeColumn(definition) {
+        const details = [definition.type];
+        if (definition.primaryKey) details.push('primary key');
+        if (definition.references) details.push(`references ${definition.references.table}.${definition.references.column}`);
+        return `${definition.name} (${details.join(', ')}) - ${definition.description}`;
+    }
+    
     attachEventListeners() {
         // Saved datasets dropdown - look in separate container first, then main container
         const searchContainer = this.savedDatasetsContainer || this.container;
@@ -293,6 +349,11 @@ export class TableBrowser {
             });
         });
         
+        const joinDesignerBtn = this.container.querySelector('#open-join-designer');
+        if (joinDesignerBtn) {
+            joinDesignerBtn.addEventListener('click', () => this.openJoinDesigner());
+        }
+        
         // Make columns draggable
         this.container.querySelectorAll('.table-column').forEach(column => {
             // Drag start
@@ -325,6 +386,71 @@ export class TableBrowser {
         });
     }
     
+    /**
+     * Opens the join designer over the page, showing the Query Builder's query
+     */
+    openJoinDesigner() {
+        let overlay = document.getElementById('join-designer-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'join-designer-overlay';
+            overlay.className = 'join-designer-overlay';
+            overlay.innerHTML = `
+                <div class="join-designer-dialog" role="dialog" aria-label="Join designer">
+                    <div class="join-designer-header">
+                        <h3>Join Designer</h3>
+                        <span class="join-designer-hint">Drag from a column to a column of another table to join them. Click a dashed foreign key to join it.</span>
+                        <button id="close-join-designer" class="btn btn-sm btn-icon" title="Close"><span class="material-icons">close</span></button>
+                    </div>
+                    <div id="join-designer"></div>
+                </div>
+            `;
+            document.body.appendChild(overlay);
+            
+            overlay.querySelector('#close-join-designer').addEventListener('click', () => this.closeJoinDesigner());
+            overlay.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.closeJoinDesigner();
+                }
+            });
+            
+            this.joinDesigner = new JoinDesigner('#join-designer');
+            this.joinDesigner.onChange(sql => {
+                this.querySql = sql;
+                this.onJoinDesignCallbacks.forEach(callback => callback(sql));
+            });
+        }
+        
+        this.joinDesigner.setSQL(this.querySql);
+        overlay.style.display = 'flex';
+    }
+    
+    closeJoinDesigner() {
+        const overlay = document.getElementById('join-designer-overlay');
+        if (overlay) {
+            overlay.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Keeps the join designer in step with the Query Builder's query
+     * @param {string} sql - Query in the editor
+     */
+    setQuerySQL(sql) {
+        this.querySql = sql;
+        if (this.joinDesigner) {
+            this.joinDesigner.setSQL(sql);
+        }
+    }
+    
+    /**
+     * Sets a callback for when the join designer changes the query
+     * @param {Function} callback - Called with the updated SQL
+     */
+    onJoinDesign(callback) {
+        this.onJoinDesignCallbacks.push(callback);
+    }
+    
     async deleteDataset(datasetId) {
         const { datasetStore } = await import('../data/datasets.js');
         const { Modal } = await import('../utils/modal.js');
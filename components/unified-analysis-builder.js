@@ -4,11 +4,29 @@
 import { MetricDefinitionDialog } from './metric-definition-dialog.js';
 import { datasetStore } from '../data/datasets.js';
 import { metricsStore } from '../data/metrics.js';
-import { metricExecutionEngine } from '../utils/metric-execution-engine.js';
-import { evaluateMetricScript } from '../utils/metric-script-parser.js';
+import { metricExecutionEngine, isGroupedResult } from '../utils/metric-execution-engine.js';
 import { getColumnSuggestions, getWordStartPosition } from '../utils/script-autocomplete.js';
 import { executeSQL } from '../utils/sql-engine.js';
 import { formatMetricValue } from '../utils/metric-formatter.js';
+import { WINDOW_OPTIONS, windowToOption, optionToWindow, describeWindow } from '../utils/metric-windows.js';
+
+// Functions a simple metric expression can start with, and the operation stored for each, checked in order
+const EXPRESSION_OPERATIONS = [
+    [/^MEAN|AVG|AVERAGE/i, 'mean'],
+    [/^SUM/i, 'sum'],
+    [/^MIN/i, 'min'],
+    [/^MAX/i, 'max'],
+    [/^STDDEV|STDEV/i, 'stdev'],
+    [/^MEDIAN/i, 'median'],
+    [/^PERCENTILE/i, 'percentile'],
+    [/^IQR/i, 'iqr'],
+    [/^MODE/i, 'mode'],
+    [/^VARIANCE/i, 'variance'],
+    [/^CV/i, 'cv'],
+    [/^SKEWNESS/i, 'skewness'],
+    [/^COUNT_DISTINCT/i, 'count_distinct'],
+    [/^COUNT/i, 'count']
+];
 
 export class UnifiedAnalysisBuilder {
     constructor(containerSelector) {
@@ -25,6 +43,10 @@ export class UnifiedAnalysisBuilder {
         this._metricAutocompleteId = `metric-autocomplete-suggestions-builder-${Math.random().toString(36).substr(2, 9)}`;
         this._metricDisplayTypeId = `metric-display-type-${Math.random().toString(36).substr(2, 9)}`;
         this._metricDecimalPlacesId = `metric-decimal-places-${Math.random().toString(36).substr(2, 9)}`;
+        this._metricGroupById = `metric-group-by-${Math.random().toString(36).substr(2, 9)}`;
+        this._metricWindowId = `metric-window-${Math.random().toString(36).substr(2, 9)}`;
+        this._metricDateColumnId = `metric-date-column-${Math.random().toString(36).substr(2, 9)}`;
+        this._metricWindowAsOfId = `metric-window-as-of-${Math.random().toString(36).substr(2, 9)}`;
         this.init();
     }
     
@@ -83,6 +105,36 @@ export class UnifiedAnalysisBuilder {
                         <label for="${this._metricDecimalPlacesId}">Decimal Places:</label>
                         <input type="number" id="${this._metricDecimalPlacesId}" class="form-control" min="0" max="10" value="2">
                     </div>
+                    
+                    <div class="form-group">
+                        <label for="${this._metricGroupById}">Group By:</label>
+                        <select id="${this._metricGroupById}" class="form-control">
+                            <option value="">None (single value)</option>
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="${this._metricWindowId}">Time Window:</label>
+                        <select id="${this._metricWindowId}" class="form-control">
+                            <option value="">None (all rows)</option>
+                            ${WINDOW_OPTIONS.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="${this._metricDateColumnId}">Date Column:</label>
+                        <select id="${this._metricDateColumnId}" class="form-control">
+                            <option value="">-- Select date column --</option>
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="${this._metricWindowAsOfId}">Periods End:</label>
+                        <select id="${this._metricWindowAsOfId}" class="form-control">
+                            <option value="today">Today</option>
+                            <option value="latest">Latest date in the data</option>
+                        </select>
+                    </div>
                 </div>
                 
                 <div class="form-group metric-editor-wrapper">
@@ -93,11 +145,15 @@ export class UnifiedAnalysisBuilder {
                     </div>
                     <div class="metric-help">
                         <strong>Available Functions:</strong> SUM(), MEAN(), MIN(), MAX(), STDDEV(), COUNT(), COUNT_DISTINCT(), IF()<br>
+                        <strong>Distribution:</strong> MEDIAN(), PERCENTILE(column, p), IQR(), MODE(), VARIANCE(), CV(), SKEWNESS()<br>
                         <strong>Operators:</strong> +, -, *, /<br>
-                        <strong>Comparisons:</strong> &gt;, &lt;, &gt;=, &lt;=, ==, !=, = (for text)<br>
+                        <strong>Comparisons:</strong> &gt;, &lt;, &gt;=, &lt;=, ==, !=, = (for text), combined with AND / OR<br>
+                        <strong>Filtered aggregates:</strong> add WHERE after the column to aggregate only matching rows<br>
+                        <strong>Other metrics:</strong> use a metric of this dataset by name in brackets, e.g. [Rejected] / [Total Samples]<br>
                         <strong>Examples:</strong> MEAN(sales) + SUM(revenue) / COUNT(orders)<br>
                         IF(MEAN(sales) &gt; 100, SUM(revenue), 0)<br>
-                        IF(status = "In Progress", COUNT_DISTINCT(sample_id), 0)
+                        IF(status = "In Progress", COUNT_DISTINCT(sample_id), 0)<br>
+                        COUNT(sample_id WHERE status = "Rejected") / COUNT(sample_id)
                     </div>
                 </div>
                 
@@ -114,10 +170,66 @@ export class UnifiedAnalysisBuilder {
         
         this.attachMetricListeners();
         if (this.currentDataset) {
+            this.populateColumnOptions();
             this.updateMetricSuggestions();
         }
     }
     
+    /**
+     * Lists the current dataset's columns as group-by and date column options, keeping the selected columns if the dataset has them
+     */
+    populateColumnOptions() {
+        const columns = this.currentDataset && this.currentDataset.columns ? this.currentDataset.columns : [];
+        const columnOptions = columns
+            .map(column => `<option value="${this.escapeHtml(column)}">${this.escapeHtml(this.formatColumnName(column))}</option>`)
+            .join('');
+        
+        [
+            { id: this._metricGroupById, none: 'None (single value)' },
+            { id: this._metricDateColumnId, none: '-- Select date column --' }
+        ].forEach(({ id, none }) => {
+            const select = this.container.querySelector(`#${id}`);
+            if (!select) return;
+            
+            const selected = select.value;
+            select.innerHTML = `<option value="">${none}</option>${columnOptions}`;
+            select.value = columns.includes(selected) ? selected : '';
+        });
+    }
+    
+    /**
+     * Gets the group-by column and time window chosen for the metric
+     * @returns {{groupBy: string|null, dateColumn: string|null, window: Object|null}}
+     */
+    getDefinitionOptions() {
+        const value = id => {
+            const select = this.container.querySelector(`#${id}`);
+            return select && select.value ? select.value : null;
+        };
+        
+        const timeWindow = optionToWindow(value(this._metricWindowId), value(this._metricWindowAsOfId) || 'today');
+        return {
+            groupBy: value(this._metricGroupById),
+            dateColumn: timeWindow ? value(this._metricDateColumnId) : null,
+            window: timeWindow
+        };
+    }
+    
+    /**
+     * Calculates the metric being defined on the full dataset, with the metrics it references by name
+     * @param {Object} definition - Metric being defined (expression, name, groupBy, dateColumn, window)
+     * @param {Object} dataset - Full dataset
+     * @returns {{value: number|Array, comparison: Object|null}} Value, with the prior period for time-windowed metrics
+     */
+    calculateDefinition(definition, dataset) {
+        const metrics = metricsStore.getByDataset(dataset.id);
+        if (definition.window) {
+            const comparison = metricExecutionEngine.executeComparison(definition, dataset, metrics);
+            return { value: comparison.current, comparison };
+        }
+        return { value: metricExecutionEngine.executeMetric(definition, dataset, metrics), comparison: null };
+    }
+    
     attachMetricListeners() {
         const nameInput = this.container.querySelector(`#${this._metricNameInputId}`);
         const expressionEditor = this.container.querySelector(`#${this._metricExpressionEditorId}`);
@@ -244,17 +356,33 @@ export class UnifiedAnalysisBuilder {
         const wordLower = currentWord.toLowerCase();
         
         // Function suggestions
-        const functions = ['SUM', 'MEAN', 'AVG', 'MIN', 'MAX', 'STDDEV', 'COUNT', 'COUNT_DISTINCT', 'IF'];
+        const functions = [
+            'SUM', 'MEAN', 'AVG', 'MIN', 'MAX', 'STDDEV', 'COUNT', 'COUNT_DISTINCT',
+            'MEDIAN', 'PERCENTILE', 'IQR', 'MODE', 'VARIANCE', 'CV', 'SKEWNESS', 'IF'
+        ];
+        // Functions that take more than a column show their arguments
+        const signatures = {
+            'IF': 'IF(condition, value_if_true, value_if_false)',
+            'PERCENTILE': 'PERCENTILE(column, percentile)'
+        };
         functions.forEach(func => {
             if (func.toLowerCase().startsWith(wordLower)) {
-                let display = func;
-                if (func === 'IF') {
-                    display = 'IF(condition, value_if_true, value_if_false)';
-                }
+                const display = signatures[func] || func;
                 suggestions.push({ text: func, type: 'function', display: display });
             }
         });
         
+        // WHERE, AND and OR follow a column or value, e.g. COUNT(sample_id WH
+        const textBeforeWord = textBeforeCursor.substring(0, textBeforeCursor.length - currentWord.length);
+        if (/[\w"')]\s+$/.test(textBeforeWord)) {
+            ['WHERE', 'AND', 'OR'].forEach(keyword => {
+                if (keyword.toLowerCase().startsWith(wordLower)) {
+                    const display = keyword === 'WHERE' ? 'WHERE condition (aggregate only matching rows)' : keyword;
+                    suggestions.push({ text: keyword, type: 'keyword', display: display });
+                }
+            });
+        }
+        
         // Column suggestions (if dataset is available)
         if (dataset && dataset.columns) {
             dataset.columns.forEach(column => {
@@ -357,6 +485,8 @@ export class UnifiedAnalysisBuilder {
         // If it's a function, add parentheses
         if (suggestion.type === 'function') {
             insertText += '()';
+        } else if (suggestion.type === 'keyword') {
+            insertText += ' ';
         }
         
         const newExpression = expression.substring(0, wordStart) + insertText + expression.substring(wordEnd);
@@ -443,13 +573,14 @@ export class UnifiedAnalysisBuilder {
         resultContainer.innerHTML = '<div class="loading">Calculating preview...</div>';
         
         try {
-            // Get full dataset (re-execute SQL without LIMIT if available, with caching)
+            // Get full dataset (re-execute its SQL if available, with caching)
             const fullDataset = await this.getFullDataset(this.currentDataset);
             
-            // Evaluate metric script expression on full dataset
-            const value = evaluateMetricScript(expression, fullDataset);
+            // Evaluate metric script expression on full dataset, with the metrics it references by name
+            const options = this.getDefinitionOptions();
+            const { value, comparison } = this.calculateDefinition({ expression, ...options }, fullDataset);
             
-            if (value === null || isNaN(value)) {
+            if (!this.hasResult(value)) {
                 resultContainer.innerHTML = '<div class="error">Error: Could not calculate metric. Please check your expression.</div>';
                 return;
             }
@@ -464,7 +595,8 @@ export class UnifiedAnalysisBuilder {
             resultContainer.innerHTML = `
                 <div class="preview-result">
                     <strong>Preview Result:</strong><br>
-                    <span class="metric-result-value">${this.formatValue(value, displayType, decimalPlaces)}</span>
+                    <span class="metric-result-value">${this.formatResult(value, displayType, decimalPlaces)}</span>
+                    ${comparison ? this.formatComparison(comparison, options.window, displayType, decimalPlaces) : ''}
                     <div class="preview-note">This is a preview. Click "Create Metric" to save.</div>
                 </div>
             `;
@@ -492,6 +624,7 @@ export class UnifiedAnalysisBuilder {
         const expression = expressionEditor ? expressionEditor.value.trim() : '';
         const displayType = displayTypeSelect ? displayTypeSelect.value : 'numeric';
         const decimalPlaces = decimalPlacesInput ? parseInt(decimalPlacesInput.value, 10) : 2;
+        const options = this.getDefinitionOptions();
         
         if (!name || !expression) {
             return;
@@ -501,39 +634,19 @@ export class UnifiedAnalysisBuilder {
         resultContainer.innerHTML = '<div class="loading">Calculating metric...</div>';
         
         try {
-            // Get full dataset (re-execute SQL without LIMIT if available, with caching)
+            // Get full dataset (re-execute its SQL if available, with caching)
             const fullDataset = await this.getFullDataset(this.currentDataset);
             
-            // Evaluate metric script expression on full dataset
-            const value = evaluateMetricScript(expression, fullDataset);
+            // Evaluate metric script expression on full dataset, with the metrics it references by name
+            const { value, comparison } = this.calculateDefinition({ name, expression, ...options }, fullDataset);
             
-            if (value === null || isNaN(value)) {
+            if (!this.hasResult(value)) {
                 resultContainer.innerHTML = '<div class="error">Error: Could not calculate metric. Please check your expression.</div>';
                 return;
             }
             
             // Extract column and operation from expression for storage
-            // Try to extract the first column and operation used
-            const columnMatch = expression.match(/(?:SUM|MEAN|AVG|MIN|MAX|STDDEV|COUNT|COUNT_DISTINCT)\s*\(\s*(\w+)\s*\)/);
-            const column = columnMatch ? columnMatch[1] : null;
-            
-            // Determine operation type (for simple expressions)
-            let operation = 'custom';
-            if (expression.match(/^MEAN|AVG|AVERAGE/i)) {
-                operation = 'mean';
-            } else if (expression.match(/^SUM/i)) {
-                operation = 'sum';
-            } else if (expression.match(/^MIN/i)) {
-                operation = 'min';
-            } else if (expression.match(/^MAX/i)) {
-                operation = 'max';
-            } else if (expression.match(/^STDDEV|STDEV/i)) {
-                operation = 'stdev';
-            } else if (expression.match(/^COUNT_DISTINCT/i)) {
-                operation = 'count_distinct';
-            } else if (expression.match(/^COUNT/i)) {
-                operation = 'count';
-            }
+            const { column, operation } = this.parseExpressionOperation(expression);
             
             // Create the metric with expression and formatting options
             const metric = metricsStore.create(
@@ -545,14 +658,16 @@ export class UnifiedAnalysisBuilder {
                 operation,
                 expression,
                 displayType,
-                decimalPlaces
+                decimalPlaces,
+                { ...options, comparison }
             );
             
             // Show success with formatted value
             resultContainer.innerHTML = `
                 <div class="success">
                     <strong>Metric created successfully!</strong><br>
-                    <span class="metric-result-value">${this.escapeHtml(name)}: ${this.formatValue(value, displayType, decimalPlaces)}</span>
+                    <span class="metric-result-value">${this.escapeHtml(name)}: ${this.formatResult(value, displayType, decimalPlaces)}</span>
+                    ${comparison ? this.formatComparison(comparison, options.window, displayType, decimalPlaces) : ''}
                 </div>
             `;
             
@@ -575,11 +690,85 @@ export class UnifiedAnalysisBuilder {
         return formatMetricValue(value, displayType, decimalPlaces);
     }
     
+    /**
+     * Extracts the column and operation stored with a metric from its expression
+     * The column is the first one an aggregate function is applied to; the operation comes from the function a
+     * simple expression starts with, or is 'custom'.
+     * @param {string} expression - Metric script expression
+     * @returns {{column: string|null, operation: string}}
+     */
+    parseExpressionOperation(expression) {
+        const columnMatch = expression.match(/(?:SUM|MEAN|AVG|MIN|MAX|STDDEV|COUNT|COUNT_DISTINCT|MEDIAN|IQR|MODE|VARIANCE|CV|SKEWNESS)\s*\(\s*(\w+)\s*(?:\)|WHERE\b)|PERCENTILE\s*\(\s*(\w+)\s*(?:,|WHERE\b)/);
+        const column = columnMatch ? (columnMatch[1] || columnMatch[2]) : null;
+        const match = EXPRESSION_OPERATIONS.find(([pattern]) => pattern.test(expression));
+        return { column, operation: match ? match[1] : 'custom' };
+    }
+    
+    /**
+     * Checks that a metric calculated: a number, or a breakdown from a grouped metric
+     * @param {any} value - Metric value
+     * @returns {boolean}
+     */
+    hasResult(value) {
+        if (isGroupedResult(value)) {
+            return true;
+        }
+        return value !== null && !isNaN(value);
+    }
+    
+    /**
+     * Formats a metric result as HTML, listing each group's value for grouped metrics
+     * @param {number|Array<{key: any, value: number|null}>} value - Metric value
+     * @param {string} displayType - Display type: 'numeric', 'currency', or 'percentage'
+     * @param {number} decimalPlaces - Number of decimal places
+     * @returns {string} HTML
+     */
+    formatResult(value, displayType = 'numeric', decimalPlaces = 2) {
+        if (!isGroupedResult(value)) {
+            return this.formatValue(value, displayType, decimalPlaces);
+        }
+        
+        return `
+            <ul class="metric-result-groups">
+                ${value.map(group => `
+                    <li>${this.escapeHtml(group.key === null ? '(blank)' : String(group.key))}: ${this.formatValue(group.value, displayType, decimalPlaces)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Formats a time-windowed metric's prior period and change as HTML
+     * @param {Object} comparison - Comparison from the execution engine
+     * @param {Object} timeWindow - Metric window
+     * @param {string} displayType - Display type: 'numeric', 'currency', or 'percentage'
+     * @param {number} decimalPlaces - Number of decimal places
+     * @returns {string} HTML
+     */
+    formatComparison(comparison, timeWindow, displayType = 'numeric', decimalPlaces = 2) {
+        const change = comparison.percentChange !== null
+            ? `${comparison.percentChange > 0 ? '+' : ''}${comparison.percentChange.toFixed(1)}%`
+            : 'percent change n/a';
+        const prior = isGroupedResult(comparison.prior)
+            ? 'see each group'
+            : this.formatValue(comparison.prior, displayType, decimalPlaces);
+        return `
+            <div class="metric-result-comparison">
+                ${this.escapeHtml(describeWindow(timeWindow))} (${comparison.currentPeriod.start} to ${comparison.currentPeriod.end})
+                vs ${prior} in the prior period (${comparison.priorPeriod.start} to ${comparison.priorPeriod.end}): ${change}
+            </div>
+        `;
+    }
+    
     clearMetricForm() {
         const nameInput = this.container.querySelector(`#${this._metricNameInputId}`);
         const expressionEditor = this.container.querySelector(`#${this._metricExpressionEditorId}`);
         const displayTypeSelect = this.container.querySelector(`#${this._metricDisplayTypeId}`);
         const decimalPlacesInput = this.container.querySelector(`#${this._metricDecimalPlacesId}`);
+        const groupBySelect = this.container.querySelector(`#${this._metricGroupById}`);
+        const windowSelect = this.container.querySelector(`#${this._metricWindowId}`);
+        const dateColumnSelect = this.container.querySelector(`#${this._metricDateColumnId}`);
+        const asOfSelect = this.container.querySelector(`#${this._metricWindowAsOfId}`);
         const resultContainer = this.container.querySelector('#metric-result');
         const createBtn = this.container.querySelector('#create-metric');
         const updateBtn = this.container.querySelector('#update-metric');
@@ -588,6 +777,10 @@ export class UnifiedAnalysisBuilder {
         if (expressionEditor) expressionEditor.value = '';
         if (displayTypeSelect) displayTypeSelect.value = 'numeric';
         if (decimalPlacesInput) decimalPlacesInput.value = '2';
+        if (groupBySelect) groupBySelect.value = '';
+        if (windowSelect) windowSelect.value = '';
+        if (dateColumnSelect) dateColumnSelect.value = '';
+        if (asOfSelect) asOfSelect.value = 'today';
         if (resultContainer) resultContainer.innerHTML = '';
         if (createBtn) createBtn.style.display = 'inline-block';
         if (updateBtn) updateBtn.style.display = 'none';
@@ -617,6 +810,7 @@ export class UnifiedAnalysisBuilder {
         const expression = expressionEditor ? expressionEditor.value.trim() : '';
         const displayType = displayTypeSelect ? displayTypeSelect.value : 'numeric';
         const decimalPlaces = decimalPlacesInput ? parseInt(decimalPlacesInput.value, 10) : 2;
+        const options = this.getDefinitionOptions();
         
         if (!name || !expression) {
             return;
@@ -631,10 +825,13 @@ export class UnifiedAnalysisBuilder {
             // Get full dataset
             const fullDataset = await this.getFullDataset(this.currentDataset);
             
-            // Evaluate metric script expression on full dataset
-            const value = evaluateMetricScript(expression, fullDataset);
+            // Evaluate metric script expression on full dataset - the edited metric replaces its stored version
+            const { value, comparison } = this.calculateDefinition(
+                { id: this.editingMetricId, name, expression, ...options },
+                fullDataset
+            );
             
-            if (value === null || isNaN(value)) {
+            if (!this.hasResult(value)) {
                 if (resultContainer) {
                     resultContainer.innerHTML = '<div class="error">Error: Could not calculate metric. Please check your expression.</div>';
                 }
@@ -642,26 +839,7 @@ export class UnifiedAnalysisBuilder {
             }
             
             // Extract column and operation from expression
-            const columnMatch = expression.match(/(?:SUM|MEAN|AVG|MIN|MAX|STDDEV|COUNT|COUNT_DISTINCT)\s*\(\s*(\w+)\s*\)/);
-            const column = columnMatch ? columnMatch[1] : null;
-            
-            // Determine operation type
-            let operation = 'custom';
-            if (expression.match(/^MEAN|AVG|AVERAGE/i)) {
-                operation = 'mean';
-            } else if (expression.match(/^SUM/i)) {
-                operation = 'sum';
-            } else if (expression.match(/^MIN/i)) {
-                operation = 'min';
-            } else if (expression.match(/^MAX/i)) {
-                operation = 'max';
-            } else if (expression.match(/^STDDEV|STDEV/i)) {
-                operation = 'stdev';
-            } else if (expression.match(/^COUNT_DISTINCT/i)) {
-                operation = 'count_distinct';
-            } else if (expression.match(/^COUNT/i)) {
-                operation = 'count';
-            }
+            const { column, operation } = this.parseExpressionOperation(expression);
             
             // Update the metric
             const metric = metricsStore.update(this.editingMetricId, {
@@ -671,7 +849,9 @@ export class UnifiedAnalysisBuilder {
                 displayType,
                 decimalPlaces,
                 column,
-                operation
+                operation,
+                ...options,
+                comparison
             });
             
             if (!metric) {
@@ -686,7 +866,8 @@ export class UnifiedAnalysisBuilder {
                 resultContainer.innerHTML = `
                     <div class="success">
                         <strong>Metric updated successfully!</strong><br>
-                        <span class="metric-result-value">${this.escapeHtml(name)}: ${this.formatValue(value, displayType, decimalPlaces)}</span>
+                        <span class="metric-result-value">${this.escapeHtml(name)}: ${this.formatResult(value, displayType, decimalPlaces)}</span>
+                        ${comparison ? this.formatComparison(comparison, options.window, displayType, decimalPlaces) : ''}
                     </div>
                 `;
             }
@@ -698,9 +879,9 @@ export class UnifiedAnalysisBuilder {
             if (createBtn) createBtn.style.display = 'inline-block';
             if (updateBtn) updateBtn.style.display = 'none';
             
-            // Notify listeners
+            // Notify listeners - metrics that reference this one are re-executed
             if (this.metricDialog) {
-                this.metricDialog.onCreated();
+                this.metricDialog.notifyCreated(metric);
             }
             if (this.onMetricCreatedCallback) {
                 this.onMetricCreatedCallback(metric);
@@ -727,6 +908,7 @@ export class UnifiedAnalysisBuilder {
         }
         
         // Update metric builder
+        this.populateColumnOptions();
         this.updateMetricSuggestions();
         this.updateCreateButtonState();
     }
@@ -754,6 +936,10 @@ export class UnifiedAnalysisBuilder {
         const expressionEditor = this.container.querySelector(`#${this._metricExpressionEditorId}`);
         const displayTypeSelect = this.container.querySelector(`#${this._metricDisplayTypeId}`);
         const decimalPlacesInput = this.container.querySelector(`#${this._metricDecimalPlacesId}`);
+        const groupBySelect = this.container.querySelector(`#${this._metricGroupById}`);
+        const windowSelect = this.container.querySelector(`#${this._metricWindowId}`);
+        const dateColumnSelect = this.container.querySelector(`#${this._metricDateColumnId}`);
+        const asOfSelect = this.container.querySelector(`#${this._metricWindowAsOfId}`);
         const createBtn = this.container.querySelector('#create-metric');
         const updateBtn = this.container.querySelector('#update-metric');
         
@@ -774,10 +960,17 @@ export class UnifiedAnalysisBuilder {
                 'max': 'MAX',
                 'stdev': 'STDDEV',
                 'count': 'COUNT',
-                'count_distinct': 'COUNT_DISTINCT'
+                'count_distinct': 'COUNT_DISTINCT',
+                'median': 'MEDIAN',
+                'iqr': 'IQR',
+                'mode': 'MODE',
+                'variance': 'VARIANCE',
+                'cv': 'CV',
+                'skewness': 'SKEWNESS'
             };
             const funcName = operationMap[metric.operation] || metric.operation.toUpperCase();
-            if (expressionEditor) expressionEditor.value = `${funcName}(${metric.column})`;
+            const args = metric.operation === 'percentile' ? `${metric.column}, ${metric.percentile}` : metric.column;
+            if (expressionEditor) expressionEditor.value = `${funcName}(${args})`;
         }
         
         // Load formatting options
@@ -787,6 +980,18 @@ export class UnifiedAnalysisBuilder {
         if (decimalPlacesInput) {
             decimalPlacesInput.value = metric.decimalPlaces !== undefined ? metric.decimalPlaces : 2;
         }
+        if (groupBySelect) {
+            groupBySelect.value = metric.groupBy || '';
+        }
+        if (windowSelect) {
+            windowSelect.value = windowToOption(metric.window);
+        }
+        if (dateColumnSelect) {
+            dateColumnSelect.value = metric.dateColumn || '';
+        }
+        if (asOfSelect) {
+            asOfSelect.value = metric.window && metric.window.asOf === 'latest' ? 'latest' : 'today';
+        }
         
         // Show update button if editing (not duplicating), hide create button
         if (!isDuplicate) {
@@ -804,7 +1009,7 @@ export class UnifiedAnalysisBuilder {
     }
     
     /**
-     * Gets the full dataset by re-executing SQL without LIMIT if available
+     * Gets the full dataset by re-executing its SQL if available
      * Uses caching to avoid re-executing the same query multiple times
      * @param {Object} dataset - Dataset object (may have limited rows)
      * @returns {Promise<Object>} Dataset with all rows
@@ -835,18 +1040,12 @@ export class UnifiedAnalysisBuilder {
             return dataset;
         }
         
-        // If dataset has SQL query, re-execute it without LIMIT to get all rows
+        // If dataset has SQL query, re-execute it to get all rows; its own LIMIT (e.g. a "top 10" dataset) is kept
         if (dataset.sql && dataset.sql.trim()) {
             try {
-                // Remove any existing LIMIT clause
-                let sqlWithoutLimit = dataset.sql
-                    .replace(/;\s*$/, '') // Remove trailing semicolon
-                    .replace(/\s+limit\s+\d+/gi, '') // Remove LIMIT clause
-                    .trim();
-                
-                // Re-execute query without LIMIT to get all rows
+                // Re-execute the query as saved, with the dataset's default parameter values
                 // Use 1000 rows instead of 10000 for faster execution (still plenty for metrics)
-                const sqlResult = await executeSQL(sqlWithoutLimit, 1000);
+                const sqlResult = await executeSQL(dataset.sql.trim(), 1000, dataset.parameters || {});
                 
                 if (sqlResult && sqlResult.rows && sqlResult.rows.length > 0) {
                     // Create full dataset with all rows
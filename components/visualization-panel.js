@@ -7,9 +7,10 @@ import { visualizationsStore } from '../data/visualizations.js';
 import { debounceRAF } from '../utils/debounce.js';
 import { Modal } from '../utils/modal.js';
 import { calculateMetric } from '../utils/metric-calculator.js';
-import { metricExecutionEngine } from '../utils/metric-execution-engine.js';
+import { metricExecutionEngine, isGroupedResult } from '../utils/metric-execution-engine.js';
 import { datasetSelectionManager } from '../utils/dataset-selection-manager.js';
 import { formatMetricValue } from '../utils/metric-formatter.js';
+import { describeWindow } from '../utils/metric-windows.js';
 
 export class VisualizationPanel {
     constructor(containerSelector) {
@@ -671,7 +672,7 @@ export class VisualizationPanel {
                                     <span class="item-name">${this.escapeHtml(metric.name)}</span>
                                     <span class="item-value">${formatMetricValue(metric.value, metric.displayType, metric.decimalPlaces)}</span>
                                 </div>
-                                <span class="item-operation">${this.escapeHtml(metric.operation || '')}</span>
+                                <span class="item-operation">${this.escapeHtml(metric.operation || '')}${metric.groupBy ? ` by ${this.escapeHtml(this.formatColumnName(metric.groupBy))}` : ''}</span>
                             </div>
                         `).join('')}
                     </div>
@@ -1111,8 +1112,8 @@ export class VisualizationPanel {
                     console.warn('[VisualizationPanel.renderChart] Scatter chart requires X and Y axis selections');
                     return;
                 }
-            } else {
-                // Bar, Line, Pie, Donut require X and Y
+            } else if (!this.getGroupedMetric(this.yAxisSelection)) {
+                // Bar, Line, Pie, Donut require X and Y (a grouped metric on Y supplies its own categories)
                 if (!this.xAxisSelection || !this.yAxisSelection) {
                     console.warn('[VisualizationPanel.renderChart] Chart type requires X and Y axis selections', { chartType });
                     return;
@@ -1162,6 +1163,18 @@ export class VisualizationPanel {
             return;
         }
         
+        // A grouped metric is a data source of its own: one category per group
+        const groupedMetric = this.getGroupedMetric(yAxis);
+        if (groupedMetric && chartType === 'scorecard') {
+            this.renderScorecardFromMetric(groupedMetric);
+            return;
+        }
+        if (groupedMetric && ['line', 'bar', 'pie', 'donut'].includes(chartType) &&
+            (!xAxis || (xAxis.type === 'column' && xAxis.value === groupedMetric.groupBy))) {
+            this.renderGroupedMetricChart(groupedMetric, chartType);
+            return;
+        }
+        
         // Handle case where Y is a metric but X is a column
         // Group by X and recalculate metric for each group
         // Only for Highcharts chart types (not table, scorecard)
@@ -1335,7 +1348,7 @@ export class VisualizationPanel {
                     
                     try {
                         // Calculate metric expression for this group using the execution engine
-                        const metricValue = metricExecutionEngine.executeMetric(metric, groupDataset);
+                        const metricValue = this.executeMetricForGroup(metric, groupDataset);
                         
                         console.log(`Group ${xKey}: ${groupRows.length} rows, expression result = ${metricValue}`);
                         
@@ -1558,7 +1571,7 @@ export class VisualizationPanel {
                         };
                         
                         try {
-                            const metricValue = metricExecutionEngine.executeMetric(metric, groupDataset);
+                            const metricValue = this.executeMetricForGroup(metric, groupDataset);
                             pieData.push({
                                 [xAxis.value]: xKey,
                                 [yAxis.value]: metricValue !== null && metricValue !== undefined ? metricValue : 0
@@ -1638,7 +1651,7 @@ export class VisualizationPanel {
                         };
                         
                         try {
-                            const metricValue = metricExecutionEngine.executeMetric(metric, groupDataset);
+                            const metricValue = this.executeMetricForGroup(metric, groupDataset);
                             scatterData.push({
                                 x: parseFloat(xKey) || xKey,
                                 y: metricValue !== null && metricValue !== undefined ? parseFloat(metricValue) || 0 : 0
@@ -1701,8 +1714,8 @@ export class VisualizationPanel {
                     };
                     
                     try {
-                        const xValue = metricExecutionEngine.executeMetric(xMetric, fullDataset);
-                        const yValue = metricExecutionEngine.executeMetric(yMetric, fullDataset);
+                        const xValue = this.executeMetricForGroup(xMetric, fullDataset);
+                        const yValue = this.executeMetricForGroup(yMetric, fullDataset);
                         
                         const seriesData = {
                             chartData: [[parseFloat(xValue) || 0, parseFloat(yValue) || 0]],
@@ -1781,6 +1794,10 @@ export class VisualizationPanel {
             // Y is metric - create constant value series
             const metric = metricsStore.get(yAxis.value);
             if (!metric) return;
+            if (isGroupedResult(metric.value)) {
+                this.showGroupedMetricError(metric);
+                return;
+            }
             
             // Create data with metric value
             const metricData = data.map(row => ({
@@ -1950,7 +1967,9 @@ export class VisualizationPanel {
                 <h4 class="kpi-title">${metric.name || 'Metric'}</h4>
                 ${metric.type ? `<span class="kpi-type">${metric.type}</span>` : ''}
             </div>
-            <div class="kpi-value">${formattedValue}</div>
+            ${isGroupedResult(metric.value) ? this.renderMetricBreakdown(metric) : `<div class="kpi-value">${formattedValue}</div>`}
+            ${this.renderMetricTrend(metric)}
+            ${metric.groupBy ? `<div class="kpi-meta">Grouped by: ${this.formatColumnName(metric.groupBy)}</div>` : ''}
             ${metric.column ? `<div class="kpi-meta">Column: ${this.formatColumnName(metric.column)}</div>` : ''}
             ${metric.operation ? `<div class="kpi-meta">Operation: ${metric.operation}</div>` : ''}
         `;
@@ -1977,6 +1996,10 @@ export class VisualizationPanel {
         if (!dataset) {
             return;
         }
+        if (isGroupedResult(metric.value)) {
+            this.showGroupedMetricError(metric);
+            return;
+        }
         
         const data = this.getDatasetData(dataset);
         if (!data || data.length === 0) {
@@ -2742,7 +2765,7 @@ export class VisualizationPanel {
                                     <span class="item-name">${this.escapeHtml(metric.name)}</span>
                                     <span class="item-value">${formatMetricValue(metric.value, metric.displayType, metric.decimalPlaces)}</span>
                                 </div>
-                                <span class="item-operation">${this.escapeHtml(metric.operation || '')}</span>
+                                <span class="item-operation">${this.escapeHtml(metric.operation || '')}${metric.groupBy ? ` by ${this.escapeHtml(this.formatColumnName(metric.groupBy))}` : ''}</span>
                             </div>
                         `).join('')}
                     </div>
@@ -3264,6 +3287,12 @@ export class VisualizationPanel {
             return;
         }
         
+        // A grouped metric supplies its own categories, so it goes on the Y axis
+        if (type === 'metric' && !this.yAxisSelection && this.getGroupedMetric({ type, value })) {
+            this.selectAxis(type, value, datasetId, 'y');
+            return;
+        }
+        
         // Determine which axis to set (alternate between X and Y)
         if (!this.xAxisSelection) {
             this.selectAxis(type, value, datasetId, 'x');
@@ -3305,6 +3334,16 @@ export class VisualizationPanel {
         const validFields = this.tableFields.filter(f => f !== null && f !== undefined);
         if (validFields.length === 0) return;
         
+        // Grouped metrics are broken down by their group-by column, so the table groups by it too
+        const groupByFields = [];
+        validFields.forEach(field => {
+            const metric = this.getGroupedMetric(field);
+            if (metric && !validFields.concat(groupByFields).some(f => f.type === 'column' && !f.aggregation && f.value === metric.groupBy)) {
+                groupByFields.push({ type: 'column', value: metric.groupBy, datasetId: field.datasetId });
+            }
+        });
+        validFields.unshift(...groupByFields);
+        
         const chartId = `chart_${Date.now()}`;
         const chartContainer = document.createElement('div');
         chartContainer.id = chartId;
@@ -3459,7 +3498,7 @@ export class VisualizationPanel {
                         };
                         
                         try {
-                            const metricValue = metricExecutionEngine.executeMetric(metric, groupDataset);
+                            const metricValue = this.executeMetricForGroup(metric, groupDataset);
                             result[`_metric_${field.value}`] = metricValue !== null && metricValue !== undefined ? metricValue : 0;
                         } catch (error) {
                             console.error('Error calculating metric for table group:', error);
@@ -3563,6 +3602,168 @@ export class VisualizationPanel {
         chartContainer.innerHTML = tableHTML;
     }
     
+    /**
+     * Gets the grouped metric an axis or table field refers to
+     * @param {Object|null} selection - Axis selection or table field ({type, value})
+     * @returns {Object|null} Metric with a breakdown (one value per group), or null
+     */
+    getGroupedMetric(selection) {
+        if (!selection || selection.type !== 'metric') return null;
+        
+        const metric = metricsStore.get(selection.value);
+        return metric && metric.groupBy && isGroupedResult(metric.value) ? metric : null;
+    }
+    
+    /**
+     * Explains that a grouped metric has no single value for a chart that needs one
+     * @param {Object} metric - Grouped metric
+     */
+    showGroupedMetricError(metric) {
+        const groupBy = this.formatColumnName(metric.groupBy);
+        this.showError(`"${metric.name}" is grouped by ${groupBy} and has no single value to chart here. ` +
+            `Put ${groupBy} on the X axis, or leave X empty, to chart one value per group.`);
+    }
+    
+    /**
+     * Calculates a metric on a subset of the dataset's rows, e.g. one chart category or table row
+     * A grouped metric gives one value for the whole subset.
+     * @param {Object} metric - Metric object from store
+     * @param {Object} groupDataset - Dataset with the subset's rows
+     * @returns {number|null} Metric value
+     */
+    executeMetricForGroup(metric, groupDataset) {
+        const ungrouped = metric.groupBy ? { ...metric, groupBy: null } : metric;
+        return metricExecutionEngine.executeMetric(ungrouped, groupDataset, metricsStore.getByDataset(metric.datasetId));
+    }
+    
+    /**
+     * Charts a grouped metric's stored breakdown, one category per group
+     * @param {Object} metric - Grouped metric
+     * @param {string} chartType - 'line', 'bar', 'pie' or 'donut'
+     */
+    renderGroupedMetricChart(metric, chartType) {
+        const groups = metric.value.map(group => ({
+            name: group.key === null ? '(blank)' : String(group.key),
+            y: group.value !== null && group.value !== undefined ? group.value : 0
+        }));
+        if (groups.length === 0) {
+            this.showError('The metric has no groups.');
+            return;
+        }
+        
+        if (chartType === 'pie' || chartType === 'donut') {
+            const pieData = groups.map(group => ({
+                [metric.groupBy]: group.name,
+                [metric.name]: group.y
+            }));
+            this.renderPieChart(datasetStore.get(metric.datasetId), metric.groupBy, metric.name, chartType, pieData, metric.operation || 'METRIC');
+            return;
+        }
+        
+        const seriesData = {
+            chartData: groups.map(group => group.y),
+            isXNumeric: false,
+            categories: groups.map(group => group.name)
+        };
+        
+        const chartId = `chart_${Date.now()}`;
+        const chartContainer = document.createElement('div');
+        chartContainer.id = chartId;
+        chartContainer.className = 'chart-wrapper';
+        
+        const chartsContainer = this.container.querySelector('#charts-container');
+        chartsContainer.appendChild(chartContainer);
+        
+        const stylingOptions = this.getStylingOptions();
+        const yLabel = stylingOptions.yLabel || metric.name;
+        
+        this.renderHighchart(chartId, chartType, seriesData, {
+            xLabel: stylingOptions.xLabel || this.formatColumnName(metric.groupBy),
+            yLabel: yLabel,
+            title: stylingOptions.title || `${yLabel} by ${this.formatColumnName(metric.groupBy)}`,
+            color: stylingOptions.color,
+            showTrendline: stylingOptions.showTrendline
+        });
+    }
+    
+    /**
+     * Builds a grouped metric's breakdown for KPI cards and scorecards
+     * @param {Object} metric - Grouped metric
+     * @returns {string} HTML table with one row per group, and each group's trend for time-windowed metrics
+     */
+    renderMetricBreakdown(metric) {
+        // Time-windowed metrics add each group's change from the prior period
+        const changes = metric.window && metric.comparison && metric.comparison.groups;
+        const trendCell = group => {
+            const change = changes.find(entry => entry.key === group.key);
+            if (!change) return '<td></td>';
+            const { direction, arrow, percent } = this.describeTrend(change);
+            return `<td class="numeric trend-${direction}">${arrow} ${percent}</td>`;
+        };
+        
+        return `
+            <table class="metric-breakdown">
+                <tbody>
+                    ${metric.value.map(group => `
+                        <tr>
+                            <td>${this.escapeHtml(group.key === null ? '(blank)' : String(group.key))}</td>
+                            <td class="numeric">${formatMetricValue(group.value, metric.displayType, metric.decimalPlaces)}</td>
+                            ${changes ? trendCell(group) : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Builds a time-windowed metric's trend for KPI cards and scorecards
+     * @param {Object} metric - Metric with a window and its last comparison
+     * @returns {string} HTML with the trend arrow, percent change and prior value, or '' without a comparison;
+     *   only the window for grouped metrics, whose breakdown shows each group's trend
+     */
+    renderMetricTrend(metric) {
+        const comparison = metric.comparison;
+        if (!metric.window || !comparison) return '';
+        
+        // Grouped metrics show each group's change in their breakdown
+        if (comparison.groups) {
+            return `
+                <div class="metric-trend">
+                    <span class="trend-meta">${this.escapeHtml(describeWindow(metric.window))}, change from the prior period by group</span>
+                </div>
+            `;
+        }
+        
+        const { direction, arrow, percent } = this.describeTrend(comparison);
+        const prior = comparison.prior === null
+            ? 'no prior value'
+            : `prior ${formatMetricValue(comparison.prior, metric.displayType, metric.decimalPlaces)}`;
+        
+        return `
+            <div class="metric-trend trend-${direction}">
+                <span class="trend-arrow">${arrow}</span>
+                ${percent ? `<span class="trend-percent">${percent}</span>` : ''}
+                <span class="trend-meta">${this.escapeHtml(describeWindow(metric.window))}, ${prior}</span>
+            </div>
+        `;
+    }
+    
+    /**
+     * Gets the arrow and percent change for a change from the prior period
+     * @param {{delta: number|null, percentChange: number|null}} change - Change from the execution engine
+     * @returns {{direction: string, arrow: string, percent: string}} Direction 'up', 'down' or 'flat';
+     *   percent is '' without a percent change
+     */
+    describeTrend(change) {
+        const delta = change.delta;
+        const direction = delta === null || delta === 0 ? 'flat' : (delta > 0 ? 'up' : 'down');
+        const percent = change.percentChange === null
+            ? ''
+            : `${change.percentChange > 0 ? '+' : ''}${change.percentChange.toFixed(1)}%`;
+        return { direction, arrow: { up: '▲', down: '▼', flat: '▬' }[direction], percent };
+    }
+    
     /**
      * Renders a scorecard from a metric
      * @param {Object} metric - Metric object
@@ -3585,7 +3786,11 @@ export class VisualizationPanel {
                     <h4>${this.escapeHtml(title)}</h4>
                     <span class="scorecard-operation">${this.escapeHtml(metric.operation || 'Metric')}</span>
                 </div>
-                <div class="scorecard-value">${this.formatNumericValue(metric.value)}</div>
+                ${isGroupedResult(metric.value)
+                    ? this.renderMetricBreakdown(metric)
+                    : `<div class="scorecard-value">${this.formatNumericValue(metric.value)}</div>`}
+                ${this.renderMetricTrend(metric)}
+                ${metric.groupBy ? `<div class="scorecard-meta">Grouped by: ${this.escapeHtml(this.formatColumnName(metric.groupBy))}</div>` : ''}
             </div>
         `;
         
@@ -71,9 +71,10 @@ class DatasetStore {
      * @param {string} sql - SQL query string
      * @param {string[]} columns - Column names
      * @param {any[][]} rows - Array of row arrays
+     * @param {Object} parameters - Default values for the query's named parameters (:name / @name)
      * @returns {Object} Dataset object
      */
-    create(name, sql, columns, rows) {
+    create(name, sql, columns, rows, parameters = {}) {
         console.log('[DatasetStore.create] Creating new dataset', {
             name: name?.substring(0, 50),
             columnsCount: columns?.length || 0,
@@ -113,6 +114,7 @@ class DatasetStore {
             sql: sqlString,
             columns: [...columns], // Create a copy to avoid reference issues
             rows: rows.map(row => Array.isArray(row) ? [...row] : []), // Create copies of rows
+            parameters: { ...(parameters || {}) },
             createdAt: new Date().toISOString()
         };
         
@@ -153,7 +155,7 @@ class DatasetStore {
     /**
      * Updates an existing dataset
      * @param {string} id - Dataset ID
-     * @param {Object} updates - Fields to update (name, sql, columns, rows)
+     * @param {Object} updates - Fields to update (name, sql, columns, rows, parameters)
      * @returns {Object|null} Updated dataset or null if not found
      */
     update(id, updates) {
@@ -182,6 +184,9 @@ class DatasetStore {
             if (updates.rows !== undefined) {
                 dataset.rows = updates.rows;
             }
+            if (updates.parameters !== undefined) {
+                dataset.parameters = { ...(updates.parameters || {}) };
+            }
             if (updates.accessControl !== undefined) {
                 dataset.accessControl = updates.accessControl;
             }
@@ -228,7 +233,8 @@ class DatasetStore {
             newName,
             original.sql,
             [...original.columns],
-            original.rows.map(row => [...row])
+            original.rows.map(row => [...row]),
+            original.parameters
         );
         
         // Copy access control if it exists
@@ -93,6 +93,19 @@ class HealthMetricsStore {
         });
     }
     
+    /**
+     * Records a query run that was stopped before it finished
+     * @param {string} reason - 'cancelled' (by the user), 'timeout' or 'row_limit'
+     * @param {Object} details - Additional details (e.g., message, sqlPreview, duration)
+     * @returns {Object} Query cancellation metric
+     */
+    recordQueryCancellation(reason, details = {}) {
+        return this.record('query_cancelled', {
+            reason,
+            ...details
+        });
+    }
+    
     /**
      * Gets all metrics
      * @param {Object} filters - Optional filters (type, startTime, endTime)
@@ -297,7 +310,8 @@ class HealthMetricsStore {
         }
         
         // Record page load time
-        if (typeof window !== 'undefined' && window.performance) {
+        // Navigation timing is not available everywhere (e.g. jsdom)
+        if (typeof window !== 'undefined' && window.performance && window.performance.timing) {
             window.addEventListener('load', () => {
                 const perfData = window.performance.timing;
                 const loadTime = perfData.loadEventEnd - perfData.navigationStart;
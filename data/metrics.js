@@ -51,7 +51,22 @@ class MetricsStore {
         }
     }
     
-    create(datasetId, name, value, type, column = null, operation = null, expression = null, displayType = 'numeric', decimalPlaces = 2) {
+    /**
+     * Creates a metric
+     * @param {string} datasetId - Dataset ID
+     * @param {string} name - Metric name
+     * @param {number|Array} value - Calculated value, or one value per group: [{key, value}]
+     * @param {string} type - Metric type
+     * @param {string|null} column - Column for operation-based metrics
+     * @param {string|null} operation - Operation, e.g. 'mean' or 'count'
+     * @param {string|null} expression - Metric script expression
+     * @param {string} displayType - Display type: 'numeric', 'currency', or 'percentage'
+     * @param {number} decimalPlaces - Number of decimal places
+     * @param {Object} [options] - Optional fields: percentile, groupBy, dateColumn, window and comparison
+     * @returns {Object} Created metric
+     */
+    create(datasetId, name, value, type, column = null, operation = null, expression = null, displayType = 'numeric', decimalPlaces = 2, options = {}) {
+        const { percentile = null, groupBy = null, dateColumn = null, window: timeWindow = null, comparison = null } = options;
         const id = `metric_${this.nextId++}`;
         const metric = {
             id,
@@ -64,6 +79,11 @@ class MetricsStore {
             expression,
             displayType: displayType || 'numeric',
             decimalPlaces: decimalPlaces !== undefined && decimalPlaces !== null ? decimalPlaces : 2,
+            percentile: percentile !== undefined && percentile !== null ? percentile : null, // Only for the percentile operation
+            groupBy: groupBy || null, // Grouped metrics store one value per group: [{key, value}]
+            dateColumn: dateColumn || null,
+            window: timeWindow || null, // Time-windowed metrics store the current period's value and a comparison
+            comparison: comparison || null,
             createdAt: new Date().toISOString()
         };
         this.metrics.set(id, metric);
@@ -103,6 +123,11 @@ class MetricsStore {
             return null;
         }
         
+        // Metrics that reference this one by name keep referencing it
+        if (updates.name !== undefined && updates.name !== metric.name) {
+            this.renameReferences(metric, updates.name);
+        }
+        
         // Update provided fields
         if (updates.name !== undefined) metric.name = updates.name;
         if (updates.value !== undefined) metric.value = updates.value;
@@ -111,11 +136,34 @@ class MetricsStore {
         if (updates.decimalPlaces !== undefined) metric.decimalPlaces = updates.decimalPlaces !== null ? updates.decimalPlaces : 2;
         if (updates.column !== undefined) metric.column = updates.column;
         if (updates.operation !== undefined) metric.operation = updates.operation;
+        if (updates.percentile !== undefined) metric.percentile = updates.percentile;
+        if (updates.groupBy !== undefined) metric.groupBy = updates.groupBy || null;
+        if (updates.dateColumn !== undefined) metric.dateColumn = updates.dateColumn || null;
+        if (updates.window !== undefined) metric.window = updates.window || null;
+        if (updates.comparison !== undefined) metric.comparison = updates.comparison;
         
         this.saveToStorage();
         return metric;
     }
     
+    /**
+     * Rewrites references to a metric ([Name]) in the expressions of its dataset's other metrics
+     * Saved by the caller.
+     * @param {Object} metric - Metric being renamed
+     * @param {string} newName - New name
+     */
+    renameReferences(metric, newName) {
+        if (!metric.name) return;
+        
+        const escaped = metric.name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const reference = new RegExp(`\\[\\s*${escaped}\\s*\\]`, 'gi');
+        this.getByDataset(metric.datasetId).forEach(other => {
+            if (other.id !== metric.id && other.expression) {
+                other.expression = other.expression.replace(reference, () => `[${newName}]`);
+            }
+        });
+    }
+    
     get(id) {
         return this.metrics.get(id);
     }
@@ -132,17 +180,19 @@ class MetricsStore {
     /**
      * Updates a metric's value (e.g., after re-execution)
      * @param {string} id - Metric ID
-     * @param {number|null} value - New metric value
+     * @param {number|null|Array<{key: any, value: number|null}>} value - New metric value (one value per group for grouped metrics)
      * @param {string} [executedAt] - Optional execution timestamp
+     * @param {Object|null} [comparison] - Current versus prior period, for time-windowed metrics
      * @returns {Object|null} Updated metric or null if not found
      */
-    updateValue(id, value, executedAt = null) {
+    updateValue(id, value, executedAt = null, comparison = null) {
         const metric = this.metrics.get(id);
         if (!metric) {
             return null;
         }
         
         metric.value = value;
+        metric.comparison = comparison;
         if (executedAt) {
             metric.executedAt = executedAt;
         } else {
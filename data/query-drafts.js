@@ -0,0 +1,179 @@
+// Query editor tab storage with localStorage persistence
+// Keeps each Query Builder tab's SQL, parameter values and bound dataset so unsaved drafts survive a reload
+
+const STORAGE_KEY = 'lwa_query_drafts';
+const NEXT_ID_KEY = 'lwa_query_drafts_nextId';
+const ACTIVE_ID_KEY = 'lwa_query_drafts_activeId';
+
+class QueryDraftStore {
+    constructor() {
+        this.tabs = [];
+        this.nextId = 1;
+        this.activeId = null;
+        this.loadFromStorage();
+    }
+    
+    /**
+     * Loads tabs from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const storedNextId = localStorage.getItem(NEXT_ID_KEY);
+            
+            if (stored) {
+                this.tabs = JSON.parse(stored);
+            }
+            
+            if (storedNextId) {
+                this.nextId = parseInt(storedNextId, 10);
+            }
+            
+            this.activeId = localStorage.getItem(ACTIVE_ID_KEY);
+        } catch (error) {
+            console.error('Error loading query drafts from localStorage:', error);
+            this.tabs = [];
+        }
+    }
+    
+    /**
+     * Saves tabs to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.tabs));
+            localStorage.setItem(NEXT_ID_KEY, String(this.nextId));
+            if (this.activeId) {
+                localStorage.setItem(ACTIVE_ID_KEY, this.activeId);
+            } else {
+                localStorage.removeItem(ACTIVE_ID_KEY);
+            }
+        } catch (error) {
+            console.error('[QueryDraftStore.saveToStorage] Error saving query drafts to localStorage:', {
+                error: error.message,
+                errorName: error.name,
+                tabCount: this.tabs.length
+            });
+        }
+    }
+    
+    /**
+     * Opens a new tab
+     * @param {Object} tab - Initial tab contents
+     * @param {string} tab.title - Tab title (defaults to "Query N")
+     * @param {string} tab.sql - SQL text
+     * @param {Object} tab.parameters - Values entered for named parameters
+     * @param {string|null} tab.datasetId - Dataset the tab edits, if any
+     * @returns {Object} Created tab
+     */
+    create({ title = null, sql = '', parameters = {}, datasetId = null } = {}) {
+        const number = this.nextId++;
+        const tab = {
+            id: `tab_${number}`,
+            title: title || `Query ${number}`,
+            sql,
+            parameters: { ...parameters },
+            datasetId,
+            // SQL as last saved to the bound dataset; the tab is modified when the editor differs from it
+            savedSql: datasetId ? sql : '',
+            createdAt: new Date().toISOString()
+        };
+        
+        this.tabs.push(tab);
+        this.saveToStorage();
+        return tab;
+    }
+    
+    get(id) {
+        return this.tabs.find(tab => tab.id === id);
+    }
+    
+    /**
+     * Gets all tabs in display order
+     * @returns {Object[]} Tabs
+     */
+    getAll() {
+        return [...this.tabs];
+    }
+    
+    /**
+     * Updates a tab
+     * @param {string} id - Tab ID
+     * @param {Object} updates - Fields to change (title, sql, parameters, datasetId, savedSql)
+     * @returns {Object|null} Updated tab or null if not found
+     */
+    update(id, updates) {
+        const tab = this.get(id);
+        if (!tab) {
+            return null;
+        }
+        
+        ['title', 'sql', 'datasetId', 'savedSql'].forEach(field => {
+            if (updates[field] !== undefined) {
+                tab[field] = updates[field];
+            }
+        });
+        if (updates.parameters !== undefined) {
+            tab.parameters = { ...updates.parameters };
+        }
+        
+        this.saveToStorage();
+        return tab;
+    }
+    
+    /**
+     * Turns a dataset tab back into a draft, e.g. after its dataset is deleted
+     * @param {string} id - Tab ID
+     * @returns {Object|null} Updated tab or null if not found
+     */
+    detachDataset(id) {
+        const tab = this.get(id);
+        if (!tab) {
+            return null;
+        }
+        
+        return this.update(id, {
+            title: `Query ${tab.id.replace('tab_', '')}`,
+            datasetId: null,
+            savedSql: ''
+        });
+    }
+    
+    /**
+     * Whether a tab has changes that are not saved to a dataset
+     * A draft is modified once it has any SQL; a dataset tab when its SQL differs from the saved query.
+     * @param {string} id - Tab ID
+     * @returns {boolean} True if the tab is modified
+     */
+    isDirty(id) {
+        const tab = this.get(id);
+        if (!tab) {
+            return false;
+        }
+        return tab.sql.trim() !== (tab.savedSql || '').trim();
+    }
+    
+    delete(id) {
+        const before = this.tabs.length;
+        this.tabs = this.tabs.filter(tab => tab.id !== id);
+        const deleted = this.tabs.length < before;
+        if (deleted) {
+            if (this.activeId === id) {
+                this.activeId = null;
+            }
+            this.saveToStorage();
+        }
+        return deleted;
+    }
+    
+    setActive(id) {
+        this.activeId = id;
+        this.saveToStorage();
+    }
+    
+    getActive() {
+        return this.get(this.activeId) || null;
+    }
+}
+
+export const queryDraftStore = new QueryDraftStore();
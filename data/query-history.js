@@ -0,0 +1,202 @@
+// Query history storage with localStorage persistence
+// Records every query run from the Query Builder so it can be searched, re-run or reopened
+
+const STORAGE_KEY = 'lwa_query_history';
+const NEXT_ID_KEY = 'lwa_query_history_nextId';
+const MAX_ENTRIES_KEY = 'lwa_query_history_maxEntries';
+const DEFAULT_MAX_ENTRIES = 100;
+
+class QueryHistoryStore {
+    constructor() {
+        this.entries = [];
+        this.nextId = 1;
+        this.maxEntries = DEFAULT_MAX_ENTRIES;
+        this.loadFromStorage();
+    }
+    
+    /**
+     * Loads history from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const storedNextId = localStorage.getItem(NEXT_ID_KEY);
+            const storedMaxEntries = localStorage.getItem(MAX_ENTRIES_KEY);
+            
+            if (stored) {
+                this.entries = JSON.parse(stored);
+            }
+            
+            if (storedNextId) {
+                this.nextId = parseInt(storedNextId, 10);
+            }
+            
+            if (storedMaxEntries) {
+                this.maxEntries = parseInt(storedMaxEntries, 10) || DEFAULT_MAX_ENTRIES;
+            }
+        } catch (error) {
+            console.error('Error loading query history from localStorage:', error);
+            this.entries = [];
+        }
+    }
+    
+    /**
+     * Saves history to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+            localStorage.setItem(NEXT_ID_KEY, String(this.nextId));
+            localStorage.setItem(MAX_ENTRIES_KEY, String(this.maxEntries));
+        } catch (error) {
+            console.error('[QueryHistoryStore.saveToStorage] Error saving query history to localStorage:', {
+                error: error.message,
+                errorName: error.name,
+                entryCount: this.entries.length
+            });
+        }
+    }
+    
+    /**
+     * Records a query run
+     * @param {Object} run - Run details
+     * @param {string} run.sql - SQL text as entered in the editor
+     * @param {Object} run.parameters - Values bound to named parameters
+     * @param {number} run.duration - Execution time in milliseconds
+     * @param {number|null} run.rowCount - Rows returned (null when the run failed)
+     * @param {string} run.status - 'success', 'error' or 'cancelled'
+     * @param {string|null} run.error - Error message for failed runs
+     * @returns {Object} History entry
+     */
+    record({ sql, parameters = {}, duration = 0, rowCount = null, status = 'success', error = null }) {
+        if (!sql || typeof sql !== 'string' || !sql.trim()) {
+            throw new Error('SQL is required to record query history');
+        }
+        
+        const entry = {
+            id: `query_${this.nextId++}`,
+            sql: sql.trim(),
+            parameters: { ...(parameters || {}) },
+            timestamp: new Date().toISOString(),
+            duration: Math.round(duration),
+            rowCount,
+            status,
+            error,
+            pinned: false
+        };
+        
+        this.entries.push(entry);
+        this.trim();
+        this.saveToStorage();
+        return entry;
+    }
+    
+    /**
+     * Drops the oldest unpinned entries beyond the size limit; pinned entries are always kept
+     */
+    trim() {
+        let excess = this.entries.length - this.maxEntries;
+        if (excess <= 0) return;
+        
+        this.entries = this.entries.filter(entry => {
+            if (excess > 0 && !entry.pinned) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+    
+    get(id) {
+        return this.entries.find(entry => entry.id === id);
+    }
+    
+    /**
+     * Gets history entries, pinned first and then newest first
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.search - Case-insensitive text to find in the SQL or error message
+     * @param {string} filters.status - Only entries with this status
+     * @param {boolean} filters.pinned - Only pinned entries
+     * @returns {Object[]} History entries
+     */
+    getAll(filters = {}) {
+        let results = [...this.entries];
+        
+        if (filters.search && filters.search.trim()) {
+            const search = filters.search.trim().toLowerCase();
+            results = results.filter(entry =>
+                entry.sql.toLowerCase().includes(search) ||
+                (entry.error && entry.error.toLowerCase().includes(search)));
+        }
+        
+        if (filters.status) {
+            results = results.filter(entry => entry.status === filters.status);
+        }
+        
+        if (filters.pinned) {
+            results = results.filter(entry => entry.pinned);
+        }
+        
+        // Entries are stored oldest first, so reversing gives newest first before the stable sort
+        return results.reverse().sort((a, b) => Number(b.pinned) - Number(a.pinned));
+    }
+    
+    /**
+     * Stars or unstars an entry; pinned entries are never removed by the size limit
+     * @param {string} id - Entry ID
+     * @param {boolean} pinned - Whether the entry is pinned
+     * @returns {Object|null} Updated entry or null if not found
+     */
+    setPinned(id, pinned) {
+        const entry = this.get(id);
+        if (!entry) {
+            return null;
+        }
+        
+        entry.pinned = Boolean(pinned);
+        if (!entry.pinned) {
+            this.trim();
+        }
+        this.saveToStorage();
+        return entry;
+    }
+    
+    /**
+     * Sets how many entries the history keeps
+     * @param {number} maxEntries - Maximum number of entries (at least 1)
+     */
+    setMaxEntries(maxEntries) {
+        const limit = parseInt(maxEntries, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('History size must be a whole number of at least 1');
+        }
+        
+        this.maxEntries = limit;
+        this.trim();
+        this.saveToStorage();
+    }
+    
+    getMaxEntries() {
+        return this.maxEntries;
+    }
+    
+    delete(id) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        const deleted = this.entries.length < before;
+        if (deleted) {
+            this.saveToStorage();
+        }
+        return deleted;
+    }
+    
+    /**
+     * Removes all unpinned entries
+     */
+    clear() {
+        this.entries = this.entries.filter(entry => entry.pinned);
+        this.saveToStorage();
+    }
+}
+
+export const queryHistoryStore = new QueryHistoryStore();
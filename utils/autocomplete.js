@@ -1,17 +1,70 @@
 // SQL Autocomplete Utility
-// Provides suggestions for SQL keywords, tables, and columns
+// Provides suggestions for SQL keywords, functions, tables, saved-dataset tables, columns and joins
+// Columns are limited to the tables in FROM/JOIN and resolve aliases (r. lists the columns of "results r");
+// JOIN ... ON clauses and conditions are suggested from the foreign keys in the schema catalog
 
 import { getAllTables } from './sql-engine.js';
+import { quoteIdentifier, tokenizeSQL } from './sql-parser.js';
+import { findRelationships, getColumnDefinition } from './schema-catalog.js';
 
 // SQL keywords
 const SQL_KEYWORDS = [
-    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'LIKE', 'BETWEEN',
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'LIKE', 'ILIKE', 'BETWEEN',
     'ORDER BY', 'GROUP BY', 'HAVING', 'LIMIT', 'OFFSET', 'JOIN', 'INNER JOIN',
-    'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN', 'ON', 'AS', 'DISTINCT', 'COUNT',
-    'SUM', 'AVG', 'MAX', 'MIN', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
-    'IS NULL', 'IS NOT NULL', 'UNION', 'UNION ALL', 'INSERT', 'UPDATE', 'DELETE'
+    'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN', 'FULL OUTER JOIN', 'CROSS JOIN', 'ON', 'AS', 'DISTINCT',
+    'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
+    'IS NULL', 'IS NOT NULL', 'UNION', 'UNION ALL', 'INTERSECT', 'EXCEPT', 'WITH', 'EXISTS', 'NOT EXISTS', 'NOT IN',
+    'OVER', 'PARTITION BY', 'ROWS BETWEEN', 'UNBOUNDED PRECEDING', 'CURRENT ROW',
+    'EXPLAIN', 'EXPLAIN ANALYZE',
+    'INSERT', 'UPDATE', 'DELETE'
 ];
 
+// Signatures of the functions the engine supports, shown in suggestions and while typing arguments
+const FUNCTION_SIGNATURES = {
+    COUNT: 'COUNT(* | [DISTINCT] expression)',
+    SUM: 'SUM([DISTINCT] number)',
+    AVG: 'AVG([DISTINCT] number)',
+    MIN: 'MIN(expression)',
+    MAX: 'MAX(expression)',
+    ROW_NUMBER: 'ROW_NUMBER() OVER (...)',
+    RANK: 'RANK() OVER (...)',
+    DENSE_RANK: 'DENSE_RANK() OVER (...)',
+    PERCENT_RANK: 'PERCENT_RANK() OVER (...)',
+    CUME_DIST: 'CUME_DIST() OVER (...)',
+    NTILE: 'NTILE(buckets) OVER (...)',
+    LAG: 'LAG(expression [, offset [, default]]) OVER (...)',
+    LEAD: 'LEAD(expression [, offset [, default]]) OVER (...)',
+    FIRST_VALUE: 'FIRST_VALUE(expression) OVER (...)',
+    LAST_VALUE: 'LAST_VALUE(expression) OVER (...)',
+    NTH_VALUE: 'NTH_VALUE(expression, n) OVER (...)',
+    COALESCE: 'COALESCE(value, ...)',
+    NULLIF: 'NULLIF(value, other)',
+    CAST: 'CAST(expression AS type)',
+    UPPER: 'UPPER(text)',
+    LOWER: 'LOWER(text)',
+    TRIM: 'TRIM(text)',
+    LTRIM: 'LTRIM(text)',
+    RTRIM: 'RTRIM(text)',
+    LENGTH: 'LENGTH(text)',
+    SUBSTRING: 'SUBSTRING(text, start [, length])',
+    SUBSTR: 'SUBSTR(text, start [, length])',
+    CONCAT: 'CONCAT(value, ...)',
+    REPLACE: 'REPLACE(text, search, replacement)',
+    ROUND: 'ROUND(number [, decimals])',
+    ABS: 'ABS(number)',
+    CEIL: 'CEIL(number)',
+    CEILING: 'CEILING(number)',
+    FLOOR: 'FLOOR(number)',
+    DATE_TRUNC: "DATE_TRUNC('unit', date)",
+    DATEDIFF: "DATEDIFF('unit', start, end)",
+    EXTRACT: 'EXTRACT(field FROM date)',
+    DATE_PART: "DATE_PART('field', date)"
+};
+
+// Keywords after which a column (or expression) is expected
+const COLUMN_KEYWORDS = ['SELECT', 'WHERE', 'ON', 'BY', 'HAVING', 'AND', 'OR', 'NOT', 'WHEN', 'THEN', 'ELSE',
+    'DISTINCT', 'IN', 'LIKE', 'ILIKE', 'BETWEEN', 'IS', 'CASE', 'AS'];
+
 // Get table schema dynamically
 function getTableSchema() {
     const tables = getAllTables();
@@ -27,77 +80,304 @@ function getTableNames() {
     return tables.map(t => t.name);
 }
 
+// Saved datasets are offered as tables but labelled separately
+function getDatasetTableNames() {
+    return new Set(getAllTables().filter(t => t.datasetId).map(t => t.name));
+}
+
 /**
  * Gets suggestions based on current SQL context
  * @param {string} sql - Current SQL text
  * @param {number} cursorPosition - Current cursor position
- * @returns {Array<{text: string, type: string}>}
+ * @returns {Array<{text: string, type: string, detail?: string}>} type is 'keyword', 'function', 'table',
+ *   'dataset', 'column' or 'join'; detail is a function signature, or a column's table and declared type
  */
 export function getSuggestions(sql, cursorPosition) {
     const textBeforeCursor = sql.substring(0, cursorPosition);
     const currentWord = getCurrentWord(textBeforeCursor);
+    const context = getSQLContext(textBeforeCursor.slice(0, textBeforeCursor.length - currentWord.length));
     
-    if (!currentWord) {
+    // Suggestions appear once a word is started, or straight after "alias."
+    if (!currentWord && context.type !== 'qualified') {
         return [];
     }
     
     const wordLower = currentWord.toLowerCase();
-    const context = getSQLContext(textBeforeCursor);
-    
-    let suggestions = [];
+    const matches = text => text.toLowerCase().startsWith(wordLower);
     
     const TABLE_SCHEMA = getTableSchema();
     const TABLE_NAMES = getTableNames();
+    const DATASET_TABLE_NAMES = getDatasetTableNames();
+    const tableType = table => (DATASET_TABLE_NAMES.has(table) ? 'dataset' : 'table');
     
-    // Suggest based on context
-    if (context.expectingTable) {
-        // After FROM, suggest table names
-        suggestions = TABLE_NAMES
-            .filter(table => table.toLowerCase().startsWith(wordLower))
-            .map(table => ({ text: table, type: 'table' }));
-    } else if (context.expectingColumn) {
-        // After SELECT or in WHERE, suggest columns
-        const tableName = context.currentTable;
-        if (tableName && TABLE_SCHEMA[tableName.toLowerCase()]) {
-            suggestions = TABLE_SCHEMA[tableName.toLowerCase()]
-                .filter(col => col.toLowerCase().startsWith(wordLower))
-                .map(col => ({ text: col, type: 'column' }));
+    // Tables the query reads, with their aliases - the whole query counts, since FROM usually follows SELECT
+    const references = getTableReferences(sql, TABLE_SCHEMA);
+    
+    let suggestions = [];
+    
+    if (context.type === 'qualified') {
+        // alias. or table. - the columns of that table
+        const qualifier = context.qualifier.toLowerCase();
+        const reference = references.find(ref => ref.alias.toLowerCase() === qualifier) ||
+            (TABLE_SCHEMA[qualifier] ? { table: qualifier } : null);
+        if (reference) {
+            suggestions = TABLE_SCHEMA[reference.table]
+                .filter(col => matches(col))
+                .map(col => ({ text: quoteIdentifier(col), type: 'column', detail: columnDetail(reference.table, col) }));
         }
-        // Also suggest all columns from all tables
-        if (suggestions.length === 0) {
-            Object.entries(TABLE_SCHEMA).forEach(([table, columns]) => {
-                columns.forEach(col => {
-                    if (col.toLowerCase().startsWith(wordLower)) {
-                        suggestions.push({ text: `${table}.${col}`, type: 'column' });
-                    }
-                });
-            });
+    } else if (context.type === 'table') {
+        // After JOIN, complete JOIN ... ON clauses come first
+        if (context.afterJoin) {
+            suggestions = getJoinSuggestions(references, TABLE_NAMES, '').filter(suggestion => matches(suggestion.text));
+        }
+        TABLE_NAMES
+            .filter(table => matches(table))
+            .forEach(table => suggestions.push({ text: table, type: tableType(table) }));
+    } else if (context.type === 'afterTable') {
+        // Following a table in FROM/JOIN - the next join, or the next clause
+        ['JOIN', 'LEFT JOIN', 'INNER JOIN'].forEach(prefix => {
+            getJoinSuggestions(references, TABLE_NAMES, `${prefix} `)
+                .filter(suggestion => matches(suggestion.text))
+                .forEach(suggestion => suggestions.push(suggestion));
+        });
+        suggestions.push(...getKeywordSuggestions(matches));
+    } else if (context.type === 'column') {
+        if (context.afterOn) {
+            suggestions = getJoinConditionSuggestions(references).filter(suggestion => matches(suggestion.text));
         }
+        suggestions.push(...getColumnSuggestions(references, TABLE_SCHEMA, matches));
+        suggestions.push(...getFunctionSuggestions(matches));
+        suggestions.push(...getKeywordSuggestions(matches));
     } else {
         // Suggest SQL keywords
-        suggestions = SQL_KEYWORDS
-            .filter(keyword => keyword.toLowerCase().startsWith(wordLower))
-            .map(keyword => ({ text: keyword, type: 'keyword' }));
+        suggestions = getKeywordSuggestions(matches);
+        suggestions.push(...getFunctionSuggestions(matches));
         
         // Also suggest table names
         TABLE_NAMES.forEach(table => {
-            if (table.toLowerCase().startsWith(wordLower)) {
-                suggestions.push({ text: table, type: 'table' });
+            if (matches(table)) {
+                suggestions.push({ text: table, type: tableType(table) });
             }
         });
     }
     
-    // Sort: exact matches first, then by type (keywords, tables, columns)
-    suggestions.sort((a, b) => {
-        if (a.text.toLowerCase() === wordLower) return -1;
-        if (b.text.toLowerCase() === wordLower) return 1;
-        const typeOrder = { keyword: 0, table: 1, column: 2 };
-        return typeOrder[a.type] - typeOrder[b.type];
-    });
+    // Exact matches first; otherwise keep the order chosen for the context (the sort is stable)
+    suggestions.sort((a, b) => Number(b.text.toLowerCase() === wordLower) - Number(a.text.toLowerCase() === wordLower));
     
     return suggestions.slice(0, 10); // Limit to 10 suggestions
 }
 
+/**
+ * Gets the signature of the function whose arguments are being typed
+ * @param {string} sql - Current SQL text
+ * @param {number} cursorPosition - Current cursor position
+ * @returns {string|null} Signature, e.g. "ROUND(number [, decimals])", or null outside a function call
+ */
+export function getFunctionSignature(sql, cursorPosition) {
+    const tokens = tokenize(sql.substring(0, cursorPosition));
+    const openCalls = [];
+    
+    tokens.forEach((token, index) => {
+        if (token.type === '(') {
+            const previous = tokens[index - 1];
+            const name = previous && previous.type === 'IDENTIFIER' && !previous.quoted ? previous.value.toUpperCase() : null;
+            openCalls.push(name);
+        } else if (token.type === ')') {
+            openCalls.pop();
+        }
+    });
+    
+    const name = openCalls.length > 0 ? openCalls[openCalls.length - 1] : null;
+    return name ? FUNCTION_SIGNATURES[name] || null : null;
+}
+
+/**
+ * Finds the known tables a query reads from and the names they are referenced by
+ * @param {string} sql - SQL text
+ * @param {Object} tableSchema - Columns by lower-case table name
+ * @returns {Array<{table: string, alias: string}>} table is lower-case; alias is the table name when there is none
+ */
+export function getTableReferences(sql, tableSchema = getTableSchema()) {
+    const tokens = tokenize(sql);
+    const references = [];
+    
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'KEYWORD' || (token.value !== 'FROM' && token.value !== 'JOIN')) continue;
+        
+        let j = i + 1;
+        if (!tokens[j] || tokens[j].type !== 'IDENTIFIER') continue;
+        let nameToken = tokens[j];
+        // schema.table - the schema is ignored
+        while (tokens[j + 1] && tokens[j + 1].type === '.' && tokens[j + 2] && tokens[j + 2].type === 'IDENTIFIER') {
+            j += 2;
+            nameToken = tokens[j];
+        }
+        
+        // FROM in EXTRACT(field FROM column) names a column, not a table
+        const table = nameToken.value.toLowerCase();
+        if (!tableSchema[table]) continue;
+        
+        let alias = nameToken.value;
+        const next = tokens[j + 1];
+        if (next && next.type === 'KEYWORD' && next.value === 'AS' && tokens[j + 2] && tokens[j + 2].type === 'IDENTIFIER') {
+            alias = tokens[j + 2].value;
+        } else if (next && next.type === 'IDENTIFIER') {
+            alias = next.value;
+        }
+        references.push({ table, alias });
+    }
+    
+    return references;
+}
+
+/**
+ * Tokenizes as much of the SQL as possible - text being typed is often incomplete (e.g. an open string)
+ * @param {string} sql - SQL text
+ * @returns {Array} Tokens, without the EOF token
+ */
+function tokenize(sql) {
+    try {
+        return tokenizeSQL(sql).filter(token => token.type !== 'EOF');
+    } catch (error) {
+        if (error.location && error.location.offset > 0) {
+            return tokenize(sql.substring(0, error.location.offset));
+        }
+        return [];
+    }
+}
+
+/**
+ * Gets keyword suggestions
+ * @param {Function} matches - Prefix test for the word being typed
+ * @returns {Array<{text: string, type: string}>}
+ */
+function getKeywordSuggestions(matches) {
+    return SQL_KEYWORDS
+        .filter(keyword => matches(keyword))
+        .map(keyword => ({ text: keyword, type: 'keyword' }));
+}
+
+/**
+ * Gets function suggestions with their signatures
+ * @param {Function} matches - Prefix test for the word being typed
+ * @returns {Array<{text: string, type: string, detail: string}>}
+ */
+function getFunctionSuggestions(matches) {
+    return Object.entries(FUNCTION_SIGNATURES)
+        .filter(([name]) => matches(name))
+        .map(([name, signature]) => ({ text: name, type: 'function', detail: signature }));
+}
+
+/**
+ * Gets column suggestions for the tables in FROM/JOIN
+ * Columns that several of those tables have are qualified with the alias; with no tables yet, every column is offered.
+ * @param {Array<{table: string, alias: string}>} references - Tables in the query
+ * @param {Object} tableSchema - Columns by lower-case table name
+ * @param {Function} matches - Prefix test for the word being typed
+ * @returns {Array<{text: string, type: string, detail: string}>}
+ */
+function getColumnSuggestions(references, tableSchema, matches) {
+    const suggestions = [];
+    
+    if (references.length === 0) {
+        Object.entries(tableSchema).forEach(([table, columns]) => {
+            columns.forEach(col => {
+                if (matches(col)) {
+                    suggestions.push({ text: `${table}.${quoteIdentifier(col)}`, type: 'column', detail: columnDetail(table, col) });
+                }
+            });
+        });
+        return suggestions;
+    }
+    
+    const owners = {};
+    references.forEach(ref => {
+        tableSchema[ref.table].forEach(col => {
+            const key = col.toLowerCase();
+            owners[key] = (owners[key] || 0) + 1;
+        });
+    });
+    
+    references.forEach(ref => {
+        tableSchema[ref.table].forEach(col => {
+            if (!matches(col)) return;
+            const text = owners[col.toLowerCase()] > 1 ? `${ref.alias}.${quoteIdentifier(col)}` : quoteIdentifier(col);
+            if (!suggestions.some(suggestion => suggestion.text === text)) {
+                suggestions.push({ text, type: 'column', detail: columnDetail(ref.table, col) });
+            }
+        });
+    });
+    
+    return suggestions;
+}
+
+/**
+ * Describes a column for its suggestion
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {string} e.g. "results · decimal"; just the table for columns the schema catalog does not declare
+ */
+function columnDetail(table, column) {
+    const definition = getColumnDefinition(table, column);
+    return definition ? `${table} · ${definition.type}` : table;
+}
+
+/**
+ * Suggests joining the tables related to the ones already in the query
+ * @param {Array<{table: string, alias: string}>} references - Tables in the query
+ * @param {string[]} tableNames - All table names
+ * @param {string} prefix - Text before the table name, e.g. "LEFT JOIN "
+ * @returns {Array<{text: string, type: string, detail: string}>} e.g. "tests ON r.test_id = tests.test_id"
+ */
+function getJoinSuggestions(references, tableNames, prefix) {
+    const joined = new Set(references.map(ref => ref.table));
+    const suggestions = [];
+    
+    references.forEach(ref => {
+        tableNames
+            .filter(table => !joined.has(table.toLowerCase()))
+            .forEach(table => {
+                findRelationships(ref.table, table).forEach(link => {
+                    suggestions.push({
+                        text: `${prefix}${table} ON ${ref.alias}.${link.fromColumn} = ${table}.${link.toColumn}`,
+                        type: 'join',
+                        detail: `${ref.table} → ${table}`
+                    });
+                });
+            });
+    });
+    
+    return suggestions;
+}
+
+/**
+ * Suggests ON conditions linking the most recently joined table to the tables before it
+ * @param {Array<{table: string, alias: string}>} references - Tables in the query, in order
+ * @returns {Array<{text: string, type: string, detail: string}>} e.g. "s.sample_id = r.sample_id"
+ */
+function getJoinConditionSuggestions(references) {
+    if (references.length < 2) return [];
+    
+    const joined = references[references.length - 1];
+    const suggestions = [];
+    references.slice(0, -1).forEach(ref => {
+        findRelationships(ref.table, joined.table).forEach(link => {
+            suggestions.push({
+                text: `${ref.alias}.${link.fromColumn} = ${joined.alias}.${link.toColumn}`,
+                type: 'join',
+                detail: `${ref.table} → ${joined.table}`
+            });
+            suggestions.push({
+                text: `${joined.alias}.${link.toColumn} = ${ref.alias}.${link.fromColumn}`,
+                type: 'join',
+                detail: `${joined.table} → ${ref.table}`
+            });
+        });
+    });
+    return suggestions;
+}
+
 /**
  * Gets the current word being typed
  * @param {string} text - Text before cursor
@@ -110,54 +390,51 @@ function getCurrentWord(text) {
 
 /**
  * Analyzes SQL context to determine what suggestions to show
- * @param {string} text - Text before cursor
- * @returns {Object}
+ * @param {string} text - Text before the word being typed
+ * @returns {{type: string, qualifier?: string, afterJoin?: boolean, afterOn?: boolean}} type is
+ *   'qualified' (after "alias."), 'table' (after FROM/JOIN), 'afterTable' (after a table in FROM/JOIN),
+ *   'column' (in an expression) or 'keyword'
  */
 function getSQLContext(text) {
-    const normalized = text.toLowerCase().trim();
-    
-    // Check if we're after FROM
-    const fromMatch = normalized.match(/from\s+(\w*)$/);
-    if (fromMatch) {
-        return {
-            expectingTable: true,
-            expectingColumn: false,
-            currentTable: null
-        };
+    const qualifierMatch = text.match(/([A-Za-z_]\w*)\.$/);
+    if (qualifierMatch) {
+        return { type: 'qualified', qualifier: qualifierMatch[1] };
     }
     
-    // Check if we're in SELECT clause
-    const selectMatch = normalized.match(/select\s+(.*?)(?:\s+from|$)/i);
-    if (selectMatch) {
-        // Extract table name from FROM clause if present
-        const fromTableMatch = normalized.match(/from\s+(\w+)/);
-        const currentTable = fromTableMatch ? fromTableMatch[1] : null;
-        
-        return {
-            expectingTable: false,
-            expectingColumn: true,
-            currentTable: currentTable
-        };
+    const tokens = tokenize(text);
+    const last = tokens[tokens.length - 1];
+    if (!last) {
+        return { type: 'keyword' };
     }
     
-    // Check if we're in WHERE clause
-    const whereMatch = normalized.match(/where\s+(.*?)$/i);
-    if (whereMatch) {
-        const fromTableMatch = normalized.match(/from\s+(\w+)/);
-        const currentTable = fromTableMatch ? fromTableMatch[1] : null;
-        
-        return {
-            expectingTable: false,
-            expectingColumn: true,
-            currentTable: currentTable
-        };
+    if (last.type === 'KEYWORD' && (last.value === 'FROM' || last.value === 'JOIN')) {
+        return { type: 'table', afterJoin: last.value === 'JOIN' };
+    }
+    
+    // "FROM samples s " or "JOIN tests AS t " - a table (and alias) has just been written
+    let i = tokens.length - 1;
+    if (tokens[i].type === 'IDENTIFIER') {
+        let start = i;
+        if (tokens[start - 1] && tokens[start - 1].type === 'KEYWORD' && tokens[start - 1].value === 'AS') {
+            start -= 2;
+        } else if (tokens[start - 1] && tokens[start - 1].type === 'IDENTIFIER') {
+            start -= 1;
+        }
+        const before = tokens[start - 1];
+        if (before && before.type === 'KEYWORD' && (before.value === 'FROM' || before.value === 'JOIN') &&
+            tokens[start] && tokens[start].type === 'IDENTIFIER') {
+            return { type: 'afterTable' };
+        }
+    }
+    
+    if (last.type === 'KEYWORD' && COLUMN_KEYWORDS.includes(last.value)) {
+        return { type: 'column', afterOn: last.value === 'ON' };
+    }
+    if (['OPERATOR', '(', ','].includes(last.type)) {
+        return { type: 'column', afterOn: false };
     }
     
-    return {
-        expectingTable: false,
-        expectingColumn: false,
-        currentTable: null
-    };
+    return { type: 'keyword' };
 }
 
 /**
@@ -169,4 +446,3 @@ export function getWordStartPosition(text) {
     const match = text.match(/(\w+)$/);
     return match ? text.length - match[1].length : text.length;
 }
-
@@ -0,0 +1,333 @@
+// Join Graph
+// Reads the FROM/JOIN clause of a query into a graph of tables and join conditions, and writes an edited
+// graph back into the query. Used by the join designer (ER diagram) so that the diagram and the SQL text
+// edit the same thing: diagram edits rewrite only the FROM clause, and the diagram is re-read from the SQL.
+
+import { parseSQL, tokenizeSQL, quoteIdentifier } from './sql-parser.js';
+import { findRelationships } from './schema-catalog.js';
+
+// Join types offered by the designer, in menu order
+export const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'];
+
+// Keywords that end the FROM clause of a SELECT
+const CLAUSES_AFTER_FROM = ['WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'UNION', 'INTERSECT', 'EXCEPT'];
+
+/**
+ * Reads the tables and joins of a query
+ * @param {string} sql - SQL query
+ * @returns {{from: {table: string, alias: string}|null, joins: Array}|null} Graph, or null when the query
+ *   cannot be shown as a diagram (it does not parse, is a set operation, or joins subqueries). Each join is
+ *   {joinType, table, alias, on, conditions}: on is the ON condition as written (null for CROSS JOIN) and
+ *   conditions are its column equalities, [{left: {alias, column}, right: {alias, column}}].
+ *   An empty query gives {from: null, joins: []}.
+ */
+export function parseJoinGraph(sql) {
+    if (!sql.trim()) {
+        return { from: null, joins: [] };
+    }
+
+    let statement;
+    try {
+        statement = parseSQL(sql);
+    } catch (error) {
+        return null;
+    }
+
+    if (statement.type !== 'SELECT') return null;
+    const { from } = statement;
+    if (from.table.subquery || from.joins.some(join => join.table.subquery)) return null;
+
+    const onTexts = findOnConditionTexts(sql);
+    let onIndex = 0;
+
+    return {
+        from: { table: from.table.name, alias: from.table.alias || from.table.name },
+        joins: from.joins.map(join => ({
+            joinType: join.joinType,
+            table: join.table.name,
+            alias: join.table.alias || join.table.name,
+            on: join.on ? onTexts[onIndex++] : null,
+            conditions: join.on ? equalityConditions(join.on) : []
+        }))
+    };
+}
+
+/**
+ * Writes a graph's tables and joins as a FROM clause
+ * @param {Object} graph - Graph from parseJoinGraph() (or edited by the functions below)
+ * @returns {string} e.g. "FROM samples\nLEFT JOIN labs ON samples.lab_id = labs.lab_id"
+ */
+export function buildFromClause(graph) {
+    const lines = [`FROM ${tableReference(graph.from)}`];
+    graph.joins.forEach(join => {
+        const condition = join.joinType === 'CROSS' ? '' : ` ON ${join.on}`;
+        lines.push(`${join.joinType} JOIN ${tableReference(join)}${condition}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Replaces the FROM clause of a query with a graph's tables and joins
+ * An empty query becomes SELECT * over the graph.
+ * @param {string} sql - SQL query (must be empty or readable by parseJoinGraph)
+ * @param {Object} graph - Edited graph
+ * @returns {string} Updated SQL
+ */
+export function applyJoinGraph(sql, graph) {
+    if (!graph.from) {
+        return '';
+    }
+
+    const fromClause = buildFromClause(graph);
+    const span = findFromClauseSpan(sql);
+    if (!span) {
+        return `SELECT *\n${fromClause}`;
+    }
+
+    const original = sql.slice(span.start, span.end);
+    const trailingSpace = original.match(/\s*$/)[0];
+    return sql.slice(0, span.start) + fromClause + trailingSpace + sql.slice(span.end);
+}
+
+/**
+ * Joins two tables on a pair of columns (the designer's drag from one column to another)
+ * Dragging to a table that is not in the query joins it; dragging between two tables already in the query
+ * adds the condition to the later table's join. An empty query starts FROM the dragged-from table.
+ * @param {Object} graph - Graph to edit
+ * @param {{table: string, column: string}} source - Column the drag started on
+ * @param {{table: string, column: string}} target - Column the drag ended on
+ * @returns {Object} Edited graph
+ * @throws {Error} If neither table is in the query, or both columns are in the same table
+ */
+export function connectColumns(graph, source, target) {
+    if (source.table.toLowerCase() === target.table.toLowerCase()) {
+        throw new Error('Drag to a column of another table to join two tables.');
+    }
+
+    if (!graph.from) {
+        const from = { table: source.table, alias: source.table };
+        return {
+            from,
+            joins: [newJoin(target.table, target.table, condition(from.alias, source.column, target.table, target.column))]
+        };
+    }
+
+    const references = [graph.from, ...graph.joins];
+    const sourceIndex = references.findIndex(ref => sameTable(ref.table, source.table));
+    const targetIndex = references.findIndex(ref => sameTable(ref.table, target.table));
+
+    if (sourceIndex === -1 && targetIndex === -1) {
+        throw new Error(`Neither "${source.table}" nor "${target.table}" is in the query. Start from a table that is.`);
+    }
+
+    if (sourceIndex === -1 || targetIndex === -1) {
+        // Join the table that is not in the query yet
+        const [existing, existingColumn, added, addedColumn] = sourceIndex === -1
+            ? [references[targetIndex], target.column, source.table, source.column]
+            : [references[sourceIndex], source.column, target.table, target.column];
+        return {
+            from: graph.from,
+            joins: [...graph.joins, newJoin(added, added, condition(existing.alias, existingColumn, added, addedColumn))]
+        };
+    }
+
+    // Both tables are in the query - the condition belongs to whichever was joined later
+    const [earlier, earlierColumn, later, laterColumn, laterIndex] = sourceIndex < targetIndex
+        ? [references[sourceIndex], source.column, references[targetIndex], target.column, targetIndex]
+        : [references[targetIndex], target.column, references[sourceIndex], source.column, sourceIndex];
+    const added = condition(earlier.alias, earlierColumn, later.alias, laterColumn);
+
+    return {
+        from: graph.from,
+        joins: graph.joins.map((join, index) => {
+            if (index !== laterIndex - 1) return join;
+            if (join.joinType === 'CROSS' || !join.on) {
+                return { ...join, joinType: 'INNER', on: added };
+            }
+            // Keep an existing OR together
+            const existing = /\bor\b/i.test(join.on) ? `(${join.on})` : join.on;
+            return { ...join, on: `${existing} AND ${added}` };
+        })
+    };
+}
+
+/**
+ * Changes the type of a join
+ * A CROSS JOIN changed to another type is given the condition of a foreign key to the tables before it.
+ * @param {Object} graph - Graph to edit
+ * @param {number} index - Index of the join
+ * @param {string} joinType - One of JOIN_TYPES
+ * @returns {Object} Edited graph
+ * @throws {Error} If the join type is unknown, or a CROSS JOIN has no foreign key to use as its condition
+ */
+export function setJoinType(graph, index, joinType) {
+    if (!JOIN_TYPES.includes(joinType)) {
+        throw new Error(`Unknown join type "${joinType}". Use one of: ${JOIN_TYPES.join(', ')}`);
+    }
+
+    const join = graph.joins[index];
+    let on = join.on;
+    if (joinType === 'CROSS') {
+        on = null;
+    } else if (!on) {
+        on = findForeignKeyCondition([graph.from, ...graph.joins.slice(0, index)], join);
+        if (!on) {
+            throw new Error(`No foreign key links "${join.table}" to the tables before it. Drag between two columns to give the join a condition.`);
+        }
+    }
+
+    return {
+        from: graph.from,
+        joins: graph.joins.map((other, i) => (i === index ? { ...other, joinType, on } : other))
+    };
+}
+
+/**
+ * Removes a join, and the joins after it whose conditions use the removed table
+ * @param {Object} graph - Graph to edit
+ * @param {number} index - Index of the join
+ * @returns {Object} Edited graph
+ */
+export function removeJoin(graph, index) {
+    const removed = new Set([graph.joins[index].alias.toLowerCase()]);
+    const joins = graph.joins.filter((join, i) => {
+        if (i === index) return false;
+        if (i < index) return true;
+
+        const usesRemoved = [...removed].some(alias => new RegExp(`(^|[^\\w"])"?${escapeRegExp(alias)}"?\\s*\\.`, 'i').test(join.on || ''));
+        if (usesRemoved) {
+            removed.add(join.alias.toLowerCase());
+        }
+        return !usesRemoved;
+    });
+
+    return { from: graph.from, joins };
+}
+
+/**
+ * Finds the text of each ON condition in the main query's FROM clause, in join order
+ * @param {string} sql - SQL query that parses
+ * @returns {string[]}
+ */
+function findOnConditionTexts(sql) {
+    const span = findFromClauseSpan(sql);
+    const tokens = tokenizeSQL(sql).filter(token => token.position.offset >= span.start && token.position.offset < span.end);
+    const texts = [];
+    let depth = 0;
+    let onEnd = null;
+
+    const close = end => {
+        if (onEnd !== null) {
+            texts.push(sql.slice(onEnd, end).trim());
+            onEnd = null;
+        }
+    };
+
+    tokens.forEach((token, index) => {
+        if (token.type === '(') depth++;
+        if (token.type === ')') depth--;
+        if (depth !== 0 || token.type !== 'KEYWORD') return;
+
+        if (token.value === 'ON') {
+            onEnd = token.position.offset + token.position.length;
+        } else if (['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'].includes(token.value) ||
+            (token.value === 'JOIN' && !isJoinModifier(tokens[index - 1]))) {
+            close(token.position.offset);
+        }
+    });
+    close(span.end);
+
+    return texts;
+}
+
+/**
+ * Finds where the main query's FROM clause starts and ends
+ * @param {string} sql - SQL query
+ * @returns {{start: number, end: number}|null} Offsets of the FROM keyword and of the clause after it (or the end)
+ */
+function findFromClauseSpan(sql) {
+    let tokens;
+    try {
+        tokens = tokenizeSQL(sql);
+    } catch (error) {
+        return null;
+    }
+
+    let depth = 0;
+    let start = null;
+    for (const token of tokens) {
+        if (token.type === '(') depth++;
+        if (token.type === ')') depth--;
+        if (depth !== 0) continue;
+
+        if (start === null) {
+            if (token.type === 'KEYWORD' && token.value === 'FROM') {
+                start = token.position.offset;
+            }
+        } else if (token.type === 'EOF' || token.type === ';' ||
+            (token.type === 'KEYWORD' && CLAUSES_AFTER_FROM.includes(token.value))) {
+            return { start, end: token.type === 'EOF' ? sql.length : token.position.offset };
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the column = column comparisons ANDed together in an ON condition
+ * @param {Object} node - ON expression node
+ * @returns {Array<{left: {alias: string, column: string}, right: {alias: string, column: string}}>}
+ */
+function equalityConditions(node) {
+    if (node.type === 'LOGICAL' && node.operator === 'AND') {
+        return [...equalityConditions(node.left), ...equalityConditions(node.right)];
+    }
+    if (node.type === 'COMPARISON' && node.operator === '=' &&
+        node.left.type === 'COLUMN' && node.left.table && node.right.type === 'COLUMN' && node.right.table) {
+        return [{
+            left: { alias: node.left.table, column: node.left.name },
+            right: { alias: node.right.table, column: node.right.name }
+        }];
+    }
+    return [];
+}
+
+/**
+ * Builds an ON condition from a foreign key between a join's table and the tables before it
+ * @param {Array<{table: string, alias: string}>} earlier - Tables before the join
+ * @param {{table: string, alias: string}} join - Joined table
+ * @returns {string|null}
+ */
+function findForeignKeyCondition(earlier, join) {
+    for (const ref of earlier) {
+        const [link] = findRelationships(ref.table, join.table);
+        if (link) {
+            return condition(ref.alias, link.fromColumn, join.alias, link.toColumn);
+        }
+    }
+    return null;
+}
+
+function newJoin(table, alias, on) {
+    return { joinType: 'INNER', table, alias, on, conditions: [] };
+}
+
+function condition(leftAlias, leftColumn, rightAlias, rightColumn) {
+    return `${quoteIdentifier(leftAlias)}.${quoteIdentifier(leftColumn)} = ${quoteIdentifier(rightAlias)}.${quoteIdentifier(rightColumn)}`;
+}
+
+function tableReference(ref) {
+    const name = quoteIdentifier(ref.table);
+    return sameTable(ref.alias, ref.table) ? name : `${name} ${quoteIdentifier(ref.alias)}`;
+}
+
+function sameTable(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function isJoinModifier(token) {
+    return token && token.type === 'KEYWORD' && ['INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS'].includes(token.value);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
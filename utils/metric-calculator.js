@@ -284,16 +284,204 @@ export function calculateCountDistinct(rows, columns, columnName) {
     return distinctValues.size;
 }
 
+/**
+ * Calculates the median of numeric values in a column
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column to calculate on
+ * @returns {number}
+ * @throws {Error} If column is missing, dataset is empty or column has no numeric values
+ */
+export function calculateMedian(rows, columns, columnName) {
+    const values = getNumericValues(rows, columns, columnName, 'median');
+    return parseFloat(percentileOf(sortAscending(values), 50).toFixed(4));
+}
+
+/**
+ * Calculates a percentile of numeric values in a column
+ * Interpolates linearly between the two nearest values (the same method as Excel's PERCENTILE.INC).
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column to calculate on
+ * @param {number} percentile - Percentile from 0 to 100, e.g. 90
+ * @returns {number}
+ * @throws {Error} If the percentile is out of range, column is missing, dataset is empty or column has no numeric values
+ */
+export function calculatePercentile(rows, columns, columnName, percentile) {
+    const p = Number(percentile);
+    if (percentile === null || percentile === undefined || percentile === '' || isNaN(p) || p < 0 || p > 100) {
+        throw new Error(`Cannot calculate percentile: percentile must be a number from 0 to 100 (got ${percentile})`);
+    }
+    
+    const values = getNumericValues(rows, columns, columnName, 'percentile');
+    return parseFloat(percentileOf(sortAscending(values), p).toFixed(4));
+}
+
+/**
+ * Calculates the interquartile range (75th minus 25th percentile) of numeric values in a column
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column to calculate on
+ * @returns {number}
+ * @throws {Error} If column is missing, dataset is empty or column has no numeric values
+ */
+export function calculateIQR(rows, columns, columnName) {
+    const sorted = sortAscending(getNumericValues(rows, columns, columnName, 'interquartile range'));
+    return parseFloat((percentileOf(sorted, 75) - percentileOf(sorted, 25)).toFixed(4));
+}
+
+/**
+ * Calculates the mode (most frequent value) of numeric values in a column
+ * When several values are equally frequent, the smallest is returned.
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column to calculate on
+ * @returns {number}
+ * @throws {Error} If column is missing, dataset is empty or column has no numeric values
+ */
+export function calculateMode(rows, columns, columnName) {
+    const values = getNumericValues(rows, columns, columnName, 'mode');
+    
+    const counts = new Map();
+    values.forEach(val => counts.set(val, (counts.get(val) || 0) + 1));
+    
+    let mode = null;
+    let modeCount = 0;
+    counts.forEach((count, val) => {
+        if (count > modeCount || (count === modeCount && val < mode)) {
+            mode = val;
+            modeCount = count;
+        }
+    });
+    
+    return mode;
+}
+
+/**
+ * Calculates the variance of numeric values in a column
+ * Population variance, the square of calculateStdev's standard deviation.
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column to calculate on
+ * @returns {number}
+ * @throws {Error} If column is missing, dataset is empty or column has no numeric values
+ */
+export function calculateVariance(rows, columns, columnName) {
+    const values = getNumericValues(rows, columns, columnName, 'variance');
+    return parseFloat(varianceOf(values).toFixed(4));
+}
+
+/**
+ * Calculates the coefficient of variation (standard deviation divided by mean) of numeric values in a column
+ * Returned as a ratio, e.g. 0.12 for 12% - use the percentage display type to show it as a percent.
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column to calculate on
+ * @returns {number}
+ * @throws {Error} If the mean is zero, column is missing, dataset is empty or column has no numeric values
+ */
+export function calculateCoefficientOfVariation(rows, columns, columnName) {
+    const values = getNumericValues(rows, columns, columnName, 'coefficient of variation');
+    
+    const mean = values.reduce((acc, val) => acc + val, 0) / values.length;
+    if (mean === 0) {
+        throw new Error(`Cannot calculate coefficient of variation: column "${columnName}" has a mean of zero`);
+    }
+    
+    return parseFloat((Math.sqrt(varianceOf(values)) / Math.abs(mean)).toFixed(4));
+}
+
+/**
+ * Calculates the skewness of numeric values in a column
+ * Population (Fisher-Pearson) skewness: positive when the values have a long tail above the mean,
+ * negative for a long tail below it, and 0 when all values are equal.
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column to calculate on
+ * @returns {number}
+ * @throws {Error} If column is missing, dataset is empty or column has no numeric values
+ */
+export function calculateSkewness(rows, columns, columnName) {
+    const values = getNumericValues(rows, columns, columnName, 'skewness');
+    
+    const variance = varianceOf(values);
+    if (variance === 0) return 0;
+    
+    const mean = values.reduce((acc, val) => acc + val, 0) / values.length;
+    const thirdMoment = values.reduce((acc, val) => acc + Math.pow(val - mean, 3), 0) / values.length;
+    return parseFloat((thirdMoment / Math.pow(variance, 1.5)).toFixed(4));
+}
+
+/**
+ * Gets the numeric values of a column, checking the dataset and column first
+ * @param {any[][]} rows - Array of row arrays
+ * @param {string[]} columns - Column names array
+ * @param {string} columnName - Name of the column
+ * @param {string} calculation - Name of the calculation, for error messages
+ * @returns {number[]}
+ * @throws {Error} If column is missing, dataset is empty or column has no numeric values
+ */
+function getNumericValues(rows, columns, columnName, calculation) {
+    if (!rows || !Array.isArray(rows) || rows.length === 0) {
+        throw new Error(`Cannot calculate ${calculation}: dataset is empty`);
+    }
+    
+    if (!columns || !Array.isArray(columns)) {
+        throw new Error(`Cannot calculate ${calculation}: column names are missing`);
+    }
+    
+    const columnIndex = columns.indexOf(columnName);
+    if (columnIndex === -1) {
+        throw new Error(`Column "${columnName}" not found in dataset. Available columns: ${columns.join(', ')}`);
+    }
+    
+    const values = rows
+        .map(row => {
+            if (!row || !Array.isArray(row) || row.length <= columnIndex) {
+                return null;
+            }
+            return row[columnIndex];
+        })
+        .filter(val => val !== null && val !== undefined && val !== '' && !isNaN(Number(val)))
+        .map(val => Number(val));
+    
+    if (values.length === 0) {
+        throw new Error(`Cannot calculate ${calculation}: column "${columnName}" contains no numeric values`);
+    }
+    
+    return values;
+}
+
+function sortAscending(values) {
+    return [...values].sort((a, b) => a - b);
+}
+
+// Percentile of sorted values, interpolating between the two nearest ranks
+function percentileOf(sorted, percentile) {
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Population variance
+function varianceOf(values) {
+    const mean = values.reduce((acc, val) => acc + val, 0) / values.length;
+    return values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / values.length;
+}
+
 /**
  * Calculates a metric based on operation type
  * @param {any[][]} rows - Array of row arrays
  * @param {string[]} columns - Column names array
  * @param {string} columnName - Name of the column to calculate on
- * @param {string} operation - Operation type: 'mean', 'sum', 'min', 'max', 'stdev', 'count', 'count_distinct'
+ * @param {string} operation - Operation type: 'mean', 'sum', 'min', 'max', 'stdev', 'count', 'count_distinct',
+ *   'median', 'percentile', 'iqr', 'mode', 'variance', 'cv' or 'skewness'
+ * @param {number} [percentile] - Percentile from 0 to 100, for the 'percentile' operation
  * @returns {number|null}
  * @throws {Error} If operation is invalid or calculation fails
  */
-export function calculateMetric(rows, columns, columnName, operation) {
+export function calculateMetric(rows, columns, columnName, operation, percentile) {
     if (!operation) {
         throw new Error('Operation type is required');
     }
@@ -315,8 +503,22 @@ export function calculateMetric(rows, columns, columnName, operation) {
         case 'count_distinct':
         case 'countdistinct':
             return calculateCountDistinct(rows, columns, columnName);
+        case 'median':
+            return calculateMedian(rows, columns, columnName);
+        case 'percentile':
+            return calculatePercentile(rows, columns, columnName, percentile);
+        case 'iqr':
+            return calculateIQR(rows, columns, columnName);
+        case 'mode':
+            return calculateMode(rows, columns, columnName);
+        case 'variance':
+            return calculateVariance(rows, columns, columnName);
+        case 'cv':
+            return calculateCoefficientOfVariation(rows, columns, columnName);
+        case 'skewness':
+            return calculateSkewness(rows, columns, columnName);
         default:
-            throw new Error(`Unsupported operation: "${operation}". Supported operations: mean, sum, min, max, stdev, count, count_distinct`);
+            throw new Error(`Unsupported operation: "${operation}". Supported operations: mean, sum, min, max, stdev, count, count_distinct, median, percentile, iqr, mode, variance, cv, skewness`);
     }
 }
 
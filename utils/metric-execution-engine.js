@@ -1,8 +1,28 @@
 // Metric Execution Engine
-// Executes metric definitions on dataset rows and returns scalar values
+// Executes metric definitions on dataset rows and returns scalar values, or one value per group for grouped metrics
+// Time-windowed metrics are calculated for their current period and compared with the prior period
 
-import { calculateMean, calculateSum, calculateMin, calculateMax, calculateStdev, calculateCount, calculateCountDistinct } from './metric-calculator.js';
-import { evaluateMetricScript } from './metric-script-parser.js';
+import {
+    calculateMean,
+    calculateSum,
+    calculateMin,
+    calculateMax,
+    calculateStdev,
+    calculateCount,
+    calculateCountDistinct,
+    calculateMedian,
+    calculatePercentile,
+    calculateIQR,
+    calculateMode,
+    calculateVariance,
+    calculateCoefficientOfVariation,
+    calculateSkewness
+} from './metric-calculator.js';
+import { evaluateMetricScript, findMetricReferences, metricKey } from './metric-script-parser.js';
+import { splitRowsByWindow } from './metric-windows.js';
+
+// Operations that are 0 over no rows, as COUNT, COUNT_DISTINCT and SUM are in metric expressions
+const ZERO_WHEN_EMPTY_OPERATIONS = ['count', 'count_distinct', 'sum'];
 
 /**
  * Metric Execution Engine
@@ -18,18 +38,29 @@ export class MetricExecutionEngine {
             'max': calculateMax,
             'stdev': calculateStdev,
             'count': calculateCount,
-            'count_distinct': calculateCountDistinct
+            'count_distinct': calculateCountDistinct,
+            'median': calculateMedian,
+            'percentile': calculatePercentile,
+            'iqr': calculateIQR,
+            'mode': calculateMode,
+            'variance': calculateVariance,
+            'cv': calculateCoefficientOfVariation,
+            'skewness': calculateSkewness
         };
     }
     
     /**
      * Executes a metric definition on dataset rows
      * @param {Object} metricDefinition - Metric definition object
-     * @param {string} metricDefinition.operation - Aggregation operation (mean, sum, min, max, stdev, count, count_distinct)
+     * @param {string} metricDefinition.operation - Aggregation operation (mean, sum, min, max, stdev, count, count_distinct,
+     *   median, percentile, iqr, mode, variance, cv, skewness)
      * @param {string} metricDefinition.column - Column name to aggregate
+     * @param {number} [metricDefinition.percentile] - Percentile from 0 to 100, for the percentile operation
+     * @param {string} [metricDefinition.groupBy] - Column to break the result down by
      * @param {any[][]} rows - Dataset rows (array of arrays)
      * @param {string[]} columns - Dataset column names
-     * @returns {number|null} Scalar result value or null if execution fails
+     * @returns {number|null|Array<{key: any, value: number|null}>} Scalar result value or null if execution fails;
+     *   one result per group when grouped
      * @throws {Error} If metric definition is invalid or operation is not supported
      */
     execute(metricDefinition, rows, columns) {
@@ -54,7 +85,7 @@ export class MetricExecutionEngine {
             throw new Error('Cannot calculate metric: dataset has no columns');
         }
         
-        const { operation, column } = metricDefinition;
+        const { operation, column, percentile, groupBy } = metricDefinition;
         
         if (!operation) {
             throw new Error('Metric operation is required');
@@ -75,6 +106,14 @@ export class MetricExecutionEngine {
             throw new Error(`Column "${column}" not found in dataset. Available columns: ${columns.join(', ')}`);
         }
         
+        if (groupBy) {
+            if (!columns.includes(groupBy)) {
+                throw new Error(`Group-by column "${groupBy}" not found in dataset. Available columns: ${columns.join(', ')}`);
+            }
+            return this.executeByGroup(rows, columns, groupBy,
+                groupRows => this.execute({ operation, column, percentile }, groupRows, columns));
+        }
+        
         // Execute the aggregation function
         try {
             console.log('[MetricExecutionEngine.execute] Executing metric', {
@@ -85,7 +124,8 @@ export class MetricExecutionEngine {
             });
             
             const aggregationFn = this.aggregationFunctions[operation];
-            const result = aggregationFn(rows, columns, column);
+            // Only the percentile operation takes the extra argument
+            const result = aggregationFn(rows, columns, column, percentile);
             
             console.log('[MetricExecutionEngine.execute] Metric executed successfully', {
                 operation,
@@ -111,12 +151,42 @@ export class MetricExecutionEngine {
     
     /**
      * Executes a metric by ID using stored metric definition and dataset
-     * @param {string} metricId - Metric ID
+     * Metrics the expression references by name ([Name]) are executed first, from the given metrics.
+     * @param {Object} metric - Metric object from store
+     * @param {Object} dataset - Dataset object with rows and columns
+     * @param {Object[]} [metrics] - Other metrics of the dataset, for references by name
+     * @returns {number|null|Array<{key: any, value: number|null}>} Scalar result value, or one result per group;
+     *   the current period's value for time-windowed metrics
+     * @throws {Error} If the metric fails, or a metric it references fails or references it back
+     */
+    executeMetric(metric, dataset, metrics = []) {
+        return this.resolveMetric(metric, dataset, metrics).value;
+    }
+    
+    /**
+     * Executes a time-windowed metric for its current and prior periods
+     * @param {Object} metric - Metric object with dateColumn and window
      * @param {Object} dataset - Dataset object with rows and columns
+     * @param {Object[]} [metrics] - Other metrics of the dataset, for references by name
+     * @returns {Object} Comparison, see compareMetric
+     * @throws {Error} If the metric has no window or its current period fails
+     */
+    executeComparison(metric, dataset, metrics = []) {
+        if (metric && !metric.window) {
+            throw new Error('Metric has no time window to compare');
+        }
+        return this.resolveMetric(metric, dataset, metrics).comparison;
+    }
+    
+    /**
+     * Executes a metric with the metrics it references by name
      * @param {Object} metric - Metric object from store
-     * @returns {number|null} Scalar result value
+     * @param {Object} dataset - Dataset object with rows and columns
+     * @param {Object[]} metrics - Other metrics of the dataset
+     * @returns {{value: number|null|Array, comparison: Object|null}} Value, with the comparison for time-windowed metrics
+     * @throws {Error} If the metric fails, or a metric it references fails or references it back
      */
-    executeMetric(metric, dataset) {
+    resolveMetric(metric, dataset, metrics) {
         if (!metric) {
             throw new Error('Metric is required');
         }
@@ -125,10 +195,180 @@ export class MetricExecutionEngine {
             throw new Error('Dataset is required');
         }
         
+        let references = [];
+        try {
+            references = findMetricReferences(metric.expression);
+        } catch (error) {
+            // evaluateMetric reports the expression's error
+        }
+        if (references.length === 0) {
+            if (metric.window) {
+                const comparison = this.compareMetric(metric, dataset, {}, {});
+                return { value: comparison.current, comparison };
+            }
+            return { value: this.evaluateMetric(metric, dataset, {}), comparison: null };
+        }
+        
+        // The metric replaces its stored version (e.g. while it is edited)
+        const others = metrics.filter(other => !metric.id || other.id !== metric.id);
+        const results = this.executeMetrics([...others, metric], dataset, [metric]);
+        const result = results.find(entry => entry.metric === metric);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        return result;
+    }
+    
+    /**
+     * Executes metrics in dependency order: metrics referenced by name ([Name]) before the metrics that use them
+     * A metric that fails does not stop the others; metrics that reference each other in a cycle all fail.
+     * Time-windowed metrics also get a comparison with their prior period, using the prior values of
+     * time-windowed metrics they reference.
+     * @param {Object[]} metrics - Metrics of one dataset
+     * @param {Object} dataset - Dataset object with rows and columns
+     * @param {Object[]} [targets] - Metrics to execute, with the metrics they reference (default: all)
+     * @returns {Array<{metric: Object, value: number|null|Array, error: string|null, comparison: Object|null}>}
+     *   Results in execution order
+     */
+    executeMetrics(metrics, dataset, targets = metrics) {
+        const byName = new Map();
+        metrics.forEach(metric => {
+            if (metric.name && !byName.has(metricKey(metric.name))) {
+                byName.set(metricKey(metric.name), metric);
+            }
+        });
+        
+        const results = new Map();
+        const order = [];
+        const record = (metric, value, error, comparison = null) => {
+            const result = { metric, value, error, comparison };
+            results.set(metric, result);
+            order.push(result);
+            return result;
+        };
+        
+        // Metrics being resolved, to detect cycles
+        const stack = [];
+        const run = (metric) => {
+            if (results.has(metric)) return results.get(metric);
+            
+            const cycleStart = stack.indexOf(metric);
+            if (cycleStart !== -1) {
+                const cycle = [...stack.slice(cycleStart), metric].map(m => `[${m.name}]`).join(' → ');
+                stack.slice(cycleStart).forEach(m => record(m, null, `Circular metric reference: ${cycle}`));
+                return results.get(metric);
+            }
+            
+            let references;
+            try {
+                references = findMetricReferences(metric.expression);
+            } catch (error) {
+                return record(metric, null, `Failed to evaluate metric expression: ${error.message}`);
+            }
+            
+            stack.push(metric);
+            const metricValues = {};
+            const priorValues = {};
+            let error = null;
+            for (const name of references) {
+                const dependency = byName.get(metricKey(name));
+                if (!dependency) {
+                    error = `Metric "[${name}]" not found. Reference metrics of the same dataset by name, e.g. [Total Samples]`;
+                    break;
+                }
+                
+                const dependencyResult = run(dependency);
+                if (dependencyResult.error) {
+                    error = `Depends on [${dependency.name}], which could not be calculated: ${dependencyResult.error}`;
+                    break;
+                }
+                // A breakdown can only be used group by group
+                if (isGroupedResult(dependencyResult.value) && dependency.groupBy !== metric.groupBy) {
+                    error = `[${dependency.name}] is grouped by ${dependency.groupBy}; only metrics grouped by the same column can reference it`;
+                    break;
+                }
+                metricValues[dependency.name] = dependencyResult.value;
+                priorValues[dependency.name] = dependencyResult.comparison ? dependencyResult.comparison.prior : dependencyResult.value;
+            }
+            stack.pop();
+            
+            // Recorded while resolving its references when it is part of a cycle
+            if (results.has(metric)) return results.get(metric);
+            if (error) return record(metric, null, error);
+            
+            try {
+                if (metric.window) {
+                    const comparison = this.compareMetric(metric, dataset, metricValues, priorValues);
+                    return record(metric, comparison.current, null, comparison);
+                }
+                return record(metric, this.evaluateMetric(metric, dataset, metricValues), null);
+            } catch (evaluationError) {
+                return record(metric, null, evaluationError.message);
+            }
+        };
+        
+        targets.forEach(run);
+        return order;
+    }
+    
+    /**
+     * Finds the metrics that reference a metric, directly or through other metrics
+     * @param {Object} metric - Referenced metric
+     * @param {Object[]} metrics - Metrics of the same dataset
+     * @returns {Object[]} Dependent metrics
+     */
+    getDependentMetrics(metric, metrics) {
+        const dependents = [];
+        const pending = [metric];
+        
+        while (pending.length > 0) {
+            const key = metricKey(pending.shift().name);
+            metrics.forEach(candidate => {
+                if (candidate.id === metric.id || dependents.includes(candidate)) return;
+                
+                let references = [];
+                try {
+                    references = findMetricReferences(candidate.expression);
+                } catch (error) {
+                    // An expression that does not tokenize references nothing
+                }
+                if (references.some(name => metricKey(name) === key)) {
+                    dependents.push(candidate);
+                    pending.push(candidate);
+                }
+            });
+        }
+        
+        return dependents;
+    }
+    
+    /**
+     * Executes one metric, with the values of the metrics it references
+     * @param {Object} metric - Metric object from store
+     * @param {Object} dataset - Dataset object with rows and columns
+     * @param {Object<string, number|Array>} metricValues - Values of referenced metrics, keyed by name
+     * @returns {number|null|Array<{key: any, value: number|null}>} Scalar result value, or one result per group
+     */
+    evaluateMetric(metric, dataset, metricValues) {
+        // A time-windowed metric is calculated on its current period's rows
+        if (metric.window) {
+            const { current } = splitRowsByWindow(dataset.rows, dataset.columns, metric.dateColumn, metric.window);
+            return this.evaluateMetric({ ...metric, window: null }, { ...dataset, rows: current }, metricValues);
+        }
+        
+        if (metric.groupBy) {
+            if (!dataset.columns.includes(metric.groupBy)) {
+                throw new Error(`Group-by column "${metric.groupBy}" not found in dataset. Available columns: ${dataset.columns.join(', ')}`);
+            }
+            
+            return this.executeByGroup(dataset.rows, dataset.columns, metric.groupBy,
+                (groupRows, key) => this.evaluateGroup(metric, { ...dataset, rows: groupRows }, key, metricValues));
+        }
+        
         // If metric has an expression, use the script parser
         if (metric.expression) {
             try {
-                return evaluateMetricScript(metric.expression, dataset);
+                return evaluateMetricScript(metric.expression, dataset, metricValues);
             } catch (error) {
                 console.error('Error evaluating metric expression:', error);
                 throw new Error(`Failed to evaluate metric expression: ${error.message}`);
@@ -136,16 +376,177 @@ export class MetricExecutionEngine {
         }
         
         // Otherwise, use column-based execution
+        // No rows, e.g. a time window's empty period, count and sum to 0
+        if (dataset.rows.length === 0 && ZERO_WHEN_EMPTY_OPERATIONS.includes(metric.operation) &&
+            dataset.columns.includes(metric.column)) {
+            return 0;
+        }
+        
         // Build metric definition from stored metric
         const metricDefinition = {
             operation: metric.operation,
-            column: metric.column
+            column: metric.column,
+            percentile: metric.percentile
         };
         
         // Execute using dataset rows and columns
         return this.execute(metricDefinition, dataset.rows, dataset.columns);
     }
     
+    /**
+     * Calculates a time-windowed metric for its current and prior periods
+     * The current period must calculate; a prior period without a value (e.g. before the data starts) gives a
+     * null prior and change.
+     * @param {Object} metric - Metric object with dateColumn and window
+     * @param {Object} dataset - Dataset object with rows and columns
+     * @param {Object<string, number|Array>} metricValues - Values of referenced metrics for the current period
+     * @param {Object<string, number|Array>} priorValues - Values of referenced metrics for the prior period
+     * @returns {{current: number|Array, prior: number|Array|null, delta: number|null, percentChange: number|null,
+     *   groups: Array|null, currentPeriod: {start: string, end: string}, priorPeriod: {start: string, end: string}}}
+     *   percentChange is null when the prior value is 0. Grouped metrics have a prior value for each group of the
+     *   current period, null delta and percentChange, and groups: [{key, current, prior, delta, percentChange}].
+     * @throws {Error} If the window is invalid or the current period cannot be calculated
+     */
+    compareMetric(metric, dataset, metricValues, priorValues) {
+        const periods = splitRowsByWindow(dataset.rows, dataset.columns, metric.dateColumn, metric.window);
+        const unwindowed = { ...metric, window: null };
+        
+        let current;
+        try {
+            current = this.evaluateMetric(unwindowed, { ...dataset, rows: periods.current }, metricValues);
+        } catch (error) {
+            if (periods.current.length === 0) {
+                throw new Error(`No rows in the current period (${periods.currentPeriod.start} to ${periods.currentPeriod.end})`);
+            }
+            throw error;
+        }
+        
+        let prior = null;
+        if (isGroupedResult(current)) {
+            prior = this.comparePriorGroups(unwindowed, dataset, current, periods, priorValues);
+        } else {
+            try {
+                prior = this.evaluateMetric(unwindowed, { ...dataset, rows: periods.prior }, priorValues);
+            } catch (error) {
+                console.warn('[MetricExecutionEngine.compareMetric] Prior period could not be calculated', {
+                    metric: metric.name,
+                    period: periods.priorPeriod,
+                    error: error.message
+                });
+            }
+        }
+        
+        const groups = isGroupedResult(current)
+            ? current.map((group, i) => ({
+                key: group.key,
+                current: group.value,
+                prior: prior[i].value,
+                ...getChange(group.value, prior[i].value)
+            }))
+            : null;
+        return {
+            current,
+            prior,
+            ...getChange(current, prior),
+            groups,
+            currentPeriod: periods.currentPeriod,
+            priorPeriod: periods.priorPeriod
+        };
+    }
+    
+    /**
+     * Calculates a grouped metric's prior period for each group of its current period
+     * A group with no prior rows counts and sums to 0 like an ungrouped metric; otherwise it gets null when it
+     * cannot be calculated.
+     * @param {Object} metric - Grouped metric, without its window
+     * @param {Object} dataset - Dataset object with rows and columns
+     * @param {Array<{key: any, value: number|null}>} current - The current period's groups
+     * @param {Object} periods - Rows and periods from splitRowsByWindow
+     * @param {Object<string, number|Array>} priorValues - Values of referenced metrics for the prior period
+     * @returns {Array<{key: any, value: number|null}>} One prior value per current group, in the same order
+     */
+    comparePriorGroups(metric, dataset, current, periods, priorValues) {
+        const index = dataset.columns.indexOf(metric.groupBy);
+        return current.map(({ key }) => {
+            const groupRows = periods.prior.filter(row => (row[index] === undefined ? null : row[index]) === key);
+            try {
+                return { key, value: this.evaluateGroup(metric, { ...dataset, rows: groupRows }, key, priorValues) };
+            } catch (error) {
+                if (groupRows.length > 0) {
+                    console.warn('[MetricExecutionEngine.comparePriorGroups] Prior period could not be calculated for group', {
+                        metric: metric.name,
+                        key,
+                        period: periods.priorPeriod,
+                        error: error.message
+                    });
+                }
+                return { key, value: null };
+            }
+        });
+    }
+    
+    /**
+     * Evaluates a grouped metric for one group
+     * Referenced metrics grouped by the same column contribute their value for the group.
+     * @param {Object} metric - Grouped metric
+     * @param {Object} groupDataset - Dataset with the group's rows
+     * @param {any} key - Group key
+     * @param {Object<string, number|Array>} metricValues - Values of referenced metrics
+     * @returns {number|null} The group's value
+     * @throws {Error} If the group cannot be calculated
+     */
+    evaluateGroup(metric, groupDataset, key, metricValues) {
+        const groupValues = {};
+        Object.entries(metricValues).forEach(([name, value]) => {
+            const entry = isGroupedResult(value) ? value.find(result => result.key === key) : null;
+            groupValues[name] = isGroupedResult(value) ? (entry ? entry.value : null) : value;
+        });
+        return this.evaluateMetric({ ...metric, groupBy: null }, groupDataset, groupValues);
+    }
+    
+    /**
+     * Evaluates a metric once per distinct value of a column
+     * A group that cannot be calculated (e.g. no rows match a WHERE condition) gets null.
+     * @param {any[][]} rows - Dataset rows (array of arrays)
+     * @param {string[]} columns - Dataset column names
+     * @param {string} groupBy - Column to group rows by
+     * @param {Function} evaluate - (groupRows, key) => number|null
+     * @returns {Array<{key: any, value: number|null}>} One result per group, ordered by key (empty values last)
+     * @throws {Error} If no group can be calculated
+     */
+    executeByGroup(rows, columns, groupBy, evaluate) {
+        const index = columns.indexOf(groupBy);
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = row[index] === undefined ? null : row[index];
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(row);
+        });
+        
+        const keys = Array.from(groups.keys()).sort(compareGroupKeys);
+        let firstError = null;
+        const results = keys.map(key => {
+            try {
+                return { key, value: evaluate(groups.get(key), key) };
+            } catch (error) {
+                console.warn('[MetricExecutionEngine.executeByGroup] Group could not be calculated', {
+                    groupBy,
+                    key,
+                    error: error.message
+                });
+                firstError = firstError || error;
+                return { key, value: null };
+            }
+        });
+        
+        if (firstError && results.every(result => result.value === null)) {
+            throw firstError;
+        }
+        return results;
+    }
+    
     /**
      * Validates a metric definition without executing it
      * @param {Object} metricDefinition - Metric definition to validate
@@ -160,12 +561,14 @@ export class MetricExecutionEngine {
             return { isValid: false, errors };
         }
         
-        const { operation, column } = metricDefinition;
+        const { operation, column, percentile, groupBy } = metricDefinition;
         
         if (!operation) {
             errors.push('Operation is required');
         } else if (!this.aggregationFunctions[operation]) {
             errors.push(`Unsupported operation: ${operation}`);
+        } else if (operation === 'percentile' && (percentile === null || percentile === undefined || !(Number(percentile) >= 0 && Number(percentile) <= 100))) {
+            errors.push('Percentile must be a number from 0 to 100');
         }
         
         if (!column) {
@@ -174,6 +577,16 @@ export class MetricExecutionEngine {
             errors.push(`Column "${column}" not found in dataset`);
         }
         
+        if (groupBy && columns && !columns.includes(groupBy)) {
+            errors.push(`Group-by column "${groupBy}" not found in dataset`);
+        }
+        
+        if (metricDefinition.window && !metricDefinition.dateColumn) {
+            errors.push('A time window needs a date column');
+        } else if (metricDefinition.dateColumn && columns && !columns.includes(metricDefinition.dateColumn)) {
+            errors.push(`Date column "${metricDefinition.dateColumn}" not found in dataset`);
+        }
+        
         return {
             isValid: errors.length === 0,
             errors
@@ -191,7 +604,7 @@ export class MetricExecutionEngine {
     /**
      * Registers a custom aggregation function
      * @param {string} name - Operation name
-     * @param {Function} fn - Aggregation function (rows, columns, columnName) => number|null
+     * @param {Function} fn - Aggregation function (rows, columns, columnName, percentile) => number|null
      */
     registerAggregationFunction(name, fn) {
         if (typeof fn !== 'function') {
@@ -201,6 +614,30 @@ export class MetricExecutionEngine {
     }
 }
 
+/**
+ * Checks whether a metric value is a breakdown from a grouped metric rather than a scalar
+ * @param {any} value - Metric value
+ * @returns {boolean}
+ */
+export function isGroupedResult(value) {
+    return Array.isArray(value);
+}
+
+// Orders group keys: numbers numerically, text alphabetically, empty values last
+function compareGroupKeys(a, b) {
+    if (a === null) return b === null ? 0 : 1;
+    if (b === null) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Change from a prior to a current value: null unless both are numbers, and null percent when the prior value is 0
+function getChange(current, prior) {
+    const comparable = typeof current === 'number' && typeof prior === 'number' && !isNaN(current) && !isNaN(prior);
+    const delta = comparable ? current - prior : null;
+    return { delta, percentChange: comparable && prior !== 0 ? (delta / Math.abs(prior)) * 100 : null };
+}
+
 // Export singleton instance
 export const metricExecutionEngine = new MetricExecutionEngine();
 
@@ -3,7 +3,7 @@
 
 /**
  * Formats a metric value based on its display type and decimal places
- * @param {number|string} value - The metric value to format
+ * @param {number|string|Array} value - The metric value to format (a grouped metric's results are summarized)
  * @param {string} displayType - Display type: 'numeric', 'currency', or 'percentage'
  * @param {number} decimalPlaces - Number of decimal places (0-10)
  * @returns {string} Formatted value
@@ -13,6 +13,11 @@ export function formatMetricValue(value, displayType = 'numeric', decimalPlaces
         return 'N/A';
     }
     
+    // Grouped metrics hold one value per group
+    if (Array.isArray(value)) {
+        return `${value.length} ${value.length === 1 ? 'group' : 'groups'}`;
+    }
+    
     const num = parseFloat(value);
     if (isNaN(num)) {
         return String(value);
@@ -2,18 +2,44 @@
 // Parses and evaluates metric expressions with built-in functions and operators
 // Example: MEAN(sales) + SUM(revenue) / COUNT(orders)
 
-import { calculateMean, calculateSum, calculateMin, calculateMax, calculateStdev, calculateCount, calculateCountDistinct } from './metric-calculator.js';
+import {
+    calculateMean,
+    calculateSum,
+    calculateMin,
+    calculateMax,
+    calculateStdev,
+    calculateCount,
+    calculateCountDistinct,
+    calculateMedian,
+    calculatePercentile,
+    calculateIQR,
+    calculateMode,
+    calculateVariance,
+    calculateCoefficientOfVariation,
+    calculateSkewness
+} from './metric-calculator.js';
+
+// Functions that aggregate a column over the dataset's rows
+const AGGREGATE_FUNCTIONS = [
+    'SUM', 'MEAN', 'AVG', 'AVERAGE', 'MIN', 'MINIMUM', 'MAX', 'MAXIMUM', 'STDDEV', 'STDEV', 'COUNT',
+    'COUNT_DISTINCT', 'COUNTDISTINCT', 'MEDIAN', 'PERCENTILE', 'IQR', 'MODE', 'VARIANCE', 'VAR', 'CV', 'SKEWNESS', 'SKEW'
+];
 
 /**
  * Parses and evaluates a metric script expression
  * Supports functions: SUM, MEAN, MIN, MAX, STDDEV, COUNT, COUNT_DISTINCT, IF
+ * Distribution functions: MEDIAN, PERCENTILE(column, p), IQR, MODE, VARIANCE, CV, SKEWNESS
  * Supports operators: +, -, *, /
- * Supports comparisons: >, <, >=, <=, ==, !=
+ * Supports comparisons: >, <, >=, <=, ==, !=, combined with AND and OR
+ * Aggregates take a WHERE condition to aggregate only matching rows, e.g.
+ * COUNT(sample_id WHERE status = "Rejected") / COUNT(sample_id)
+ * Other metrics are referenced by name in brackets, e.g. [Rejected Samples] / [Total Samples]
  * @param {string} expression - Metric expression (e.g., "MEAN(sales) + SUM(revenue)" or "IF(MEAN(sales) > 100, SUM(revenue), 0)")
  * @param {Object} dataset - Dataset object with rows and columns
+ * @param {Object<string, number>} [metricValues] - Values of the metrics the expression references, keyed by name
  * @returns {number} Calculated result
  */
-export function evaluateMetricScript(expression, dataset) {
+export function evaluateMetricScript(expression, dataset, metricValues = {}) {
     if (!expression || !expression.trim()) {
         throw new Error('Metric expression is required');
     }
@@ -28,8 +54,67 @@ export function evaluateMetricScript(expression, dataset) {
     // Parse into an AST (Abstract Syntax Tree)
     const ast = parse(tokens);
     
-    // Evaluate the AST
-    return evaluate(ast, dataset);
+    // Evaluate the AST, with referenced metrics replaced by their values
+    return evaluate(resolveMetricReferences(ast, metricValues), dataset);
+}
+
+/**
+ * Finds the metrics an expression references by name
+ * @param {string} expression - Metric expression
+ * @returns {string[]} Referenced metric names, each once, in order of appearance
+ * @throws {Error} If the expression cannot be tokenized
+ */
+export function findMetricReferences(expression) {
+    if (!expression) return [];
+    
+    const names = [];
+    tokenize(expression).forEach(token => {
+        if (token.type === 'METRIC' && !names.some(name => metricKey(name) === metricKey(token.value))) {
+            names.push(token.value);
+        }
+    });
+    return names;
+}
+
+/**
+ * Normalizes a metric name for matching references: case-insensitive, ignoring surrounding spaces
+ * @param {string} name - Metric name
+ * @returns {string}
+ */
+export function metricKey(name) {
+    return String(name).trim().toLowerCase();
+}
+
+/**
+ * Replaces metric references in an AST with the referenced metrics' values
+ * @param {Object} node - AST node
+ * @param {Object<string, number>} metricValues - Metric values keyed by name
+ * @returns {Object} AST without METRIC nodes
+ */
+function resolveMetricReferences(node, metricValues) {
+    if (!node || typeof node !== 'object') return node;
+    
+    if (node.type === 'METRIC') {
+        const name = Object.keys(metricValues).find(key => metricKey(key) === metricKey(node.name));
+        if (name === undefined) {
+            throw new Error(`Metric "[${node.name}]" not found. Reference metrics of the same dataset by name, e.g. [Total Samples]`);
+        }
+        
+        const value = metricValues[name];
+        if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) {
+            throw new Error(`Metric "[${node.name}]" has no value`);
+        }
+        return { type: typeof value === 'string' ? 'STRING' : 'NUMBER', value };
+    }
+    
+    const resolved = { ...node };
+    ['left', 'right', 'where'].forEach(key => {
+        if (node[key]) resolved[key] = resolveMetricReferences(node[key], metricValues);
+    });
+    if (node.args) {
+        resolved.args = node.args.map(arg => resolveMetricReferences(arg, metricValues));
+    }
+    return resolved;
 }
 
 /**
@@ -98,6 +183,21 @@ function tokenize(expression) {
             continue;
         }
         
+        // Match metric references ([Metric Name])
+        if (expression[i] === '[') {
+            const end = expression.indexOf(']', i + 1);
+            if (end === -1) {
+                throw new Error('Unclosed metric reference: expected ] after [');
+            }
+            const name = expression.substring(i + 1, end).trim();
+            if (!name) {
+                throw new Error('Empty metric reference: put a metric name between [ and ]');
+            }
+            tokens.push({ type: 'METRIC', value: name });
+            i = end + 1;
+            continue;
+        }
+        
         // Match comparison operators (>=, <=, ==, !=)
         if (i + 1 < expression.length) {
             const twoChar = expression.substring(i, i + 2);
@@ -153,7 +253,8 @@ function tokenize(expression) {
 /**
  * Parses tokens into an AST using recursive descent
  * Supports: +, -, *, / with proper precedence
- * Supports: >, <, >=, <=, ==, != for comparisons
+ * Supports: >, <, >=, <=, ==, != for comparisons, and AND / OR between them (AND binds tighter)
+ * Supports: a WHERE condition after a function's first argument
  * @param {Array} tokens - Array of tokens
  * @returns {Object} AST node
  */
@@ -165,7 +266,31 @@ function parse(tokens) {
     }
     
     function parseConditional() {
-        return parseComparison();
+        return parseOr();
+    }
+    
+    function parseOr() {
+        let left = parseAnd();
+        
+        while (isKeyword(tokens[index], 'OR')) {
+            index++;
+            const right = parseAnd();
+            left = { type: 'LOGICAL', operator: 'OR', left, right };
+        }
+        
+        return left;
+    }
+    
+    function parseAnd() {
+        let left = parseComparison();
+        
+        while (isKeyword(tokens[index], 'AND')) {
+            index++;
+            const right = parseComparison();
+            left = { type: 'LOGICAL', operator: 'AND', left, right };
+        }
+        
+        return left;
     }
     
     function parseComparison() {
@@ -227,6 +352,12 @@ function parse(tokens) {
             return { type: 'STRING', value: token.value };
         }
         
+        // Reference to another metric
+        if (token.type === 'METRIC') {
+            index++;
+            return { type: 'METRIC', name: token.value };
+        }
+        
         // Function call
         if (token.type === 'IDENTIFIER' && index + 1 < tokens.length && tokens[index + 1] && tokens[index + 1].type === '(') {
             const funcName = token.value.toUpperCase();
@@ -234,6 +365,7 @@ function parse(tokens) {
             index++; // consume (
             
             const args = [];
+            let where = null;
             if (index < tokens.length && tokens[index] && tokens[index].type !== ')') {
                 // Check if there's an argument (not just a comma)
                 if (tokens[index].type === ',') {
@@ -241,6 +373,14 @@ function parse(tokens) {
                     index++; // consume ,
                 } else {
                     args.push(parseExpression());
+                    // Condition on the rows the function aggregates, e.g. COUNT(sample_id WHERE status = "Rejected")
+                    if (isKeyword(tokens[index], 'WHERE')) {
+                        index++; // consume WHERE
+                        if (index >= tokens.length || tokens[index].type === ')' || tokens[index].type === ',') {
+                            throw new Error(`Expected a condition after WHERE in ${funcName}()`);
+                        }
+                        where = parseExpression();
+                    }
                     while (index < tokens.length && tokens[index] && tokens[index].type === ',') {
                         index++; // consume ,
                         // Check if there's another argument or if it's just a trailing comma
@@ -259,10 +399,14 @@ function parse(tokens) {
             }
             index++; // consume )
             
-            return { type: 'FUNCTION', name: funcName, args };
+            return where ? { type: 'FUNCTION', name: funcName, args, where } : { type: 'FUNCTION', name: funcName, args };
+        }
+        
+        // Column reference (identifier) - AND, OR and WHERE are only valid between expressions
+        if (token.type === 'IDENTIFIER' && ['AND', 'OR', 'WHERE'].includes(token.value.toUpperCase())) {
+            throw new Error(`Unexpected ${token.value.toUpperCase()}: expected a value or column before it`);
         }
         
-        // Column reference (identifier)
         if (token.type === 'IDENTIFIER') {
             index++;
             return { type: 'COLUMN', name: token.value };
@@ -291,6 +435,11 @@ function parse(tokens) {
     return ast;
 }
 
+// Whether a token is the given word, e.g. AND, OR or WHERE (case-insensitive)
+function isKeyword(token, word) {
+    return Boolean(token) && token.type === 'IDENTIFIER' && token.value.toUpperCase() === word;
+}
+
 /**
  * Evaluates the AST against a dataset
  * @param {Object} node - AST node
@@ -322,8 +471,23 @@ function evaluate(node, dataset, rowIndex = null) {
             return getColumnTextValue(node.name, dataset);
             
         case 'FUNCTION':
+            if (node.where) {
+                return evaluateFilteredFunction(node, dataset);
+            }
+            // Aggregates of no rows, e.g. a time window with no data, follow the WHERE rule
+            if (rowIndex === null && dataset.rows.length === 0 && AGGREGATE_FUNCTIONS.includes(node.name)) {
+                return aggregateNoRows(node.name, `No rows to calculate ${node.name}() on`);
+            }
             return evaluateFunction(node.name, node.args, dataset, rowIndex);
             
+        case 'LOGICAL': {
+            const leftTrue = isTruthy(evaluate(node.left, dataset, rowIndex));
+            if (node.operator === 'AND') {
+                return leftTrue && isTruthy(evaluate(node.right, dataset, rowIndex)) ? 1 : 0;
+            }
+            return leftTrue || isTruthy(evaluate(node.right, dataset, rowIndex)) ? 1 : 0;
+        }
+            
         case 'BINARY_OP':
             const left = evaluate(node.left, dataset, rowIndex);
             const right = evaluate(node.right, dataset, rowIndex);
@@ -337,7 +501,7 @@ function evaluate(node, dataset, rowIndex = null) {
                     return left * right;
                 case '/':
                     if (right === 0) {
-                        throw new Error('Division by zero');
+                        throw createValueError('Division by zero');
                     }
                     return left / right;
                 default:
@@ -348,6 +512,11 @@ function evaluate(node, dataset, rowIndex = null) {
             const compLeft = evaluate(node.left, dataset, rowIndex);
             const compRight = evaluate(node.right, dataset, rowIndex);
             
+            // A row's empty value matches no comparison, as in SQL
+            if (rowIndex !== null && (compLeft === null || compLeft === undefined || compRight === null || compRight === undefined)) {
+                return 0;
+            }
+            
             // Handle both numeric and string comparisons
             const leftIsString = typeof compLeft === 'string';
             const rightIsString = typeof compRight === 'string';
@@ -381,7 +550,7 @@ function evaluate(node, dataset, rowIndex = null) {
             const rightNum = Number(compRight);
             
             if (isNaN(leftNum) || isNaN(rightNum)) {
-                throw new Error(`Cannot compare non-numeric values: ${compLeft} and ${compRight}`);
+                throw createValueError(`Cannot compare non-numeric values: ${compLeft} and ${compRight}`);
             }
             
             switch (node.operator) {
@@ -407,6 +576,86 @@ function evaluate(node, dataset, rowIndex = null) {
     }
 }
 
+/**
+ * Creates the error for values an operator cannot use, e.g. comparing text with a number
+ * A WHERE condition treats it as a row that does not match.
+ * @param {string} message - Error message
+ * @returns {Error} Error named ValueError
+ */
+function createValueError(message) {
+    const error = new Error(message);
+    error.name = 'ValueError';
+    return error;
+}
+
+// Non-zero numbers are true, as in IF conditions
+function isTruthy(value) {
+    return value !== 0 && !isNaN(value) && value !== null && value !== undefined;
+}
+
+/**
+ * Evaluates an aggregate with a WHERE condition over the rows that match the condition
+ * With no matching rows, COUNT, COUNT_DISTINCT and SUM are 0; other functions have no value and throw.
+ * @param {Object} node - FUNCTION node with a where condition
+ * @param {Object} dataset - Dataset object
+ * @returns {number|string} Function result
+ */
+function evaluateFilteredFunction(node, dataset) {
+    // Rows are checked one at a time, where a missing column would read as null instead of failing
+    collectColumns(node.where).forEach(columnName => {
+        if (!dataset.columns.includes(columnName)) {
+            throw new Error(`Column "${columnName}" not found in dataset. Available columns: ${dataset.columns.join(', ')}`);
+        }
+    });
+    
+    const rows = dataset.rows.filter((row, i) => {
+        try {
+            return isTruthy(evaluate(node.where, dataset, i));
+        } catch (error) {
+            // Rows whose values cannot be compared do not match; errors in the condition itself are reported
+            if (error.name === 'ValueError') {
+                return false;
+            }
+            throw error;
+        }
+    });
+    
+    if (rows.length === 0) {
+        return aggregateNoRows(node.name, `No rows match the WHERE condition of ${node.name}()`);
+    }
+    
+    return evaluateFunction(node.name, node.args, { ...dataset, rows }, null);
+}
+
+/**
+ * Gets the value of an aggregate over no rows: COUNT, COUNT_DISTINCT and SUM are 0, other functions have no value
+ * @param {string} name - Function name
+ * @param {string} message - Error message for functions without a value
+ * @returns {number} 0
+ * @throws {Error} For functions without a value
+ */
+function aggregateNoRows(name, message) {
+    if (['COUNT', 'COUNT_DISTINCT', 'COUNTDISTINCT', 'SUM'].includes(name)) {
+        return 0;
+    }
+    throw new Error(message);
+}
+
+/**
+ * Collects the names of the columns an expression refers to
+ * @param {Object} node - AST node
+ * @returns {Set<string>} Column names
+ */
+function collectColumns(node, names = new Set()) {
+    if (!node) return names;
+    
+    if (node.type === 'COLUMN') {
+        names.add(node.name);
+    }
+    [node.left, node.right, node.where, ...(node.args || [])].forEach(child => collectColumns(child, names));
+    return names;
+}
+
 /**
  * Gets the first text value from a column for comparison
  * Automatically detects if column is text-based
@@ -574,6 +823,20 @@ function evaluateFunction(funcName, args, dataset, rowIndex = null) {
         return '';
     }
     
+    // Handle PERCENTILE - a column and the percentile to take (0-100)
+    if (funcName === 'PERCENTILE') {
+        if (args.length !== 2) {
+            throw new Error('PERCENTILE function expects 2 arguments: PERCENTILE(column, percentile), e.g. PERCENTILE(result_value, 90)');
+        }
+        
+        if (args[0].type !== 'COLUMN') {
+            throw new Error('PERCENTILE function expects a column name as its first argument');
+        }
+        
+        const percentile = evaluate(args[1], dataset, rowIndex);
+        return calculatePercentile(dataset.rows, dataset.columns, args[0].name, percentile);
+    }
+    
     // All other functions expect exactly 1 argument (column name)
     if (args.length !== 1) {
         throw new Error(`Function ${funcName} expects exactly 1 argument (column name)`);
@@ -618,8 +881,28 @@ function evaluateFunction(funcName, args, dataset, rowIndex = null) {
         case 'COUNT':
             return calculateCount(dataset.rows, dataset.columns, columnName);
             
+        case 'MEDIAN':
+            return calculateMedian(dataset.rows, dataset.columns, columnName);
+            
+        case 'IQR':
+            return calculateIQR(dataset.rows, dataset.columns, columnName);
+            
+        case 'MODE':
+            return calculateMode(dataset.rows, dataset.columns, columnName);
+            
+        case 'VARIANCE':
+        case 'VAR':
+            return calculateVariance(dataset.rows, dataset.columns, columnName);
+            
+        case 'CV':
+            return calculateCoefficientOfVariation(dataset.rows, dataset.columns, columnName);
+            
+        case 'SKEWNESS':
+        case 'SKEW':
+            return calculateSkewness(dataset.rows, dataset.columns, columnName);
+            
         default:
-            throw new Error(`Unknown function: ${funcName}. Supported functions: SUM, MEAN, MIN, MAX, STDDEV, COUNT, COUNT_DISTINCT, IF, TEXT`);
+            throw new Error(`Unknown function: ${funcName}. Supported functions: SUM, MEAN, MIN, MAX, STDDEV, COUNT, COUNT_DISTINCT, MEDIAN, PERCENTILE, IQR, MODE, VARIANCE, CV, SKEWNESS, IF, TEXT`);
     }
 }
 
@@ -0,0 +1,173 @@
+// Metric Time Windows
+// Splits dataset rows into a current and a prior period by a date column, for period-over-period metrics.
+// Calendar periods and year to date compare period-to-date: the prior period ends as far into it as the
+// current period has gone, so a KPI viewed mid-month is not compared with a whole month.
+
+// Windows offered in the metric builder; option values are stable identifiers for the select
+export const WINDOW_OPTIONS = [
+    { value: 'rolling:7', label: 'Rolling 7 days', window: { type: 'rolling', days: 7 } },
+    { value: 'rolling:30', label: 'Rolling 30 days', window: { type: 'rolling', days: 30 } },
+    { value: 'rolling:90', label: 'Rolling 90 days', window: { type: 'rolling', days: 90 } },
+    { value: 'calendar:week', label: 'Week to date vs last week', window: { type: 'calendar', period: 'week' } },
+    { value: 'calendar:month', label: 'Month to date vs last month', window: { type: 'calendar', period: 'month' } },
+    { value: 'calendar:quarter', label: 'Quarter to date vs last quarter', window: { type: 'calendar', period: 'quarter' } },
+    { value: 'ytd', label: 'Year to date vs last year', window: { type: 'ytd' } }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALENDAR_PERIODS = ['week', 'month', 'quarter'];
+
+/**
+ * Gets the builder option for a window
+ * @param {Object|null} timeWindow - Metric window
+ * @returns {string} Option value, or '' for no window
+ */
+export function windowToOption(timeWindow) {
+    if (!timeWindow) return '';
+    
+    const option = WINDOW_OPTIONS.find(candidate => Object.keys(candidate.window)
+        .every(key => candidate.window[key] === timeWindow[key]));
+    return option ? option.value : '';
+}
+
+/**
+ * Builds a window from a builder option
+ * @param {string} value - Option value from WINDOW_OPTIONS, or '' for no window
+ * @param {string} [asOf] - 'today', or 'latest' to end the current period at the latest date in the data
+ * @returns {Object|null} Metric window
+ */
+export function optionToWindow(value, asOf = 'today') {
+    const option = WINDOW_OPTIONS.find(candidate => candidate.value === value);
+    return option ? { ...option.window, asOf } : null;
+}
+
+/**
+ * Describes a window's current period, e.g. "Last 30 days" or "Month to date"
+ * @param {Object} timeWindow - Metric window
+ * @returns {string}
+ */
+export function describeWindow(timeWindow) {
+    if (timeWindow.type === 'rolling') return `Last ${timeWindow.days} days`;
+    if (timeWindow.type === 'calendar') {
+        return `${timeWindow.period.charAt(0).toUpperCase()}${timeWindow.period.slice(1)} to date`;
+    }
+    return 'Year to date';
+}
+
+/**
+ * Splits rows into the window's current and prior periods
+ * Rows whose date is empty or not a date belong to neither period.
+ * @param {any[][]} rows - Dataset rows (array of arrays)
+ * @param {string[]} columns - Dataset column names
+ * @param {string} dateColumn - Column holding each row's date
+ * @param {Object} timeWindow - Metric window: {type: 'rolling', days}, {type: 'calendar', period} or {type: 'ytd'},
+ *   with asOf 'today' (default) or 'latest'
+ * @param {Date} [today] - Today's date
+ * @returns {{current: any[][], prior: any[][], currentPeriod: {start: string, end: string}, priorPeriod: {start: string, end: string}}}
+ * @throws {Error} If the date column or window is invalid
+ */
+export function splitRowsByWindow(rows, columns, dateColumn, timeWindow, today = new Date()) {
+    if (!dateColumn) {
+        throw new Error('A time window needs a date column');
+    }
+    
+    const index = columns.indexOf(dateColumn);
+    if (index === -1) {
+        throw new Error(`Date column "${dateColumn}" not found in dataset. Available columns: ${columns.join(', ')}`);
+    }
+    
+    const dated = rows.map(row => ({ row, day: toDay(row[index]) })).filter(entry => entry.day !== null);
+    let asOfDay = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()) / DAY_MS;
+    if (timeWindow.asOf === 'latest' && dated.length > 0) {
+        asOfDay = dated.reduce((latest, entry) => Math.max(latest, entry.day), -Infinity);
+    }
+    
+    const { current, prior } = getWindowPeriods(timeWindow, asOfDay);
+    const within = period => dated
+        .filter(entry => entry.day >= period.start && entry.day <= period.end)
+        .map(entry => entry.row);
+    
+    return {
+        current: within(current),
+        prior: within(prior),
+        currentPeriod: { start: formatDay(current.start), end: formatDay(current.end) },
+        priorPeriod: { start: formatDay(prior.start), end: formatDay(prior.end) }
+    };
+}
+
+/**
+ * Gets a window's current and prior periods as inclusive day ranges
+ * The prior period of a calendar period or year to date ends on the same day of its week, month or year as
+ * the current period; a day the prior month does not have (e.g. the 31st, or Feb 29) compares with its last day.
+ * @param {Object} timeWindow - Metric window
+ * @param {number} asOfDay - Last day of the current period (days since 1970-01-01, UTC)
+ * @returns {{current: {start: number, end: number}, prior: {start: number, end: number}}}
+ * @throws {Error} If the window is invalid
+ */
+function getWindowPeriods(timeWindow, asOfDay) {
+    if (!timeWindow || !timeWindow.type) {
+        throw new Error('Metric window type is required');
+    }
+    
+    if (timeWindow.type === 'rolling') {
+        const days = Number(timeWindow.days);
+        if (!Number.isInteger(days) || days < 1) {
+            throw new Error('A rolling window needs a whole number of days, at least 1');
+        }
+        return {
+            current: { start: asOfDay - days + 1, end: asOfDay },
+            prior: { start: asOfDay - 2 * days + 1, end: asOfDay - days }
+        };
+    }
+    
+    if (timeWindow.type === 'calendar' && !CALENDAR_PERIODS.includes(timeWindow.period)) {
+        throw new Error(`Unsupported calendar period: "${timeWindow.period}". Supported periods: ${CALENDAR_PERIODS.join(', ')}`);
+    }
+    if (timeWindow.type !== 'calendar' && timeWindow.type !== 'ytd') {
+        throw new Error(`Unsupported metric window: "${timeWindow.type}". Supported windows: rolling, calendar, ytd`);
+    }
+    
+    if (timeWindow.period === 'week') {
+        // Weeks start on Monday
+        const start = asOfDay - (new Date(asOfDay * DAY_MS).getUTCDay() + 6) % 7;
+        return {
+            current: { start, end: asOfDay },
+            prior: { start: start - 7, end: asOfDay - 7 }
+        };
+    }
+    
+    const date = new Date(asOfDay * DAY_MS);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const months = timeWindow.type === 'ytd' ? 12 : { month: 1, quarter: 3 }[timeWindow.period];
+    const startMonth = Math.floor(month / months) * months;
+    const priorEnd = Math.min(
+        Date.UTC(year, month - months, date.getUTCDate()),
+        Date.UTC(year, month - months + 1, 0)
+    ) / DAY_MS;
+    return {
+        current: { start: Date.UTC(year, startMonth, 1) / DAY_MS, end: asOfDay },
+        prior: { start: Date.UTC(year, startMonth - months, 1) / DAY_MS, end: priorEnd }
+    };
+}
+
+// Reads a date value as a day number (days since 1970-01-01, UTC), or null if it is not a date
+function toDay(value) {
+    if (value === null || value === undefined || value === '') return null;
+    
+    if (typeof value === 'string') {
+        const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) {
+            return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS;
+        }
+    }
+    
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / DAY_MS;
+}
+
+// Formats a day number as YYYY-MM-DD
+function formatDay(day) {
+    return new Date(day * DAY_MS).toISOString().substring(0, 10);
+}
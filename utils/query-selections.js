@@ -0,0 +1,426 @@
+// Query Selections
+// The point-and-click form of a query used by QueryBuilder: selected columns with optional aggregates,
+// WHERE filters, sort order and a row limit. Selections are written as SQL, and read back from SQL that
+// they can express, so the builder controls and the SQL editor stay two views of the same query.
+//
+// Column references are {table, alias, column}: table is the real table name and alias the name the query
+// uses for it (the table name unless the FROM clause gives an alias).
+//
+// Filter values keep their SQL literal kind, so a string that looks like a number ('42') or a parameter (':abc')
+// is written back as a string: comparisons and LIKE have {value, kind}, IN has value as an array of {value, kind}
+// literals, and IS NULL / IS NOT NULL have null value and kind. kind is 'string', 'number' or 'parameter'.
+
+import { parseSQL, quoteIdentifier } from './sql-parser.js';
+import { getAllTables } from './sql-engine.js';
+import { parseJoinGraph } from './join-graph.js';
+
+// Aggregates offered for a selected column
+export const SELECTION_AGGREGATES = ['COUNT', 'COUNT DISTINCT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+// Filter operators, in menu order
+export const FILTER_OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'LIKE', 'IN', 'IS NULL', 'IS NOT NULL'];
+
+/**
+ * Creates empty selections
+ * @returns {{columns: Array, filters: Array, sort: Array, limit: number|null}}
+ */
+export function emptySelections() {
+    return { columns: [], filters: [], sort: [], limit: null };
+}
+
+/**
+ * Reads a filter value as typed in the builder: numbers and :parameters as they are, anything else as a string
+ * Quote a value to keep it a string ('42'); IN takes comma separated values, quoted when they contain a comma.
+ * @param {string} text - Text as typed
+ * @param {string} operator - One of FILTER_OPERATORS
+ * @returns {{value: string|Array|null, kind: string|null}} Filter value and kind (see the filter shape above)
+ */
+export function parseFilterInput(text, operator) {
+    if (operator === 'IS NULL' || operator === 'IS NOT NULL') {
+        return { value: null, kind: null };
+    }
+    if (operator !== 'IN') {
+        return parseInputLiteral(String(text).trim());
+    }
+
+    const values = [];
+    let i = 0;
+    while (i < text.length) {
+        if (/[\s,]/.test(text[i])) {
+            i++;
+            continue;
+        }
+        if (text[i] === "'") {
+            const match = text.slice(i).match(/^'((?:[^']|'')*)'?/);
+            values.push({ value: match[1].replace(/''/g, "'"), kind: 'string' });
+            i += match[0].length;
+        } else {
+            const end = text.indexOf(',', i) === -1 ? text.length : text.indexOf(',', i);
+            values.push(parseInputLiteral(text.slice(i, end).trim()));
+            i = end;
+        }
+    }
+    return { value: values, kind: null };
+}
+
+/**
+ * Formats a filter's value for the builder's value input; parseFilterInput reads it back unchanged
+ * @param {Object} filter - Filter
+ * @returns {string}
+ */
+export function formatFilterInput(filter) {
+    if (Array.isArray(filter.value)) {
+        return filter.value.map(formatInputLiteral).join(', ');
+    }
+    return filter.value === null || filter.value === undefined ? '' : formatInputLiteral(filter);
+}
+
+/**
+ * Writes selections as SQL
+ * Columns that are not aggregated are grouped by when any column is.
+ * @param {Object} selections - Selections
+ * @param {string} fromClause - FROM clause, with its joins
+ * @returns {string} SQL, or '' when no columns are selected
+ */
+export function selectionsToSQL(selections, fromClause) {
+    if (selections.columns.length === 0) {
+        return '';
+    }
+
+    const lines = [`SELECT ${selections.columns.map(columnToSQL).join(', ')}`, fromClause];
+
+    if (selections.filters.length > 0) {
+        lines.push(`WHERE ${selections.filters.map(filterToSQL).join(' AND ')}`);
+    }
+
+    const groupBy = getGroupByColumns(selections);
+    if (groupBy.length > 0) {
+        lines.push(`GROUP BY ${groupBy.map(columnReference).join(', ')}`);
+    }
+
+    if (selections.sort.length > 0) {
+        lines.push(`ORDER BY ${selections.sort.map(sort => `${sortKeyToSQL(sort, selections)}${sort.descending ? ' DESC' : ''}`).join(', ')}`);
+    }
+
+    if (selections.limit !== null && selections.limit !== undefined) {
+        lines.push(`LIMIT ${selections.limit}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Reads selections from SQL
+ * @param {string} sql - SQL query
+ * @returns {{selections: Object|null, graph: Object|null, reason: string|null}} selections and the query's
+ *   tables and joins (see parseJoinGraph), or null selections with the reason the builder cannot show the query
+ */
+export function readSelections(sql) {
+    if (!sql.trim()) {
+        return { selections: emptySelections(), graph: { from: null, joins: [] }, reason: null };
+    }
+
+    let statement;
+    try {
+        statement = parseSQL(sql);
+    } catch (error) {
+        return unsupported('The query does not parse yet.');
+    }
+
+    const graph = parseJoinGraph(sql);
+    if (statement.type !== 'SELECT' || !graph) {
+        return unsupported('The builder shows single SELECT queries over tables (no UNION, EXPLAIN or subqueries in FROM).');
+    }
+    if (statement.ctes.length > 0 || statement.distinct) {
+        return unsupported('The builder does not show WITH or SELECT DISTINCT.');
+    }
+    if (statement.having || statement.offset !== null) {
+        return unsupported('The builder does not show HAVING or OFFSET.');
+    }
+    if (statement.limit !== null && typeof statement.limit !== 'number') {
+        return unsupported('The builder shows a LIMIT that is a number.');
+    }
+
+    const resolve = createResolver(graph);
+
+    try {
+        const columns = statement.columns.map(item => readColumn(item, resolve));
+        const filters = splitConjuncts(statement.where).map(node => readFilter(node, resolve));
+        const selections = { columns, filters, sort: [], limit: statement.limit };
+
+        // GROUP BY must be exactly the columns that are not aggregated
+        const expected = getGroupByColumns(selections).map(columnKey).sort();
+        const actual = statement.groupBy.map(node => {
+            if (node.type !== 'COLUMN') throw new Error('The builder groups by columns only.');
+            return columnKey(resolve(node));
+        }).sort();
+        if (expected.join('|') !== actual.join('|')) {
+            throw new Error('The builder groups by every column that is not aggregated, and only when a column is.');
+        }
+
+        selections.sort = statement.orderBy.map(item => ({ ...readSortKey(item.expression, columns, resolve), descending: item.descending }));
+        return { selections, graph, reason: null };
+    } catch (error) {
+        return unsupported(error.message);
+    }
+}
+
+/**
+ * Gets the columns the query is grouped by: the selected columns that are not aggregated, when any column is
+ * @param {Object} selections - Selections
+ * @returns {Array<{table: string, alias: string, column: string}>}
+ */
+export function getGroupByColumns(selections) {
+    if (!selections.columns.some(col => col.aggregate)) {
+        return [];
+    }
+    return selections.columns.filter(col => !col.aggregate && col.column !== '*');
+}
+
+/**
+ * Gets the default output name of an aggregated column, e.g. avg_result_value or row_count for COUNT(*)
+ * @param {string} aggregate - One of SELECTION_AGGREGATES
+ * @param {string} column - Column name, or '*'
+ * @returns {string}
+ */
+export function defaultAggregateAlias(aggregate, column) {
+    if (column === '*') {
+        return 'row_count';
+    }
+    return `${aggregate.toLowerCase().replace(' ', '_')}_${column}`;
+}
+
+/**
+ * Describes a selected column as it appears in SQL, e.g. "AVG(r.result_value)"
+ * @param {Object} col - Selected column
+ * @returns {string}
+ */
+export function describeColumn(col) {
+    if (!col.aggregate) {
+        return col.column === '*' ? (col.alias ? `${col.alias}.*` : '*') : columnReference(col);
+    }
+    const argument = col.column === '*' ? '*' : columnReference(col);
+    return col.aggregate === 'COUNT DISTINCT' ? `COUNT(DISTINCT ${argument})` : `${col.aggregate}(${argument})`;
+}
+
+function columnToSQL(col) {
+    const expression = describeColumn(col);
+    return col.outputName ? `${expression} AS ${quoteIdentifier(col.outputName)}` : expression;
+}
+
+function filterToSQL(filter) {
+    const ref = columnReference(filter);
+    switch (filter.operator) {
+        case 'IS NULL':
+        case 'IS NOT NULL':
+            return `${ref} ${filter.operator}`;
+        case 'IN':
+            return `${ref} IN (${filter.value.map(literalToSQL).join(', ')})`;
+        default:
+            return `${ref} ${filter.operator} ${literalToSQL(filter)}`;
+    }
+}
+
+function sortKeyToSQL(sort, selections) {
+    // Aggregates are sorted by their output name when they have one
+    const selected = selections.columns.find(col => sameColumn(col, sort) && col.aggregate === sort.aggregate);
+    if (sort.aggregate && selected && selected.outputName) {
+        return quoteIdentifier(selected.outputName);
+    }
+    return describeColumn(sort);
+}
+
+/**
+ * Writes a filter literal: numbers and parameters as they are, strings quoted
+ * @param {{value: string, kind: string}} literal - Literal
+ * @returns {string}
+ */
+function literalToSQL(literal) {
+    if (literal.kind === 'number' || literal.kind === 'parameter') {
+        return literal.value;
+    }
+    return `'${String(literal.value).replace(/'/g, "''")}'`;
+}
+
+// Reads one typed value: a quoted string, a number, a :parameter, or else a string as typed
+function parseInputLiteral(text) {
+    if (/^'(?:[^']|'')*'$/.test(text)) {
+        return { value: text.slice(1, -1).replace(/''/g, "'"), kind: 'string' };
+    }
+    return { value: text, kind: inferLiteralKind(text) };
+}
+
+// Formats one literal for the value input, quoting strings that would otherwise read back differently
+function formatInputLiteral(literal) {
+    const value = String(literal.value);
+    if (literal.kind !== 'string') {
+        return value;
+    }
+    const ambiguous = inferLiteralKind(value) !== 'string' || value !== value.trim() || /^'|,/.test(value);
+    return ambiguous ? `'${value.replace(/'/g, "''")}'` : value;
+}
+
+function inferLiteralKind(text) {
+    if (/^-?\d+(\.\d+)?$/.test(text)) return 'number';
+    if (/^[:@][A-Za-z_]\w*$/.test(text)) return 'parameter';
+    return 'string';
+}
+
+function columnReference(ref) {
+    return `${quoteIdentifier(ref.alias)}.${quoteIdentifier(ref.column)}`;
+}
+
+/**
+ * Reads a SELECT list item
+ * @param {Object} item - SELECT_ITEM or STAR node
+ * @param {Function} resolve - Resolves COLUMN nodes to column references
+ * @returns {Object} Selected column: {table, alias, column, aggregate, outputName}
+ */
+function readColumn(item, resolve) {
+    if (item.type === 'STAR') {
+        const ref = item.table ? resolve({ table: item.table, name: '*' }) : { table: null, alias: null };
+        return { table: ref.table, alias: ref.alias, column: '*', aggregate: null, outputName: null };
+    }
+
+    const expression = item.expression;
+    if (expression.type === 'COLUMN') {
+        return { ...resolve(expression), aggregate: null, outputName: item.alias };
+    }
+
+    const aggregate = readAggregate(expression, resolve);
+    if (aggregate) {
+        return { ...aggregate, outputName: item.alias };
+    }
+    throw new Error('The builder shows columns and aggregates of columns; use the SQL editor for other expressions.');
+}
+
+/**
+ * Reads COUNT(*), COUNT(DISTINCT col), SUM(col), AVG(col), MIN(col) or MAX(col)
+ * @returns {Object|null} {table, alias, column, aggregate}, or null for other expressions
+ */
+function readAggregate(node, resolve) {
+    if (node.type !== 'FUNCTION' || node.over || node.args.length !== 1) return null;
+    const aggregate = node.name === 'COUNT' && node.distinct ? 'COUNT DISTINCT' : node.name;
+    if (!SELECTION_AGGREGATES.includes(aggregate) || (node.distinct && node.name !== 'COUNT')) return null;
+
+    const arg = node.args[0];
+    if (arg.type === 'STAR' && aggregate === 'COUNT' && !arg.table) {
+        return { table: null, alias: null, column: '*', aggregate };
+    }
+    if (arg.type !== 'COLUMN') return null;
+    return { ...resolve(arg), aggregate };
+}
+
+/**
+ * Reads a WHERE condition
+ * @param {Object} node - Condition node (one of the conditions ANDed together)
+ * @param {Function} resolve - Resolves COLUMN nodes
+ * @returns {Object} Filter: {table, alias, column, operator, value, kind}
+ */
+function readFilter(node, resolve) {
+    const unsupportedFilter = new Error('The builder shows filters that compare a column with values, joined by AND.');
+    if (!node.operand && !(node.type === 'COMPARISON' && node.left.type === 'COLUMN')) {
+        throw unsupportedFilter;
+    }
+
+    switch (node.type) {
+        case 'COMPARISON':
+            return { ...resolve(node.left), operator: node.operator, ...readLiteral(node.right, unsupportedFilter) };
+        case 'LIKE':
+            if (node.negated || node.insensitive || node.operand.type !== 'COLUMN') throw unsupportedFilter;
+            return { ...resolve(node.operand), operator: 'LIKE', ...readLiteral(node.pattern, unsupportedFilter) };
+        case 'IN_LIST':
+            if (node.negated || node.operand.type !== 'COLUMN') throw unsupportedFilter;
+            return {
+                ...resolve(node.operand),
+                operator: 'IN',
+                value: node.values.map(value => readLiteral(value, unsupportedFilter)),
+                kind: null
+            };
+        case 'IS_NULL':
+            if (node.operand.type !== 'COLUMN') throw unsupportedFilter;
+            return { ...resolve(node.operand), operator: node.negated ? 'IS NOT NULL' : 'IS NULL', value: null, kind: null };
+        default:
+            throw unsupportedFilter;
+    }
+}
+
+// Reads a literal node as {value, kind}
+function readLiteral(node, error) {
+    if (node.type === 'NUMBER') return { value: String(node.value), kind: 'number' };
+    if (node.type === 'STRING') return { value: node.value, kind: 'string' };
+    if (node.type === 'PARAMETER') return { value: `:${node.name}`, kind: 'parameter' };
+    throw error;
+}
+
+/**
+ * Reads an ORDER BY key: a selected column, an aggregate, an output name or a position
+ * @returns {Object} {table, alias, column, aggregate}
+ */
+function readSortKey(node, columns, resolve) {
+    const unsupportedSort = new Error('The builder sorts by selected columns and aggregates only.');
+    let selected = null;
+
+    if (node.type === 'NUMBER') {
+        selected = columns[node.value - 1];
+    } else if (node.type === 'COLUMN' && !node.table) {
+        selected = columns.find(col => col.outputName && col.outputName.toLowerCase() === node.name.toLowerCase());
+    }
+    if (selected) {
+        if (selected.column === '*' && !selected.aggregate) throw unsupportedSort;
+        return { table: selected.table, alias: selected.alias, column: selected.column, aggregate: selected.aggregate };
+    }
+
+    if (node.type === 'COLUMN') {
+        return { ...resolve(node), aggregate: null };
+    }
+    const aggregate = readAggregate(node, resolve);
+    if (!aggregate) throw unsupportedSort;
+    return aggregate;
+}
+
+/**
+ * Creates a function that resolves a COLUMN node to the table it belongs to
+ * Unqualified columns must belong to exactly one of the query's tables.
+ * @param {Object} graph - The query's tables (see parseJoinGraph)
+ * @returns {Function} node => {table, alias, column}
+ */
+function createResolver(graph) {
+    const refs = [graph.from, ...graph.joins];
+    const tableColumns = new Map(getAllTables().map(table => [table.name.toLowerCase(), table.columns]));
+
+    return node => {
+        if (node.table) {
+            const ref = refs.find(candidate => candidate.alias.toLowerCase() === node.table.toLowerCase());
+            if (!ref) throw new Error(`Unknown table or alias "${node.table}".`);
+            return { table: ref.table, alias: ref.alias, column: node.name };
+        }
+
+        const owners = refs.filter(ref => (tableColumns.get(ref.table.toLowerCase()) || [])
+            .some(col => String(col).toLowerCase() === node.name.toLowerCase()));
+        if (owners.length !== 1) {
+            throw new Error(`Qualify column "${node.name}" with its table to show it in the builder.`);
+        }
+        return { table: owners[0].table, alias: owners[0].alias, column: node.name };
+    };
+}
+
+function splitConjuncts(node) {
+    if (!node) return [];
+    if (node.type === 'LOGICAL' && node.operator === 'AND') {
+        return [...splitConjuncts(node.left), ...splitConjuncts(node.right)];
+    }
+    return [node];
+}
+
+function columnKey(ref) {
+    return `${ref.alias}.${ref.column}`.toLowerCase();
+}
+
+function sameColumn(a, b) {
+    return a.column === b.column && String(a.alias).toLowerCase() === String(b.alias).toLowerCase();
+}
+
+function unsupported(reason) {
+    return { selections: null, graph: null, reason };
+}
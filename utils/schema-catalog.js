@@ -0,0 +1,159 @@
+// Schema Catalog
+// Declares the LIMS tables: typed columns, primary keys, foreign keys and descriptions
+// The SQL engine lists its tables from here; autocomplete, the Table Browser and QueryBuilder's
+// automatic joins read column types and relationships from here
+
+// Column types: 'integer', 'decimal', 'text' or 'date'
+// Foreign keys: column references table.column (the referenced table's primary key)
+export const SCHEMA_CATALOG = [
+    {
+        name: 'samples',
+        description: 'Laboratory sample records',
+        primaryKey: 'sample_id',
+        columns: [
+            { name: 'sample_id', type: 'integer', description: 'Sample identifier' },
+            { name: 'sample_name', type: 'text', description: 'Study, subject, visit and time point label' },
+            { name: 'sample_type', type: 'text', description: 'Specimen type, e.g. Plasma or Urine' },
+            { name: 'collection_date', type: 'date', description: 'Date the sample was collected' },
+            { name: 'status', type: 'text', description: 'Processing status' },
+            { name: 'lab_id', type: 'integer', description: 'Lab that holds the sample' }
+        ],
+        foreignKeys: [
+            { column: 'lab_id', references: 'labs', referencedColumn: 'lab_id' }
+        ]
+    },
+    {
+        name: 'tests',
+        description: 'Available test types and methods',
+        primaryKey: 'test_id',
+        columns: [
+            { name: 'test_id', type: 'integer', description: 'Test identifier' },
+            { name: 'test_name', type: 'text', description: 'Test name' },
+            { name: 'test_type', type: 'text', description: 'Test category, e.g. Pharmacokinetics' },
+            { name: 'method', type: 'text', description: 'Analytical method, e.g. LC-MS/MS' },
+            { name: 'unit', type: 'text', description: 'Unit results are reported in' },
+            { name: 'reference_range', type: 'text', description: 'Expected range of result values, e.g. 1-5000' }
+        ],
+        foreignKeys: []
+    },
+    {
+        name: 'results',
+        description: 'Test results linked to samples',
+        primaryKey: 'result_id',
+        columns: [
+            { name: 'result_id', type: 'integer', description: 'Result identifier' },
+            { name: 'sample_id', type: 'integer', description: 'Sample that was tested' },
+            { name: 'test_id', type: 'integer', description: 'Test that was run' },
+            { name: 'result_value', type: 'decimal', description: 'Measured value, in the test\'s unit' },
+            { name: 'result_date', type: 'date', description: 'Date the result was recorded' },
+            { name: 'technician_id', type: 'integer', description: 'Technician who ran the test' },
+            { name: 'status', type: 'text', description: 'Review status' }
+        ],
+        foreignKeys: [
+            { column: 'sample_id', references: 'samples', referencedColumn: 'sample_id' },
+            { column: 'test_id', references: 'tests', referencedColumn: 'test_id' },
+            { column: 'technician_id', references: 'technicians', referencedColumn: 'technician_id' }
+        ]
+    },
+    {
+        name: 'labs',
+        description: 'Laboratory information',
+        primaryKey: 'lab_id',
+        columns: [
+            { name: 'lab_id', type: 'integer', description: 'Lab identifier' },
+            { name: 'lab_name', type: 'text', description: 'Lab name' },
+            { name: 'location', type: 'text', description: 'City and state' },
+            { name: 'contact_email', type: 'text', description: 'Contact email address' },
+            { name: 'phone', type: 'text', description: 'Contact phone number' }
+        ],
+        foreignKeys: []
+    },
+    {
+        name: 'technicians',
+        description: 'Lab technician information',
+        primaryKey: 'technician_id',
+        columns: [
+            { name: 'technician_id', type: 'integer', description: 'Technician identifier' },
+            { name: 'name', type: 'text', description: 'Full name' },
+            { name: 'email', type: 'text', description: 'Email address' },
+            { name: 'lab_id', type: 'integer', description: 'Lab the technician works in' },
+            { name: 'specialization', type: 'text', description: 'Area of expertise, e.g. Hematology' }
+        ],
+        foreignKeys: [
+            { column: 'lab_id', references: 'labs', referencedColumn: 'lab_id' }
+        ]
+    }
+];
+
+/**
+ * Gets a table's definition from the catalog
+ * @param {string} tableName - Table name (case-insensitive)
+ * @returns {Object|null} Table definition, or null for tables the catalog does not declare (e.g. saved datasets)
+ */
+export function getCatalogTable(tableName) {
+    const lower = String(tableName).toLowerCase();
+    return SCHEMA_CATALOG.find(table => table.name === lower) || null;
+}
+
+/**
+ * Gets a column's definition, with its key information
+ * @param {string} tableName - Table name (case-insensitive)
+ * @param {string} columnName - Column name (case-insensitive)
+ * @returns {{name: string, type: string, description: string, primaryKey: boolean, references: {table: string, column: string}|null}|null}
+ */
+export function getColumnDefinition(tableName, columnName) {
+    const table = getCatalogTable(tableName);
+    if (!table) return null;
+
+    const lower = String(columnName).toLowerCase();
+    const column = table.columns.find(col => col.name === lower);
+    if (!column) return null;
+
+    const foreignKey = table.foreignKeys.find(fk => fk.column === column.name);
+    return {
+        ...column,
+        primaryKey: table.primaryKey === column.name,
+        references: foreignKey ? { table: foreignKey.references, column: foreignKey.referencedColumn } : null
+    };
+}
+
+/**
+ * Gets the foreign keys of every table, keyed by table name
+ * @returns {Object<string, Array<{foreignKey: string, references: string, referenceKey: string}>>}
+ */
+export function getTableRelationships() {
+    const relationships = {};
+    SCHEMA_CATALOG.forEach(table => {
+        if (table.foreignKeys.length > 0) {
+            relationships[table.name] = table.foreignKeys.map(fk => ({
+                foreignKey: fk.column,
+                references: fk.references,
+                referenceKey: fk.referencedColumn
+            }));
+        }
+    });
+    return relationships;
+}
+
+/**
+ * Finds the direct foreign-key links between two tables, in either direction
+ * @param {string} fromTable - Table name
+ * @param {string} toTable - Table name
+ * @returns {Array<{fromColumn: string, toColumn: string}>} Join conditions fromTable.fromColumn = toTable.toColumn
+ */
+export function findRelationships(fromTable, toTable) {
+    const from = getCatalogTable(fromTable);
+    const to = getCatalogTable(toTable);
+    if (!from || !to) return [];
+
+    const links = [];
+    from.foreignKeys
+        .filter(fk => fk.references === to.name)
+        .forEach(fk => links.push({ fromColumn: fk.column, toColumn: fk.referencedColumn }));
+
+    to.foreignKeys
+        .filter(fk => fk.references === from.name)
+        .forEach(fk => links.push({ fromColumn: fk.referencedColumn, toColumn: fk.column }));
+
+    return links;
+}
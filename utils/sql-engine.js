@@ -1,856 +1,2500 @@
 // Mock SQL Execution Engine
-// Simulates SQL query execution with latency and returns mock tabular data
+// Simulates SQL query execution with latency over the mock LIMS tables
+// Queries are parsed into an AST by sql-parser.js and evaluated here
 
 import { getTableData } from '../data/table-data.js';
+import { datasetStore } from '../data/datasets.js';
+import { healthMetricsStore } from '../data/health-metrics.js';
+import { parseSQL, createSQLError, expressionToSQL } from './sql-parser.js';
+import { SCALAR_FUNCTIONS, callScalarFunction, castValue, isCastType, toNumber, isNumericString, formatDateValue } from './sql-functions.js';
+import { SCHEMA_CATALOG } from './schema-catalog.js';
+
+// Aggregate functions supported in the SELECT list, HAVING and ORDER BY clauses (and as window functions)
+const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+// Window-only functions and their [minimum, maximum] argument counts; they require an OVER clause
+const WINDOW_FUNCTIONS = {
+    ROW_NUMBER: [0, 0],
+    RANK: [0, 0],
+    DENSE_RANK: [0, 0],
+    PERCENT_RANK: [0, 0],
+    CUME_DIST: [0, 0],
+    NTILE: [1, 1],
+    LAG: [1, 3],
+    LEAD: [1, 3],
+    FIRST_VALUE: [1, 1],
+    LAST_VALUE: [1, 1],
+    NTH_VALUE: [2, 2]
+};
+
+// Tables without stored data fall back to this many generated rows
+const GENERATED_ROW_COUNT = 1000;
+
+// Saved datasets are queryable as tables named with this prefix, e.g. "Sample Summary" -> ds_sample_summary
+const DATASET_TABLE_PREFIX = 'ds_';
+
+// Execution limits used when executeSQL is not given its own
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_ROWS = 1000000;
+
+// Row loops read the clock once per this many rows
+const TIME_CHECK_INTERVAL = 1024;
+
+// Errors that stop a query early, by error.name, and how healthMetricsStore records them
+const STOP_REASONS = {
+    AbortError: 'cancelled',
+    TimeoutError: 'timeout',
+    RowLimitError: 'row_limit'
+};
+
+// Limits of the query that is executing - queries run synchronously, so only one is ever active
+let executionGuard = null;
+
+// Result columns of EXPLAIN, one row per plan step
+const EXPLAIN_COLUMNS = ['step', 'operation', 'detail', 'estimated_rows', 'actual_rows', 'executions'];
 
 /**
  * Executes a mock SQL query with simulated latency
+ * Named parameters (:name or @name) take their values from bindings; values are bound into the parsed
+ * query, never spliced into the SQL text.
+ * Execution itself is synchronous: aborting the signal cancels a query that has not started yet, while
+ * timeout and maxRows stop one that runs too long or joins too many rows. Stopped queries reject with
+ * an error named AbortError, TimeoutError or RowLimitError and are recorded in healthMetricsStore.
  * @param {string} sql - SQL query string
  * @param {number} latency - Simulated latency in milliseconds (default: 500)
- * @returns {Promise<{columns: string[], rows: any[][]}>}
+ * @param {Object<string, string|number|boolean|Date|null>} bindings - Parameter values keyed by name (without : or @)
+ * @param {{signal?: AbortSignal, timeout?: number, maxRows?: number}} options - Cancellation signal, maximum
+ *   execution time in milliseconds and maximum rows any join or scan may produce
+ * @returns {Promise<{columns: string[], rows: any[][], plan?: Object}>} EXPLAIN queries also return the plan tree
  */
-export async function executeSQL(sql, latency = 500) {
+export async function executeSQL(sql, latency = 500, bindings = {}, options = {}) {
+    const { signal = null, timeout = DEFAULT_TIMEOUT_MS, maxRows = DEFAULT_MAX_ROWS } = options;
     console.log('[SQL Engine.executeSQL] Executing SQL query', {
         sqlLength: sql?.length || 0,
         sqlPreview: sql?.substring(0, 100) + (sql?.length > 100 ? '...' : ''),
-        latency
+        parameters: Object.keys(bindings || {}),
+        latency,
+        timeout,
+        maxRows
     });
     
     return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            try {
-                const result = parseAndExecuteSQL(sql);
-                console.log('[SQL Engine.executeSQL] Query executed successfully', {
-                    columns: result.columns?.length || 0,
-                    rows: result.rows?.length || 0
+        const startedAt = Date.now();
+        const fail = (error) => {
+            const reason = STOP_REASONS[error.name];
+            if (reason) {
+                console.warn('[SQL Engine.executeSQL] Query stopped:', { reason, error: error.message });
+                healthMetricsStore.recordQueryCancellation(reason, {
+                    message: error.message,
+                    sqlPreview: sql?.substring(0, 100),
+                    duration: Date.now() - startedAt
                 });
-                resolve(result);
-            } catch (error) {
+            } else {
                 console.error('[SQL Engine.executeSQL] Error executing SQL:', {
                     error: error.message,
                     stack: error.stack,
                     sqlPreview: sql?.substring(0, 100),
                     timestamp: new Date().toISOString()
                 });
-                reject(error);
+            }
+            reject(error);
+        };
+        
+        if (signal && signal.aborted) {
+            fail(createStopError('AbortError', 'Query was cancelled.'));
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            fail(createStopError('AbortError', 'Query was cancelled.'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            try {
+                const result = parseAndExecuteSQL(sql, bindings, { timeout, maxRows });
+                console.log('[SQL Engine.executeSQL] Query executed successfully', {
+                    columns: result.columns?.length || 0,
+                    rows: result.rows?.length || 0
+                });
+                resolve(result);
+            } catch (error) {
+                fail(error);
             }
         }, latency);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
     });
 }
 
 /**
- * Parses SQL and generates mock data based on query patterns
+ * Parses SQL into an AST and executes it against the table data
  * @param {string} sql - SQL query string
- * @returns {{columns: string[], rows: any[][]}}
- * @throws {Error} If SQL syntax is invalid
+ * @param {Object} bindings - Parameter values keyed by name
+ * @param {{timeout: number, maxRows: number}} limits - Maximum execution time (ms) and rows per join or scan
+ * @returns {{columns: string[], rows: any[][], plan?: Object}} EXPLAIN results also carry the plan tree
+ * @throws {Error} If SQL syntax is invalid (error.location holds line and column when known)
  */
-function parseAndExecuteSQL(sql) {
+function parseAndExecuteSQL(sql, bindings, limits = { timeout: DEFAULT_TIMEOUT_MS, maxRows: DEFAULT_MAX_ROWS }) {
     if (!sql || typeof sql !== 'string' || sql.trim().length === 0) {
         throw new Error('SQL query cannot be empty');
     }
     
-    const originalSQL = sql.trim();
-    const normalizedSQL = originalSQL.toLowerCase();
+    const statement = parseSQL(sql);
+    bindParameters(statement.parameters, bindings || {});
     
-    // Basic SQL validation - must start with SELECT
-    if (!normalizedSQL.startsWith('select')) {
-        throw new Error('SQL query must start with SELECT. Only SELECT queries are supported.');
+    executionGuard = { ...limits, deadline: Date.now() + limits.timeout, ticks: 0 };
+    try {
+        if (statement.type === 'EXPLAIN') {
+            return explainQuery(statement);
+        }
+        return runQuery(prepareQuery(statement, null, new Map()), []);
+    } finally {
+        executionGuard = null;
+    }
+}
+
+/**
+ * Creates the error for a query stopped before it finished
+ * @param {string} name - AbortError, TimeoutError or RowLimitError
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function createStopError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+/**
+ * Stops the executing query once it has run longer than its timeout
+ * Called once per row in row loops; the clock is only read every TIME_CHECK_INTERVAL calls.
+ * @throws {Error} TimeoutError
+ */
+function checkExecutionTime() {
+    if (!executionGuard || ++executionGuard.ticks % TIME_CHECK_INTERVAL !== 0) return;
+    if (Date.now() > executionGuard.deadline) {
+        throw createStopError('TimeoutError', `Query was stopped after exceeding the maximum execution time of ${executionGuard.timeout} ms.`);
+    }
+}
+
+/**
+ * Stops the executing query when a step produces more rows than allowed
+ * @param {number} rowCount - Rows produced so far by the step
+ * @param {string} step - Description of the step for the error message
+ * @throws {Error} RowLimitError
+ */
+function checkRowCount(rowCount, step) {
+    if (executionGuard && rowCount > executionGuard.maxRows) {
+        throw createStopError('RowLimitError',
+            `Query was stopped because ${step} produced more than ${executionGuard.maxRows} rows. Add a join condition or a WHERE filter to reduce the rows.`);
+    }
+}
+
+/**
+ * Binds a value to every PARAMETER node of a statement
+ * Values must be strings, finite numbers, booleans, Dates or null; Dates become YYYY-MM-DD
+ * (or YYYY-MM-DD HH:MM:SS when they have a time of day) to match the table data.
+ * @param {Object[]} parameters - PARAMETER nodes from parseSQL
+ * @param {Object} bindings - Parameter values keyed by name
+ * @throws {Error} If a parameter has no value or its value has an unsupported type
+ */
+function bindParameters(parameters, bindings) {
+    parameters.forEach(node => {
+        const value = Object.prototype.hasOwnProperty.call(bindings, node.name) ? bindings[node.name] : undefined;
+        if (value === undefined) {
+            throw createSQLError(`No value was given for parameter :${node.name}.`, node.position);
+        }
+        
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+            node.value = value;
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            node.value = value;
+        } else if (value instanceof Date && !isNaN(value.getTime())) {
+            node.value = formatDateValue(value);
+        } else {
+            let given = typeof value;
+            if (Array.isArray(value)) given = 'array';
+            else if (value instanceof Date) given = 'invalid date';
+            else if (typeof value === 'number') given = String(value);
+            throw createSQLError(`Parameter :${node.name} must be a string, number, boolean, date or NULL (got ${given}).`, node.position);
+        }
+    });
+}
+
+/**
+ * Prepares a query - a SELECT or a set operation (UNION, INTERSECT, EXCEPT) of queries
+ * @param {Object} query - SELECT or SET_OPERATION node from parseSQL
+ * @param {Object|null} parentScope - Scope of the enclosing query, for subqueries
+ * @param {Map<string, Object>} ctes - CTEs visible to this query, keyed by name
+ * @returns {Object} Query plan for runQuery
+ */
+function prepareQuery(query, parentScope, ctes) {
+    if (query.type === 'SET_OPERATION') {
+        return prepareSetOperation(query, parentScope, ctes);
+    }
+    return prepareSelect(query, parentScope, ctes);
+}
+
+/**
+ * Executes a plan from prepareQuery
+ * @param {Object} plan - Query plan
+ * @param {Object[]} outerRows - Current rows of the enclosing queries (innermost first)
+ * @returns {{columns: string[], rows: any[][]}}
+ */
+function runQuery(plan, outerRows) {
+    if (plan.statement.type === 'SET_OPERATION') {
+        return runSetOperation(plan, outerRows);
     }
+    return runSelect(plan, outerRows);
+}
+
+/**
+ * Prepares a set operation: both sides must return the same number of columns
+ * The result takes its column names from the left side. ORDER BY may use output column names or positions.
+ * @param {Object} query - SET_OPERATION node
+ * @param {Object|null} parentScope - Scope of the enclosing query, for subqueries
+ * @param {Map<string, Object>} ctes - CTEs visible to this query
+ * @returns {Object} Query plan
+ */
+function prepareSetOperation(query, parentScope, ctes) {
+    const visibleCTEs = prepareCTEs(query.ctes, ctes);
+    const left = prepareQuery(query.left, parentScope, visibleCTEs);
+    const right = prepareQuery(query.right, parentScope, visibleCTEs);
     
-    // Handle TOP clause (SQL Server syntax) - remove it from SELECT clause for parsing
-    let sqlForParsing = originalSQL;
-    let topLimit = null;
-    const topMatch = originalSQL.match(/select\s+top\s+(\d+)\s+(.+?)\s+from/i);
-    if (topMatch) {
-        topLimit = parseInt(topMatch[1], 10);
-        // Remove TOP from SQL for parsing
-        sqlForParsing = originalSQL.replace(/select\s+top\s+\d+\s+/i, 'SELECT ');
+    if (left.columns.length !== right.columns.length) {
+        throw createSQLError(`Each ${query.operator} query must have the same number of columns (${left.columns.length} vs ${right.columns.length}).`, query.position);
     }
     
-    // Parse SELECT clause with column aliases
-    const selectMatch = sqlForParsing.match(/select\s+(.+?)\s+from/i);
-    if (!selectMatch) {
-        throw new Error('Invalid SELECT clause. Please use format: SELECT column1, column2 FROM table_name');
+    const columns = left.columns;
+    const orderKeys = query.orderBy.map(({ expression, descending, nullsFirst }) => {
+        let outputIndex = -1;
+        if (expression.type === 'NUMBER') {
+            outputIndex = Number.isInteger(expression.value) ? expression.value - 1 : -1;
+            if (outputIndex < 0 || outputIndex >= columns.length) {
+                throw createSQLError(`ORDER BY position ${expression.value} is not in the ${query.operator} result.`, expression.position);
+            }
+        } else if (expression.type === 'COLUMN' && !expression.table) {
+            outputIndex = columns.findIndex(column => column.toLowerCase() === expression.name.toLowerCase());
+        }
+        if (outputIndex === -1) {
+            throw createSQLError(`ORDER BY on a ${query.operator} result must use an output column name or position. Available columns: ${columns.join(', ')}`, expression.position);
+        }
+        return { outputIndex, descending, nullsFirst };
+    });
+    
+    return { statement: query, left, right, orderKeys, columns, stats: null };
+}
+
+/**
+ * Executes a set operation plan
+ * UNION, INTERSECT and EXCEPT return distinct rows; with ALL they keep duplicates
+ * (INTERSECT ALL keeps the smaller count of each row, EXCEPT ALL subtracts counts).
+ * @param {Object} plan - Plan from prepareSetOperation
+ * @param {Object[]} outerRows - Current rows of the enclosing queries
+ * @returns {{columns: string[], rows: any[][]}}
+ */
+function runSetOperation(plan, outerRows) {
+    const { statement, stats } = plan;
+    if (stats) stats.executions++;
+    const leftRows = runQuery(plan.left, outerRows).rows;
+    const rightRows = runQuery(plan.right, outerRows).rows;
+    checkSetOperationTypes(statement, plan.columns, leftRows, rightRows);
+    
+    const countRows = rows => {
+        const counts = new Map();
+        rows.forEach(row => {
+            const key = typedKey(row);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    };
+    
+    let rows;
+    if (statement.operator === 'UNION') {
+        rows = [...leftRows, ...rightRows];
+    } else {
+        const rightCounts = countRows(rightRows);
+        rows = leftRows.filter(row => {
+            const key = typedKey(row);
+            const remaining = rightCounts.get(key) || 0;
+            if (statement.all && remaining > 0) {
+                // Each right row cancels (EXCEPT ALL) or pairs with (INTERSECT ALL) one left row
+                rightCounts.set(key, remaining - 1);
+            }
+            return statement.operator === 'INTERSECT' ? remaining > 0 : remaining === 0;
+        });
     }
     
-        const selectClause = selectMatch[1].trim();
-    const columnSpecs = parseSelectClause(selectClause);
+    if (!statement.all) {
+        const seen = new Set();
+        rows = rows.filter(row => {
+            const key = typedKey(row);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    if (stats) stats.combined += rows.length;
     
-    // Use TOP limit if found, otherwise use LIMIT
-    if (topLimit !== null && limit === null) {
-        limit = topLimit;
+    let records = rows.map(values => ({ values, sortValues: plan.orderKeys.map(key => values[key.outputIndex]) }));
+    if (plan.orderKeys.length > 0) {
+        records = sortRecords(records, plan.orderKeys);
     }
     
-    // Parse FROM and JOIN clauses
-    // Match FROM clause - capture everything until WHERE, ORDER BY, GROUP BY, HAVING, LIMIT, or end of string
-    // Use a more robust pattern that handles multi-line queries
-    const fromJoinMatch = sqlForParsing.match(/from\s+((?:(?!\s+(?:where|order\s+by|group\s+by|having|limit)\b).)+)/is);
-    if (!fromJoinMatch) {
-        throw new Error('SQL query must include a FROM clause with a table name.');
+    const offset = statement.offset || 0;
+    if (offset > 0 || statement.limit !== null) {
+        records = records.slice(offset, statement.limit !== null ? offset + statement.limit : undefined);
     }
+    if (stats) stats.output += records.length;
     
-    const fromJoinClause = fromJoinMatch[1].trim();
-    const tableInfo = parseFromAndJoins(fromJoinClause);
+    return {
+        columns: plan.columns,
+        rows: records.map(record => record.values)
+    };
+}
+
+/**
+ * Verifies that each column of a set operation combines compatible values
+ * Column types come from the values: numbers, booleans and text (dates are text).
+ * Columns whose values are NULL or of mixed types on either side are not checked.
+ * @param {Object} statement - SET_OPERATION node
+ * @param {string[]} columns - Output column names
+ * @param {any[][]} leftRows - Rows of the left query
+ * @param {any[][]} rightRows - Rows of the right query
+ * @throws {Error} If a column combines numbers with text, for example
+ */
+function checkSetOperationTypes(statement, columns, leftRows, rightRows) {
+    const valueType = value => (typeof value === 'number' || typeof value === 'boolean' ? typeof value : 'text');
+    const columnType = (rows, index) => {
+        let type = null;
+        for (const row of rows) {
+            const value = row[index];
+            if (value === null || value === undefined) continue;
+            const current = valueType(value);
+            if (type && type !== current) return null; // mixed
+            type = current;
+        }
+        return type;
+    };
     
-    // Validate all tables exist
-    const allTables = getAllTables();
-    const tableMap = {};
-    allTables.forEach(t => {
-        tableMap[t.name.toLowerCase()] = t;
+    columns.forEach((column, index) => {
+        const leftType = columnType(leftRows, index);
+        const rightType = columnType(rightRows, index);
+        if (leftType && rightType && leftType !== rightType) {
+            throw createSQLError(`${statement.operator} column ${index + 1} ("${column}") combines ${leftType} values with ${rightType} values. Use CAST to make the types match.`, statement.position);
+        }
+    });
+}
+
+/**
+ * Binds and validates a parsed SELECT statement, producing a plan that runSelect can execute
+ * Subqueries are prepared recursively with the enclosing scope as their parent, so they may
+ * reference the outer query's columns (correlated subqueries).
+ * @param {Object} statement - SELECT statement node from parseSQL
+ * @param {Object|null} parentScope - Scope of the enclosing query, for subqueries
+ * @param {Map<string, Object>} ctes - CTEs visible to this statement, keyed by name
+ * @returns {Object} Query plan
+ */
+function prepareSelect(statement, parentScope, ctes) {
+    const visibleCTEs = prepareCTEs(statement.ctes, ctes);
+    const scope = createScope(statement.from, parentScope, visibleCTEs);
+    const selectItems = expandSelectList(statement.columns, scope);
+    
+    // Bind every column reference to a table alias before touching any rows,
+    // so unknown tables/columns are reported with their position even for empty tables
+    bindJoinConditions(statement.from, scope);
+    selectItems.forEach(item => {
+        bindExpression(item.expression, scope, {});
+        if (!item.alias && item.expression.type === 'SUBQUERY') {
+            item.name = item.expression.plan.columns[0];
+        }
     });
     
-    for (const tableAlias of Object.keys(tableInfo.tables)) {
-        const tableName = tableInfo.tables[tableAlias];
-        if (!tableMap[tableName.toLowerCase()]) {
-            throw new Error(`Table "${tableName}" not found. Available tables: ${allTables.map(t => t.name).join(', ')}`);
+    const selectAliases = {};
+    selectItems.forEach(item => {
+        if (item.alias) {
+            selectAliases[item.alias] = item.expression;
         }
-    }
+    });
+    const nonAggregateAliases = {};
+    Object.entries(selectAliases).forEach(([alias, expression]) => {
+        if (!containsAggregate(expression) && !findWindowFunction(expression)) {
+            nonAggregateAliases[alias] = expression;
+        }
+    });
     
-    // Check for WHERE clause to determine row count
-    const whereMatch = normalizedSQL.match(/where/i);
+    if (statement.where) {
+        bindExpression(statement.where, scope, { selectAliases: nonAggregateAliases });
+        rejectAggregate(statement.where, 'WHERE');
+        rejectWindowFunction(statement.where, 'WHERE');
+    }
+    const { pushedPredicates, wherePredicates } = planWherePredicates(statement, scope);
     
-    // Parse LIMIT clause (MySQL/PostgreSQL syntax)
-    let limitMatch = normalizedSQL.match(/\blimit\s+(\d+)\b/i);
-    let limit = limitMatch ? parseInt(limitMatch[1], 10) : null;
+    const groupBy = statement.groupBy.map(item => resolveGroupByItem(item, selectItems, scope, nonAggregateAliases));
     
-    // Parse TOP clause (SQL Server syntax) - only if LIMIT not found
-    if (!limit) {
-        const topMatch = normalizedSQL.match(/\btop\s+(\d+)\b/i);
-        if (topMatch) {
-            limit = parseInt(topMatch[1], 10);
-        }
+    if (statement.having) {
+        bindExpression(statement.having, scope, { selectAliases });
+        rejectWindowFunction(statement.having, 'HAVING');
     }
     
-    if (limit !== null && (isNaN(limit) || limit < 0)) {
-        throw new Error('LIMIT/TOP clause must contain a positive number. Example: LIMIT 10 or SELECT TOP 10');
-    }
+    const orderKeys = statement.orderBy.map(item => resolveOrderByItem(item, selectItems, scope, selectAliases));
     
-    // Handle SELECT * - expand to all columns from the table(s)
-    let expandedColumnSpecs = columnSpecs;
-    if (columnSpecs.length === 1 && columnSpecs[0].columnName === '*') {
-        // Expand SELECT * to all columns from all tables
-        expandedColumnSpecs = [];
-        for (const [alias, tableName] of Object.entries(tableInfo.tables)) {
-            const tableDef = tableMap[tableName.toLowerCase()];
-            if (tableDef) {
-                tableDef.columns.forEach(col => {
-                    expandedColumnSpecs.push({
-                        columnName: col,
-                        alias: null,
-                        tableAlias: alias
-                    });
-                });
-            }
-        }
-        
-        // If no columns found, fall back to the original spec
-        if (expandedColumnSpecs.length === 0) {
-            expandedColumnSpecs = columnSpecs;
-        }
-    }
+    const grouped = groupBy.length > 0 ||
+        selectItems.some(item => containsAggregate(item.expression)) ||
+        (statement.having && containsAggregate(statement.having)) ||
+        orderKeys.some(key => key.expression && containsAggregate(key.expression));
     
-    // Parse WHERE clause if present
-    let whereClause = null;
-    if (whereMatch) {
-        // Extract WHERE clause - everything after WHERE until ORDER BY, GROUP BY, HAVING, LIMIT, or end
-        const whereMatchFull = sqlForParsing.match(/where\s+((?:(?!\s+(?:order\s+by|group\s+by|having|limit)\b).)+)/is);
-        if (whereMatchFull) {
-            whereClause = whereMatchFull[1].trim();
-        }
+    if (statement.having && !grouped) {
+        throw createSQLError('HAVING clause requires a GROUP BY clause or an aggregate function.', statement.having.position);
     }
     
-    // Generate mock rows with JOIN support
-    // Generate enough rows to satisfy LIMIT after filtering
-    // If no LIMIT (user selected "All"), generate a large number of rows
-    // If WHERE clause, generate more to account for filtering
-    const defaultRowCount = 25;
-    const allRowsCount = 1000; // When "All" is selected, generate 1000 rows
-    const baseRowCount = limit 
-        ? Math.max(limit, (whereMatch ? limit * 2 : limit)) 
-        : (whereMatch ? allRowsCount * 2 : allRowsCount);
-    const rows = generateJoinedRows(expandedColumnSpecs, tableInfo, tableMap, baseRowCount);
-    
-    // Apply WHERE clause filtering if present
-    let filteredRows = rows;
-    if (whereClause && rows.length > 0) {
-        filteredRows = applyWhereClause(rows, expandedColumnSpecs, whereClause);
+    if (grouped) {
+        const groupKeys = new Set(groupBy.map(expressionKey));
+        selectItems.forEach(item => checkGroupedExpression(item.expression, groupKeys));
+        if (statement.having) {
+            checkGroupedExpression(statement.having, groupKeys);
+        }
+        orderKeys.forEach(key => {
+            if (key.expression) {
+                checkGroupedExpression(key.expression, groupKeys);
+            }
+        });
     }
     
-    // Apply LIMIT after filtering
-    if (limit !== null && limit > 0) {
-        filteredRows = filteredRows.slice(0, limit);
+    if (statement.distinct && orderKeys.some(key => key.expression)) {
+        const key = orderKeys.find(orderKey => orderKey.expression);
+        throw createSQLError('For SELECT DISTINCT, ORDER BY expressions must appear in the select list.', key.expression.position);
     }
     
-    // Extract column names for output (use aliases if present, otherwise use column names)
-    const columns = expandedColumnSpecs.map(spec => spec.alias || spec.columnName);
+    // Window functions are computed after grouping, for the SELECT list and ORDER BY
+    const windowFunctions = collectWindowFunctions([
+        ...selectItems.map(item => item.expression),
+        ...orderKeys.filter(key => key.expression).map(key => key.expression)
+    ]);
     
     return {
-        columns,
-        rows: filteredRows
+        statement,
+        scope,
+        selectItems,
+        groupBy,
+        orderKeys,
+        grouped,
+        windowFunctions,
+        pushedPredicates,
+        wherePredicates,
+        stats: null,
+        columns: selectItems.map(item => item.name)
     };
 }
 
 /**
- * Parses SELECT clause to extract column specifications with aliases
- * @param {string} selectClause - The SELECT clause content
- * @returns {Array<{columnName: string, alias: string|null, tableAlias: string|null}>}
+ * Splits WHERE into predicates applied while scanning a single table (pushed down) and predicates
+ * applied after the joins. A predicate is pushed down when it only references one table of this query,
+ * that table is never NULL-padded by an outer join, and it contains no subqueries.
+ * @param {Object} statement - SELECT statement node (WHERE already bound)
+ * @param {Object} scope - Query scope
+ * @returns {{pushedPredicates: Object[][], wherePredicates: Object[]}} pushedPredicates is indexed like scope.sources
  */
-function parseSelectClause(selectClause) {
-    if (selectClause.trim() === '*') {
-        return [{ columnName: '*', alias: null, tableAlias: null }];
+function planWherePredicates(statement, scope) {
+    const pushedPredicates = scope.sources.map(() => []);
+    const wherePredicates = [];
+    if (!statement.where) {
+        return { pushedPredicates, wherePredicates };
     }
     
-    // Split by comma, but be careful with commas inside parentheses
-    const columns = [];
-    let current = '';
-    let depth = 0;
-    
-    for (let i = 0; i < selectClause.length; i++) {
-        const char = selectClause[i];
-        if (char === '(') depth++;
-        else if (char === ')') depth--;
-        else if (char === ',' && depth === 0) {
-            if (current.trim()) {
-                columns.push(parseColumnSpec(current.trim()));
+    // Outer joins NULL-pad the right table (LEFT), everything joined before it (RIGHT), or both (FULL)
+    const nullable = new Set();
+    statement.from.joins.forEach((join, joinIndex) => {
+        if (join.joinType === 'LEFT' || join.joinType === 'FULL') {
+            nullable.add(joinIndex + 1);
+        }
+        if (join.joinType === 'RIGHT' || join.joinType === 'FULL') {
+            for (let index = 0; index <= joinIndex; index++) {
+                nullable.add(index);
             }
-            current = '';
-            continue;
         }
-        current += char;
-    }
+    });
     
-    if (current.trim()) {
-        columns.push(parseColumnSpec(current.trim()));
-    }
+    splitConjuncts(statement.where).forEach(conjunct => {
+        const aliases = referencedAliases(conjunct);
+        const sourceIndex = aliases.size === 1 ? scope.sources.indexOf(scope.byAlias[[...aliases][0]]) : -1;
+        const pushable = sourceIndex !== -1 && !nullable.has(sourceIndex) &&
+            !findExpression(conjunct, node => ['SUBQUERY', 'EXISTS', 'IN_SUBQUERY'].includes(node.type) ||
+                (node.type === 'COLUMN' && node.binding && node.binding.expression !== undefined));
+        if (pushable) {
+            pushedPredicates[sourceIndex].push(conjunct);
+        } else {
+            wherePredicates.push(conjunct);
+        }
+    });
     
-    return columns.filter(col => col !== null);
+    return { pushedPredicates, wherePredicates };
 }
 
 /**
- * Parses a single column specification
- * @param {string} colSpec - Column specification (e.g., "s.sample_id", "status AS sample_status")
- * @returns {{columnName: string, alias: string|null, tableAlias: string|null}}
+ * Executes a prepared SELECT plan
+ * Clause order: FROM/JOIN -> WHERE -> GROUP BY -> HAVING -> SELECT -> DISTINCT -> ORDER BY -> OFFSET/LIMIT
+ * @param {Object} plan - Plan from prepareSelect
+ * @param {Object[]} outerRows - Current rows of the enclosing queries (innermost first), for correlated subqueries
+ * @returns {{columns: string[], rows: any[][]}}
  */
-function parseColumnSpec(colSpec) {
-    // Remove quotes
-    colSpec = colSpec.replace(/^["'`]|["'`]$/g, '');
-    
-    // Check for alias (AS keyword or space-separated)
-    const aliasMatch = colSpec.match(/\s+as\s+(\w+)$/i) || colSpec.match(/\s+(\w+)$/);
-    let alias = null;
-    let columnPart = colSpec;
+function runSelect(plan, outerRows) {
+    const { statement, scope, selectItems, groupBy, orderKeys, stats } = plan;
+    const context = { outerRows };
+    if (stats) stats.executions++;
+    
+    // FROM / JOIN, with single-table WHERE predicates applied during the scans
+    let rows = executeJoins(plan, context);
+    
+    // WHERE - the remaining predicates
+    if (plan.wherePredicates.length > 0) {
+        rows = rows.filter(row => {
+            checkExecutionTime();
+            return plan.wherePredicates.every(predicate => evaluateExpression(predicate, row, context) === true);
+        });
+    }
+    if (stats) stats.filtered += rows.length;
+    
+    // GROUP BY / HAVING - each unit is a row, or a group with a representative row
+    let units;
+    if (plan.grouped) {
+        units = groupRows(rows, scope, groupBy, statement.having, context);
+    } else {
+        units = rows.map(row => ({ row, context }));
+    }
+    if (stats) stats.grouped += units.length;
     
-    if (aliasMatch) {
-        alias = aliasMatch[1];
-        columnPart = colSpec.substring(0, aliasMatch.index).trim();
+    // Window functions
+    if (plan.windowFunctions.length > 0) {
+        units.forEach(unit => {
+            unit.context = { ...unit.context, windowValues: new Map() };
+        });
+        plan.windowFunctions.forEach(node => computeWindowFunction(node, units));
     }
     
-    // Check for table alias (table.column)
-    const parts = columnPart.split('.');
-    let tableAlias = null;
-    let columnName = columnPart;
+    // SELECT
+    let records = units.map(unit => projectRecord(unit.row, unit.context, selectItems, orderKeys));
+    
+    // DISTINCT
+    if (statement.distinct) {
+        const seen = new Set();
+        records = records.filter(record => {
+            const key = typedKey(record.values);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    if (stats) stats.distinct += records.length;
     
-    if (parts.length === 2) {
-        tableAlias = parts[0].trim();
-        columnName = parts[1].trim();
-    } else if (parts.length > 2) {
-        // Handle schema.table.column (use last two parts)
-        tableAlias = parts[parts.length - 2].trim();
-        columnName = parts[parts.length - 1].trim();
+    // ORDER BY
+    if (orderKeys.length > 0) {
+        records = sortRecords(records, orderKeys);
     }
     
-    // Remove quotes from column name
-    columnName = columnName.replace(/^["'`]|["'`]$/g, '');
-    if (tableAlias) {
-        tableAlias = tableAlias.replace(/^["'`]|["'`]$/g, '');
+    // OFFSET / LIMIT
+    const offset = statement.offset || 0;
+    if (offset > 0 || statement.limit !== null) {
+        records = records.slice(offset, statement.limit !== null ? offset + statement.limit : undefined);
     }
+    if (stats) stats.output += records.length;
     
     return {
-        columnName: columnName.toLowerCase(),
-        alias: alias ? alias.toLowerCase() : null,
-        tableAlias: tableAlias ? tableAlias.toLowerCase() : null
+        columns: plan.columns,
+        rows: records.map(record => record.values)
     };
 }
 
 /**
- * Parses FROM and JOIN clauses to extract table information
- * @param {string} fromJoinClause - The FROM/JOIN clause content
- * @returns {{tables: Object<string, string>, joins: Array<{type: string, table: string, alias: string, on: string}>}}
+ * Executes a query with row counting enabled and describes how it ran
+ * Each plan step reports the rows the planner estimated and the rows actually produced per execution.
+ * @param {Object} statement - EXPLAIN node from parseSQL
+ * @returns {{columns: string[], rows: any[][], plan: Object}} One row per plan step (pre-order), plus the plan tree
  */
-function parseFromAndJoins(fromJoinClause) {
-    const result = {
-        tables: {}, // alias -> table name
-        joins: []
-    };
-    
-    // Normalize whitespace (replace newlines and multiple spaces with single space)
-    const normalized = fromJoinClause.replace(/\s+/g, ' ').trim();
-    
-    // Parse FROM clause (first table)
-    const fromMatch = normalized.match(/^(\w+)(?:\s+(\w+))?/i);
-    if (fromMatch) {
-        const tableName = fromMatch[1];
-        const alias = fromMatch[2] || tableName;
-        result.tables[alias.toLowerCase()] = tableName.toLowerCase();
-    }
+function explainQuery(statement) {
+    const plan = prepareQuery(statement.query, null, new Map());
+    enableStats(plan);
+    runQuery(plan, []);
     
-    // Parse JOIN clauses - use a more robust regex that handles ON clauses
-    const joinRegex = /(left|right|inner|full)?\s*join\s+(\w+)(?:\s+(\w+))?(?:\s+on\s+([^join]+(?=\s+(?:left|right|inner|full)?\s*join|$)))?/gi;
-    let joinMatch;
-    let lastIndex = 0;
+    const root = describePlan(plan);
+    const rows = [];
+    const addStep = (step, depth) => {
+        rows.push([rows.length + 1, `${'  '.repeat(depth)}${step.operation}`, step.detail, step.estimatedRows, step.actualRows, step.executions]);
+        step.children.forEach(child => addStep(child, depth + 1));
+    };
+    addStep(root, 0);
     
-    while ((joinMatch = joinRegex.exec(normalized)) !== null) {
-        const joinType = (joinMatch[1] || 'inner').toLowerCase();
-        const tableName = joinMatch[2];
-        const alias = joinMatch[3] || tableName;
-        let onClause = (joinMatch[4] || '').trim();
-        
-        // Clean up ON clause - remove trailing semicolons and extra whitespace
-        onClause = onClause.replace(/;?\s*$/, '').trim();
-        
-        result.tables[alias.toLowerCase()] = tableName.toLowerCase();
-        result.joins.push({
-            type: joinType,
-            table: tableName.toLowerCase(),
-            alias: alias.toLowerCase(),
-            on: onClause
-        });
-        
-        lastIndex = joinRegex.lastIndex;
+    return { columns: EXPLAIN_COLUMNS, rows, plan: root };
+}
+
+/**
+ * Attaches row counters to a plan, its set-operation sides, derived tables and subqueries
+ * @param {Object} plan - Query plan
+ */
+function enableStats(plan) {
+    // CTE plans are shared by every query that reads them
+    if (plan.stats) return;
+    
+    if (plan.statement.type === 'SET_OPERATION') {
+        plan.stats = { executions: 0, combined: 0, output: 0 };
+        enableStats(plan.left);
+        enableStats(plan.right);
+        return;
     }
     
-    return result;
+    plan.stats = {
+        executions: 0,
+        scans: plan.scope.sources.map(() => ({ read: 0, output: 0 })),
+        joins: plan.statement.from.joins.map(() => 0),
+        filtered: 0,
+        grouped: 0,
+        distinct: 0,
+        output: 0
+    };
+    plan.scope.sources.forEach(source => {
+        if (source.derived) {
+            enableStats(source.derived.plan);
+        }
+    });
+    collectSubqueries(plan).forEach(node => enableStats(node.plan));
 }
 
 /**
- * Gets default columns for a table name
- * @param {string} tableName - Name of the table
- * @returns {string[]}
- */
-function getDefaultColumns(tableName) {
-    const columnMap = {
-        // Lab-related tables
-        'samples': ['sample_id', 'sample_name', 'sample_type', 'collection_date', 'status', 'lab_id'],
-        'tests': ['test_id', 'test_name', 'test_type', 'method', 'unit', 'reference_range'],
-        'results': ['result_id', 'sample_id', 'test_id', 'result_value', 'result_date', 'technician_id', 'status'],
-        'labs': ['lab_id', 'lab_name', 'location', 'contact_email', 'phone'],
-        'technicians': ['technician_id', 'name', 'email', 'lab_id', 'specialization'],
-        // Legacy tables (keeping for compatibility)
-        'users': ['id', 'name', 'email', 'created_at'],
-        'orders': ['order_id', 'user_id', 'total', 'order_date'],
-        'products': ['product_id', 'name', 'price', 'category'],
-        'sales': ['sale_id', 'product_id', 'quantity', 'sale_date', 'amount'],
-        'metrics': ['test_date', 'result_value', 'metric_name'],
-        'analytics': ['date', 'event', 'count', 'value'],
-        'default': ['id', 'name', 'value', 'created_at']
+ * Finds the subquery nodes (scalar, IN and EXISTS) in the clauses of a SELECT plan
+ * @param {Object} plan - SELECT plan
+ * @returns {Object[]} Subquery nodes in clause order, each once
+ */
+function collectSubqueries(plan) {
+    const { statement } = plan;
+    const found = new Set();
+    const visit = node => {
+        if (['SUBQUERY', 'EXISTS', 'IN_SUBQUERY'].includes(node.type)) {
+            found.add(node);
+        }
+        childExpressions(node).forEach(visit);
     };
-    
-    return columnMap[tableName] || columnMap['default'];
+    [
+        ...plan.selectItems.map(item => item.expression),
+        ...statement.from.joins.filter(join => join.on).map(join => join.on),
+        statement.where,
+        ...plan.groupBy,
+        statement.having,
+        ...plan.orderKeys.filter(key => key.expression).map(key => key.expression)
+    ].filter(Boolean).forEach(visit);
+    return [...found];
 }
 
 /**
- * Gets all available tables in the database
- * @returns {Array<{name: string, columns: string[], description: string}>}
+ * Builds the plan tree of an executed query, innermost steps as children
+ * SELECT steps: Scan -> Join -> Filter -> Aggregate -> Window -> Distinct -> Sort -> Limit -> Select
+ * @param {Object} plan - Query plan with stats (see enableStats)
+ * @returns {{operation: string, detail: string, estimatedRows: number, actualRows: number, executions: number, children: Object[]}}
  */
-export function getAllTables() {
-    return [
-        {
-            name: 'samples',
-            columns: ['sample_id', 'sample_name', 'sample_type', 'collection_date', 'status', 'lab_id'],
-            description: 'Laboratory sample records'
-        },
-        {
-            name: 'tests',
-            columns: ['test_id', 'test_name', 'test_type', 'method', 'unit', 'reference_range'],
-            description: 'Available test types and methods'
-        },
-        {
-            name: 'results',
-            columns: ['result_id', 'sample_id', 'test_id', 'result_value', 'result_date', 'technician_id', 'status'],
-            description: 'Test results linked to samples'
-        },
-        {
-            name: 'labs',
-            columns: ['lab_id', 'lab_name', 'location', 'contact_email', 'phone'],
-            description: 'Laboratory information'
-        },
-        {
-            name: 'technicians',
-            columns: ['technician_id', 'name', 'email', 'lab_id', 'specialization'],
-            description: 'Lab technician information'
-        },
-    ];
-}
-
-/**
- * Generates mock rows for JOIN queries
- * @param {Array} columnSpecs - Column specifications from SELECT clause
- * @param {Object} tableInfo - Table and JOIN information
- * @param {Object} tableMap - Map of table names to table definitions
- * @param {number} rowCount - Number of rows to generate
- * @returns {any[][]}
- */
-function generateJoinedRows(columnSpecs, tableInfo, tableMap, rowCount) {
-    const rows = [];
-    const baseDate = new Date('2024-01-01');
+function describePlan(plan) {
+    const { statement, stats } = plan;
+    const executions = stats.executions;
+    const step = (operation, detail, estimatedRows, actualTotal, children) => ({
+        operation,
+        detail,
+        estimatedRows: Math.max(0, Math.round(estimatedRows)),
+        actualRows: executions > 0 ? Math.round(actualTotal / executions) : 0,
+        executions,
+        children
+    });
     
-    // Generate base data for each table
-    const tableData = {};
-    for (const [alias, tableName] of Object.entries(tableInfo.tables)) {
-        const tableDef = tableMap[tableName];
-        if (!tableDef) continue;
-        
-        // Check if we have stored data for this table
-        const storedData = getTableData(tableName);
-        const tableRows = [];
-        
-        if (storedData && storedData.length > 0) {
-            // Use stored data (limit to rowCount or available data, whichever is smaller)
-            const dataToUse = storedData.slice(0, Math.min(rowCount, storedData.length));
-            
-            dataToUse.forEach((rowArray, idx) => {
-                const row = {};
-                // Map array values to column names
-                tableDef.columns.forEach((col, colIdx) => {
-                    const value = rowArray[colIdx] !== undefined ? rowArray[colIdx] : null;
-                    row[col] = value; // Unqualified
-                    row[`${alias}.${col}`] = value; // Qualified with alias
-                });
-                tableRows.push(row);
-            });
-        } else {
-            // Fallback to generating data on-the-fly
-            const tableRowCount = rowCount;
-            
-            for (let i = 0; i < tableRowCount; i++) {
-                const row = {};
-                // Store columns with both qualified (alias.column) and unqualified names
-                tableDef.columns.forEach(col => {
-                    const value = generateColumnValue(col, i, tableName);
-                    row[col] = value; // Unqualified
-                    row[`${alias}.${col}`] = value; // Qualified with alias
-                });
-                tableRows.push(row);
-            }
+    // Trailing ORDER BY / OFFSET / LIMIT, shared by SELECTs and set operations
+    const addSortAndLimit = (current, actualTotal) => {
+        if (statement.orderBy.length > 0) {
+            const keys = statement.orderBy.map(item => `${expressionToSQL(item.expression)}${item.descending ? ' desc' : ''}`);
+            current = step('Sort', keys.join(', '), current.estimatedRows, actualTotal, [current]);
         }
-        
-        tableData[alias] = tableRows;
+        const offset = statement.offset || 0;
+        if (offset > 0 || statement.limit !== null) {
+            const parts = [
+                ...(statement.limit !== null ? [`limit ${statement.limit}`] : []),
+                ...(offset > 0 ? [`offset ${offset}`] : [])
+            ];
+            const remaining = Math.max(0, current.estimatedRows - offset);
+            const estimated = statement.limit !== null ? Math.min(remaining, statement.limit) : remaining;
+            current = step('Limit', parts.join(' '), estimated, stats.output, [current]);
+        }
+        return current;
+    };
+    
+    if (statement.type === 'SET_OPERATION') {
+        const left = describePlan(plan.left);
+        const right = describePlan(plan.right);
+        const estimates = {
+            UNION: left.estimatedRows + right.estimatedRows,
+            INTERSECT: Math.min(left.estimatedRows, right.estimatedRows),
+            EXCEPT: left.estimatedRows
+        };
+        const operation = statement.operator.charAt(0) + statement.operator.slice(1).toLowerCase() + (statement.all ? ' All' : '');
+        const detail = statement.all ? 'keeps duplicate rows' : 'removes duplicate rows';
+        return addSortAndLimit(step(operation, detail, estimates[statement.operator], stats.combined, [left, right]), stats.combined);
     }
     
-    // Perform JOINs
-    let joinedData = tableData[Object.keys(tableInfo.tables)[0]] || [];
+    // FROM / JOIN: a left-deep tree of scans
+    const tableRefs = [statement.from.table, ...statement.from.joins.map(join => join.table)];
+    const scans = plan.scope.sources.map((source, sourceIndex) => {
+        const predicates = plan.pushedPredicates[sourceIndex];
+        const tableRef = tableRefs[sourceIndex];
+        let kind = 'table';
+        if (tableRef.subquery) {
+            kind = 'subquery';
+        } else if (source.derived) {
+            kind = 'cte';
+        } else if (source.datasetId) {
+            kind = 'dataset';
+        }
+        const name = source.alias !== source.tableName ? `${source.tableName} AS ${source.alias}` : source.tableName;
+        const children = source.derived ? [describePlan(source.derived.plan)] : [];
+        const tableRows = source.derived ? children[0].estimatedRows : estimateTableRows(source);
+        const detail = `${name} (${kind})${predicates.length > 0 ? `, filter: ${predicates.map(expressionToSQL).join(' and ')}` : ''}`;
+        return step('Scan', detail, tableRows * estimateSelectivity(predicates), stats.scans[sourceIndex].output, children);
+    });
     
-    for (const join of tableInfo.joins) {
-        const rightTableData = tableData[join.alias] || [];
-        const joined = [];
-        
-        // Parse ON clause to find join keys
-        const onClause = join.on.toLowerCase();
-        const onMatch = onClause.match(/(\w+)\.(\w+)\s*=\s*(\w+)\.(\w+)/);
+    let current = scans[0];
+    statement.from.joins.forEach((join, joinIndex) => {
+        const left = current;
+        const right = scans[joinIndex + 1];
+        const conjuncts = join.on ? splitConjuncts(join.on) : [];
+        const leftAliases = plan.scope.sources.slice(0, joinIndex + 1).map(source => source.alias);
+        const equiJoins = findEquiJoinConditions(conjuncts, plan.scope.sources[joinIndex + 1].alias, leftAliases);
         
-        if (onMatch) {
-            const leftTableAlias = onMatch[1];
-            const leftColumn = onMatch[2];
-            const rightTableAlias = onMatch[3];
-            const rightColumn = onMatch[4];
-            
-            // Create index for right table
-            const rightIndex = {};
-            rightTableData.forEach((rightRow, idx) => {
-                const key = rightRow[rightColumn];
-                if (!rightIndex[key]) {
-                    rightIndex[key] = [];
-                }
-                rightIndex[key].push(idx);
-            });
-            
-            // Perform join
-            if (join.type === 'left') {
-                // LEFT JOIN: all rows from left, matching rows from right (or NULL)
-                joinedData.forEach(leftRow => {
-                    const key = leftRow[leftColumn];
-                    const matchingRight = rightIndex[key] || [];
-                    
-                    if (matchingRight.length > 0) {
-                    matchingRight.forEach(rightIdx => {
-                        const merged = { ...leftRow };
-                        // Merge right table data, preserving both qualified and unqualified keys
-                        Object.keys(rightTableData[rightIdx]).forEach(key => {
-                            merged[key] = rightTableData[rightIdx][key];
-                        });
-                        joined.push(merged);
-                    });
-                    } else {
-                        // No match - add left row with NULLs for right columns
-                        const merged = { ...leftRow };
-                        const rightTableDef = tableMap[join.table];
-                        if (rightTableDef) {
-                            rightTableDef.columns.forEach(col => {
-                                merged[col] = null; // Unqualified
-                                merged[`${join.alias}.${col}`] = null; // Qualified
-                            });
-                        }
-                        joined.push(merged);
-                    }
-                });
-            } else {
-                // INNER JOIN: only matching rows
-                joinedData.forEach(leftRow => {
-                    const key = leftRow[leftColumn];
-                    const matchingRight = rightIndex[key] || [];
-                    
-                    matchingRight.forEach(rightIdx => {
-                        const merged = { ...leftRow };
-                        // Merge right table data, preserving both qualified and unqualified keys
-                        Object.keys(rightTableData[rightIdx]).forEach(key => {
-                            merged[key] = rightTableData[rightIdx][key];
-                        });
-                        joined.push(merged);
-                    });
-                });
-            }
+        let operation;
+        let estimated;
+        let detail = `${join.joinType} join`;
+        if (join.joinType === 'CROSS') {
+            operation = 'Cross Join';
+            estimated = left.estimatedRows * right.estimatedRows;
+        } else if (equiJoins.length > 0) {
+            // Assume the smaller side's keys are unique (primary key -> foreign key)
+            const residual = conjuncts.filter(conjunct => !equiJoins.some(equiJoin =>
+                [equiJoin.leftExpression, equiJoin.rightExpression].includes(conjunct.left) &&
+                [equiJoin.leftExpression, equiJoin.rightExpression].includes(conjunct.right)));
+            operation = 'Hash Join';
+            estimated = Math.min(left.estimatedRows, right.estimatedRows) * estimateSelectivity(residual);
+            detail += ` on ${expressionToSQL(join.on)}, hash key: ${equiJoins.map(equiJoin => `${expressionToSQL(equiJoin.leftExpression)} = ${expressionToSQL(equiJoin.rightExpression)}`).join(', ')}`;
         } else {
-            // No ON clause or couldn't parse - perform cartesian product (limited)
-            const maxCartesian = Math.min(joinedData.length * rightTableData.length, rowCount * 2);
-            for (let i = 0; i < Math.min(joinedData.length, rowCount); i++) {
-                for (let j = 0; j < Math.min(rightTableData.length, 3); j++) {
-                    if (joined.length >= maxCartesian) break;
-                    const merged = { ...joinedData[i] };
-                    // Merge right table data, preserving both qualified and unqualified keys
-                    Object.keys(rightTableData[j]).forEach(key => {
-                        merged[key] = rightTableData[j][key];
-                    });
-                    joined.push(merged);
-                }
-            }
+            operation = 'Nested Loop';
+            estimated = left.estimatedRows * right.estimatedRows * estimateSelectivity([join.on]);
+            detail += ` on ${expressionToSQL(join.on)}`;
         }
-        
-        joinedData = joined;
+        // Outer joins keep every row of their preserved side
+        if (join.joinType === 'LEFT' || join.joinType === 'FULL') {
+            estimated = Math.max(estimated, left.estimatedRows);
+        }
+        if (join.joinType === 'RIGHT' || join.joinType === 'FULL') {
+            estimated = Math.max(estimated, right.estimatedRows);
+        }
+        current = step(operation, detail, estimated, stats.joins[joinIndex], [left, right]);
+    });
+    
+    if (plan.wherePredicates.length > 0) {
+        current = step('Filter', plan.wherePredicates.map(expressionToSQL).join(' and '),
+            current.estimatedRows * estimateSelectivity(plan.wherePredicates), stats.filtered, [current]);
+    }
+    
+    if (plan.grouped) {
+        const parts = [];
+        if (plan.groupBy.length > 0) {
+            parts.push(`group by ${plan.groupBy.map(expressionToSQL).join(', ')}`);
+        }
+        if (statement.having) {
+            parts.push(`having ${expressionToSQL(statement.having)}`);
+        }
+        let estimated = plan.groupBy.length > 0 ? Math.ceil(current.estimatedRows * 0.1) : 1;
+        if (statement.having) {
+            estimated *= 0.5;
+        }
+        current = step('Aggregate', parts.join(', ') || 'single group', estimated, stats.grouped, [current]);
     }
     
-    // Limit to requested row count
-    joinedData = joinedData.slice(0, rowCount);
+    if (plan.windowFunctions.length > 0) {
+        current = step('Window', plan.windowFunctions.map(expressionToSQL).join(', '), current.estimatedRows, stats.grouped, [current]);
+    }
     
-    // Map columns from joined data to result columns
-    // Note: SELECT * should already be expanded before this function is called
-    for (let rowIdx = 0; rowIdx < joinedData.length; rowIdx++) {
-        const joinedRow = joinedData[rowIdx];
-        const resultRow = columnSpecs.map(spec => {
-            // Find the column value
-            let value = null;
-            
-            if (spec.tableAlias) {
-                // Qualified column name (table.column) - try qualified key first
-                const qualifiedKey = `${spec.tableAlias}.${spec.columnName}`;
-                value = joinedRow[qualifiedKey];
-                
-                // Fallback to unqualified if qualified not found
-                if (value === undefined) {
-                    value = joinedRow[spec.columnName];
-                }
-            } else {
-                // Unqualified column name - try to find in joined row
-                // Prefer columns from tables in order
-                value = joinedRow[spec.columnName];
-            }
-            
-            // If still null/undefined, try to generate based on column name
-            if (value === null || value === undefined) {
-                value = generateColumnValue(spec.columnName, rowIdx, null);
-            }
-            
-            return value;
-        });
-        
-        rows.push(resultRow);
+    if (statement.distinct) {
+        current = step('Distinct', 'removes duplicate rows', current.estimatedRows, stats.distinct, [current]);
     }
     
-    return rows;
+    current = addSortAndLimit(current, stats.distinct);
+    
+    // Subqueries run once when uncorrelated, otherwise once per row of the enclosing query
+    const subqueries = collectSubqueries(plan).map(node => {
+        const child = describePlan(node.plan);
+        const kind = { SUBQUERY: 'scalar', EXISTS: 'exists', IN_SUBQUERY: 'in' }[node.type];
+        const detail = `${kind} subquery, ${isCorrelated(node.plan) ? 'correlated' : 'uncorrelated'}`;
+        return { ...child, operation: 'Subquery', detail, children: [child] };
+    });
+    
+    return step('Select', plan.columns.join(', '), current.estimatedRows, stats.output, [current, ...subqueries]);
+}
+
+/**
+ * Estimates a table's row count without loading it
+ * @param {{tableName: string, datasetId: string|null}} source - Table source
+ * @returns {number}
+ */
+function estimateTableRows(source) {
+    if (source.datasetId) {
+        const dataset = datasetStore.get(source.datasetId);
+        return dataset && Array.isArray(dataset.rows) ? dataset.rows.length : 0;
+    }
+    const storedData = getTableData(source.tableName);
+    return storedData && storedData.length > 0 ? storedData.length : GENERATED_ROW_COUNT;
+}
+
+/**
+ * Estimates the fraction of rows that satisfy all of the given predicates
+ * Uses fixed selectivities per predicate type, as there are no column statistics.
+ * @param {Object[]} predicates - Predicates combined with AND
+ * @returns {number} Between 0 and 1
+ */
+function estimateSelectivity(predicates) {
+    const selectivity = node => {
+        switch (node.type) {
+            case 'LOGICAL': {
+                const left = selectivity(node.left);
+                const right = selectivity(node.right);
+                return node.operator === 'AND' ? left * right : left + right - left * right;
+            }
+            case 'NOT':
+                return 1 - selectivity(node.operand);
+            case 'COMPARISON':
+                if (node.operator === '=') return 0.1;
+                if (node.operator === '!=') return 0.9;
+                return 0.33;
+            case 'LIKE':
+                return node.negated ? 0.75 : 0.25;
+            case 'IN_LIST': {
+                const matching = Math.min(1, node.values.length * 0.1);
+                return node.negated ? 1 - matching : matching;
+            }
+            case 'BETWEEN':
+                return node.negated ? 0.75 : 0.25;
+            case 'IS_NULL':
+                return node.negated ? 0.95 : 0.05;
+            default:
+                return 0.5;
+        }
+    };
+    return predicates.reduce((product, predicate) => product * selectivity(predicate), 1);
 }
 
 /**
- * Applies WHERE clause filtering to rows
- * @param {any[][]} rows - Array of row arrays
- * @param {Array} columnSpecs - Column specifications
- * @param {string} whereClause - WHERE clause string
- * @returns {any[][]}
+ * Prepares the CTEs of a WITH clause; each CTE may reference the ones defined before it
+ * @param {Object[]} cteNodes - CTE nodes from the WITH clause
+ * @param {Map<string, Object>} inheritedCTEs - CTEs of enclosing queries
+ * @returns {Map<string, Object>} Visible CTEs keyed by name
+ * @throws {Error} If a CTE name is repeated
  */
-function applyWhereClause(rows, columnSpecs, whereClause) {
-    if (!rows || rows.length === 0) return rows;
+function prepareCTEs(cteNodes, inheritedCTEs) {
+    const ctes = new Map(inheritedCTEs);
+    const defined = new Set();
     
-    // Create a map of column names to indices
-    const columnMap = {};
-    columnSpecs.forEach((spec, index) => {
-        const colName = spec.alias || spec.columnName;
-        columnMap[colName.toLowerCase()] = index;
-        // Also map unqualified column name
-        if (spec.tableAlias) {
-            columnMap[`${spec.tableAlias}.${spec.columnName}`.toLowerCase()] = index;
+    cteNodes.forEach(cte => {
+        if (defined.has(cte.name)) {
+            throw createSQLError(`WITH query name "${cte.name}" is specified more than once.`, cte.position);
         }
+        defined.add(cte.name);
+        // Snapshot the map so a CTE cannot see itself or later CTEs (no recursion)
+        ctes.set(cte.name, createDerivedTable(cte.name, cte.query, cte.columns, new Map(ctes), cte.position));
     });
     
-    const normalizedWhere = whereClause.toLowerCase().trim();
-    const filteredRows = [];
+    return ctes;
+}
+
+/**
+ * Prepares a CTE or FROM-clause subquery as a table whose rows are computed on first use
+ * @param {string} name - CTE name or subquery alias
+ * @param {Object} query - SELECT statement node
+ * @param {string[]|null} columnNames - Explicit column names, if given
+ * @param {Map<string, Object>} ctes - CTEs visible to the query
+ * @param {Object} position - Source position for errors
+ * @returns {{name: string, columns: string[], plan: Object, rows: Object[]|null}}
+ */
+function createDerivedTable(name, query, columnNames, ctes, position) {
+    const plan = prepareQuery(query, null, ctes);
     
-    for (const row of rows) {
-        if (evaluateWhereCondition(row, columnMap, normalizedWhere, whereClause)) {
-            filteredRows.push(row);
-        }
+    if (columnNames && columnNames.length !== plan.columns.length) {
+        throw createSQLError(`"${name}" returns ${plan.columns.length} columns but ${columnNames.length} column names were specified.`, position);
     }
     
-    return filteredRows;
+    return { name, columns: columnNames || plan.columns, plan, rows: null };
 }
 
 /**
- * Evaluates a WHERE condition for a single row
- * @param {any[]} row - Row data array
- * @param {Object} columnMap - Map of column names to indices
- * @param {string} normalizedWhere - Lowercase WHERE clause
- * @param {string} originalWhere - Original WHERE clause (for value extraction)
- * @returns {boolean}
+ * Resolves the tables in the FROM clause against CTEs and the available tables
+ * @param {Object} from - FROM clause node ({table, joins})
+ * @param {Object|null} parentScope - Scope of the enclosing query, for subqueries
+ * @param {Map<string, Object>} ctes - Visible CTEs keyed by name
+ * @returns {{sources: Array<{alias: string, tableName: string, columns: string[], derived?: Object}>, byAlias: Object, parent: Object|null, correlated: boolean}}
+ * @throws {Error} If a table does not exist or an alias is used twice
  */
-function evaluateWhereCondition(row, columnMap, normalizedWhere, originalWhere) {
-    // Simple WHERE clause evaluation
-    // Supports: column = value, column > value, column < value, column >= value, column <= value, column != value
-    // Also supports: column LIKE 'pattern', column IN (value1, value2), column IS NULL, column IS NOT NULL
-    // Supports AND, OR operators
-    
-    // Split by AND/OR (simple approach)
-    const andParts = normalizedWhere.split(/\s+and\s+/);
+function createScope(from, parentScope, ctes) {
+    const allTables = getAllTables();
+    const tableMap = {};
+    allTables.forEach(t => {
+        tableMap[t.name.toLowerCase()] = t;
+    });
     
-    // All AND conditions must be true
-    for (const andPart of andParts) {
-        const orParts = andPart.split(/\s+or\s+/);
-        
-        // At least one OR condition must be true
-        let orResult = false;
-        for (const condition of orParts) {
-            if (evaluateSingleCondition(row, columnMap, condition.trim(), originalWhere)) {
-                orResult = true;
-                break;
-            }
+    const scope = { sources: [], byAlias: {}, parent: parentScope, ctes, correlated: false };
+    [from.table, ...from.joins.map(join => join.table)].forEach(tableRef => {
+        if (scope.byAlias[tableRef.alias]) {
+            throw createSQLError(`Table name or alias "${tableRef.alias}" is specified more than once. Use a different alias.`, tableRef.position);
         }
         
-        if (!orResult) {
-            return false;
+        // CTEs shadow tables of the same name
+        const derived = tableRef.subquery
+            ? createDerivedTable(tableRef.alias, tableRef.subquery, null, ctes, tableRef.position)
+            : ctes.get(tableRef.name.toLowerCase());
+        const tableDef = derived || tableMap[tableRef.name.toLowerCase()];
+        if (!tableDef) {
+            const available = [...ctes.keys(), ...allTables.map(t => t.name)];
+            throw createSQLError(`Table "${tableRef.name}" not found. Available tables: ${available.join(', ')}`, tableRef.position);
         }
-    }
+        const source = {
+            alias: tableRef.alias,
+            tableName: tableDef.name,
+            columns: tableDef.columns,
+            derived: derived || null,
+            datasetId: tableDef.datasetId || null
+        };
+        scope.sources.push(source);
+        scope.byAlias[tableRef.alias] = source;
+    });
     
-    return true;
+    return scope;
 }
 
 /**
- * Evaluates a single WHERE condition
- * @param {any[]} row - Row data array
- * @param {Object} columnMap - Map of column names to indices
- * @param {string} condition - Single condition (lowercase)
- * @param {string} originalWhere - Original WHERE clause for value extraction
- * @returns {boolean}
+ * Expands * and alias.* in the SELECT list and assigns output column names
+ * @param {Array} columns - SELECT list nodes
+ * @param {Object} scope - Query scope from createScope
+ * @returns {Array<{expression: Object, alias: string|null, name: string}>}
  */
-function evaluateSingleCondition(row, columnMap, condition, originalWhere) {
-    // Handle IS NULL / IS NOT NULL
-    if (condition.includes('is null')) {
-        const colMatch = condition.match(/(\w+)\s+is\s+null/);
-        if (colMatch) {
-            const colName = colMatch[1].toLowerCase();
-            const colIndex = columnMap[colName];
-            if (colIndex !== undefined) {
-                return row[colIndex] === null || row[colIndex] === undefined;
-            }
-        }
-        return false;
-    }
-    
-    if (condition.includes('is not null')) {
-        const colMatch = condition.match(/(\w+)\s+is\s+not\s+null/);
-        if (colMatch) {
-            const colName = colMatch[1].toLowerCase();
-            const colIndex = columnMap[colName];
-            if (colIndex !== undefined) {
-                return row[colIndex] !== null && row[colIndex] !== undefined;
-            }
-        }
-        return false;
-    }
-    
-    // Handle comparison operators: =, !=, <, >, <=, >=
-    // Extract value from original WHERE clause to preserve case
-    const operators = ['!=', '<=', '>=', '=', '<', '>'];
-    for (const op of operators) {
-        if (condition.includes(op)) {
-            const parts = condition.split(op);
-            if (parts.length === 2) {
-                const colName = parts[0].trim().toLowerCase();
-                const colIndex = columnMap[colName];
-                
-                if (colIndex !== undefined) {
-                    // Extract the value from the original WHERE clause (preserve case)
-                    const originalParts = extractConditionFromOriginal(originalWhere, condition, op);
-                    if (originalParts) {
-                        const valueStr = originalParts.value;
-                        const rowValue = row[colIndex];
-                        const compareValue = parseValue(valueStr);
-                        
-                        // Perform comparison
-                        const comparison = compareValues(rowValue, compareValue);
-                        switch (op) {
-                            case '=':
-                                return comparison === 0;
-                            case '!=':
-                                return comparison !== 0;
-                            case '>':
-                                return comparison > 0;
-                            case '<':
-                                return comparison < 0;
-                            case '>=':
-                                return comparison >= 0;
-                            case '<=':
-                                return comparison <= 0;
-                        }
-                    } else {
-                        // If we can't extract the value, try a fallback: extract from normalized condition
-                        // This handles cases where the extraction regex fails
-                        const normalizedParts = condition.split(op);
-                        if (normalizedParts.length === 2) {
-                            const valueStr = normalizedParts[1].trim();
-                            const rowValue = row[colIndex];
-                            const compareValue = parseValue(valueStr);
-                            
-                            // Perform case-insensitive comparison for strings
-                            const comparison = compareValues(rowValue, compareValue);
-                            switch (op) {
-                                case '=':
-                                    return comparison === 0;
-                                case '!=':
-                                    return comparison !== 0;
-                                case '>':
-                                    return comparison > 0;
-                                case '<':
-                                    return comparison < 0;
-                                case '>=':
-                                    return comparison >= 0;
-                                case '<=':
-                                    return comparison <= 0;
-                            }
-                        }
-                    }
+function expandSelectList(columns, scope) {
+    const items = [];
+    
+    columns.forEach(column => {
+        if (column.type === 'STAR') {
+            let sources = scope.sources;
+            if (column.table) {
+                const source = scope.byAlias[column.table];
+                if (!source) {
+                    throw createSQLError(`Unknown table or alias "${column.table}" in ${column.table}.*`, column.position);
                 }
+                sources = [source];
             }
+            sources.forEach(source => {
+                source.columns.forEach(col => {
+                    items.push({
+                        expression: { type: 'COLUMN', table: source.alias, name: col, position: column.position },
+                        alias: null,
+                        name: col
+                    });
+                });
+            });
+            return;
+        }
+        
+        const expression = column.expression;
+        items.push({
+            expression,
+            alias: column.alias,
+            name: column.alias || (expression.type === 'COLUMN' ? expression.name : expressionToSQL(expression))
+        });
+    });
+    
+    return items;
+}
+
+/**
+ * Binds column references in an expression to table aliases (mutates COLUMN nodes)
+ * Unqualified columns resolve to the first table in FROM order that has them.
+ * Subqueries are prepared here, with this scope as their parent.
+ * @param {Object} node - Expression node
+ * @param {Object} scope - Query scope
+ * @param {{selectAliases?: Object, visibleSources?: Object[]}} options - SELECT aliases usable as a fallback
+ *   for unknown names, and the tables visible so far (JOIN ... ON)
+ * @throws {Error} If a column, table alias or function is unknown
+ */
+function bindExpression(node, scope, options) {
+    if (!node) return;
+    
+    if (node.type === 'COLUMN') {
+        node.binding = resolveColumn(node, scope, options);
+        return;
+    }
+    
+    if (node.type === 'SUBQUERY' || node.type === 'IN_SUBQUERY' || node.type === 'EXISTS') {
+        node.plan = prepareQuery(node.query, scope, scope.ctes);
+        if (node.type !== 'EXISTS' && node.plan.columns.length !== 1) {
+            throw createSQLError(`Subquery must return exactly one column but returns ${node.plan.columns.length}.`, node.position);
         }
     }
     
-    // Handle LIKE - extract pattern from original WHERE clause
-    if (condition.includes(' like ')) {
-        const likeMatch = condition.match(/(\w+)\s+like\s+(.+)/);
-        if (likeMatch) {
-            const colName = likeMatch[1].toLowerCase();
-            const colIndex = columnMap[colName];
-            if (colIndex !== undefined) {
-                // Extract pattern from original WHERE clause
-                const originalLikeMatch = originalWhere.match(new RegExp(`(\\w+)\\s+like\\s+(.+)`, 'i'));
-                if (originalLikeMatch) {
-                    let pattern = originalLikeMatch[2].trim();
-                    // Remove quotes but preserve case
-                    pattern = pattern.replace(/^['"]|['"]$/g, '');
-                    // Convert SQL wildcards to regex
-                    pattern = pattern.replace(/%/g, '.*').replace(/_/g, '.');
-                    const rowValue = String(row[colIndex] || '');
-                    try {
-                        const regex = new RegExp(`^${pattern}$`, 'i');
-                        return regex.test(rowValue);
-                    } catch (e) {
-                        return false;
-                    }
+    if (node.type === 'STAR') {
+        throw createSQLError('* is only allowed in the SELECT list and in COUNT(*).', node.position);
+    }
+    
+    if (node.type === 'FUNCTION') {
+        validateFunctionCall(node);
+        // COUNT(*) was validated above; * is not a column reference
+        childExpressions(node)
+            .filter(child => child.type !== 'STAR')
+            .forEach(child => bindExpression(child, scope, options));
+        
+        childExpressions(node).forEach(child => {
+            // Scalar functions may wrap window functions, e.g. ROUND(AVG(x) OVER (...), 2)
+            const windowFunction = (isAggregate(node) || node.over) && findWindowFunction(child);
+            if (windowFunction) {
+                throw createSQLError(`${isAggregate(node) ? 'Aggregate' : 'Window'} function calls cannot contain window functions.`, windowFunction.position);
+            }
+            if (isAggregate(node) && containsAggregate(child)) {
+                throw createSQLError('Aggregate function calls cannot be nested.', child.position);
+            }
+        });
+        return;
+    }
+    
+    if (node.type === 'CAST' && !isCastType(node.targetType)) {
+        throw createSQLError(`Unknown type "${node.targetType}" in CAST. Supported types: INTEGER, DECIMAL, FLOAT, VARCHAR, TEXT, DATE, TIMESTAMP, BOOLEAN`, node.typePosition);
+    }
+    
+    childExpressions(node).forEach(child => bindExpression(child, scope, options));
+}
+
+/**
+ * Resolves a COLUMN node to the table alias and column it refers to
+ * Names not found in this query are looked up in enclosing queries; depth counts the levels
+ * outwards (0 = this query) and marks the subqueries in between as correlated.
+ * @param {Object} node - COLUMN node
+ * @param {Object} scope - Query scope
+ * @param {{selectAliases?: Object, visibleSources?: Object[]}} options - Binding options
+ * @returns {{alias: string, column: string, depth: number}|{expression: Object}|{literal: string}}
+ */
+function resolveColumn(node, scope, options) {
+    const found = (source, column, depth) => {
+        let current = scope;
+        for (let level = 0; level < depth; level++) {
+            current.correlated = true;
+            current = current.parent;
+        }
+        return { alias: source.alias, column, depth };
+    };
+    
+    if (node.table) {
+        let current = scope;
+        let depth = 0;
+        let sources = options.visibleSources || scope.sources;
+        while (current) {
+            const source = sources.find(candidate => candidate.alias === node.table);
+            if (source) {
+                const column = findColumn(source, node.name);
+                if (!column) {
+                    throw createSQLError(`Column "${node.name}" not found in table "${source.tableName}".`, node.position);
                 }
+                return found(source, column, depth);
+            }
+            current = current.parent;
+            sources = current ? current.sources : [];
+            depth++;
+        }
+        throw createSQLError(`Unknown table or alias "${node.table}" in column "${node.table}.${node.name}".`, node.position);
+    }
+    
+    let current = scope;
+    let depth = 0;
+    let sources = options.visibleSources || scope.sources;
+    while (current) {
+        for (const source of sources) {
+            const column = findColumn(source, node.name);
+            if (column) {
+                return found(source, column, depth);
             }
         }
+        current = current.parent;
+        sources = current ? current.sources : [];
+        depth++;
+    }
+    
+    // SELECT aliases may be referenced where the dialects we emulate allow it (WHERE, GROUP BY, HAVING, ORDER BY)
+    if (options.selectAliases && options.selectAliases[node.name]) {
+        return { expression: options.selectAliases[node.name] };
+    }
+    
+    // "value" that is not a column is treated as a string literal for compatibility with older queries
+    if (node.quoted) {
+        return { literal: node.name };
     }
     
-    // Default: return true (don't filter if we can't evaluate)
-    return true;
+    throw createSQLError(`Column "${node.name}" not found in tables: ${scope.sources.map(source => source.tableName).join(', ')}`, node.position);
 }
 
 /**
- * Extracts the value from the original WHERE clause for a given condition
- * @param {string} originalWhere - Original WHERE clause
- * @param {string} normalizedCondition - Normalized (lowercase) condition
- * @param {string} operator - The operator used (=, !=, etc.)
- * @returns {{column: string, value: string}|null}
+ * Finds a column in a table source (case-insensitive)
+ * @param {{columns: string[]}} source - Table source
+ * @param {string} name - Column name
+ * @returns {string|null} Column name as defined by the table
  */
-function extractConditionFromOriginal(originalWhere, normalizedCondition, operator) {
-    // Find the corresponding condition in the original WHERE clause
-    // Match the column name and operator, then extract the value
+function findColumn(source, name) {
+    const lower = name.toLowerCase();
+    return source.columns.find(col => col.toLowerCase() === lower) || null;
+}
+
+/**
+ * Validates a function call's name and arguments
+ * @param {Object} node - FUNCTION node
+ * @throws {Error} If the function is unknown or called incorrectly
+ */
+function validateFunctionCall(node) {
+    const windowArity = WINDOW_FUNCTIONS[node.name];
     
-    // Extract column name from normalized condition
-    const normalizedParts = normalizedCondition.split(operator);
-    if (normalizedParts.length !== 2) return null;
+    if (windowArity) {
+        if (!node.over) {
+            throw createSQLError(`${node.name}() requires an OVER clause, e.g. ${node.name}() OVER (ORDER BY ...)`, node.position);
+        }
+        const [minArgs, maxArgs] = windowArity;
+        if (node.args.length < minArgs || node.args.length > maxArgs) {
+            const expected = minArgs === maxArgs ? `exactly ${minArgs}` : `${minArgs} to ${maxArgs}`;
+            throw createSQLError(`${node.name}() expects ${expected} argument${maxArgs === 1 ? '' : 's'}.`, node.position);
+        }
+        if (node.distinct || node.args.some(arg => arg.type === 'STAR')) {
+            throw createSQLError(`${node.name}() does not accept DISTINCT or *.`, node.position);
+        }
+        return;
+    }
     
-    const normalizedColName = normalizedParts[0].trim().toLowerCase();
+    const scalarArity = SCALAR_FUNCTIONS[node.name];
     
-    // Find the column in the original WHERE clause (case-insensitive)
-    const colNameRegex = new RegExp(`\\b${normalizedColName}\\b`, 'i');
-    const colMatch = originalWhere.match(colNameRegex);
-    if (!colMatch) return null;
+    if (scalarArity) {
+        const [minArgs, maxArgs] = scalarArity;
+        if (node.args.length < minArgs || node.args.length > maxArgs) {
+            const expected = maxArgs === Infinity ? `at least ${minArgs}` : (minArgs === maxArgs ? `exactly ${minArgs}` : `${minArgs} to ${maxArgs}`);
+            throw createSQLError(`${node.name}() expects ${expected} argument${maxArgs === 1 ? '' : 's'}.`, node.position);
+        }
+        if (node.distinct || node.over || node.args.some(arg => arg.type === 'STAR')) {
+            throw createSQLError(`${node.name}() is a scalar function and does not accept DISTINCT, * or OVER.`, node.position);
+        }
+        return;
+    }
     
-    // Find the operator and value after the column name
-    const afterCol = originalWhere.substring(colMatch.index + colMatch[0].length);
-    const operatorRegex = operator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // Escape regex special chars
-    const valueMatch = afterCol.match(new RegExp(`\\s*${operatorRegex}\\s*(.+)`, 'i'));
+    if (!AGGREGATE_FUNCTIONS.includes(node.name)) {
+        const supported = [...AGGREGATE_FUNCTIONS, ...Object.keys(WINDOW_FUNCTIONS), ...Object.keys(SCALAR_FUNCTIONS)];
+        throw createSQLError(`Unknown function "${node.name}". Supported functions: ${supported.join(', ')}`, node.position);
+    }
+    if (node.over && node.distinct) {
+        throw createSQLError(`DISTINCT is not supported in window function ${node.name}() OVER (...).`, node.position);
+    }
+    if (node.args.length !== 1) {
+        throw createSQLError(`${node.name}() expects exactly 1 argument.`, node.position);
+    }
+    if (node.args[0].type === 'STAR' && (node.name !== 'COUNT' || node.distinct)) {
+        throw createSQLError(`${node.name}(${node.distinct ? 'DISTINCT ' : ''}*) is not supported. Only COUNT(*) accepts *.`, node.position);
+    }
+}
+
+/**
+ * Resolves a GROUP BY item - a 1-based ordinal, a SELECT alias or an expression
+ * @param {Object} item - GROUP BY expression node
+ * @param {Array} selectItems - Expanded SELECT list
+ * @param {Object} scope - Query scope
+ * @param {Object} selectAliases - Non-aggregate SELECT aliases
+ * @returns {Object} Bound expression node
+ * @throws {Error} If an ordinal is out of range or an aggregate is grouped
+ */
+function resolveGroupByItem(item, selectItems, scope, selectAliases) {
+    if (item.type === 'NUMBER') {
+        const selectItem = selectItems[item.value - 1];
+        if (!Number.isInteger(item.value) || !selectItem) {
+            throw createSQLError(`GROUP BY position ${item.value} is not in the SELECT list.`, item.position);
+        }
+        if (containsAggregate(selectItem.expression) || findWindowFunction(selectItem.expression)) {
+            throw createSQLError(`GROUP BY position ${item.value} refers to an aggregate or window function.`, item.position);
+        }
+        return selectItem.expression;
+    }
     
-    if (valueMatch) {
-        let value = valueMatch[1].trim();
-        // Handle quoted strings - extract until the closing quote
-        if (value.startsWith("'") || value.startsWith('"')) {
-            const quote = value[0];
-            const endQuote = value.indexOf(quote, 1);
-            if (endQuote > 0) {
-                value = value.substring(0, endQuote + 1);
+    // An unqualified name may be a SELECT alias
+    if (item.type === 'COLUMN' && !item.table) {
+        const aliased = selectItems.find(selectItem => selectItem.alias === item.name);
+        if (aliased) {
+            if (containsAggregate(aliased.expression) || findWindowFunction(aliased.expression)) {
+                throw createSQLError(`GROUP BY "${item.name}" refers to an aggregate or window function.`, item.position);
             }
-        } else {
-            // Unquoted value - extract until space, comma, or end
-            const spaceMatch = value.match(/^([^\s,]+)/);
-            if (spaceMatch) {
-                value = spaceMatch[1];
+            return aliased.expression;
+        }
+    }
+    
+    bindExpression(item, scope, { selectAliases });
+    rejectAggregate(item, 'GROUP BY');
+    rejectWindowFunction(item, 'GROUP BY');
+    return item;
+}
+
+/**
+ * Resolves an ORDER BY item to either a SELECT output column or an expression
+ * @param {Object} item - ORDER BY item ({expression, descending, nullsFirst})
+ * @param {Array} selectItems - Expanded SELECT list
+ * @param {Object} scope - Query scope
+ * @param {Object} selectAliases - SELECT aliases
+ * @returns {{outputIndex?: number, expression?: Object, descending: boolean, nullsFirst: boolean}}
+ */
+function resolveOrderByItem(item, selectItems, scope, selectAliases) {
+    const { expression, descending, nullsFirst } = item;
+    
+    // Ordinal position in the SELECT list
+    if (expression.type === 'NUMBER') {
+        if (!Number.isInteger(expression.value) || expression.value < 1 || expression.value > selectItems.length) {
+            throw createSQLError(`ORDER BY position ${expression.value} is not in the SELECT list.`, expression.position);
+        }
+        return { outputIndex: expression.value - 1, descending, nullsFirst };
+    }
+    
+    // SELECT aliases take precedence over column names
+    if (expression.type === 'COLUMN' && !expression.table) {
+        const aliasIndex = selectItems.findIndex(selectItem => selectItem.alias === expression.name);
+        if (aliasIndex !== -1) {
+            return { outputIndex: aliasIndex, descending, nullsFirst };
+        }
+    }
+    
+    bindExpression(expression, scope, { selectAliases });
+    
+    // Expressions identical to a selected expression sort by that output column
+    const key = expressionKey(expression);
+    const outputIndex = selectItems.findIndex(selectItem => expressionKey(selectItem.expression) === key);
+    if (outputIndex !== -1) {
+        return { outputIndex, descending, nullsFirst };
+    }
+    
+    return { expression, descending, nullsFirst };
+}
+
+/**
+ * Verifies that an expression only uses grouped columns outside aggregate functions
+ * @param {Object} node - Expression node
+ * @param {Set<string>} groupKeys - Keys of the GROUP BY expressions
+ * @throws {Error} If a column is neither grouped nor aggregated
+ */
+function checkGroupedExpression(node, groupKeys) {
+    if (groupKeys.has(expressionKey(node)) || isAggregate(node)) {
+        return;
+    }
+    if (node.type === 'COLUMN') {
+        if (node.binding.expression) {
+            checkGroupedExpression(node.binding.expression, groupKeys);
+            return;
+        }
+        // Literals and outer-query columns are constant within a group
+        if (node.binding.literal !== undefined || node.binding.depth > 0) {
+            return;
+        }
+        const name = node.table ? `${node.table}.${node.name}` : node.name;
+        throw createSQLError(`Column "${name}" must appear in the GROUP BY clause or be used in an aggregate function.`, node.position);
+    }
+    childExpressions(node).forEach(child => checkGroupedExpression(child, groupKeys));
+}
+
+/**
+ * Throws if an expression contains an aggregate function
+ * @param {Object} node - Expression node
+ * @param {string} clause - Clause name for the error message
+ */
+function rejectAggregate(node, clause) {
+    const aggregate = findAggregate(node);
+    if (aggregate) {
+        throw createSQLError(`Aggregate functions are not allowed in ${clause}.`, aggregate.position);
+    }
+}
+
+/**
+ * Throws if an expression contains a window function
+ * @param {Object} node - Expression node
+ * @param {string} clause - Clause name for the error message
+ */
+function rejectWindowFunction(node, clause) {
+    const windowFunction = findWindowFunction(node);
+    if (windowFunction) {
+        throw createSQLError(`Window functions are not allowed in ${clause}. Use a subquery or CTE to filter on them.`, windowFunction.position);
+    }
+}
+
+/**
+ * Binds and validates the ON condition of every JOIN
+ * @param {Object} from - FROM clause node
+ * @param {Object} scope - Query scope
+ * @throws {Error} On unsupported join types or invalid conditions
+ */
+function bindJoinConditions(from, scope) {
+    from.joins.forEach((join, joinIndex) => {
+        if (!join.on) {
+            return; // CROSS JOIN
+        }
+        
+        // ON may only reference tables joined so far
+        bindExpression(join.on, scope, { visibleSources: scope.sources.slice(0, joinIndex + 2) });
+        rejectAggregate(join.on, 'JOIN conditions');
+        rejectWindowFunction(join.on, 'JOIN conditions');
+    });
+}
+
+/**
+ * Loads the rows of every table in the FROM clause, applies pushed-down predicates and performs the JOINs
+ * @param {Object} plan - SELECT plan ({statement, scope, pushedPredicates, stats})
+ * @param {Object} context - Evaluation context ({outerRows})
+ * @returns {Object[]} Joined rows mapping table alias -> table row object (null when padded by an outer join)
+ */
+function executeJoins(plan, context) {
+    const { statement, scope, pushedPredicates, stats } = plan;
+    
+    const scanSource = sourceIndex => {
+        const source = scope.sources[sourceIndex];
+        const predicates = pushedPredicates[sourceIndex];
+        let tableRows = loadTableRows(source);
+        if (stats) stats.scans[sourceIndex].read += tableRows.length;
+        if (predicates.length > 0) {
+            tableRows = tableRows.filter(tableRow => {
+                checkExecutionTime();
+                const row = { [source.alias]: tableRow };
+                return predicates.every(predicate => evaluateExpression(predicate, row, context) === true);
+            });
+        }
+        if (stats) stats.scans[sourceIndex].output += tableRows.length;
+        return tableRows;
+    };
+    
+    const firstSource = scope.sources[0];
+    let rows = scanSource(0).map(tableRow => ({ [firstSource.alias]: tableRow }));
+    
+    statement.from.joins.forEach((join, joinIndex) => {
+        const source = scope.sources[joinIndex + 1];
+        const leftAliases = scope.sources.slice(0, joinIndex + 1).map(joinSource => joinSource.alias);
+        rows = joinRows(rows, scanSource(joinIndex + 1), join, source.alias, leftAliases, context);
+        if (stats) stats.joins[joinIndex] += rows.length;
+    });
+    
+    return rows;
+}
+
+/**
+ * Joins left rows with the rows of one table
+ * Uses a hash join on the equalities between the two sides when the ON clause has any (all of them
+ * form a composite key), otherwise falls back to a nested loop that evaluates ON for every pair.
+ * Outer joins pad the missing side with NULLs: LEFT pads unmatched left rows, RIGHT pads unmatched
+ * right rows and FULL does both. CROSS JOIN (no ON) pairs every row.
+ * @param {Object[]} leftRows - Rows joined so far
+ * @param {Object[]} rightTableRows - Row objects of the joined table
+ * @param {Object} join - JOIN node ({joinType, on})
+ * @param {string} rightAlias - Alias of the joined table
+ * @param {string[]} leftAliases - Aliases already present in leftRows
+ * @param {Object} context - Evaluation context ({outerRows})
+ * @returns {Object[]}
+ */
+function joinRows(leftRows, rightTableRows, join, rightAlias, leftAliases, context) {
+    const conjuncts = join.on ? splitConjuncts(join.on) : [];
+    const equiJoins = findEquiJoinConditions(conjuncts, rightAlias, leftAliases);
+    // ON only needs evaluating when some part of it is not covered by the hash key
+    const checkCondition = join.on && equiJoins.length < conjuncts.length;
+    const padLeft = join.joinType === 'LEFT' || join.joinType === 'FULL';
+    const padRight = join.joinType === 'RIGHT' || join.joinType === 'FULL';
+    const matchedRight = new Set();
+    const joined = [];
+    
+    const emitMatches = (leftRow, candidates) => {
+        let matched = false;
+        candidates.forEach(rightIndex => {
+            checkExecutionTime();
+            const combined = { ...leftRow, [rightAlias]: rightTableRows[rightIndex] };
+            if (checkCondition && evaluateExpression(join.on, combined, context) !== true) return;
+            matched = true;
+            matchedRight.add(rightIndex);
+            joined.push(combined);
+            checkRowCount(joined.length, `the join with "${rightAlias}"`);
+        });
+        if (!matched && padLeft) {
+            joined.push({ ...leftRow, [rightAlias]: null });
+            checkRowCount(joined.length, `the join with "${rightAlias}"`);
+        }
+    };
+    
+    if (equiJoins.length > 0) {
+        // Hash join: index the joined table on its side of the equalities
+        const joinKey = (row, side) => {
+            const parts = [];
+            for (const equiJoin of equiJoins) {
+                const part = hashKey(evaluateExpression(equiJoin[side], row, context));
+                if (part === null) return null; // NULL never equals anything
+                parts.push(part);
+            }
+            return JSON.stringify(parts);
+        };
+        
+        const index = new Map();
+        rightTableRows.forEach((rightRow, rightIndex) => {
+            const key = joinKey({ [rightAlias]: rightRow }, 'rightExpression');
+            if (key === null) return;
+            if (!index.has(key)) {
+                index.set(key, []);
+            }
+            index.get(key).push(rightIndex);
+        });
+        
+        leftRows.forEach(leftRow => {
+            const key = joinKey(leftRow, 'leftExpression');
+            emitMatches(leftRow, key === null ? [] : (index.get(key) || []));
+        });
+    } else {
+        const allRightRows = rightTableRows.map((rightRow, rightIndex) => rightIndex);
+        leftRows.forEach(leftRow => emitMatches(leftRow, allRightRows));
+    }
+    
+    if (padRight) {
+        const nullLeft = {};
+        leftAliases.forEach(alias => {
+            nullLeft[alias] = null;
+        });
+        rightTableRows.forEach((rightRow, rightIndex) => {
+            if (!matchedRight.has(rightIndex)) {
+                joined.push({ ...nullLeft, [rightAlias]: rightRow });
             }
+        });
+    }
+    
+    return joined;
+}
+
+/**
+ * Finds the equalities in the ON clause whose sides reference only the joined table and only earlier tables
+ * @param {Object[]} conjuncts - AND-separated parts of the ON clause
+ * @param {string} rightAlias - Alias of the joined table
+ * @param {string[]} leftAliases - Aliases of earlier tables
+ * @returns {Array<{leftExpression: Object, rightExpression: Object}>}
+ */
+function findEquiJoinConditions(conjuncts, rightAlias, leftAliases) {
+    const onlyRight = aliases => aliases.size > 0 && [...aliases].every(alias => alias === rightAlias);
+    const onlyLeft = aliases => aliases.size > 0 && [...aliases].every(alias => leftAliases.includes(alias));
+    const equiJoins = [];
+    
+    conjuncts.forEach(conjunct => {
+        if (conjunct.type !== 'COMPARISON' || conjunct.operator !== '=') return;
+        // Subqueries are evaluated per row, so they cannot be part of a hash key
+        if (findExpression(conjunct, node => ['SUBQUERY', 'EXISTS', 'IN_SUBQUERY'].includes(node.type))) return;
+        
+        const leftSide = referencedAliases(conjunct.left);
+        const rightSide = referencedAliases(conjunct.right);
+        
+        if (onlyLeft(leftSide) && onlyRight(rightSide)) {
+            equiJoins.push({ leftExpression: conjunct.left, rightExpression: conjunct.right });
+        } else if (onlyRight(leftSide) && onlyLeft(rightSide)) {
+            equiJoins.push({ leftExpression: conjunct.right, rightExpression: conjunct.left });
+        }
+    });
+    return equiJoins;
+}
+
+/**
+ * Splits an expression on top-level AND operators
+ * @param {Object} node - Expression node
+ * @returns {Object[]}
+ */
+function splitConjuncts(node) {
+    if (node.type === 'LOGICAL' && node.operator === 'AND') {
+        return [...splitConjuncts(node.left), ...splitConjuncts(node.right)];
+    }
+    return [node];
+}
+
+/**
+ * Collects the table aliases of this query referenced by an expression's bound columns
+ * @param {Object} node - Bound expression node
+ * @returns {Set<string>}
+ */
+function referencedAliases(node) {
+    const aliases = new Set();
+    const visit = current => {
+        if (current.type === 'COLUMN' && current.binding && current.binding.alias && current.binding.depth === 0) {
+            aliases.add(current.binding.alias);
+        }
+        childExpressions(current).forEach(visit);
+    };
+    visit(node);
+    return aliases;
+}
+
+/**
+ * Loads a table's rows as objects keyed by column name
+ * CTEs and FROM subqueries are executed once, on first use. Saved datasets read their stored rows.
+ * Tables without stored data get generated mock rows.
+ * @param {{tableName: string, columns: string[], derived: Object|null, datasetId: string|null}} source - Table source
+ * @returns {Object[]}
+ */
+function loadTableRows(source) {
+    if (source.derived) {
+        const derived = source.derived;
+        if (!derived.rows) {
+            derived.rows = runQuery(derived.plan, []).rows.map(rowArray => rowArrayToObject(rowArray, derived.columns));
+        }
+        return derived.rows;
+    }
+    
+    // Saved datasets never fall back to generated rows - an empty dataset is an empty table
+    if (source.datasetId) {
+        const dataset = datasetStore.get(source.datasetId);
+        const datasetRows = dataset && Array.isArray(dataset.rows) ? dataset.rows : [];
+        return datasetRows.map(rowArray => rowArrayToObject(rowArray, source.columns));
+    }
+    
+    const storedData = getTableData(source.tableName);
+    
+    if (storedData && storedData.length > 0) {
+        return storedData.map(rowArray => rowArrayToObject(rowArray, source.columns));
+    }
+    
+    // Fallback to generating data on-the-fly
+    const rows = [];
+    for (let i = 0; i < GENERATED_ROW_COUNT; i++) {
+        const row = {};
+        source.columns.forEach(col => {
+            row[col] = generateColumnValue(col, i, source.tableName);
+        });
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Converts a row array to an object keyed by column name
+ * Duplicate column names keep the first value, matching how column references are bound.
+ * @param {any[]} rowArray - Row values in column order
+ * @param {string[]} columns - Column names
+ * @returns {Object}
+ */
+function rowArrayToObject(rowArray, columns) {
+    const row = {};
+    columns.forEach((col, colIdx) => {
+        if (!(col in row)) {
+            row[col] = Array.isArray(rowArray) && rowArray[colIdx] !== undefined ? rowArray[colIdx] : null;
+        }
+    });
+    return row;
+}
+
+/**
+ * Projects a joined row to SELECT values and ORDER BY sort values
+ * @param {Object} row - Joined row (or a group's representative row)
+ * @param {Object} context - Evaluation context ({outerRows}, plus {groupRows} for grouped queries and {windowValues} for window functions)
+ * @param {Array} selectItems - Expanded SELECT list
+ * @param {Array} orderKeys - Resolved ORDER BY keys
+ * @returns {{values: any[], sortValues: any[]}}
+ */
+function projectRecord(row, context, selectItems, orderKeys) {
+    const values = selectItems.map(item => evaluateExpression(item.expression, row, context));
+    const sortValues = orderKeys.map(key => key.expression
+        ? evaluateExpression(key.expression, row, context)
+        : values[key.outputIndex]);
+    return { values, sortValues };
+}
+
+/**
+ * Groups joined rows and applies HAVING
+ * @param {Object[]} rows - Filtered joined rows
+ * @param {Object} scope - Query scope
+ * @param {Object[]} groupBy - Bound GROUP BY expressions
+ * @param {Object|null} having - Bound HAVING expression
+ * @param {Object} context - Evaluation context ({outerRows})
+ * @returns {Array<{row: Object, context: Object}>} One unit per group: a representative row and the group's context
+ */
+function groupRows(rows, scope, groupBy, having, context) {
+    // Bucket rows by their GROUP BY values, preserving first-seen group order
+    const groups = new Map();
+    rows.forEach(row => {
+        checkExecutionTime();
+        const key = typedKey(groupBy.map(expression => evaluateExpression(expression, row, context)));
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(row);
+    });
+    
+    // A query with aggregates but no GROUP BY always returns exactly one row
+    if (groupBy.length === 0 && groups.size === 0) {
+        groups.set('[]', []);
+    }
+    
+    const emptyRow = {};
+    scope.sources.forEach(source => {
+        emptyRow[source.alias] = null;
+    });
+    
+    const units = [];
+    groups.forEach(members => {
+        const groupContext = { ...context, groupRows: members };
+        const representative = members[0] || emptyRow;
+        if (having && evaluateExpression(having, representative, groupContext) !== true) {
+            return;
+        }
+        units.push({ row: representative, context: groupContext });
+    });
+    
+    return units;
+}
+
+/**
+ * Computes a window function for every unit and stores the results in each unit's context.windowValues
+ * @param {Object} node - Window FUNCTION node (with node.over)
+ * @param {Array<{row: Object, context: Object}>} units - Rows or groups, after WHERE/GROUP BY/HAVING
+ */
+function computeWindowFunction(node, units) {
+    const { partitionBy, orderBy, frame } = node.over;
+    const evaluate = (expression, unit) => evaluateExpression(expression, unit.row, unit.context);
+    
+    // Partition units, preserving first-seen partition order
+    const partitions = new Map();
+    units.forEach(unit => {
+        const key = typedKey(partitionBy.map(expression => evaluate(expression, unit)));
+        if (!partitions.has(key)) {
+            partitions.set(key, []);
+        }
+        partitions.get(key).push(unit);
+    });
+    
+    partitions.forEach(partitionUnits => {
+        const sorted = partitionUnits
+            .map((unit, position) => ({
+                unit,
+                position,
+                sortValues: orderBy.map(item => evaluate(item.expression, unit))
+            }))
+            .sort((a, b) => compareSortValues(a.sortValues, b.sortValues, orderBy) || a.position - b.position);
+        const count = sorted.length;
+        
+        // Peer groups: units that tie on the window ORDER BY
+        const peerStart = new Array(count);
+        const peerEnd = new Array(count);
+        const peerGroup = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const isPeer = i > 0 && compareSortValues(sorted[i - 1].sortValues, sorted[i].sortValues, orderBy) === 0;
+            peerStart[i] = isPeer ? peerStart[i - 1] : i;
+            peerGroup[i] = isPeer ? peerGroup[i - 1] : (i > 0 ? peerGroup[i - 1] + 1 : 0);
+        }
+        for (let i = count - 1; i >= 0; i--) {
+            peerEnd[i] = i < count - 1 && peerStart[i + 1] === peerStart[i] ? peerEnd[i + 1] : i;
         }
         
-        return {
-            column: normalizedColName,
-            value: value.trim()
+        // Frame bounds (inclusive) for value and aggregate functions
+        const frameBounds = i => {
+            if (!frame) {
+                // Default frame: the whole partition, or up to the current row's last peer when ordered
+                return [0, orderBy.length > 0 ? peerEnd[i] : count - 1];
+            }
+            const boundIndex = bound => {
+                switch (bound.type) {
+                    case 'UNBOUNDED_PRECEDING': return 0;
+                    case 'UNBOUNDED_FOLLOWING': return count - 1;
+                    case 'PRECEDING': return i - bound.offset;
+                    case 'FOLLOWING': return i + bound.offset;
+                    default: return i;
+                }
+            };
+            return [Math.max(0, boundIndex(frame.start)), Math.min(count - 1, boundIndex(frame.end))];
         };
+        
+        for (let i = 0; i < count; i++) {
+            const unit = sorted[i].unit;
+            unit.context.windowValues.set(node, computeWindowValue(node, sorted, i, {
+                count,
+                peerStart,
+                peerEnd,
+                peerGroup,
+                frameBounds,
+                evaluate
+            }));
+        }
+    });
+}
+
+/**
+ * Computes one window function value for the unit at a position in its sorted partition
+ * @param {Object} node - Window FUNCTION node
+ * @param {Array<{unit: Object}>} sorted - Partition units in window order
+ * @param {number} i - Position of the current unit
+ * @param {Object} window - Partition details ({count, peerStart, peerEnd, peerGroup, frameBounds, evaluate})
+ * @returns {any}
+ */
+function computeWindowValue(node, sorted, i, window) {
+    const { count, peerStart, peerEnd, peerGroup, frameBounds, evaluate } = window;
+    const current = sorted[i].unit;
+    const argument = index => evaluate(node.args[index], current);
+    
+    switch (node.name) {
+        case 'ROW_NUMBER':
+            return i + 1;
+        case 'RANK':
+            return peerStart[i] + 1;
+        case 'DENSE_RANK':
+            return peerGroup[i] + 1;
+        case 'PERCENT_RANK':
+            return count > 1 ? peerStart[i] / (count - 1) : 0;
+        case 'CUME_DIST':
+            return (peerEnd[i] + 1) / count;
+        case 'NTILE': {
+            const buckets = toWindowInteger(argument(0), node, 'NTILE bucket count', 1);
+            if (buckets === null) return null;
+            // The first (count % buckets) buckets hold one extra row
+            const size = Math.floor(count / buckets);
+            const larger = count % buckets;
+            const largeRows = larger * (size + 1);
+            return i < largeRows ? Math.floor(i / (size + 1)) + 1 : larger + Math.floor((i - largeRows) / size) + 1;
+        }
+        case 'LAG':
+        case 'LEAD': {
+            const offset = node.args.length > 1 ? toWindowInteger(argument(1), node, `${node.name} offset`, 0) : 1;
+            if (offset === null) return null;
+            const target = node.name === 'LAG' ? i - offset : i + offset;
+            if (target < 0 || target >= count) {
+                return node.args.length > 2 ? argument(2) : null;
+            }
+            return evaluate(node.args[0], sorted[target].unit);
+        }
     }
     
-    return null;
+    const [start, end] = frameBounds(i);
+    const frameUnits = start <= end ? sorted.slice(start, end + 1).map(entry => entry.unit) : [];
+    
+    switch (node.name) {
+        case 'FIRST_VALUE':
+            return frameUnits.length > 0 ? evaluate(node.args[0], frameUnits[0]) : null;
+        case 'LAST_VALUE':
+            return frameUnits.length > 0 ? evaluate(node.args[0], frameUnits[frameUnits.length - 1]) : null;
+        case 'NTH_VALUE': {
+            const n = toWindowInteger(argument(1), node, 'NTH_VALUE position', 1);
+            return n !== null && n <= frameUnits.length ? evaluate(node.args[0], frameUnits[n - 1]) : null;
+        }
+        default:
+            // Windowed aggregate over the frame
+            if (node.args[0].type === 'STAR') {
+                return frameUnits.length;
+            }
+            return aggregateValues(node, frameUnits.map(unit => evaluate(node.args[0], unit)));
+    }
+}
+
+/**
+ * Validates an integer window function argument (offsets, bucket counts, positions)
+ * @param {any} value - Evaluated argument
+ * @param {Object} node - Window FUNCTION node (for the error position)
+ * @param {string} label - Argument description for the error message
+ * @param {number} minimum - Smallest allowed value
+ * @returns {number|null} null when the argument is NULL
+ */
+function toWindowInteger(value, node, label, minimum) {
+    if (value === null || value === undefined) return null;
+    const number = toNumber(value);
+    if (number === null || !Number.isInteger(number) || number < minimum) {
+        throw createSQLError(`${label} must be an integer >= ${minimum}.`, node.position);
+    }
+    return number;
+}
+
+/**
+ * Sorts records by their sort values using compareValues (stable)
+ * @param {Array<{values: any[], sortValues: any[]}>} records - Projected records
+ * @param {Array<{descending: boolean, nullsFirst: boolean}>} orderKeys - Resolved ORDER BY keys
+ * @returns {Array} New sorted array
+ */
+function sortRecords(records, orderKeys) {
+    return records
+        .map((record, position) => ({ record, position }))
+        // Preserve original order for ties
+        .sort((a, b) => compareSortValues(a.record.sortValues, b.record.sortValues, orderKeys) || a.position - b.position)
+        .map(entry => entry.record);
+}
+
+/**
+ * Compares two lists of sort values key by key
+ * @param {any[]} aValues - Sort values of the first record
+ * @param {any[]} bValues - Sort values of the second record
+ * @param {Array<{descending: boolean, nullsFirst: boolean}>} orderKeys - Sort keys
+ * @returns {number} 0 when the records are peers
+ */
+function compareSortValues(aValues, bValues, orderKeys) {
+    const isNull = value => value === null || value === undefined;
+    
+    for (let k = 0; k < orderKeys.length; k++) {
+        const key = orderKeys[k];
+        const aValue = aValues[k];
+        const bValue = bValues[k];
+        
+        if (isNull(aValue) || isNull(bValue)) {
+            if (isNull(aValue) && isNull(bValue)) continue;
+            // NULL placement is independent of ASC/DESC
+            return isNull(aValue) === key.nullsFirst ? -1 : 1;
+        }
+        
+        const comparison = compareValues(aValue, bValue);
+        if (comparison !== 0) {
+            return key.descending ? -comparison : comparison;
+        }
+    }
+    return 0;
 }
 
 /**
- * Parses a value from WHERE clause
- * @param {string} valueStr - Value string (may be quoted)
+ * Evaluates an expression against a joined row
+ * Uses SQL three-valued logic: comparisons with NULL yield NULL, and WHERE keeps only TRUE rows.
+ * @param {Object} node - Bound expression node
+ * @param {Object} row - Joined row mapping table alias -> row object
+ * @param {{groupRows?: Object[], outerRows?: Object[]}} context - Evaluation context
  * @returns {any}
  */
-function parseValue(valueStr) {
-    valueStr = valueStr.trim();
+function evaluateExpression(node, row, context) {
+    switch (node.type) {
+        case 'NUMBER':
+        case 'STRING':
+        case 'BOOLEAN':
+            return node.value;
+            
+        case 'NULL':
+            return null;
+            
+        case 'PARAMETER':
+            return node.value;
+            
+        case 'COLUMN': {
+            const binding = node.binding;
+            if (binding.expression) {
+                return evaluateExpression(binding.expression, row, context);
+            }
+            if (binding.literal !== undefined) {
+                return binding.literal;
+            }
+            // Correlated references read the enclosing query's current row
+            const sourceRow = binding.depth > 0 ? context.outerRows[binding.depth - 1] : row;
+            const tableRow = sourceRow[binding.alias];
+            if (!tableRow) return null;
+            const value = tableRow[binding.column];
+            return value === undefined ? null : value;
+        }
+            
+        case 'FUNCTION':
+            if (node.over) {
+                if (!context.windowValues || !context.windowValues.has(node)) {
+                    throw createSQLError(`Window function ${node.name}() is not allowed here.`, node.position);
+                }
+                return context.windowValues.get(node);
+            }
+            if (SCALAR_FUNCTIONS[node.name]) {
+                return evaluateScalarFunction(node, row, context);
+            }
+            if (!context.groupRows) {
+                throw createSQLError(`Aggregate function ${node.name}() is not allowed here.`, node.position);
+            }
+            return computeAggregate(node, context.groupRows, context);
+            
+        case 'CASE':
+            return evaluateCase(node, row, context);
+            
+        case 'CAST':
+            return castValue(evaluateExpression(node.operand, row, context), node);
+            
+        case 'UNARY_OP': {
+            const value = toNumber(evaluateExpression(node.operand, row, context));
+            return value === null ? null : -value;
+        }
+            
+        case 'BINARY_OP':
+            return evaluateBinaryOp(node, row, context);
+            
+        case 'COMPARISON': {
+            const left = evaluateExpression(node.left, row, context);
+            const right = evaluateExpression(node.right, row, context);
+            if (left === null || right === null) return null;
+            const comparison = compareValues(left, right);
+            switch (node.operator) {
+                case '=': return comparison === 0;
+                case '!=': return comparison !== 0;
+                case '<': return comparison < 0;
+                case '>': return comparison > 0;
+                case '<=': return comparison <= 0;
+                case '>=': return comparison >= 0;
+            }
+            throw createSQLError(`Unknown comparison operator "${node.operator}"`, node.position);
+        }
+            
+        case 'LOGICAL': {
+            const left = toBoolean(evaluateExpression(node.left, row, context));
+            if (node.operator === 'AND' && left === false) return false;
+            if (node.operator === 'OR' && left === true) return true;
+            const right = toBoolean(evaluateExpression(node.right, row, context));
+            if (node.operator === 'AND') {
+                if (right === false) return false;
+                return left === null || right === null ? null : true;
+            }
+            if (right === true) return true;
+            return left === null || right === null ? null : false;
+        }
+            
+        case 'NOT': {
+            const value = toBoolean(evaluateExpression(node.operand, row, context));
+            return value === null ? null : !value;
+        }
+            
+        case 'IS_NULL': {
+            const value = evaluateExpression(node.operand, row, context);
+            const isNull = value === null || value === undefined;
+            return node.negated ? !isNull : isNull;
+        }
+            
+        case 'LIKE': {
+            const value = evaluateExpression(node.operand, row, context);
+            const pattern = evaluateExpression(node.pattern, row, context);
+            if (value === null || pattern === null) return null;
+            const matches = likePatternToRegex(String(pattern), node.insensitive).test(String(value));
+            return node.negated ? !matches : matches;
+        }
+            
+        case 'IN_LIST': {
+            // x IN (a, b) is x = a OR x = b: NULL when nothing matches and the list contains NULL
+            const value = evaluateExpression(node.operand, row, context);
+            if (value === null || value === undefined) return null;
+            let sawNull = false;
+            for (const item of node.values) {
+                const itemValue = evaluateExpression(item, row, context);
+                if (itemValue === null || itemValue === undefined) {
+                    sawNull = true;
+                } else if (compareValues(value, itemValue) === 0) {
+                    return !node.negated;
+                }
+            }
+            return sawNull ? null : node.negated;
+        }
+            
+        case 'BETWEEN': {
+            // x BETWEEN low AND high is x >= low AND x <= high
+            const value = evaluateExpression(node.operand, row, context);
+            const low = evaluateExpression(node.low, row, context);
+            const high = evaluateExpression(node.high, row, context);
+            if (value === null || value === undefined) return null;
+            const aboveLow = low === null || low === undefined ? null : compareValues(value, low) >= 0;
+            const belowHigh = high === null || high === undefined ? null : compareValues(value, high) <= 0;
+            if (aboveLow === false || belowHigh === false) return node.negated;
+            if (aboveLow === null || belowHigh === null) return null;
+            return !node.negated;
+        }
+            
+        case 'SUBQUERY': {
+            const rows = runSubquery(node, row, context).rows;
+            if (rows.length > 1) {
+                throw createSQLError('Scalar subquery returned more than one row. Use IN, EXISTS, an aggregate or LIMIT 1.', node.position);
+            }
+            return rows.length === 1 ? rows[0][0] : null;
+        }
+            
+        case 'EXISTS':
+            return runSubquery(node, row, context).rows.length > 0;
+            
+        case 'IN_SUBQUERY': {
+            const value = evaluateExpression(node.operand, row, context);
+            const valueSet = getSubqueryValueSet(node, row, context);
+            // x IN (empty) is false and x NOT IN (empty) is true, even when x is NULL
+            if (valueSet.size === 0) return node.negated;
+            if (value === null) return null;
+            if (valueSet.keys.has(hashKey(value))) return !node.negated;
+            return valueSet.hasNull ? null : node.negated;
+        }
+            
+        default:
+            throw createSQLError(`Unsupported expression "${node.type}"`, node.position);
+    }
+}
+
+/**
+ * Runs a subquery for the current row
+ * Uncorrelated subqueries run once and their result is reused for every row.
+ * @param {Object} node - SUBQUERY, EXISTS or IN_SUBQUERY node (prepared by bindExpression)
+ * @param {Object} row - Current joined row of the enclosing query
+ * @param {Object} context - Evaluation context of the enclosing query
+ * @returns {{columns: string[], rows: any[][]}}
+ */
+function runSubquery(node, row, context) {
+    if (node.cachedResult) {
+        return node.cachedResult;
+    }
+    const result = runQuery(node.plan, [row, ...(context.outerRows || [])]);
+    if (!isCorrelated(node.plan)) {
+        node.cachedResult = result;
+    }
+    return result;
+}
+
+/**
+ * Collects the values returned by an IN subquery as hash keys
+ * @param {Object} node - IN_SUBQUERY node
+ * @param {Object} row - Current joined row of the enclosing query
+ * @param {Object} context - Evaluation context of the enclosing query
+ * @returns {{keys: Set<string>, hasNull: boolean, size: number}}
+ */
+function getSubqueryValueSet(node, row, context) {
+    if (node.cachedValueSet) {
+        return node.cachedValueSet;
+    }
+    const rows = runSubquery(node, row, context).rows;
+    const valueSet = { keys: new Set(), hasNull: false, size: rows.length };
+    rows.forEach(([value]) => {
+        const key = hashKey(value);
+        if (key === null) {
+            valueSet.hasNull = true;
+        } else {
+            valueSet.keys.add(key);
+        }
+    });
+    if (!isCorrelated(node.plan)) {
+        node.cachedValueSet = valueSet;
+    }
+    return valueSet;
+}
+
+/**
+ * Checks whether a subquery plan references columns of an enclosing query
+ * @param {Object} plan - Query plan
+ * @returns {boolean}
+ */
+function isCorrelated(plan) {
+    if (plan.statement.type === 'SET_OPERATION') {
+        return isCorrelated(plan.left) || isCorrelated(plan.right);
+    }
+    return plan.scope.correlated;
+}
+
+/**
+ * Evaluates arithmetic and string concatenation
+ * Non-numeric operands (e.g. qualitative results) yield NULL rather than failing the query.
+ * @param {Object} node - BINARY_OP node
+ * @param {Object} row - Joined row
+ * @param {Object} context - Evaluation context
+ * @returns {number|string|null}
+ * @throws {Error} On division by zero
+ */
+function evaluateBinaryOp(node, row, context) {
+    const leftValue = evaluateExpression(node.left, row, context);
+    const rightValue = evaluateExpression(node.right, row, context);
+    if (leftValue === null || rightValue === null) return null;
     
-    // Remove quotes
-    if ((valueStr.startsWith('"') && valueStr.endsWith('"')) ||
-        (valueStr.startsWith("'") && valueStr.endsWith("'"))) {
-        valueStr = valueStr.slice(1, -1);
+    if (node.operator === '||') {
+        return String(leftValue) + String(rightValue);
     }
     
-    // Try to parse as number
-    if (/^-?\d+$/.test(valueStr)) {
-        return parseInt(valueStr, 10);
+    const left = toNumber(leftValue);
+    const right = toNumber(rightValue);
+    if (left === null || right === null) return null;
+    
+    switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/':
+        case '%':
+            if (right === 0) {
+                throw createSQLError('Division by zero', node.position);
+            }
+            return node.operator === '/' ? left / right : left % right;
     }
-    if (/^-?\d+\.\d+$/.test(valueStr)) {
-        return parseFloat(valueStr);
+    throw createSQLError(`Unknown operator "${node.operator}"`, node.position);
+}
+
+/**
+ * Evaluates a scalar function call
+ * COALESCE stops at the first non-NULL argument; NULLIF uses the same equality as =.
+ * @param {Object} node - Scalar FUNCTION node
+ * @param {Object} row - Joined row
+ * @param {Object} context - Evaluation context
+ * @returns {any}
+ */
+function evaluateScalarFunction(node, row, context) {
+    if (node.name === 'COALESCE') {
+        for (const arg of node.args) {
+            const value = evaluateExpression(arg, row, context);
+            if (value !== null && value !== undefined) return value;
+        }
+        return null;
     }
     
-    // Return as string
-    return valueStr;
+    const args = node.args.map(arg => evaluateExpression(arg, row, context));
+    if (node.name === 'NULLIF') {
+        const [value, other] = args;
+        if (value === null || value === undefined || other === null || other === undefined) return value ?? null;
+        return compareValues(value, other) === 0 ? null : value;
+    }
+    return callScalarFunction(node, args);
 }
 
 /**
- * Compares two values (case-insensitive for strings)
+ * Evaluates a CASE expression; only the matching branch is evaluated
+ * A simple CASE (CASE x WHEN 1 THEN ...) compares with =, so a NULL operand matches no branch.
+ * @param {Object} node - CASE node
+ * @param {Object} row - Joined row
+ * @param {Object} context - Evaluation context
+ * @returns {any} NULL when no branch matches and there is no ELSE
+ */
+function evaluateCase(node, row, context) {
+    const operand = node.operand ? evaluateExpression(node.operand, row, context) : null;
+    
+    for (const clause of node.whenClauses) {
+        const when = evaluateExpression(clause.when, row, context);
+        const matches = node.operand
+            ? operand !== null && when !== null && compareValues(operand, when) === 0
+            : toBoolean(when) === true;
+        if (matches) {
+            return evaluateExpression(clause.then, row, context);
+        }
+    }
+    return node.elseResult ? evaluateExpression(node.elseResult, row, context) : null;
+}
+
+/**
+ * Computes an aggregate function over a group of joined rows
+ * SUM and AVG ignore non-numeric values, MIN and MAX prefer numeric values in mixed columns,
+ * and all aggregates except COUNT(*) ignore NULLs
+ * @param {Object} node - Aggregate FUNCTION node
+ * @param {Object[]} groupRows - Joined rows belonging to the group
+ * @param {Object} context - Evaluation context ({outerRows})
+ * @returns {number|any|null}
+ */
+function computeAggregate(node, groupRows, context) {
+    const argument = node.args[0];
+    
+    if (argument.type === 'STAR') {
+        return groupRows.length; // COUNT(*)
+    }
+    
+    const values = groupRows.map(row => evaluateExpression(argument, row, { outerRows: context.outerRows }));
+    return aggregateValues(node, values);
+}
+
+/**
+ * Applies an aggregate function to a list of values (NULLs are ignored)
+ * @param {Object} node - Aggregate FUNCTION node
+ * @param {any[]} allValues - Argument values
+ * @returns {number|any|null}
+ */
+function aggregateValues(node, allValues) {
+    let values = allValues.filter(value => value !== null && value !== undefined);
+    
+    if (node.distinct) {
+        const seen = new Set();
+        values = values.filter(value => {
+            const key = typedKey([value]);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    
+    switch (node.name) {
+        case 'COUNT':
+            return values.length;
+        case 'SUM':
+        case 'AVG': {
+            const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+            if (numbers.length === 0) return null;
+            const sum = numbers.reduce((total, value) => total + value, 0);
+            return node.name === 'SUM' ? sum : sum / numbers.length;
+        }
+        case 'MIN':
+        case 'MAX': {
+            if (values.length === 0) return null;
+            // Mixed columns (e.g. numeric and qualitative results) compare only their numbers
+            const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+            const candidates = numbers.length > 0 ? numbers : values;
+            return candidates.reduce((best, value) => {
+                const comparison = compareValues(value, best);
+                return (node.name === 'MIN' ? comparison < 0 : comparison > 0) ? value : best;
+            });
+        }
+        default:
+            throw createSQLError(`Unsupported aggregate function: ${node.name}`, node.position);
+    }
+}
+
+/**
+ * Returns the child expressions of a node (used by binding, validation and analysis passes)
+ * @param {Object} node - Expression node
+ * @returns {Object[]}
+ */
+function childExpressions(node) {
+    switch (node.type) {
+        case 'BINARY_OP':
+        case 'COMPARISON':
+        case 'LOGICAL':
+            return [node.left, node.right];
+        case 'NOT':
+        case 'UNARY_OP':
+        case 'IS_NULL':
+            return [node.operand];
+        case 'LIKE':
+            return [node.operand, node.pattern];
+        case 'IN_LIST':
+            return [node.operand, ...node.values];
+        case 'BETWEEN':
+            return [node.operand, node.low, node.high];
+        case 'IN_SUBQUERY':
+            // The subquery itself is bound and validated separately
+            return [node.operand];
+        case 'FUNCTION':
+            if (node.over) {
+                return [...node.args, ...node.over.partitionBy, ...node.over.orderBy.map(item => item.expression)];
+            }
+            return node.args;
+        case 'CASE':
+            return [
+                ...(node.operand ? [node.operand] : []),
+                ...node.whenClauses.flatMap(clause => [clause.when, clause.then]),
+                ...(node.elseResult ? [node.elseResult] : [])
+            ];
+        case 'CAST':
+            return [node.operand];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Checks whether a node is an aggregate function call (windowed aggregates are window functions)
+ * @param {Object} node - Expression node
+ * @returns {boolean}
+ */
+function isAggregate(node) {
+    return node.type === 'FUNCTION' && AGGREGATE_FUNCTIONS.includes(node.name) && !node.over;
+}
+
+/**
+ * Finds the first aggregate function call in an expression (following bound SELECT aliases)
+ * @param {Object} node - Expression node
+ * @returns {Object|null}
+ */
+function findAggregate(node) {
+    return findExpression(node, isAggregate);
+}
+
+/**
+ * Finds the first window function call in an expression (following bound SELECT aliases)
+ * @param {Object} node - Expression node
+ * @returns {Object|null}
+ */
+function findWindowFunction(node) {
+    return findExpression(node, current => current.type === 'FUNCTION' && !!current.over);
+}
+
+/**
+ * Finds the first node matching a predicate, searching depth-first and following bound SELECT aliases
+ * Subqueries are not searched.
+ * @param {Object} node - Expression node
+ * @param {Function} predicate - Node predicate
+ * @returns {Object|null}
+ */
+function findExpression(node, predicate) {
+    if (predicate(node)) return node;
+    if (node.type === 'COLUMN' && node.binding && node.binding.expression) {
+        return findExpression(node.binding.expression, predicate);
+    }
+    for (const child of childExpressions(node)) {
+        const found = findExpression(child, predicate);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Collects the distinct window function calls in a list of expressions
+ * @param {Object[]} expressions - Bound expression nodes
+ * @returns {Object[]}
+ */
+function collectWindowFunctions(expressions) {
+    const found = new Set();
+    const visit = node => {
+        if (node.type === 'FUNCTION' && node.over) {
+            found.add(node);
+            return;
+        }
+        if (node.type === 'COLUMN' && node.binding && node.binding.expression) {
+            visit(node.binding.expression);
+        }
+        childExpressions(node).forEach(visit);
+    };
+    expressions.forEach(visit);
+    return [...found];
+}
+
+/**
+ * Checks whether an expression contains an aggregate function call
+ * @param {Object} node - Expression node
+ * @returns {boolean}
+ */
+function containsAggregate(node) {
+    return findAggregate(node) !== null;
+}
+
+/**
+ * Builds a structural key for an expression so that equivalent expressions compare equal
+ * Bound columns are keyed by table alias, so "status" and "s.status" match.
+ * @param {Object} node - Bound expression node
+ * @returns {string}
+ */
+function expressionKey(node) {
+    if (node.type === 'COLUMN' && node.binding) {
+        if (node.binding.expression) return expressionKey(node.binding.expression);
+        if (node.binding.literal !== undefined) return `STRING:${node.binding.literal}`;
+        return `COLUMN:${node.binding.depth}:${node.binding.alias}.${node.binding.column}`;
+    }
+    if (node.type === 'SUBQUERY' || node.type === 'EXISTS' || node.type === 'IN_SUBQUERY') {
+        // Subqueries are only equivalent to themselves
+        return `${node.type}@${node.position.offset}(${childExpressions(node).map(expressionKey).join(',')})`;
+    }
+    const children = childExpressions(node).map(expressionKey).join(',');
+    const caseShape = node.type === 'CASE' ? `${!!node.operand}:${!!node.elseResult}` : undefined;
+    const detail = [node.operator, node.name, node.value, node.distinct, node.negated, node.insensitive, node.targetType, node.scale, caseShape]
+        .filter(part => part !== undefined)
+        .join(':');
+    if (node.over) {
+        const over = node.over;
+        const windowDetail = JSON.stringify([over.partitionBy.length, over.orderBy.map(item => [item.descending, item.nullsFirst]), over.frame && [over.frame.start, over.frame.end]]);
+        return `${node.type}:${detail}:OVER${windowDetail}(${children})`;
+    }
+    return `${node.type}:${detail}(${children})`;
+}
+
+/**
+ * Builds a key that distinguishes values by type (1 and '1' are different)
+ * @param {any[]} values - Values
+ * @returns {string}
+ */
+function typedKey(values) {
+    return JSON.stringify(values.map(value => (value === null || value === undefined ? null : [typeof value, value])));
+}
+
+/**
+ * Builds a hash key consistent with compareValues equality (case-insensitive strings,
+ * numeric strings equal to numbers, ISO dates equal by time)
+ * @param {any} value - Value
+ * @returns {string|null} Null for NULL values, which never match
+ */
+function hashKey(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return `n:${value}`;
+    if (isNumericString(value)) return `n:${parseFloat(value)}`;
+    const time = toTimestamp(value);
+    if (time !== null) return `d:${time}`;
+    return `s:${String(value).toLowerCase()}`;
+}
+
+/**
+ * Converts a value to a SQL boolean (true, false or null)
+ * @param {any} value - Value
+ * @returns {boolean|null}
+ */
+function toBoolean(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    return Boolean(value);
+}
+
+// Compiled LIKE/ILIKE patterns, keyed by case sensitivity and pattern text
+const likePatternCache = new Map();
+
+/**
+ * Converts a SQL LIKE pattern (% and _ wildcards) to a RegExp
+ * @param {string} pattern - LIKE pattern
+ * @param {boolean} insensitive - true for ILIKE
+ * @returns {RegExp}
+ */
+function likePatternToRegex(pattern, insensitive = false) {
+    const key = `${insensitive ? 'i' : 's'}:${pattern}`;
+    if (!likePatternCache.has(key)) {
+        const source = pattern
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/%/g, '.*')
+            .replace(/_/g, '.');
+        likePatternCache.set(key, new RegExp(`^${source}$`, insensitive ? 'is' : 's'));
+    }
+    return likePatternCache.get(key);
+}
+
+
+/**
+ * Gets all available tables in the database, followed by the saved datasets exposed as tables
+ * @returns {Array<{name: string, columns: string[], description: string, datasetId?: string}>}
+ */
+export function getAllTables() {
+    const tables = getLimsTables();
+    return [...tables, ...getDatasetTables(tables.map(table => table.name))];
+}
+
+/**
+ * Gets the saved datasets as tables
+ * Datasets whose names map to the same table name are told apart by their ID number (ds_summary_4).
+ * @param {string[]} reservedNames - Table names already in use
+ * @returns {Array<{name: string, columns: string[], description: string, datasetId: string}>}
+ */
+function getDatasetTables(reservedNames) {
+    const usedNames = new Set(reservedNames.map(name => name.toLowerCase()));
+    
+    return datasetStore.getAll()
+        .filter(dataset => Array.isArray(dataset.columns) && dataset.columns.length > 0)
+        .map(dataset => {
+            let name = getDatasetTableName(dataset.name);
+            if (usedNames.has(name)) {
+                name = `${name}_${String(dataset.id).replace(/^ds_/, '')}`;
+            }
+            usedNames.add(name);
+            
+            const rowCount = Array.isArray(dataset.rows) ? dataset.rows.length : 0;
+            return {
+                name,
+                columns: dataset.columns.map(String),
+                description: `Saved dataset "${dataset.name}" (${rowCount} rows)`,
+                datasetId: dataset.id
+            };
+        });
+}
+
+/**
+ * Converts a dataset name to its SQL table name
+ * @param {string} datasetName - Dataset name, e.g. "Sample Summary"
+ * @returns {string} Table name, e.g. "ds_sample_summary"
+ */
+export function getDatasetTableName(datasetName) {
+    const slug = String(datasetName || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    
+    // Names that already carry the prefix are not prefixed twice
+    return slug.startsWith(DATASET_TABLE_PREFIX) ? slug : `${DATASET_TABLE_PREFIX}${slug || 'dataset'}`;
+}
+
+/**
+ * Gets the built-in LIMS tables, as declared in the schema catalog
+ * @returns {Array<{name: string, columns: string[], description: string}>}
+ */
+function getLimsTables() {
+    return SCHEMA_CATALOG.map(table => ({
+        name: table.name,
+        columns: table.columns.map(column => column.name),
+        description: table.description
+    }));
+}
+
+/**
+ * Compares two values (numeric for numbers, chronological for dates, case-insensitive for strings)
  * @param {any} a - First value
  * @param {any} b - Second value
  * @returns {number} - Negative if a < b, 0 if a == b, positive if a > b
@@ -863,10 +2507,41 @@ function compareValues(a, b) {
         return a - b;
     }
     
+    // Dates (Date objects or ISO date strings) compare chronologically
+    const aTime = toTimestamp(a);
+    const bTime = toTimestamp(b);
+    if (aTime !== null && bTime !== null) {
+        return aTime - bTime;
+    }
+    
+    // Numbers stored as strings compare numerically against numbers
+    if (typeof a === 'number' && isNumericString(b)) {
+        return a - parseFloat(b);
+    }
+    if (typeof b === 'number' && isNumericString(a)) {
+        return parseFloat(a) - b;
+    }
+    
     // Case-insensitive string comparison
     return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
 }
 
+/**
+ * Converts a Date or ISO date string (YYYY-MM-DD, optionally with time) to a timestamp
+ * @param {any} value - Value to convert
+ * @returns {number|null} Milliseconds since epoch, or null if the value is not a date
+ */
+function toTimestamp(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.getTime();
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+    return null;
+}
+
 /**
  * Generates a mock value for a column based on its name and context
  * @param {string} columnName - Name of the column
@@ -0,0 +1,234 @@
+// SQL Formatter
+// Pretty-prints SQL for the query editor: upper-case keywords, one clause per line, indented joins,
+// AND/OR conditions and subqueries, and a select list aligned under its first column
+// Works on tokens rather than the AST, so comments are kept and queries that do not parse yet can still be formatted
+
+import { tokenizeSQL } from './sql-parser.js';
+
+const INDENT = '    ';
+
+// Keywords that start a new line at the level of the query they belong to
+const CLAUSE_KEYWORDS = ['SELECT', 'FROM', 'WHERE', 'HAVING', 'LIMIT', 'OFFSET', 'WITH'];
+const JOIN_MODIFIERS = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'];
+const SET_OPERATORS = ['UNION', 'INTERSECT', 'EXCEPT'];
+
+// Words the parser reads as identifiers that act as keywords inside OVER (...)
+const WINDOW_WORDS = ['PARTITION', 'ROWS', 'RANGE', 'UNBOUNDED', 'PRECEDING', 'FOLLOWING', 'CURRENT', 'ROW'];
+
+// Keywords after which + or - is a sign rather than an operator
+const VALUE_KEYWORDS = ['END', 'NULL', 'TRUE', 'FALSE'];
+
+/**
+ * Formats a SQL query
+ * Example: "select s.id,count(*) n from samples s join tests t on t.sample_id=s.id group by s.id" becomes
+ *   SELECT s.id,
+ *          COUNT(*) n
+ *   FROM samples s
+ *       JOIN tests t ON t.sample_id = s.id
+ *   GROUP BY s.id
+ * @param {string} sql - SQL text
+ * @returns {string} Formatted SQL
+ * @throws {Error} If the SQL cannot be tokenized (e.g. an unterminated string)
+ */
+export function formatSQL(sql) {
+    const tokens = tokenizeSQL(sql);
+    let out = '';
+    let lineIndent = '';
+    let atLineStart = true;
+    let pendingNewline = false;
+    let previous = null;
+    let previousEnd = 0;
+    let noSpaceAfter = false;
+    let expectCteName = false;
+
+    // Each query (the statement, subqueries and CTE bodies) is a block; other parentheses stay inline
+    const frames = [{ kind: 'block', indent: '', clause: null, selectAlign: null, between: false, caseDepth: 0 }];
+    const top = () => frames[frames.length - 1];
+    const currentBlock = () => frames.filter(frame => frame.kind === 'block').pop();
+
+    const newline = (indent) => {
+        out = out.replace(/[ \t]+$/, '');
+        if (out !== '') {
+            out += `\n${indent}`;
+        }
+        lineIndent = indent;
+        atLineStart = true;
+        pendingNewline = false;
+    };
+
+    const write = (text, space) => {
+        if (pendingNewline) {
+            newline(lineIndent);
+        }
+        if (space && !atLineStart) {
+            out += ' ';
+        }
+        out += text;
+        atLineStart = false;
+    };
+
+    // Comments are not tokens - copy them from the gap before each token
+    const writeComments = (gap) => {
+        const comments = gap.match(/--[^\n]*|\/\*[\s\S]*?\*\//g) || [];
+        comments.forEach(comment => {
+            write(comment, true);
+            if (comment.startsWith('--')) {
+                pendingNewline = true;
+            }
+        });
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1] || null;
+        writeComments(sql.slice(previousEnd, token.position.offset));
+        if (token.type === 'EOF') break;
+
+        const source = sql.substr(token.position.offset, token.position.length);
+        previousEnd = token.position.offset + token.position.length;
+        const block = currentBlock();
+        const atBlockLevel = top() === block;
+        let text = source;
+        let space = !(noSpaceAfter || [',', ';', ')', '.'].includes(token.type));
+        noSpaceAfter = false;
+
+        if (token.type === 'KEYWORD') {
+            text = token.value;
+            const value = token.value;
+
+            if (atBlockLevel && CLAUSE_KEYWORDS.includes(value)) {
+                newline(block.indent);
+                block.clause = value;
+                block.between = false;
+                if (value === 'SELECT') {
+                    block.selectAlign = block.indent + ' '.repeat('SELECT '.length);
+                } else if (value === 'WITH') {
+                    expectCteName = true;
+                }
+            } else if (atBlockLevel && (value === 'GROUP' || value === 'ORDER') && isKeyword(next, 'BY')) {
+                newline(block.indent);
+                block.clause = value;
+            } else if (atBlockLevel && (JOIN_MODIFIERS.includes(value) ||
+                (value === 'JOIN' && !(isKeyword(previous, ...JOIN_MODIFIERS) || isKeyword(previous, 'OUTER'))))) {
+                newline(block.indent + INDENT);
+                block.clause = 'JOIN';
+            } else if (atBlockLevel && SET_OPERATORS.includes(value)) {
+                newline(block.indent);
+                block.clause = value;
+            } else if (atBlockLevel && value === 'DISTINCT' && isKeyword(previous, 'SELECT')) {
+                block.selectAlign += ' '.repeat('DISTINCT '.length);
+            } else if (atBlockLevel && value === 'BETWEEN') {
+                block.between = true;
+            } else if (atBlockLevel && (value === 'CASE' || value === 'END')) {
+                block.caseDepth += value === 'CASE' ? 1 : -1;
+            } else if (atBlockLevel && (value === 'AND' || value === 'OR') && block.caseDepth === 0 &&
+                ['WHERE', 'HAVING'].includes(block.clause)) {
+                if (value === 'AND' && block.between) {
+                    block.between = false;
+                } else {
+                    newline(block.indent + INDENT);
+                }
+            }
+        } else if (token.type === 'IDENTIFIER' && !token.quoted) {
+            text = identifierText(token, source, previous, next, top(), expectCteName, i === 0);
+            if (expectCteName) {
+                expectCteName = false;
+            } else if (next && next.type === '(' && !isType(previous, '.')) {
+                // Function call (or OVER) - remembered so the parenthesis knows what it belongs to
+                top().pendingFunction = text;
+            }
+        } else if (token.type === 'OPERATOR' && (token.value === '-' || token.value === '+')) {
+            const isSign = !previous || ['OPERATOR', '(', ','].includes(previous.type) ||
+                (previous.type === 'KEYWORD' && !VALUE_KEYWORDS.includes(previous.value));
+            noSpaceAfter = isSign;
+        } else if (token.type === '(') {
+            const functionName = top().pendingFunction || null;
+            top().pendingFunction = null;
+            if (functionName && functionName !== 'OVER') {
+                space = false;
+            }
+            write(text, space);
+            if (isKeyword(next, 'SELECT', 'WITH')) {
+                frames.push({ kind: 'block', indent: lineIndent + INDENT, closeIndent: lineIndent, clause: null, selectAlign: null, between: false, caseDepth: 0 });
+            } else {
+                frames.push({ kind: 'paren', functionName });
+            }
+            previous = token;
+            noSpaceAfter = true;
+            continue;
+        } else if (token.type === ')') {
+            const frame = frames.length > 1 ? frames.pop() : null;
+            if (frame && frame.kind === 'block') {
+                newline(frame.closeIndent);
+            }
+        } else if (token.type === ',' && atBlockLevel && block.clause === 'SELECT') {
+            write(text, false);
+            newline(block.selectAlign);
+            previous = token;
+            continue;
+        } else if (token.type === ',' && atBlockLevel && block.clause === 'WITH') {
+            write(text, false);
+            newline(block.indent);
+            expectCteName = true;
+            previous = token;
+            continue;
+        } else if (token.type === '.') {
+            noSpaceAfter = true;
+        } else if (token.type === ';' && next && next.type !== 'EOF') {
+            write(text, false);
+            newline('');
+            previous = token;
+            continue;
+        }
+
+        write(text, space);
+        previous = token;
+    }
+
+    return out.replace(/[ \t]+$/gm, '').trim();
+}
+
+/**
+ * Chooses the case of an unquoted identifier: function names and contextual keywords are upper-cased,
+ * table, column and alias names are kept as written
+ * @param {Object} token - IDENTIFIER token
+ * @param {string} source - Token text as written
+ * @param {Object|null} previous - Previous token
+ * @param {Object|null} next - Next token
+ * @param {Object} frame - Innermost block or parenthesis frame
+ * @param {boolean} isCteName - Whether the identifier names a CTE
+ * @param {boolean} isFirst - Whether this is the first token of the query
+ * @returns {string}
+ */
+function identifierText(token, source, previous, next, frame, isCteName, isFirst) {
+    const upper = source.toUpperCase();
+    if (isCteName || isType(previous, '.') || isType(next, '.')) {
+        return source;
+    }
+
+    const contextual =
+        (next && next.type === '(') ||
+        (upper === 'EXPLAIN' && isFirst) ||
+        (upper === 'ANALYZE' && isWord(previous, 'EXPLAIN')) ||
+        (upper === 'TOP' && isKeyword(previous, 'SELECT', 'DISTINCT') && isType(next, 'NUMBER')) ||
+        ['ASC', 'DESC'].includes(upper) ||
+        (upper === 'NULLS' && (isWord(next, 'FIRST') || isWord(next, 'LAST'))) ||
+        ((upper === 'FIRST' || upper === 'LAST') && isWord(previous, 'NULLS')) ||
+        (frame.functionName === 'OVER' && WINDOW_WORDS.includes(upper)) ||
+        (frame.functionName === 'CAST' && isKeyword(previous, 'AS')) ||
+        (frame.functionName === 'SUBSTRING' && upper === 'FOR');
+
+    return contextual ? upper : source;
+}
+
+function isKeyword(token, ...values) {
+    return !!token && token.type === 'KEYWORD' && values.includes(token.value);
+}
+
+function isWord(token, word) {
+    return !!token && token.type === 'IDENTIFIER' && !token.quoted && token.value.toUpperCase() === word;
+}
+
+function isType(token, type) {
+    return !!token && token.type === type;
+}
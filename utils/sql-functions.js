@@ -0,0 +1,483 @@
+// SQL Scalar Functions
+// String, math, date and conversion functions evaluated per row by sql-engine.js
+// Example: SELECT UPPER(status), ROUND(result_value, 1), DATE_TRUNC('month', result_date) FROM results
+// Dates are ISO strings (YYYY-MM-DD, optionally with a time) and are handled in UTC
+
+import { createSQLError } from './sql-parser.js';
+
+// Scalar functions and their [minimum, maximum] argument counts (Infinity = variadic)
+// COALESCE (lazy) and NULLIF (SQL equality) are evaluated by the engine; the rest go through callScalarFunction
+export const SCALAR_FUNCTIONS = {
+    COALESCE: [1, Infinity],
+    NULLIF: [2, 2],
+    UPPER: [1, 1],
+    LOWER: [1, 1],
+    TRIM: [1, 1],
+    LTRIM: [1, 1],
+    RTRIM: [1, 1],
+    LENGTH: [1, 1],
+    SUBSTRING: [2, 3],
+    SUBSTR: [2, 3],
+    CONCAT: [1, Infinity],
+    REPLACE: [3, 3],
+    ROUND: [1, 2],
+    ABS: [1, 1],
+    CEIL: [1, 1],
+    CEILING: [1, 1],
+    FLOOR: [1, 1],
+    DATE_TRUNC: [2, 2],
+    DATEDIFF: [3, 3],
+    EXTRACT: [2, 2],
+    DATE_PART: [2, 2]
+};
+
+// Units accepted by DATE_TRUNC and DATEDIFF
+export const DATE_UNITS = ['YEAR', 'QUARTER', 'MONTH', 'WEEK', 'DAY', 'HOUR', 'MINUTE', 'SECOND'];
+
+// Fields accepted by EXTRACT and DATE_PART
+export const DATE_FIELDS = ['YEAR', 'QUARTER', 'MONTH', 'WEEK', 'DAY', 'DOW', 'DOY', 'HOUR', 'MINUTE', 'SECOND', 'EPOCH'];
+
+// CAST target types, grouped by the value they produce
+const CAST_TYPES = {
+    INTEGER: 'integer',
+    INT: 'integer',
+    BIGINT: 'integer',
+    SMALLINT: 'integer',
+    DECIMAL: 'number',
+    NUMERIC: 'number',
+    FLOAT: 'number',
+    REAL: 'number',
+    DOUBLE: 'number',
+    VARCHAR: 'string',
+    CHAR: 'string',
+    TEXT: 'string',
+    STRING: 'string',
+    DATE: 'date',
+    TIMESTAMP: 'timestamp',
+    DATETIME: 'timestamp',
+    BOOLEAN: 'boolean',
+    BOOL: 'boolean'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a type name can be used in CAST(... AS type)
+ * @param {string} typeName - Upper-case type name
+ * @returns {boolean}
+ */
+export function isCastType(typeName) {
+    return Object.prototype.hasOwnProperty.call(CAST_TYPES, typeName);
+}
+
+/**
+ * Calls a scalar function with already-evaluated arguments
+ * Functions return NULL when any argument is NULL, except CONCAT, which skips NULLs.
+ * @param {Object} node - FUNCTION node (for error positions)
+ * @param {any[]} args - Evaluated argument values
+ * @returns {any}
+ * @throws {Error} If an argument has the wrong type or an unknown unit
+ */
+export function callScalarFunction(node, args) {
+    const isNull = value => value === null || value === undefined;
+
+    if (node.name === 'CONCAT') {
+        return args.filter(value => !isNull(value)).map(String).join('');
+    }
+    if (args.some(isNull)) {
+        return null;
+    }
+
+    switch (node.name) {
+        case 'UPPER':
+            return String(args[0]).toUpperCase();
+        case 'LOWER':
+            return String(args[0]).toLowerCase();
+        case 'TRIM':
+            return String(args[0]).trim();
+        case 'LTRIM':
+            return String(args[0]).trimStart();
+        case 'RTRIM':
+            return String(args[0]).trimEnd();
+        case 'LENGTH':
+            return String(args[0]).length;
+        case 'REPLACE':
+            return String(args[0]).split(String(args[1])).join(String(args[2]));
+        case 'SUBSTRING':
+        case 'SUBSTR':
+            return substring(node, String(args[0]), args[1], args[2]);
+        case 'ROUND':
+            return round(node, args[0], args.length > 1 ? args[1] : 0);
+        case 'ABS':
+            return applyNumeric(args[0], Math.abs);
+        case 'CEIL':
+        case 'CEILING':
+            return applyNumeric(args[0], Math.ceil);
+        case 'FLOOR':
+            return applyNumeric(args[0], Math.floor);
+        case 'DATE_TRUNC':
+            return dateTrunc(node, args[0], args[1]);
+        case 'DATEDIFF':
+            return dateDiff(node, args[0], args[1], args[2]);
+        case 'EXTRACT':
+        case 'DATE_PART':
+            return extractField(node, args[0], args[1]);
+        default:
+            throw createSQLError(`Unknown function "${node.name}".`, node.position);
+    }
+}
+
+/**
+ * Converts a value for CAST(value AS type)
+ * @param {any} value - Value to convert
+ * @param {Object} node - CAST node ({targetType, scale})
+ * @returns {any} NULL stays NULL
+ * @throws {Error} If the value cannot be represented in the target type
+ */
+export function castValue(value, node) {
+    if (value === null || value === undefined) return null;
+    const fail = () => {
+        throw createSQLError(`Cannot cast ${typeof value === 'string' ? `'${value}'` : String(value)} to ${node.targetType}.`, node.position);
+    };
+
+    switch (CAST_TYPES[node.targetType]) {
+        case 'integer': {
+            const number = toNumber(value);
+            if (number === null) fail();
+            // Round half away from zero, as PostgreSQL does
+            return Math.sign(number) * Math.round(Math.abs(number));
+        }
+        case 'number': {
+            const number = toNumber(value);
+            if (number === null) fail();
+            return node.scale !== null && node.scale !== undefined ? roundTo(number, node.scale) : number;
+        }
+        case 'string':
+            return value instanceof Date ? formatTimestamp(value.getTime()) : String(value);
+        case 'date': {
+            const time = toUTCTime(value);
+            if (time === null) fail();
+            return formatDate(time);
+        }
+        case 'timestamp': {
+            const time = toUTCTime(value);
+            if (time === null) fail();
+            return formatTimestamp(time);
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            if (typeof value === 'number') return value !== 0;
+            const text = String(value).trim().toLowerCase();
+            if (['true', 't', 'yes', 'y', '1'].includes(text)) return true;
+            if (['false', 'f', 'no', 'n', '0'].includes(text)) return false;
+            return fail();
+        }
+        default:
+            throw createSQLError(`Unsupported CAST type "${node.targetType}".`, node.position);
+    }
+}
+
+/**
+ * Formats a Date the way the table data stores dates
+ * @param {Date} date - Date to format
+ * @returns {string} YYYY-MM-DD at midnight UTC, otherwise YYYY-MM-DD HH:MM:SS
+ */
+export function formatDateValue(date) {
+    const time = date.getTime();
+    return time % MS_PER_DAY === 0 ? formatDate(time) : formatTimestamp(time);
+}
+
+/**
+ * Converts a value to a number (numbers, numeric strings and booleans)
+ * @param {any} value - Value to convert
+ * @returns {number|null} null if the value is not numeric
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (isNumericString(value)) return parseFloat(value);
+    return null;
+}
+
+/**
+ * Checks whether a value is a string containing only a number
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+export function isNumericString(value) {
+    return typeof value === 'string' && /^\s*-?\d+(?:\.\d+)?\s*$/.test(value);
+}
+
+/**
+ * SUBSTRING(text, start [, length]) with 1-based start, as in standard SQL
+ * A start before 1 shortens the result, e.g. SUBSTRING('abc', 0, 2) = 'a'.
+ * @param {Object} node - FUNCTION node
+ * @param {string} text - Source string
+ * @param {any} start - 1-based start position
+ * @param {any} length - Number of characters (optional)
+ * @returns {string}
+ */
+function substring(node, text, start, length) {
+    const from = requireNumber(node, start, 'start position');
+    let to = Infinity;
+    if (length !== undefined) {
+        const count = requireNumber(node, length, 'length');
+        if (count < 0) {
+            throw createSQLError(`${node.name}() length cannot be negative.`, node.position);
+        }
+        to = from + count;
+    }
+    return text.substring(Math.max(from, 1) - 1, Math.max(to, 1) - 1);
+}
+
+/**
+ * ROUND(value [, decimals])
+ * @param {Object} node - FUNCTION node
+ * @param {any} value - Value to round
+ * @param {any} decimals - Number of decimal places (may be negative)
+ * @returns {number|null} NULL for non-numeric values, as with arithmetic operators
+ */
+function round(node, value, decimals) {
+    const places = requireNumber(node, decimals, 'decimal places');
+    if (!Number.isInteger(places)) {
+        throw createSQLError('ROUND() decimal places must be an integer.', node.position);
+    }
+    const number = toNumber(value);
+    return number === null ? null : roundTo(number, places);
+}
+
+/**
+ * Rounds half away from zero to a number of decimal places
+ * @param {number} value - Value to round
+ * @param {number} places - Decimal places (may be negative)
+ * @returns {number}
+ */
+function roundTo(value, places) {
+    const factor = Math.pow(10, places);
+    // Scale via exponent notation to avoid binary artifacts such as 1.005 * 100 = 100.49999
+    const scaled = places >= 0 ? Number(`${Math.abs(value)}e${places}`) : Math.abs(value) * factor;
+    const rounded = Math.round(scaled);
+    const result = places >= 0 ? Number(`${rounded}e${-places}`) : rounded / factor;
+    return value < 0 ? -result : result;
+}
+
+/**
+ * Applies a numeric function
+ * @param {any} value - Argument
+ * @param {Function} fn - Math function
+ * @returns {number|null} NULL for non-numeric values, as with arithmetic operators
+ */
+function applyNumeric(value, fn) {
+    const number = toNumber(value);
+    return number === null ? null : fn(number);
+}
+
+/**
+ * Converts an argument to a number or throws a positioned error
+ * @param {Object} node - FUNCTION node
+ * @param {any} value - Argument
+ * @param {string} label - Argument description for the error message
+ * @returns {number}
+ */
+function requireNumber(node, value, label) {
+    const number = toNumber(value);
+    if (number === null) {
+        throw createSQLError(`${node.name}() ${label} must be numeric, got '${value}'.`, node.position);
+    }
+    return number;
+}
+
+/**
+ * DATE_TRUNC(unit, date) - the start of the unit containing the date
+ * Weeks start on Monday. Returns a date (YYYY-MM-DD) for day and coarser units, otherwise a timestamp.
+ * @param {Object} node - FUNCTION node
+ * @param {any} unit - Unit name, e.g. 'month'
+ * @param {any} value - Date value
+ * @returns {string|null}
+ */
+function dateTrunc(node, unit, value) {
+    const unitName = requireDateUnit(node, unit, DATE_UNITS);
+    const time = requireDate(node, value);
+    const truncated = truncateTime(time, unitName);
+    return ['HOUR', 'MINUTE', 'SECOND'].includes(unitName) ? formatTimestamp(truncated) : formatDate(truncated);
+}
+
+/**
+ * DATEDIFF(unit, start, end) - the number of unit boundaries crossed from start to end
+ * e.g. DATEDIFF('month', '2024-01-31', '2024-02-01') = 1
+ * @param {Object} node - FUNCTION node
+ * @param {any} unit - Unit name, e.g. 'day'
+ * @param {any} start - Start date
+ * @param {any} end - End date
+ * @returns {number}
+ */
+function dateDiff(node, unit, start, end) {
+    const unitName = requireDateUnit(node, unit, DATE_UNITS);
+    const startTime = requireDate(node, start);
+    const endTime = requireDate(node, end);
+    const startDate = new Date(startTime);
+    const endDate = new Date(endTime);
+
+    switch (unitName) {
+        case 'YEAR':
+            return endDate.getUTCFullYear() - startDate.getUTCFullYear();
+        case 'QUARTER':
+            return monthIndex(endDate, 3) - monthIndex(startDate, 3);
+        case 'MONTH':
+            return monthIndex(endDate, 1) - monthIndex(startDate, 1);
+        case 'WEEK':
+            return Math.round((truncateTime(endTime, 'WEEK') - truncateTime(startTime, 'WEEK')) / (7 * MS_PER_DAY));
+        default: {
+            const unitMs = { DAY: MS_PER_DAY, HOUR: 3600000, MINUTE: 60000, SECOND: 1000 }[unitName];
+            return Math.round((truncateTime(endTime, unitName) - truncateTime(startTime, unitName)) / unitMs);
+        }
+    }
+}
+
+/**
+ * EXTRACT(field FROM date) / DATE_PART(field, date)
+ * DOW is 0 (Sunday) to 6, WEEK is the ISO week number and EPOCH is seconds since 1970-01-01.
+ * @param {Object} node - FUNCTION node
+ * @param {any} field - Field name, e.g. 'year'
+ * @param {any} value - Date value
+ * @returns {number}
+ */
+function extractField(node, field, value) {
+    const fieldName = requireDateUnit(node, field, DATE_FIELDS);
+    const time = requireDate(node, value);
+    const date = new Date(time);
+
+    switch (fieldName) {
+        case 'YEAR': return date.getUTCFullYear();
+        case 'QUARTER': return Math.floor(date.getUTCMonth() / 3) + 1;
+        case 'MONTH': return date.getUTCMonth() + 1;
+        case 'WEEK': return isoWeek(time);
+        case 'DAY': return date.getUTCDate();
+        case 'DOW': return date.getUTCDay();
+        case 'DOY': return Math.round((truncateTime(time, 'DAY') - Date.UTC(date.getUTCFullYear(), 0, 1)) / MS_PER_DAY) + 1;
+        case 'HOUR': return date.getUTCHours();
+        case 'MINUTE': return date.getUTCMinutes();
+        case 'SECOND': return date.getUTCSeconds() + date.getUTCMilliseconds() / 1000;
+        default: return time / 1000; // EPOCH
+    }
+}
+
+/**
+ * Truncates a UTC timestamp to the start of a unit (weeks start on Monday)
+ * @param {number} time - Milliseconds since epoch
+ * @param {string} unit - Upper-case unit name
+ * @returns {number}
+ */
+function truncateTime(time, unit) {
+    const date = new Date(time);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    switch (unit) {
+        case 'YEAR': return Date.UTC(year, 0, 1);
+        case 'QUARTER': return Date.UTC(year, month - (month % 3), 1);
+        case 'MONTH': return Date.UTC(year, month, 1);
+        case 'WEEK': return Date.UTC(year, month, day - ((date.getUTCDay() + 6) % 7));
+        case 'DAY': return Date.UTC(year, month, day);
+        case 'HOUR': return Date.UTC(year, month, day, date.getUTCHours());
+        case 'MINUTE': return Date.UTC(year, month, day, date.getUTCHours(), date.getUTCMinutes());
+        default: return Date.UTC(year, month, day, date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds());
+    }
+}
+
+/**
+ * Counts months (or quarters) since year 0, for boundary-based differences
+ * @param {Date} date - UTC date
+ * @param {number} monthsPerUnit - 1 for months, 3 for quarters
+ * @returns {number}
+ */
+function monthIndex(date, monthsPerUnit) {
+    return date.getUTCFullYear() * (12 / monthsPerUnit) + Math.floor(date.getUTCMonth() / monthsPerUnit);
+}
+
+/**
+ * ISO 8601 week number (weeks start on Monday; week 1 contains the first Thursday)
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number}
+ */
+function isoWeek(time) {
+    const date = new Date(truncateTime(time, 'DAY'));
+    // Move to the Thursday of this week; its year is the ISO year
+    date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    return Math.floor((date.getTime() - yearStart) / (7 * MS_PER_DAY)) + 1;
+}
+
+/**
+ * Validates a date unit or field argument
+ * @param {Object} node - FUNCTION node
+ * @param {any} value - Unit name
+ * @param {string[]} allowed - Allowed upper-case names
+ * @returns {string} Upper-case unit name
+ */
+function requireDateUnit(node, value, allowed) {
+    const name = String(value).trim().toUpperCase();
+    if (!allowed.includes(name)) {
+        throw createSQLError(`${node.name}() does not support '${value}'. Use one of: ${allowed.map(unit => unit.toLowerCase()).join(', ')}`, node.position);
+    }
+    return name;
+}
+
+/**
+ * Converts a date argument to a UTC timestamp or throws a positioned error
+ * @param {Object} node - FUNCTION node
+ * @param {any} value - Date value
+ * @returns {number}
+ */
+function requireDate(node, value) {
+    const time = toUTCTime(value);
+    if (time === null) {
+        throw createSQLError(`${node.name}() expects a date (YYYY-MM-DD), got '${value}'.`, node.position);
+    }
+    return time;
+}
+
+/**
+ * Parses a Date or ISO date string; strings without a time zone are read as UTC
+ * @param {any} value - Value to convert
+ * @returns {number|null} Milliseconds since epoch, or null if the value is not a date
+ */
+function toUTCTime(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.getTime();
+    }
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/);
+    if (!match) return null;
+    if (match[8]) {
+        const time = Date.parse(value.trim().replace(' ', 'T'));
+        return isNaN(time) ? null : time;
+    }
+
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+    const milliseconds = match[7] ? Math.round(parseFloat(match[7]) * 1000) : 0;
+    const time = Date.UTC(year, month - 1, day, hour, minute, second, milliseconds);
+    // Reject impossible dates such as 2024-02-30
+    return new Date(time).getUTCDate() === day ? time : null;
+}
+
+/**
+ * Formats a UTC timestamp as YYYY-MM-DD
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatDate(time) {
+    return new Date(time).toISOString().substring(0, 10);
+}
+
+/**
+ * Formats a UTC timestamp as YYYY-MM-DD HH:MM:SS
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatTimestamp(time) {
+    return new Date(time).toISOString().substring(0, 19).replace('T', ' ');
+}
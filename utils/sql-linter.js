@@ -0,0 +1,350 @@
+// SQL Linter
+// Checks a query against table metadata (getAllTables()) and reports likely mistakes before it runs:
+// SELECT * over a join, unqualified columns that more than one table has, joins whose ON condition does not
+// link the joined table to the tables before it, and unknown tables and columns
+// Queries that do not parse yet have no lint issues - the parse error is reported when the query runs
+
+import { parseSQL, expressionToSQL } from './sql-parser.js';
+
+/**
+ * Lints a SQL query
+ * @param {string} sql - SQL query
+ * @param {Array<{name: string, columns: string[]}>} tables - Known tables, as returned by getAllTables()
+ * @returns {Array<{rule: string, severity: string, message: string, location: Object}>} Issues in text order;
+ *   rule is 'select-star-join', 'ambiguous-column', 'missing-join-condition', 'unknown-table' or 'unknown-column',
+ *   severity is 'warning' or 'error', location is {offset, line, column, length}
+ */
+export function lintSQL(sql, tables) {
+    let statement;
+    try {
+        statement = parseSQL(sql);
+    } catch (error) {
+        return [];
+    }
+
+    const issues = [];
+    const context = {
+        tableMap: new Map(tables.map(table => [table.name.toLowerCase(), table])),
+        report: (rule, severity, message, position) => {
+            issues.push({
+                rule,
+                severity,
+                message,
+                location: {
+                    offset: position.offset,
+                    line: position.line,
+                    column: position.column,
+                    length: position.length || 1
+                }
+            });
+        }
+    };
+
+    lintQuery(statement.type === 'EXPLAIN' ? statement.query : statement, null, new Map(), context);
+    return issues.sort((a, b) => a.location.offset - b.location.offset);
+}
+
+/**
+ * Lints a SELECT or set operation, with its CTEs
+ * @param {Object} query - SELECT or SET_OPERATION node
+ * @param {Object|null} parentScope - Scope of the enclosing query (for correlated subqueries)
+ * @param {Map} ctes - CTEs visible to the query, by lower-case name
+ * @param {Object} context - Table metadata and issue reporter
+ */
+function lintQuery(query, parentScope, ctes, context) {
+    const visibleCTEs = new Map(ctes);
+    (query.ctes || []).forEach(cte => {
+        lintQuery(cte.query, null, visibleCTEs, context);
+        visibleCTEs.set(cte.name.toLowerCase(), {
+            columns: cte.columns && cte.columns.length > 0 ? cte.columns : outputColumns(cte.query, visibleCTEs, context)
+        });
+    });
+
+    if (query.type === 'SET_OPERATION') {
+        lintQuery(query.left, parentScope, visibleCTEs, context);
+        lintQuery(query.right, parentScope, visibleCTEs, context);
+        return;
+    }
+
+    lintSelect(query, parentScope, visibleCTEs, context);
+}
+
+/**
+ * Lints a single SELECT
+ * @param {Object} statement - SELECT node
+ * @param {Object|null} parentScope - Scope of the enclosing query
+ * @param {Map} ctes - Visible CTEs
+ * @param {Object} context - Table metadata and issue reporter
+ */
+function lintSelect(statement, parentScope, ctes, context) {
+    const { report } = context;
+    const scope = buildScope(statement.from, parentScope, ctes, context);
+    const env = { scope, ctes, context, sources: scope.sources, selectAliases: null };
+
+    scope.sources.forEach(source => {
+        if (source.ref.subquery) {
+            // Derived tables cannot see the tables beside them
+            lintQuery(source.ref.subquery, null, ctes, context);
+        } else if (source.missing) {
+            report('unknown-table', 'error', `Table "${source.tableName}" not found.`, source.ref.position);
+        }
+    });
+
+    statement.columns.forEach(column => {
+        if (column.type !== 'STAR') {
+            checkExpression(column.expression, env);
+        } else if (column.table && !scope.sources.some(source => source.alias === column.table)) {
+            report('unknown-table', 'error', `Unknown table or alias "${column.table}" in ${column.table}.*`, column.position);
+        } else if (!column.table && statement.from.joins.length > 0) {
+            report('select-star-join', 'warning',
+                'SELECT * on a join returns every column of every table, including repeated join keys. List the columns you need or use alias.*.',
+                column.position);
+        }
+    });
+
+    // ON conditions can only use the tables joined so far
+    statement.from.joins.forEach((join, index) => {
+        if (!join.on) return;
+
+        const visible = scope.sources.slice(0, index + 2);
+        checkExpression(join.on, { ...env, sources: visible });
+        checkJoinCondition(join, visible, context);
+    });
+
+    // SELECT aliases are accepted as a fallback in the later clauses, as the engine does
+    const selectAliases = new Set(statement.columns
+        .filter(column => column.alias)
+        .map(column => column.alias.toLowerCase()));
+    const laterEnv = { ...env, selectAliases };
+    checkExpression(statement.where, laterEnv);
+    statement.groupBy.forEach(item => checkExpression(item, laterEnv));
+    checkExpression(statement.having, laterEnv);
+    statement.orderBy.forEach(item => checkExpression(item.expression, laterEnv));
+}
+
+/**
+ * Warns when a join's ON condition does not compare the joined table with a table before it
+ * @param {Object} join - JOIN node
+ * @param {Object[]} visible - Sources up to and including the joined table
+ * @param {Object} context - Issue reporter
+ */
+function checkJoinCondition(join, visible, context) {
+    const joined = visible[visible.length - 1];
+    const aliases = new Set();
+    let unresolved = false;
+
+    walkExpression(join.on, node => {
+        if (node.type !== 'COLUMN') return;
+        if (node.table) {
+            aliases.add(node.table);
+            return;
+        }
+        const matches = visible.filter(source => source.columns && hasColumn(source.columns, node.name));
+        if (matches.length === 1) {
+            aliases.add(matches[0].alias);
+        } else {
+            unresolved = true;
+        }
+    });
+
+    // Unresolved columns might link the tables - only warn when the condition is known not to
+    if (unresolved) return;
+
+    const linksEarlierTable = visible.slice(0, -1).some(source => aliases.has(source.alias));
+    if (!aliases.has(joined.alias) || !linksEarlierTable) {
+        context.report('missing-join-condition', 'warning',
+            `The ON condition does not link "${joined.alias}" to the tables before it, so every row is paired with every other row (like a CROSS JOIN).`,
+            join.position);
+    }
+}
+
+/**
+ * Checks the column references in an expression and lints its subqueries
+ * @param {Object|null} node - Expression node
+ * @param {Object} env - Scope, visible sources, SELECT aliases, CTEs and reporter
+ */
+function checkExpression(node, env) {
+    if (!node) return;
+
+    if (node.type === 'COLUMN') {
+        checkColumn(node, env);
+        return;
+    }
+    if (node.type === 'SUBQUERY' || node.type === 'EXISTS' || node.type === 'IN_SUBQUERY') {
+        lintQuery(node.query, { ...env.scope, sources: env.sources }, env.ctes, env.context);
+    }
+    childExpressions(node).forEach(child => checkExpression(child, env));
+}
+
+/**
+ * Reports an unknown, or ambiguous unqualified, column reference
+ * Columns resolve in the nearest query first, then in enclosing queries (correlated subqueries).
+ * @param {Object} node - COLUMN node
+ * @param {Object} env - Scope, visible sources and SELECT aliases
+ */
+function checkColumn(node, env) {
+    const { report } = env.context;
+    let sources = env.sources;
+    let scope = env.scope;
+
+    if (node.table) {
+        while (scope) {
+            const source = sources.find(candidate => candidate.alias === node.table);
+            if (source) {
+                if (source.columns && !hasColumn(source.columns, node.name)) {
+                    report('unknown-column', 'error', `Column "${node.name}" not found in table "${source.tableName}".`, node.position);
+                }
+                return;
+            }
+            scope = scope.parent;
+            sources = scope ? scope.sources : [];
+        }
+        report('unknown-table', 'error', `Unknown table or alias "${node.table}" in column "${node.table}.${node.name}".`, node.position);
+        return;
+    }
+
+    const searched = [];
+    while (scope) {
+        const matches = sources.filter(source => source.columns && hasColumn(source.columns, node.name));
+        if (matches.length > 1) {
+            report('ambiguous-column', 'warning',
+                `Column "${node.name}" is in more than one table (${matches.map(source => source.alias).join(', ')}). Qualify it, e.g. ${matches[0].alias}.${node.name}.`,
+                node.position);
+            return;
+        }
+        // A table whose columns are unknown might have it
+        if (matches.length === 1 || sources.some(source => !source.columns)) {
+            return;
+        }
+        searched.push(...sources.map(source => source.tableName));
+        scope = scope.parent;
+        sources = scope ? scope.sources : [];
+    }
+
+    // Quoted names that are not columns are treated as string literals by the engine
+    if (node.quoted || (env.selectAliases && env.selectAliases.has(node.name.toLowerCase()))) {
+        return;
+    }
+    report('unknown-column', 'error', `Column "${node.name}" not found in tables: ${searched.join(', ')}`, node.position);
+}
+
+/**
+ * Builds the tables of a FROM clause with their columns (null when they cannot be known)
+ * @param {Object} from - FROM clause node
+ * @param {Object|null} parentScope - Enclosing query's scope
+ * @param {Map} ctes - Visible CTEs
+ * @param {Object} context - Table metadata
+ * @returns {{sources: Object[], parent: Object|null}}
+ */
+function buildScope(from, parentScope, ctes, context) {
+    const sources = [from.table, ...from.joins.map(join => join.table)].map(ref => {
+        const name = ref.name.toLowerCase();
+        let columns = null;
+        let missing = false;
+
+        if (ref.subquery) {
+            columns = outputColumns(ref.subquery, ctes, context);
+        } else if (ctes.has(name)) {
+            columns = ctes.get(name).columns;
+        } else if (context.tableMap.has(name)) {
+            columns = context.tableMap.get(name).columns;
+        } else {
+            missing = true;
+        }
+
+        return { alias: ref.alias, tableName: ref.name, columns, missing, ref };
+    });
+
+    return { sources, parent: parentScope };
+}
+
+/**
+ * Gets the output column names of a query, named as the engine names them
+ * @param {Object} query - SELECT or SET_OPERATION node
+ * @param {Map} ctes - Visible CTEs
+ * @param {Object} context - Table metadata
+ * @returns {string[]|null} Column names, or null if a * cannot be expanded
+ */
+function outputColumns(query, ctes, context) {
+    if (query.type === 'SET_OPERATION') {
+        return outputColumns(query.left, ctes, context);
+    }
+
+    const visibleCTEs = new Map(ctes);
+    (query.ctes || []).forEach(cte => {
+        visibleCTEs.set(cte.name.toLowerCase(), {
+            columns: cte.columns && cte.columns.length > 0 ? cte.columns : outputColumns(cte.query, visibleCTEs, context)
+        });
+    });
+
+    const { sources } = buildScope(query.from, null, visibleCTEs, context);
+    const names = [];
+    for (const column of query.columns) {
+        if (column.type === 'STAR') {
+            const starSources = column.table ? sources.filter(source => source.alias === column.table) : sources;
+            if (starSources.length === 0 || starSources.some(source => !source.columns)) {
+                return null;
+            }
+            starSources.forEach(source => names.push(...source.columns));
+        } else {
+            const expression = column.expression;
+            names.push(column.alias || (expression.type === 'COLUMN' ? expression.name : expressionToSQL(expression)));
+        }
+    }
+    return names;
+}
+
+/**
+ * Calls a visitor for every node of an expression, not descending into subqueries
+ * @param {Object|null} node - Expression node
+ * @param {Function} visit - Visitor
+ */
+function walkExpression(node, visit) {
+    if (!node) return;
+    visit(node);
+    childExpressions(node).forEach(child => walkExpression(child, visit));
+}
+
+/**
+ * Gets the sub-expressions of an expression node (subquery bodies are not included)
+ * @param {Object} node - Expression node
+ * @returns {Object[]}
+ */
+function childExpressions(node) {
+    switch (node.type) {
+        case 'BINARY_OP':
+        case 'COMPARISON':
+        case 'LOGICAL':
+            return [node.left, node.right];
+        case 'NOT':
+        case 'UNARY_OP':
+        case 'IS_NULL':
+        case 'CAST':
+        case 'IN_SUBQUERY':
+            return [node.operand];
+        case 'LIKE':
+            return [node.operand, node.pattern];
+        case 'IN_LIST':
+            return [node.operand, ...node.values];
+        case 'BETWEEN':
+            return [node.operand, node.low, node.high];
+        case 'FUNCTION':
+            if (node.over) {
+                return [...node.args, ...node.over.partitionBy, ...node.over.orderBy.map(item => item.expression)];
+            }
+            return node.args;
+        case 'CASE':
+            return [
+                ...(node.operand ? [node.operand] : []),
+                ...node.whenClauses.flatMap(clause => [clause.when, clause.then]),
+                ...(node.elseResult ? [node.elseResult] : [])
+            ];
+        default:
+            return [];
+    }
+}
+
+function hasColumn(columns, name) {
+    const lower = name.toLowerCase();
+    return columns.some(column => String(column).toLowerCase() === lower);
+}
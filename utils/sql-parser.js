@@ -0,0 +1,1300 @@
+// SQL Parser
+// Tokenizes SQL text and parses SELECT statements into an AST using recursive descent
+// Example: SELECT s.status, COUNT(*) AS n FROM samples s WHERE s.lab_id < 10 GROUP BY s.status
+// Also parses CTEs (WITH name AS (...)), derived tables, scalar/IN/EXISTS subqueries and window functions (OVER)
+// Special function syntax: CASE, CAST(x AS type), EXTRACT(field FROM x), SUBSTRING(x FROM a FOR b)
+// Set operations: SELECT ... UNION [ALL] / INTERSECT [ALL] / EXCEPT [ALL] SELECT ... [ORDER BY ...] [LIMIT n]
+// EXPLAIN <query> wraps any query
+// Named parameters (:name or @name) are listed on the statement and bound to values by the engine
+
+// Words that always act as keywords and can never be used as bare identifiers or implicit aliases
+const RESERVED_WORDS = new Set([
+    'SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+    'DISTINCT', 'ALL', 'AS', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON',
+    'AND', 'OR', 'NOT', 'IS', 'NULL', 'LIKE', 'ILIKE', 'IN', 'BETWEEN', 'EXISTS',
+    'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'TRUE', 'FALSE',
+    'UNION', 'INTERSECT', 'EXCEPT', 'WITH',
+    'INSERT', 'UPDATE', 'DELETE', 'DROP', 'CREATE', 'ALTER'
+]);
+
+const TWO_CHAR_OPERATORS = ['<=', '>=', '<>', '!=', '||'];
+const ONE_CHAR_OPERATORS = ['=', '<', '>', '+', '-', '*', '/', '%'];
+const PUNCTUATION = ['(', ')', ',', '.', ';'];
+
+/**
+ * Creates an Error that carries the location of the offending SQL text
+ * The location is exposed as error.location so the editor can highlight it.
+ * @param {string} message - Error message
+ * @param {{offset: number, line: number, column: number, length?: number}|null} position - Source position
+ * @returns {Error}
+ */
+export function createSQLError(message, position) {
+    if (!position) {
+        return new Error(message);
+    }
+    const error = new Error(`${message} (line ${position.line}, column ${position.column})`);
+    error.location = {
+        offset: position.offset,
+        line: position.line,
+        column: position.column,
+        length: position.length || 1
+    };
+    return error;
+}
+
+/**
+ * Parses a SQL query into an AST
+ * @param {string} sql - SQL query string
+ * @returns {Object} SELECT, SET_OPERATION or EXPLAIN statement node; statement.parameters lists its PARAMETER nodes
+ * @throws {Error} If the SQL is invalid (error.location holds line and column)
+ */
+export function parseSQL(sql) {
+    const tokens = tokenizeSQL(sql);
+    return parse(tokens);
+}
+
+/**
+ * Tokenizes SQL text
+ * Token types: KEYWORD, IDENTIFIER, NUMBER, STRING, OPERATOR, PARAMETER, punctuation ( ) , . ; and EOF
+ * @param {string} sql - SQL query string
+ * @returns {Array<{type: string, value: any, position: Object}>}
+ * @throws {Error} On unterminated strings/comments or unexpected characters
+ */
+export function tokenizeSQL(sql) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const positionAt = (offset, length) => ({
+        offset,
+        line,
+        column: offset - lineStart + 1,
+        length
+    });
+
+    // Advances over text that may contain newlines, keeping line tracking accurate
+    const advance = (count) => {
+        for (let k = 0; k < count; k++) {
+            if (sql[i] === '\n') {
+                line++;
+                lineStart = i + 1;
+            }
+            i++;
+        }
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+
+        // Skip whitespace
+        if (/\s/.test(char)) {
+            advance(1);
+            continue;
+        }
+
+        // Line comments (-- ...)
+        if (char === '-' && sql[i + 1] === '-') {
+            while (i < sql.length && sql[i] !== '\n') {
+                i++;
+            }
+            continue;
+        }
+
+        // Block comments (/* ... */)
+        if (char === '/' && sql[i + 1] === '*') {
+            const start = positionAt(i, 2);
+            const end = sql.indexOf('*/', i + 2);
+            if (end === -1) {
+                throw createSQLError('Unterminated comment', start);
+            }
+            advance(end + 2 - i);
+            continue;
+        }
+
+        // Numbers (integers, decimals and exponents)
+        if (/\d/.test(char) || (char === '.' && /\d/.test(sql[i + 1] || ''))) {
+            const match = sql.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+            tokens.push({ type: 'NUMBER', value: parseFloat(match[0]), position: positionAt(i, match[0].length) });
+            i += match[0].length;
+            continue;
+        }
+
+        // String literals ('...', with '' as an escaped quote)
+        if (char === "'") {
+            const start = positionAt(i, 1);
+            let value = '';
+            let j = i + 1;
+            let closed = false;
+            while (j < sql.length) {
+                if (sql[j] === "'") {
+                    if (sql[j + 1] === "'") {
+                        value += "'";
+                        j += 2;
+                        continue;
+                    }
+                    closed = true;
+                    break;
+                }
+                value += sql[j];
+                j++;
+            }
+            if (!closed) {
+                throw createSQLError('Unterminated string literal', start);
+            }
+            start.length = j + 1 - i;
+            tokens.push({ type: 'STRING', value, position: start });
+            advance(j + 1 - i);
+            continue;
+        }
+
+        // Quoted identifiers ("name", `name` or [name])
+        if (char === '"' || char === '`' || char === '[') {
+            const closing = char === '[' ? ']' : char;
+            const start = positionAt(i, 1);
+            let value = '';
+            let j = i + 1;
+            let closed = false;
+            while (j < sql.length) {
+                if (sql[j] === closing) {
+                    // A doubled closing character is an escaped one
+                    if (sql[j + 1] === closing) {
+                        value += closing;
+                        j += 2;
+                        continue;
+                    }
+                    closed = true;
+                    break;
+                }
+                value += sql[j];
+                j++;
+            }
+            if (!closed) {
+                throw createSQLError('Unterminated quoted identifier', start);
+            }
+            start.length = j + 1 - i;
+            tokens.push({ type: 'IDENTIFIER', value, quoted: true, position: start });
+            advance(j + 1 - i);
+            continue;
+        }
+
+        // Words - keywords or identifiers
+        if (/[A-Za-z_]/.test(char)) {
+            const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            const word = match[0];
+            const upper = word.toUpperCase();
+            if (RESERVED_WORDS.has(upper)) {
+                tokens.push({ type: 'KEYWORD', value: upper, position: positionAt(i, word.length) });
+            } else {
+                tokens.push({ type: 'IDENTIFIER', value: word, position: positionAt(i, word.length) });
+            }
+            i += word.length;
+            continue;
+        }
+
+        // Named parameters (:name or @name)
+        if ((char === ':' || char === '@') && /[A-Za-z_]/.test(sql[i + 1] || '')) {
+            const name = sql.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            tokens.push({ type: 'PARAMETER', value: name, position: positionAt(i, name.length + 1) });
+            i += name.length + 1;
+            continue;
+        }
+
+        // Operators
+        const twoChar = sql.substring(i, i + 2);
+        if (TWO_CHAR_OPERATORS.includes(twoChar)) {
+            tokens.push({ type: 'OPERATOR', value: twoChar === '<>' ? '!=' : twoChar, position: positionAt(i, 2) });
+            i += 2;
+            continue;
+        }
+        if (ONE_CHAR_OPERATORS.includes(char)) {
+            tokens.push({ type: 'OPERATOR', value: char, position: positionAt(i, 1) });
+            i++;
+            continue;
+        }
+
+        // Punctuation
+        if (PUNCTUATION.includes(char)) {
+            tokens.push({ type: char, value: char, position: positionAt(i, 1) });
+            i++;
+            continue;
+        }
+
+        throw createSQLError(`Unexpected character "${char}"`, positionAt(i, 1));
+    }
+
+    tokens.push({ type: 'EOF', value: null, position: positionAt(i, 0) });
+    return tokens;
+}
+
+/**
+ * Parses tokens into a SELECT statement AST using recursive descent
+ * Expression precedence (lowest to highest): OR, AND, NOT, comparison/IS/LIKE, + - ||, * / %, unary minus
+ * @param {Array} tokens - Tokens from tokenizeSQL
+ * @returns {Object} SELECT statement node
+ */
+function parse(tokens) {
+    let index = 0;
+    const parameters = [];
+
+    const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+    const next = () => tokens[index++];
+
+    const isKeyword = (token, ...keywords) => token.type === 'KEYWORD' && keywords.includes(token.value);
+    // Non-reserved words (ASC, DESC, NULLS, FIRST, LAST, TOP, OVER, PARTITION, ROWS, ...) arrive as identifiers
+    const isWord = (token, word) => token.type === 'IDENTIFIER' && !token.quoted && token.value.toUpperCase() === word;
+
+    const describe = (token) => {
+        if (token.type === 'EOF') return 'end of query';
+        if (token.type === 'STRING') return `'${token.value}'`;
+        if (token.type === 'PARAMETER') return `parameter :${token.value}`;
+        return `"${token.value}"`;
+    };
+
+    const fail = (message, token = peek()) => {
+        throw createSQLError(message, token.position);
+    };
+
+    const expectKeyword = (keyword) => {
+        const token = peek();
+        if (!isKeyword(token, keyword)) {
+            fail(`Expected ${keyword} but found ${describe(token)}`, token);
+        }
+        return next();
+    };
+
+    const expectType = (type, description = type) => {
+        const token = peek();
+        if (token.type !== type) {
+            fail(`Expected ${description} but found ${describe(token)}`, token);
+        }
+        return next();
+    };
+
+    const acceptKeyword = (...keywords) => {
+        if (isKeyword(peek(), ...keywords)) {
+            return next();
+        }
+        return null;
+    };
+
+    function parseStatement() {
+        const first = peek();
+        if (first.type === 'EOF') {
+            throw new Error('SQL query cannot be empty');
+        }
+
+        // EXPLAIN [ANALYZE] <query> - the query always runs so actual row counts can be reported
+        let explain = null;
+        if (isWord(first, 'EXPLAIN')) {
+            next();
+            if (isWord(peek(), 'ANALYZE')) {
+                next();
+            }
+            explain = { type: 'EXPLAIN', query: null, position: first.position };
+        }
+
+        const queryStart = peek();
+        if (!isKeyword(queryStart, 'SELECT', 'WITH') && !startsSubquery()) {
+            fail(explain
+                ? `Expected a SELECT query after EXPLAIN but found ${describe(queryStart)}`
+                : 'SQL query must start with SELECT or WITH. Only SELECT queries are supported.', queryStart);
+        }
+
+        const query = parseQuery();
+        const statement = explain ? { ...explain, query } : query;
+
+        // Allow a single trailing semicolon
+        if (peek().type === ';') {
+            next();
+        }
+        if (peek().type !== 'EOF') {
+            fail(`Unexpected ${describe(peek())} after end of query`);
+        }
+
+        return statement;
+    }
+
+    // Optional WITH clause followed by a SELECT or set operation (top-level statement, subqueries and CTE bodies)
+    function parseQuery() {
+        const ctes = isKeyword(peek(), 'WITH') ? parseWith() : [];
+        const statement = parseSetOperation();
+        statement.ctes = ctes;
+        return statement;
+    }
+
+    // UNION / EXCEPT of INTERSECT terms, left to right; ORDER BY and LIMIT after the last SELECT apply to the whole result
+    function parseSetOperation() {
+        const first = parseIntersectTerm();
+        if (!isKeyword(peek(), 'UNION', 'EXCEPT')) {
+            return first.operands ? hoistTrailingClauses(first.query, first.operands, first.last) : first.query;
+        }
+
+        let query = first.query;
+        let last = first;
+        const operands = [first];
+        while (isKeyword(peek(), 'UNION', 'EXCEPT')) {
+            const operatorToken = next();
+            const all = parseSetQuantifier();
+            last = parseIntersectTerm();
+            operands.push(last);
+            query = createSetOperation(operatorToken, all, query, last.query);
+        }
+        return hoistTrailingClauses(query, operands, last);
+    }
+
+    // INTERSECT binds more tightly than UNION and EXCEPT
+    function parseIntersectTerm() {
+        const first = parseSetOperand();
+        if (!isKeyword(peek(), 'INTERSECT')) {
+            return first;
+        }
+
+        let query = first.query;
+        let last = first;
+        const operands = [first];
+        while (isKeyword(peek(), 'INTERSECT')) {
+            const operatorToken = next();
+            const all = parseSetQuantifier();
+            last = parseSetOperand();
+            operands.push(last);
+            query = createSetOperation(operatorToken, all, query, last.query);
+        }
+        // Trailing clauses stay with the last SELECT until the enclosing UNION/EXCEPT (if any) decides
+        return { query, operands, last, parenthesized: false };
+    }
+
+    // A SELECT, or a parenthesized query whose ORDER BY/LIMIT stay inside the parentheses
+    function parseSetOperand() {
+        if (startsSubquery()) {
+            next(); // consume (
+            const query = parseQuery();
+            expectType(')', ') to close the query');
+            return { query, parenthesized: true };
+        }
+        if (!isKeyword(peek(), 'SELECT')) {
+            fail(`Expected SELECT but found ${describe(peek())}`);
+        }
+        return { query: parseSelect(), parenthesized: false };
+    }
+
+    // [ALL | DISTINCT] after a set operator; DISTINCT is the default
+    function parseSetQuantifier() {
+        if (acceptKeyword('ALL')) {
+            return true;
+        }
+        acceptKeyword('DISTINCT');
+        return false;
+    }
+
+    function createSetOperation(operatorToken, all, left, right) {
+        return {
+            type: 'SET_OPERATION',
+            operator: operatorToken.value,
+            all,
+            left,
+            right,
+            ctes: [],
+            orderBy: [],
+            limit: null,
+            offset: null,
+            position: operatorToken.position
+        };
+    }
+
+    // Moves ORDER BY/LIMIT/OFFSET parsed with the last SELECT onto the set operation; rejects them on earlier SELECTs
+    function hoistTrailingClauses(query, operands, last) {
+        const flatten = operand => (operand.operands ? operand.operands.flatMap(flatten) : [operand]);
+        const selects = operands.flatMap(flatten).filter(operand => !operand.parenthesized);
+        const lastSelect = flatten(last).pop();
+
+        selects.forEach(operand => {
+            const select = operand.query;
+            if (operand === lastSelect || !hasTrailingClauses(select)) return;
+            const clause = select.orderBy.length > 0 ? select.orderBy[0] : select;
+            fail(`ORDER BY and LIMIT must come after the last SELECT of a ${query.operator}. Wrap a SELECT in parentheses to sort or limit it on its own.`, clause);
+        });
+
+        if (!lastSelect.parenthesized) {
+            const select = lastSelect.query;
+            query.orderBy = select.orderBy;
+            select.orderBy = [];
+            if (!select.top) {
+                query.limit = select.limit;
+                query.offset = select.offset;
+                select.limit = null;
+                select.offset = null;
+            }
+        }
+        return query;
+    }
+
+    // TOP n belongs to its own SELECT, so only LIMIT/OFFSET and ORDER BY count as trailing clauses
+    function hasTrailingClauses(select) {
+        return select.orderBy.length > 0 || (select.limit !== null && !select.top) || select.offset !== null;
+    }
+
+    function parseWith() {
+        expectKeyword('WITH');
+        if (isWord(peek(), 'RECURSIVE') && peek(1).type === 'IDENTIFIER') {
+            fail('WITH RECURSIVE is not supported. Only non-recursive CTEs can be used.');
+        }
+
+        const ctes = [];
+        do {
+            if (ctes.length > 0) next(); // consume ,
+            const nameToken = expectType('IDENTIFIER', 'a CTE name');
+
+            // Optional column list: WITH latest(sample_id, result_date) AS (...)
+            let columns = null;
+            if (peek().type === '(') {
+                next();
+                columns = [normalizeIdentifier(expectType('IDENTIFIER', 'a column name'))];
+                while (peek().type === ',') {
+                    next();
+                    columns.push(normalizeIdentifier(expectType('IDENTIFIER', 'a column name')));
+                }
+                expectType(')', ') to close the column list');
+            }
+
+            expectKeyword('AS');
+            const query = parseParenthesizedQuery(`"${nameToken.value}" AS`);
+            ctes.push({ type: 'CTE', name: normalizeIdentifier(nameToken), columns, query, position: nameToken.position });
+        } while (peek().type === ',');
+
+        return ctes;
+    }
+
+    // "(SELECT ...)" - context describes what precedes the subquery, for error messages
+    function parseParenthesizedQuery(context) {
+        expectType('(', `( after ${context}`);
+        if (!isKeyword(peek(), 'SELECT', 'WITH')) {
+            fail(`Expected a subquery after ${context} but found ${describe(peek())}`);
+        }
+        const query = parseQuery();
+        expectType(')', ') to close the subquery');
+        return query;
+    }
+
+    const startsSubquery = () => peek().type === '(' && isKeyword(peek(1), 'SELECT', 'WITH');
+
+    function parseSelect() {
+        const selectToken = expectKeyword('SELECT');
+        const statement = {
+            type: 'SELECT',
+            ctes: [],
+            distinct: false,
+            columns: [],
+            from: null,
+            where: null,
+            groupBy: [],
+            having: null,
+            orderBy: [],
+            limit: null,
+            offset: null,
+            position: selectToken.position
+        };
+
+        if (acceptKeyword('DISTINCT')) {
+            statement.distinct = true;
+        } else {
+            acceptKeyword('ALL');
+        }
+
+        // SQL Server style TOP n
+        if (isWord(peek(), 'TOP') && peek(1).type === 'NUMBER') {
+            next();
+            statement.limit = parseRowCount('TOP');
+            statement.top = true;
+        }
+
+        statement.columns = parseSelectList();
+
+        if (!isKeyword(peek(), 'FROM')) {
+            fail('SQL query must include a FROM clause with a table name.');
+        }
+        next();
+        statement.from = parseFrom();
+
+        if (acceptKeyword('WHERE')) {
+            statement.where = parseExpression();
+        }
+
+        if (acceptKeyword('GROUP')) {
+            expectKeyword('BY');
+            statement.groupBy = parseExpressionList();
+        }
+
+        if (acceptKeyword('HAVING')) {
+            statement.having = parseExpression();
+        }
+
+        if (acceptKeyword('ORDER')) {
+            expectKeyword('BY');
+            statement.orderBy = parseOrderByList();
+        }
+
+        if (acceptKeyword('LIMIT')) {
+            statement.limit = parseRowCount('LIMIT');
+            if (acceptKeyword('OFFSET')) {
+                statement.offset = parseRowCount('OFFSET');
+            }
+        } else if (acceptKeyword('OFFSET')) {
+            statement.offset = parseRowCount('OFFSET');
+        }
+
+        return statement;
+    }
+
+    function parseRowCount(clause) {
+        const token = peek();
+        if (token.type !== 'NUMBER' || !Number.isInteger(token.value) || token.value < 0) {
+            fail(`${clause} clause must contain a positive number. Example: LIMIT 10 or SELECT TOP 10`, token);
+        }
+        next();
+        return token.value;
+    }
+
+    function parseSelectList() {
+        const columns = [parseSelectItem()];
+        while (peek().type === ',') {
+            next();
+            columns.push(parseSelectItem());
+        }
+        return columns;
+    }
+
+    function parseSelectItem() {
+        const token = peek();
+
+        // SELECT *
+        if (token.type === 'OPERATOR' && token.value === '*') {
+            next();
+            return { type: 'STAR', table: null, position: token.position };
+        }
+
+        // SELECT alias.*
+        if (token.type === 'IDENTIFIER' && peek(1).type === '.' && peek(2).type === 'OPERATOR' && peek(2).value === '*') {
+            next();
+            next();
+            next();
+            return { type: 'STAR', table: normalizeIdentifier(token), position: token.position };
+        }
+
+        const expression = parseExpression();
+        const alias = parseOptionalAlias();
+        return { type: 'SELECT_ITEM', expression, alias, position: expression.position };
+    }
+
+    function parseOptionalAlias() {
+        if (acceptKeyword('AS')) {
+            const token = peek();
+            if (token.type !== 'IDENTIFIER' && token.type !== 'STRING') {
+                fail(`Expected an alias after AS but found ${describe(token)}`, token);
+            }
+            next();
+            return token.type === 'STRING' ? token.value : normalizeIdentifier(token);
+        }
+
+        // Implicit alias: a bare identifier that is not a clause word such as ASC/DESC
+        const token = peek();
+        if (token.type === 'IDENTIFIER' && !['ASC', 'DESC', 'NULLS'].includes(token.value.toUpperCase())) {
+            next();
+            return normalizeIdentifier(token);
+        }
+        return null;
+    }
+
+    function parseFrom() {
+        const from = { table: parseTableReference(), joins: [] };
+
+        while (true) {
+            const token = peek();
+            let joinType = null;
+
+            if (isKeyword(token, 'JOIN')) {
+                joinType = 'INNER';
+            } else if (isKeyword(token, 'INNER') && isKeyword(peek(1), 'JOIN')) {
+                next();
+                joinType = 'INNER';
+            } else if (isKeyword(token, 'LEFT', 'RIGHT', 'FULL')) {
+                next();
+                acceptKeyword('OUTER');
+                joinType = token.value;
+                if (!isKeyword(peek(), 'JOIN')) {
+                    fail(`Expected JOIN after ${token.value} but found ${describe(peek())}`);
+                }
+            } else if (isKeyword(token, 'CROSS')) {
+                next();
+                joinType = 'CROSS';
+                if (!isKeyword(peek(), 'JOIN')) {
+                    fail(`Expected JOIN after CROSS but found ${describe(peek())}`);
+                }
+            } else {
+                break;
+            }
+
+            const joinToken = expectKeyword('JOIN');
+            const table = parseTableReference();
+
+            // CROSS JOIN pairs every row and takes no condition
+            if (joinType === 'CROSS') {
+                if (isKeyword(peek(), 'ON')) {
+                    fail('CROSS JOIN does not take an ON condition. Use INNER JOIN ... ON instead.');
+                }
+                from.joins.push({ type: 'JOIN', joinType, table, on: null, position: joinToken.position });
+                continue;
+            }
+
+            if (!isKeyword(peek(), 'ON')) {
+                fail(`${joinType} JOIN on "${table.name}" requires an ON condition`);
+            }
+            next();
+            const on = parseExpression();
+            from.joins.push({ type: 'JOIN', joinType, table, on, position: joinToken.position });
+        }
+
+        return from;
+    }
+
+    function parseTableReference() {
+        const token = peek();
+
+        // Derived table: FROM (SELECT ...) alias
+        if (startsSubquery()) {
+            const subquery = parseParenthesizedQuery('FROM');
+            acceptKeyword('AS');
+            if (peek().type !== 'IDENTIFIER') {
+                fail('A subquery in FROM must have an alias, e.g. (SELECT ...) AS t');
+            }
+            const alias = normalizeIdentifier(next());
+            return { type: 'TABLE', name: alias, alias, subquery, position: token.position };
+        }
+
+        if (token.type !== 'IDENTIFIER') {
+            fail(`Expected a table name but found ${describe(token)}`, token);
+        }
+        next();
+        let nameToken = token;
+
+        // schema.table - the schema is ignored
+        while (peek().type === '.' && peek(1).type === 'IDENTIFIER') {
+            next();
+            nameToken = next();
+        }
+
+        const name = normalizeIdentifier(nameToken);
+        let alias = name;
+        if (acceptKeyword('AS')) {
+            alias = normalizeIdentifier(expectType('IDENTIFIER', 'a table alias'));
+        } else if (peek().type === 'IDENTIFIER') {
+            alias = normalizeIdentifier(next());
+        }
+
+        return { type: 'TABLE', name, alias, position: nameToken.position };
+    }
+
+    function parseExpressionList() {
+        const expressions = [parseExpression()];
+        while (peek().type === ',') {
+            next();
+            expressions.push(parseExpression());
+        }
+        return expressions;
+    }
+
+    function parseOrderByList() {
+        const items = [];
+        do {
+            if (items.length > 0) next(); // consume ,
+            const expression = parseExpression();
+            let descending = false;
+            if (isWord(peek(), 'ASC')) {
+                next();
+            } else if (isWord(peek(), 'DESC')) {
+                next();
+                descending = true;
+            }
+            // Default NULL placement follows PostgreSQL: NULLs sort as if larger than any value
+            let nullsFirst = descending;
+            if (isWord(peek(), 'NULLS')) {
+                next();
+                if (isWord(peek(), 'FIRST')) {
+                    nullsFirst = true;
+                } else if (isWord(peek(), 'LAST')) {
+                    nullsFirst = false;
+                } else {
+                    fail(`Expected FIRST or LAST after NULLS but found ${describe(peek())}`);
+                }
+                next();
+            }
+            items.push({ expression, descending, nullsFirst, position: expression.position });
+        } while (peek().type === ',');
+        return items;
+    }
+
+    function parseExpression() {
+        return parseOr();
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isKeyword(peek(), 'OR')) {
+            const token = next();
+            const right = parseAnd();
+            left = { type: 'LOGICAL', operator: 'OR', left, right, position: token.position };
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (isKeyword(peek(), 'AND')) {
+            const token = next();
+            const right = parseNot();
+            left = { type: 'LOGICAL', operator: 'AND', left, right, position: token.position };
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (isKeyword(peek(), 'NOT')) {
+            const token = next();
+            return { type: 'NOT', operand: parseNot(), position: token.position };
+        }
+        return parsePredicate();
+    }
+
+    function parsePredicate() {
+        const left = parseAdditive();
+        const token = peek();
+
+        // Comparison operators
+        if (token.type === 'OPERATOR' && ['=', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+            next();
+            const right = parseAdditive();
+            return { type: 'COMPARISON', operator: token.value, left, right, position: token.position };
+        }
+
+        // IS [NOT] NULL
+        if (isKeyword(token, 'IS')) {
+            next();
+            const negated = !!acceptKeyword('NOT');
+            expectKeyword('NULL');
+            return { type: 'IS_NULL', operand: left, negated, position: token.position };
+        }
+
+        const negated = isKeyword(token, 'NOT') && isKeyword(peek(1), 'IN', 'BETWEEN', 'LIKE', 'ILIKE');
+        const operator = negated ? peek(1) : token;
+
+        // [NOT] IN (SELECT ...) or [NOT] IN (value, ...)
+        if (isKeyword(operator, 'IN')) {
+            if (negated) next();
+            next();
+            if (startsSubquery()) {
+                const query = parseParenthesizedQuery('IN');
+                return { type: 'IN_SUBQUERY', operand: left, query, negated, position: token.position };
+            }
+            expectType('(', '( after IN');
+            if (peek().type === ')') {
+                fail('IN list cannot be empty');
+            }
+            const values = parseExpressionList();
+            expectType(')', ') to close the IN list');
+            return { type: 'IN_LIST', operand: left, values, negated, position: token.position };
+        }
+
+        // [NOT] BETWEEN low AND high
+        if (isKeyword(operator, 'BETWEEN')) {
+            if (negated) next();
+            next();
+            const low = parseAdditive();
+            expectKeyword('AND');
+            const high = parseAdditive();
+            return { type: 'BETWEEN', operand: left, low, high, negated, position: token.position };
+        }
+
+        // [NOT] LIKE (case-sensitive) / [NOT] ILIKE (case-insensitive)
+        if (isKeyword(operator, 'LIKE', 'ILIKE')) {
+            if (negated) next();
+            next();
+            const pattern = parseAdditive();
+            return { type: 'LIKE', operand: left, pattern, negated, insensitive: operator.value === 'ILIKE', position: token.position };
+        }
+
+        return left;
+    }
+
+    function parseAdditive() {
+        let left = parseMultiplicative();
+        while (peek().type === 'OPERATOR' && ['+', '-', '||'].includes(peek().value)) {
+            const token = next();
+            const right = parseMultiplicative();
+            left = { type: 'BINARY_OP', operator: token.value, left, right, position: token.position };
+        }
+        return left;
+    }
+
+    function parseMultiplicative() {
+        let left = parseUnary();
+        while (peek().type === 'OPERATOR' && ['*', '/', '%'].includes(peek().value)) {
+            const token = next();
+            const right = parseUnary();
+            left = { type: 'BINARY_OP', operator: token.value, left, right, position: token.position };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token.type === 'OPERATOR' && (token.value === '-' || token.value === '+')) {
+            next();
+            const operand = parseUnary();
+            if (token.value === '+') return operand;
+            if (operand.type === 'NUMBER') {
+                return { ...operand, value: -operand.value, position: token.position };
+            }
+            return { type: 'UNARY_OP', operator: '-', operand, position: token.position };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        if (token.type === 'NUMBER') {
+            next();
+            return { type: 'NUMBER', value: token.value, position: token.position };
+        }
+
+        if (token.type === 'STRING') {
+            next();
+            return { type: 'STRING', value: token.value, position: token.position };
+        }
+
+        if (isKeyword(token, 'NULL')) {
+            next();
+            return { type: 'NULL', value: null, position: token.position };
+        }
+
+        if (isKeyword(token, 'TRUE', 'FALSE')) {
+            next();
+            return { type: 'BOOLEAN', value: token.value === 'TRUE', position: token.position };
+        }
+
+        if (token.type === 'PARAMETER') {
+            next();
+            const parameter = { type: 'PARAMETER', name: token.value, position: token.position };
+            parameters.push(parameter);
+            return parameter;
+        }
+
+        // Scalar subquery
+        if (startsSubquery()) {
+            return { type: 'SUBQUERY', query: parseParenthesizedQuery('('), position: token.position };
+        }
+
+        // EXISTS (SELECT ...)
+        if (isKeyword(token, 'EXISTS')) {
+            next();
+            return { type: 'EXISTS', query: parseParenthesizedQuery('EXISTS'), position: token.position };
+        }
+
+        // Parenthesized expression
+        if (token.type === '(') {
+            next();
+            const expression = parseExpression();
+            expectType(')', ')');
+            return expression;
+        }
+
+        if (isKeyword(token, 'CASE')) {
+            return parseCase();
+        }
+
+        if (token.type === 'IDENTIFIER') {
+            // Function call
+            if (peek(1).type === '(' && !token.quoted) {
+                if (isWord(token, 'CAST')) {
+                    return parseCast();
+                }
+                if (isWord(token, 'EXTRACT')) {
+                    return parseExtract();
+                }
+                return parseFunctionCall();
+            }
+            return parseColumnReference();
+        }
+
+        fail(`Unexpected ${describe(token)}`, token);
+    }
+
+    function parseFunctionCall() {
+        const nameToken = next();
+        next(); // consume (
+        const node = {
+            type: 'FUNCTION',
+            name: nameToken.value.toUpperCase(),
+            args: [],
+            distinct: false,
+            position: nameToken.position
+        };
+
+        if (acceptKeyword('DISTINCT')) {
+            node.distinct = true;
+        }
+
+        if (peek().type === 'OPERATOR' && peek().value === '*') {
+            // COUNT(*)
+            const starToken = next();
+            node.args.push({ type: 'STAR', table: null, position: starToken.position });
+        } else if (['DATE_TRUNC', 'DATEDIFF', 'DATE_PART'].includes(node.name) && peek().type === 'IDENTIFIER'
+            && !peek().quoted && peek(1).type === ',') {
+            // Bare unit name, e.g. DATEDIFF(day, start, end)
+            const unitToken = next();
+            next(); // consume ,
+            node.args = [{ type: 'STRING', value: unitToken.value.toLowerCase(), position: unitToken.position }, ...parseExpressionList()];
+        } else if (peek().type !== ')') {
+            node.args = parseExpressionList();
+        }
+
+        // SUBSTRING(text FROM start [FOR length])
+        if (node.name === 'SUBSTRING' && node.args.length === 1 && acceptKeyword('FROM')) {
+            node.args.push(parseExpression());
+            if (isWord(peek(), 'FOR')) {
+                next();
+                node.args.push(parseExpression());
+            }
+        }
+
+        expectType(')', `) to close ${node.name}(`);
+
+        // Window function: fn(...) OVER (PARTITION BY ... ORDER BY ... ROWS ...)
+        if (isWord(peek(), 'OVER')) {
+            next();
+            node.over = parseWindowSpec();
+        }
+        return node;
+    }
+
+    // CASE [operand] WHEN ... THEN ... [ELSE ...] END
+    function parseCase() {
+        const caseToken = next();
+        const node = { type: 'CASE', operand: null, whenClauses: [], elseResult: null, position: caseToken.position };
+
+        if (isKeyword(peek(), 'END', 'ELSE')) {
+            fail('CASE needs at least one WHEN ... THEN branch');
+        }
+        if (!isKeyword(peek(), 'WHEN')) {
+            node.operand = parseExpression();
+        }
+        if (!isKeyword(peek(), 'WHEN')) {
+            fail(`Expected WHEN but found ${describe(peek())}`);
+        }
+        while (acceptKeyword('WHEN')) {
+            const when = parseExpression();
+            expectKeyword('THEN');
+            node.whenClauses.push({ when, then: parseExpression() });
+        }
+        if (acceptKeyword('ELSE')) {
+            node.elseResult = parseExpression();
+        }
+        if (!isKeyword(peek(), 'END')) {
+            fail(`Expected END to close CASE but found ${describe(peek())}`);
+        }
+        next();
+        return node;
+    }
+
+    // CAST(expression AS type), e.g. CAST(result_value AS DECIMAL(10, 2))
+    function parseCast() {
+        const castToken = next();
+        next(); // consume (
+        const operand = parseExpression();
+        expectKeyword('AS');
+
+        const typeToken = peek();
+        if (typeToken.type !== 'IDENTIFIER' || typeToken.quoted) {
+            fail(`Expected a type name after AS but found ${describe(typeToken)}`);
+        }
+        next();
+        const node = {
+            type: 'CAST',
+            operand,
+            targetType: typeToken.value.toUpperCase(),
+            scale: null,
+            position: castToken.position,
+            typePosition: typeToken.position
+        };
+        if (node.targetType === 'DOUBLE' && isWord(peek(), 'PRECISION')) {
+            next();
+        }
+
+        // Type modifiers: VARCHAR(50), DECIMAL(10, 2) - only the DECIMAL scale affects the result
+        if (peek().type === '(') {
+            next();
+            const modifiers = [expectType('NUMBER', 'a number').value];
+            if (peek().type === ',') {
+                next();
+                modifiers.push(expectType('NUMBER', 'a number').value);
+            }
+            expectType(')', ') to close the type');
+            if (['DECIMAL', 'NUMERIC'].includes(node.targetType)) {
+                node.scale = modifiers.length > 1 ? modifiers[1] : 0;
+            }
+        }
+
+        expectType(')', ') to close CAST(');
+        return node;
+    }
+
+    // EXTRACT(field FROM date), parsed as a FUNCTION with the field name as a string argument
+    function parseExtract() {
+        const nameToken = next();
+        next(); // consume (
+        const fieldToken = peek();
+        if ((fieldToken.type !== 'IDENTIFIER' || fieldToken.quoted) && fieldToken.type !== 'STRING') {
+            fail(`Expected a date field such as YEAR or MONTH but found ${describe(fieldToken)}`);
+        }
+        next();
+        expectKeyword('FROM');
+        const node = {
+            type: 'FUNCTION',
+            name: 'EXTRACT',
+            args: [{ type: 'STRING', value: fieldToken.value.toLowerCase(), position: fieldToken.position }, parseExpression()],
+            distinct: false,
+            position: nameToken.position
+        };
+        expectType(')', ') to close EXTRACT(');
+        return node;
+    }
+
+    function parseWindowSpec() {
+        const openToken = expectType('(', '( after OVER');
+        const over = { partitionBy: [], orderBy: [], frame: null, position: openToken.position };
+
+        if (isWord(peek(), 'PARTITION')) {
+            next();
+            expectKeyword('BY');
+            over.partitionBy = parseExpressionList();
+        }
+
+        if (acceptKeyword('ORDER')) {
+            expectKeyword('BY');
+            over.orderBy = parseOrderByList();
+        }
+
+        if (isWord(peek(), 'RANGE') || isWord(peek(), 'GROUPS')) {
+            fail(`${peek().value.toUpperCase()} frames are not supported. Use ROWS BETWEEN ... AND ...`);
+        }
+
+        if (isWord(peek(), 'ROWS')) {
+            const frameToken = next();
+            let start;
+            let end;
+            if (acceptKeyword('BETWEEN')) {
+                start = parseFrameBound();
+                expectKeyword('AND');
+                end = parseFrameBound();
+            } else {
+                // ROWS n PRECEDING is short for ROWS BETWEEN n PRECEDING AND CURRENT ROW
+                start = parseFrameBound();
+                end = { type: 'CURRENT_ROW', offset: 0 };
+            }
+            if (start.type === 'UNBOUNDED_FOLLOWING' || end.type === 'UNBOUNDED_PRECEDING') {
+                fail('Window frame cannot start at UNBOUNDED FOLLOWING or end at UNBOUNDED PRECEDING', frameToken);
+            }
+            over.frame = { start, end, position: frameToken.position };
+        }
+
+        expectType(')', ') to close OVER (');
+        return over;
+    }
+
+    function parseFrameBound() {
+        const token = peek();
+
+        if (isWord(token, 'UNBOUNDED')) {
+            next();
+            if (isWord(peek(), 'PRECEDING') || isWord(peek(), 'FOLLOWING')) {
+                return { type: `UNBOUNDED_${next().value.toUpperCase()}`, offset: 0 };
+            }
+            fail(`Expected PRECEDING or FOLLOWING after UNBOUNDED but found ${describe(peek())}`);
+        }
+
+        if (isWord(token, 'CURRENT')) {
+            next();
+            if (!isWord(peek(), 'ROW')) {
+                fail(`Expected ROW after CURRENT but found ${describe(peek())}`);
+            }
+            next();
+            return { type: 'CURRENT_ROW', offset: 0 };
+        }
+
+        if (token.type === 'NUMBER' && Number.isInteger(token.value) && token.value >= 0) {
+            next();
+            if (isWord(peek(), 'PRECEDING') || isWord(peek(), 'FOLLOWING')) {
+                return { type: next().value.toUpperCase(), offset: token.value };
+            }
+            fail(`Expected PRECEDING or FOLLOWING after ${token.value} but found ${describe(peek())}`);
+        }
+
+        fail(`Expected UNBOUNDED, CURRENT ROW or a row count in the window frame but found ${describe(token)}`, token);
+    }
+
+    function parseColumnReference() {
+        const parts = [next()];
+        while (peek().type === '.' && peek(1).type === 'IDENTIFIER') {
+            next();
+            parts.push(next());
+        }
+        if (peek().type === '.') {
+            fail(`Expected a column name after "." but found ${describe(peek(1))}`, peek(1));
+        }
+
+        // schema.table.column - only the last two parts are significant
+        const nameToken = parts[parts.length - 1];
+        const tableToken = parts.length > 1 ? parts[parts.length - 2] : null;
+        const start = parts[0].position;
+        return {
+            type: 'COLUMN',
+            table: tableToken ? normalizeIdentifier(tableToken) : null,
+            name: normalizeIdentifier(nameToken),
+            quoted: !!nameToken.quoted,
+            position: {
+                ...start,
+                length: nameToken.position.offset + nameToken.position.length - start.offset
+            }
+        };
+    }
+
+    const statement = parseStatement();
+    statement.parameters = parameters;
+    return statement;
+}
+
+/**
+ * Normalizes an identifier token - unquoted identifiers are case-insensitive
+ * @param {Object} token - IDENTIFIER token
+ * @returns {string}
+ */
+function normalizeIdentifier(token) {
+    return token.quoted ? token.value : token.value.toLowerCase();
+}
+
+/**
+ * Renders an OVER (...) window specification back to SQL text
+ * @param {{partitionBy: Object[], orderBy: Object[], frame: Object|null}} over - Window specification
+ * @returns {string}
+ */
+function windowToSQL(over) {
+    const parts = [];
+    if (over.partitionBy.length > 0) {
+        parts.push(`partition by ${over.partitionBy.map(expressionToSQL).join(', ')}`);
+    }
+    if (over.orderBy.length > 0) {
+        parts.push(`order by ${over.orderBy.map(item => `${expressionToSQL(item.expression)}${item.descending ? ' desc' : ''}`).join(', ')}`);
+    }
+    if (over.frame) {
+        const bound = b => {
+            if (b.type === 'CURRENT_ROW') return 'current row';
+            return `${b.type.startsWith('UNBOUNDED') ? 'unbounded' : b.offset} ${b.type.endsWith('PRECEDING') ? 'preceding' : 'following'}`;
+        };
+        parts.push(`rows between ${bound(over.frame.start)} and ${bound(over.frame.end)}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Quotes an identifier when it cannot be written bare (spaces, symbols, reserved words)
+ * e.g. count(*) -> "count(*)", sample_id -> sample_id
+ * @param {string} name - Table or column name
+ * @returns {string}
+ */
+export function quoteIdentifier(name) {
+    const text = String(name);
+    if (/^[a-z_][a-z0-9_]*$/i.test(text) && !RESERVED_WORDS.has(text.toUpperCase())) {
+        return text;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Lists the named parameters used by a query, in order of first use
+ * Placeholders inside string literals, quoted identifiers and comments are not parameters.
+ * e.g. "WHERE study = :study AND d >= @from" -> ['study', 'from']
+ * @param {string} sql - SQL query string
+ * @returns {string[]} Parameter names without the : or @ prefix
+ * @throws {Error} If the SQL cannot be tokenized
+ */
+export function findParameters(sql) {
+    const names = tokenizeSQL(sql)
+        .filter(token => token.type === 'PARAMETER')
+        .map(token => token.value);
+    return [...new Set(names)];
+}
+
+/**
+ * Renders an expression AST back to SQL text (used for default column names)
+ * e.g. COUNT(DISTINCT s.sample_id) -> "count(distinct s.sample_id)"
+ * @param {Object} node - Expression node
+ * @returns {string}
+ */
+export function expressionToSQL(node) {
+    switch (node.type) {
+        case 'NUMBER':
+            return String(node.value);
+        case 'STRING':
+            return `'${node.value.replace(/'/g, "''")}'`;
+        case 'NULL':
+            return 'null';
+        case 'BOOLEAN':
+            return node.value ? 'true' : 'false';
+        case 'PARAMETER':
+            return `:${node.name}`;
+        case 'STAR':
+            return node.table ? `${node.table}.*` : '*';
+        case 'COLUMN':
+            return node.table ? `${node.table}.${node.name}` : node.name;
+        case 'FUNCTION': {
+            if (node.name === 'EXTRACT' && node.args.length === 2 && node.args[0].type === 'STRING') {
+                return `extract(${node.args[0].value} from ${expressionToSQL(node.args[1])})`;
+            }
+            const call = `${node.name.toLowerCase()}(${node.distinct ? 'distinct ' : ''}${node.args.map(expressionToSQL).join(', ')})`;
+            return node.over ? `${call} over (${windowToSQL(node.over)})` : call;
+        }
+        case 'UNARY_OP':
+            return `-${expressionToSQL(node.operand)}`;
+        case 'BINARY_OP':
+        case 'COMPARISON':
+            return `${expressionToSQL(node.left)} ${node.operator} ${expressionToSQL(node.right)}`;
+        case 'LOGICAL':
+            return `(${expressionToSQL(node.left)} ${node.operator.toLowerCase()} ${expressionToSQL(node.right)})`;
+        case 'NOT':
+            return `not ${expressionToSQL(node.operand)}`;
+        case 'IS_NULL':
+            return `${expressionToSQL(node.operand)} is ${node.negated ? 'not ' : ''}null`;
+        case 'LIKE':
+            return `${expressionToSQL(node.operand)} ${node.negated ? 'not ' : ''}${node.insensitive ? 'ilike' : 'like'} ${expressionToSQL(node.pattern)}`;
+        case 'IN_LIST':
+            return `${expressionToSQL(node.operand)} ${node.negated ? 'not ' : ''}in (${node.values.map(expressionToSQL).join(', ')})`;
+        case 'BETWEEN':
+            return `${expressionToSQL(node.operand)} ${node.negated ? 'not ' : ''}between ${expressionToSQL(node.low)} and ${expressionToSQL(node.high)}`;
+        case 'CASE': {
+            const operand = node.operand ? ` ${expressionToSQL(node.operand)}` : '';
+            const whens = node.whenClauses.map(clause => ` when ${expressionToSQL(clause.when)} then ${expressionToSQL(clause.then)}`).join('');
+            const elseResult = node.elseResult ? ` else ${expressionToSQL(node.elseResult)}` : '';
+            return `case${operand}${whens}${elseResult} end`;
+        }
+        case 'CAST':
+            return `cast(${expressionToSQL(node.operand)} as ${node.targetType.toLowerCase()})`;
+        case 'SUBQUERY':
+            return '(subquery)';
+        case 'EXISTS':
+            return 'exists';
+        case 'IN_SUBQUERY':
+            return `${expressionToSQL(node.operand)} ${node.negated ? 'not ' : ''}in (subquery)`;
+        default:
+            return node.type.toLowerCase();
+    }
+}